@@ -2,17 +2,93 @@
  *          BlockchainController
  * 
  * This class expose the endpoints that the client applications will use to interact with the 
- * Blockchain dataset
+ * Blockchain dataset.
+ * The handlers throw DomainErrors (see `src/errors.js`), the central error handler of the
+ * ApplicationServer answers them with `{ code, message, details, requestId }`.
  */
 
+const bodyParser = require("body-parser");
 const logger = require('./src/logger.js');
+const { FORMATS } = require('./src/snapshot.js');
+const { parseRa, parseDec, CONSTELLATIONS } = require('./src/star.js');
+const { BadRequestError, NotFoundError, missingParameters } = require('./src/errors.js');
+const { route } = require('./src/handlers.js');
+const { DEFAULTS } = require('./src/config.js');
+
+// Content type of each snapshot format
+const SNAPSHOT_CONTENT_TYPES = {
+    ndjson: 'application/x-ndjson',
+    binary: 'application/octet-stream'
+};
+
+// Throw a BadRequestError if some body parameters are missing
+function requireBody(req, names) {
+    const error = missingParameters(req.body, names);
+    if(error) {
+        throw error;
+    }
+}
+
+// Read an optional integer query parameter, at least `min`
+function integerQuery(req, name, min = 0) {
+    if(req.query[name] === undefined) {
+        return undefined;
+    }
+    const value = Number(req.query[name]);
+    if(!Number.isInteger(value) || value < min) {
+        throw new BadRequestError('INVALID_PARAMETER', `Check the Query Parameter ${name}!`, [`${name} must be an integer of at least ${min}`]);
+    }
+    return value;
+}
+
+// Read an optional number query parameter in [min, max]
+function numberQuery(req, name, min, max) {
+    if(req.query[name] === undefined) {
+        return undefined;
+    }
+    const value = Number(req.query[name]);
+    if(req.query[name] === '' || !isFinite(value) || value < min || value > max) {
+        throw new BadRequestError('INVALID_PARAMETER', `Check the Query Parameter ${name}!`, [`${name} must be a number in [${min}, ${max}]`]);
+    }
+    return value;
+}
+
+// Read an optional coordinate query parameter in the formats of the star schema, returns degrees
+function coordinateQuery(req, name, parse, format) {
+    if(req.query[name] === undefined) {
+        return undefined;
+    }
+    const text = String(req.query[name]);
+    // A number of degrees is a number in the query string
+    const value = parse(/^\s*[+-]?\d+(\.\d+)?\s*$/.test(text) ? Number(text) : text);
+    if(isNaN(value)) {
+        throw new BadRequestError('INVALID_PARAMETER', `Check the Query Parameter ${name}!`, [`${name} must ${format}`]);
+    }
+    return value;
+}
+
+// Read an optional query parameter that must be one of `values`
+function enumQuery(req, name, values, defaultValue) {
+    if(req.query[name] === undefined) {
+        return defaultValue;
+    }
+    if(!values.includes(req.query[name])) {
+        throw new BadRequestError('INVALID_PARAMETER', `Check the Query Parameter ${name}!`, [`${name} must be one of ${values.join(', ')}`]);
+    }
+    return req.query[name];
+}
 
 class BlockchainController {
 
-    //The constructor receive the instance of the express.js app and the Blockchain class
-    constructor(app, blockchainObj) {
+    //The constructor receive the instance of the express.js app, the Blockchain class, the PeerNetwork class and the EventStream class,
+    //and the `options` of the endpoints: `importLimit` the largest dump accepted by `/import`
+    constructor(app, blockchainObj, networkObj, eventsObj, options = {}) {
         this.app = app;
         this.blockchain = blockchainObj;
+        this.network = networkObj;
+        this.events = eventsObj;
+        // The largest dump of the configuration when the node doesn't set it
+        this.importLimit = options.importLimit || DEFAULTS.importLimit;
         // All the endpoints methods needs to be called in the constructor to initialize the route.
         this.getBlockByHeight();
         this.requestOwnership();
@@ -20,126 +96,356 @@ class BlockchainController {
         this.getBlockByHash();
         this.getStarsByOwner();
         this.validateChain();
+        this.requestTransfer();
+        this.transferStar();
+        this.requestReveal();
+        this.revealStar();
+        this.getStarHistory();
+        this.getStarProof();
+        this.getBlocks();
+        this.getChainHead();
+        this.searchStars();
+        if(this.events) {
+            this.getEvents();
+        }
+        this.exportChain();
+        this.exportManifest();
+        this.importChain();
+        // The peer endpoints are only available when the node is part of a network
+        if(this.network) {
+            this.getPeers();
+            this.registerPeer();
+            this.receiveBlock();
+            this.getBlocksFrom();
+        }
     }
 
     // Enpoint to Get a Block by Height (GET Endpoint)
     getBlockByHeight() {
-        this.app.get("/block/height/:height", async (req, res) => {
-            if(req.params.height) {
-                const height = parseInt(req.params.height);
-                let block = await this.blockchain.getBlockByHeight(height);
-                if(block){
-                    return res.status(200).json(block);
-                } else {
-                    return res.status(404).send("Block Not Found!");
-                }
+        this.app.get("/block/height/:height", route(async (req, res) => {
+            const height = Number(req.params.height);
+            if(!Number.isInteger(height) || height < 0) {
+                throw new BadRequestError('INVALID_PARAMETER', 'Block Not Found! Review the Parameters!', ['height must be an integer of at least 0']);
+            }
+            let block = await this.blockchain.getBlockByHeight(height);
+            if(block){
+                return res.status(200).json(block);
             } else {
-                return res.status(404).send("Block Not Found! Review the Parameters!");
+                throw new NotFoundError('BLOCK_NOT_FOUND', 'Block Not Found!');
             }
-            
-        });
+        }));
     }
 
     // Endpoint that allows user to request Ownership of a Wallet address (POST Endpoint)
     requestOwnership() {
-        this.app.post("/requestValidation", async (req, res) => {
-            if(req.body.address) {
-                const address = req.body.address;
-                const message = await this.blockchain.requestMessageOwnershipVerification(address);
-                if(message){
-                    return res.status(200).json(message);
-                } else {
-                    return res.status(500).send("An error happened!");
-                }
-            } else {
-                return res.status(500).send("Check the Body Parameter!");
-            }
-        });
+        this.app.post("/requestValidation", route(async (req, res) => {
+            requireBody(req, ['address']);
+            const address = req.body.address;
+            const message = await this.blockchain.requestMessageOwnershipVerification(address);
+            return res.status(200).json(message);
+        }));
     }
 
     // Endpoint that allow Submit a Star, you need first to `requestOwnership` to have the message (POST endpoint)
+    // The ChallengeError, StarError and SignatureError thrown by the Blockchain tell why a star is refused
     submitStar() {
-        this.app.post("/submitstar", async (req, res) => {
+        this.app.post("/submitstar", route(async (req, res) => {
             logger.info('submitStar endpoint called');
-            if(req.body.address && req.body.message && req.body.signature && req.body.star) {
-                const address = req.body.address;
-                const message = req.body.message;
-                const signature = req.body.signature;
-                const star = req.body.star;
-                logger.info(`Received data: address=${address}, message=${message}, signature=${signature}, star=${JSON.stringify(star)}`);
-                try {
-                    logger.info('Attempting to submit star');
-                    let block = await this.blockchain.submitStar(address, message, signature, star);
-                    if(block){
-                        logger.info('Star submitted successfully');
-                        return res.status(200).json(block);
-                    } else {
-                        logger.error('An error occurred while submitting star');
-                        return res.status(500).send("An error happened!");
-                    }
-                } catch (error) {
-                    logger.error('Exception caught in submitStar: ', error);
-                    return res.status(500).send(error);
-                }
-            } else {
-                logger.error('Invalid request body in submitStar');
-                return res.status(500).send("Check the Body Parameter!");
-            }
-        });
+            requireBody(req, ['address', 'message', 'signature', 'star']);
+            const address = req.body.address;
+            const message = req.body.message;
+            const signature = req.body.signature;
+            const star = req.body.star;
+            logger.info(`Received data: address=${address}, message=${message}, signature=${signature}, star=${JSON.stringify(star)}`);
+            logger.info('Attempting to submit star');
+            let block = await this.blockchain.submitStar(address, message, signature, star);
+            logger.info('Star submitted successfully');
+            return res.status(200).json(block);
+        }));
     }
 
     // This endpoint allows you to retrieve the block by hash (GET endpoint)
     getBlockByHash() {
-        this.app.get("/block/hash/:hash", async (req, res) => {
-            if(req.params.hash) {
-                const hash = req.params.hash;
-                let block = await this.blockchain.getBlockByHash(hash);
-                if(block){
-                    return res.status(200).json(block);
-                } else {
-                    return res.status(404).send("Block Not Found!");
-                }
+        this.app.get("/block/hash/:hash", route(async (req, res) => {
+            const hash = req.params.hash;
+            let block = await this.blockchain.getBlockByHash(hash);
+            if(block){
+                return res.status(200).json(block);
             } else {
-                return res.status(404).send("Block Not Found! Review the Parameters!");
+                throw new NotFoundError('BLOCK_NOT_FOUND', 'Block Not Found!');
             }
-            
-        });
+        }));
     }
 
     // This endpoint allows you to request the list of Stars registered by an owner (GET endpoint)
     getStarsByOwner() {
-        this.app.get("/blocks/:address", async (req, res) => {
-            if(req.params.address) {
-                const address = req.params.address;
-                try {
-                    let stars = await this.blockchain.getStarsByWalletAddress(address);
-                    if(stars){
-                        return res.status(200).json(stars);
-                    } else {
-                        return res.status(404).send("Block Not Found!");
-                    }
-                } catch (error) {
-                    return res.status(500).send("An error happened!");
-                }
+        this.app.get("/blocks/:address", route(async (req, res) => {
+            const address = req.params.address;
+            let stars = await this.blockchain.getStarsByWalletAddress(address);
+            if(stars){
+                return res.status(200).json(stars);
             } else {
-                return res.status(500).send("Block Not Found! Review the Parameters!");
+                throw new NotFoundError('STARS_NOT_FOUND', 'Block Not Found!', ['the address owns no star']);
             }
-            
-        });
+        }));
     }
 
     // This endpoint validates the entire blockchain (GET endpoint)
+    // With `?mode=audit` it returns a structured report of the findings of each block,
+    // `from` and `to` limit the audit to a range of heights.
     validateChain() {
-        this.app.get("/validateChain", async (req, res) => {
-            try {
-                const errors = await this.blockchain.validateChain();
-                return res.status(200).json({ errors: errors });
-            } catch (error) {
-                return res.status(500).json({ error: error.message });
+        this.app.get("/validateChain", route(async (req, res) => {
+            if(req.query.mode === 'audit') {
+                const report = await this.blockchain.auditChain(integerQuery(req, 'from'), integerQuery(req, 'to'));
+                return res.status(200).json(report);
+            }
+            const errors = await this.blockchain.validateChain();
+            return res.status(200).json({ errors: errors });
+        }));
+    }
+
+    // Endpoint that returns the message the owner of a star must sign to transfer it (POST Endpoint)
+    requestTransfer() {
+        this.app.post("/requestTransfer", route(async (req, res) => {
+            requireBody(req, ['address', 'starHash', 'to']);
+            const message = await this.blockchain.requestTransferMessage(req.body.address, req.body.starHash, req.body.to);
+            return res.status(200).json(message);
+        }));
+    }
+
+    // Endpoint that transfers a star to another address, you need first to `requestTransfer` to have the message (POST endpoint)
+    transferStar() {
+        this.app.post("/transferstar", route(async (req, res) => {
+            logger.info('transferStar endpoint called');
+            requireBody(req, ['address', 'to', 'starHash', 'message', 'signature']);
+            const { address, to, starHash, message, signature } = req.body;
+            let block = await this.blockchain.transferStar(address, to, starHash, message, signature);
+            logger.info('Star transferred successfully');
+            return res.status(200).json(block);
+        }));
+    }
+
+    // Endpoint that returns the message the owner of a star with a sealed story must sign to reveal it (POST Endpoint)
+    requestReveal() {
+        this.app.post("/requestReveal", route(async (req, res) => {
+            requireBody(req, ['address', 'starHash']);
+            const message = await this.blockchain.requestRevealMessage(req.body.address, req.body.starHash);
+            return res.status(200).json(message);
+        }));
+    }
+
+    // Endpoint that reveals the sealed story of a star, you need first to `requestReveal` to have the message (POST endpoint)
+    revealStar() {
+        this.app.post("/revealstar", route(async (req, res) => {
+            logger.info('revealStar endpoint called');
+            requireBody(req, ['address', 'starHash', 'story', 'salt', 'message', 'signature']);
+            const { address, starHash, story, salt, message, signature } = req.body;
+            let block = await this.blockchain.revealStar(address, starHash, story, salt, message, signature);
+            logger.info('Star revealed successfully');
+            return res.status(200).json(block);
+        }));
+    }
+
+    // This endpoint returns the provenance of the star `hash` (GET endpoint)
+    getStarHistory() {
+        this.app.get("/star/:hash/history", route(async (req, res) => {
+            const history = await this.blockchain.getStarHistory(req.params.hash);
+            if(history){
+                return res.status(200).json(history);
+            } else {
+                throw new NotFoundError('STAR_NOT_FOUND', 'Star Not Found!');
             }
-        });
+        }));
+    }
+
+    // This endpoint returns the Merkle inclusion proof of a star batched in a block (GET endpoint)
+    getStarProof() {
+        this.app.get("/star/:hash/proof", route(async (req, res) => {
+            const proof = await this.blockchain.getStarProof(req.params.hash);
+            if(proof){
+                return res.status(200).json(proof);
+            } else {
+                throw new NotFoundError('STAR_NOT_FOUND', 'Star Not Found in a batched block!');
+            }
+        }));
+    }
+
+    // This endpoint lists the blocks of the chain page by page, with optional filters (GET endpoint)
+    // Query parameters: cursor, from, to, limit, owner, fromTime, toTime, type (genesis|star|transfer|reveal), decodedBody (true|false)
+    getBlocks() {
+        this.app.get("/blocks", route(async (req, res) => {
+            const query = {};
+            for(const name of ['cursor', 'from', 'to', 'limit', 'fromTime', 'toTime']) {
+                const value = integerQuery(req, name, name === 'limit' ? 1 : 0);
+                if(value !== undefined) {
+                    query[name] = value;
+                }
+            }
+            const type = enumQuery(req, 'type', ['genesis', 'star', 'transfer', 'reveal']);
+            if(type) {
+                query.type = type;
+            }
+            if(req.query.owner) {
+                query.owner = req.query.owner;
+            }
+            query.decodedBody = req.query.decodedBody === 'true' || req.query.decodedBody === '1';
+            const page = await this.blockchain.getBlocks(query);
+            return res.status(200).json(page);
+        }));
+    }
+
+    // This endpoint returns the height and the hash of the tip of the chain (GET endpoint)
+    getChainHead() {
+        this.app.get("/chain/head", route(async (req, res) => {
+            const height = await this.blockchain.getChainHeight();
+            const block = await this.blockchain.getBlockByHeight(height);
+            if(block){
+                return res.status(200).json({ height: height, hash: block.hash, time: block.time });
+            } else {
+                throw new NotFoundError('BLOCK_NOT_FOUND', 'Block Not Found!');
+            }
+        }));
+    }
+
+    // This endpoint searches the registered stars page by page (GET endpoint)
+    // Query parameters: ra, dec, radius (cone search), minMag, maxMag, cen, q (words of the story), cursor, limit
+    searchStars() {
+        this.app.get("/stars/search", route(async (req, res) => {
+            const query = {
+                ra: coordinateQuery(req, 'ra', parseRa, 'look like "16h 29m 1.0s" or be a number of degrees in [0, 360)'),
+                dec: coordinateQuery(req, 'dec', parseDec, 'look like "68° 52\' 56.9" or be a number of degrees in [-90, 90]'),
+                radius: numberQuery(req, 'radius', 0, 180),
+                minMag: numberQuery(req, 'minMag', -30, 30),
+                maxMag: numberQuery(req, 'maxMag', -30, 30),
+                cursor: integerQuery(req, 'cursor'),
+                limit: integerQuery(req, 'limit', 1)
+            };
+            // A cone search needs its center and its radius
+            const cone = ['ra', 'dec', 'radius'];
+            const missing = cone.filter(name => query[name] === undefined);
+            if(missing.length > 0 && missing.length < cone.length) {
+                throw new BadRequestError('MISSING_PARAMETER', `Check the Query Parameter ${missing[0]}!`, missing.map(name => `${name} is required for a cone search`));
+            }
+            if(query.minMag !== undefined && query.maxMag !== undefined && query.minMag > query.maxMag) {
+                throw new BadRequestError('INVALID_PARAMETER', 'Check the Query Parameter minMag!', ['minMag must not be greater than maxMag']);
+            }
+            if(req.query.cen !== undefined) {
+                query.cen = CONSTELLATIONS.find(cen => cen.toLowerCase() === String(req.query.cen).trim().toLowerCase());
+                if(!query.cen) {
+                    throw new BadRequestError('INVALID_PARAMETER', 'Check the Query Parameter cen!', ['cen must be an IAU constellation abbreviation']);
+                }
+            }
+            if(req.query.q !== undefined) {
+                query.q = String(req.query.q);
+            }
+            const page = await this.blockchain.searchStars(query);
+            return res.status(200).json(page);
+        }));
+    }
+
+    // This endpoint streams the new blocks or the validation failures with Server-Sent Events (GET endpoint)
+    getEvents() {
+        this.app.get("/events", route(async (req, res) => {
+            const subscription = { topic: enumQuery(req, 'topic', ['blocks', 'validation'], 'blocks') };
+            if(req.query.owner !== undefined) {
+                if(subscription.topic !== 'blocks' || !req.query.owner) {
+                    throw new BadRequestError('INVALID_PARAMETER', 'Check the Query Parameter owner!', ['owner is only allowed with the blocks topic']);
+                }
+                subscription.owner = req.query.owner;
+            }
+            subscription.from = integerQuery(req, 'from');
+            this.events.subscribe(req, res, subscription);
+        }));
+    }
+
+    // Auxiliary method that reads the `format` and `height` query parameters of the export endpoints
+    // and returns the snapshot, it throws a NotFoundError if there isn't a block at `height`
+    async _exportSnapshot(req) {
+        const format = enumQuery(req, 'format', FORMATS, 'ndjson');
+        const snapshot = await this.blockchain.exportSnapshot(format, integerQuery(req, 'height'));
+        if(!snapshot) {
+            throw new NotFoundError('BLOCK_NOT_FOUND', 'Block Not Found!');
+        }
+        return { format: format, snapshot: snapshot };
+    }
+
+    // This endpoint dumps the chain up to `height` as NDJSON or in the binary format (GET endpoint)
+    exportChain() {
+        this.app.get("/export", route(async (req, res) => {
+            const { format, snapshot } = await this._exportSnapshot(req);
+            res.set('Content-Type', SNAPSHOT_CONTENT_TYPES[format]);
+            res.set('Content-Disposition', `attachment; filename="chain-${snapshot.manifest.height}.${format === 'binary' ? 'bin' : 'ndjson'}"`);
+            return res.status(200).send(snapshot.dump);
+        }));
+    }
+
+    // This endpoint returns the manifest of the dump returned by `/export` with the same parameters (GET endpoint)
+    exportManifest() {
+        this.app.get("/export/manifest", route(async (req, res) => {
+            const { snapshot } = await this._exportSnapshot(req);
+            return res.status(200).json(snapshot.manifest);
+        }));
+    }
+
+    // This endpoint replaces the chain with the chain of a dump once it is validated, it needs an API key (POST endpoint).
+    // The body is the dump, the manifest can be sent in the `X-Snapshot-Manifest` header as JSON.
+    // Without `force=true` the dump must extend the chain.
+    importChain() {
+        this.app.post("/import", bodyParser.raw({ type: () => true, limit: this.importLimit }), route(async (req, res) => {
+            const format = enumQuery(req, 'format', FORMATS, 'ndjson');
+            const force = enumQuery(req, 'force', ['true', 'false'], 'false') === 'true';
+            if(!Buffer.isBuffer(req.body) || req.body.length === 0) {
+                throw new BadRequestError('MISSING_PARAMETER', 'Check the Body Parameter!', ['the body must be the dump']);
+            }
+            let manifest;
+            if(req.get('X-Snapshot-Manifest')) {
+                try {
+                    manifest = JSON.parse(req.get('X-Snapshot-Manifest'));
+                } catch (error) {
+                    throw new BadRequestError('INVALID_PARAMETER', 'Check the Header X-Snapshot-Manifest!', ['X-Snapshot-Manifest must be JSON']);
+                }
+            }
+            const tip = await this.blockchain.importSnapshot(req.body, format, manifest, req.query.signer, force);
+            return res.status(200).json({ height: tip.height, hash: tip.hash });
+        }));
+    }
+
+    // This endpoint returns the list of registered peers (GET endpoint)
+    getPeers() {
+        this.app.get("/peers", route(async (req, res) => {
+            const peers = await this.network.getPeers();
+            return res.status(200).json(peers);
+        }));
+    }
+
+    // This endpoint registers a peer node, the body must contain its `url`, it needs an API key (POST endpoint)
+    registerPeer() {
+        this.app.post("/peers", route(async (req, res) => {
+            requireBody(req, ['url']);
+            await this.network.addPeer(req.body.url);
+            const peers = await this.network.getPeers();
+            return res.status(200).json(peers);
+        }));
+    }
+
+    // This endpoint receives a block broadcast by a peer, the body contains the `block` and the `peer` url,
+    // the node only fetches the missing blocks from a registered peer (POST endpoint)
+    receiveBlock() {
+        this.app.post("/peers/block", route(async (req, res) => {
+            requireBody(req, ['block']);
+            const added = await this.network.receiveBlock(req.body.block, req.body.peer);
+            return res.status(200).json({ added: added });
+        }));
+    }
+
+    // This endpoint returns the blocks from the height `from` up to the tip, used by peers to sync (GET endpoint)
+    getBlocksFrom() {
+        this.app.get("/peers/blocks", route(async (req, res) => {
+            const blocks = await this.blockchain.getBlocksFrom(integerQuery(req, 'from') || 0);
+            return res.status(200).json(blocks);
+        }));
     }
 
 }
 
-module.exports = (app, blockchainObj) => { return new BlockchainController(app, blockchainObj);}
\ No newline at end of file
+module.exports = (app, blockchainObj, networkObj, eventsObj, options) => { return new BlockchainController(app, blockchainObj, networkObj, eventsObj, options);}
\ No newline at end of file
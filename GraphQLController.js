@@ -0,0 +1,61 @@
+/**
+ *          GraphQLController
+ *
+ * This class exposes the GraphQL endpoint of a chain (see `src/graphql.js`), a single query
+ * reads the blocks, the owners and the stars without several round trips.
+ * The query is sent as the body of a POST `{ query, variables, operationName }`, or in the
+ * query string of a GET with `variables` as JSON. The answer is the GraphQL response
+ * `{ data, errors }`, not the error envelope of the BlockchainController.
+ */
+
+const { runQuery } = require('./src/graphql.js');
+const { BadRequestError, missingParameters } = require('./src/errors.js');
+const { route } = require('./src/handlers.js');
+
+class GraphQLController {
+
+    //The constructor receive the instance of the express.js app, the Blockchain class and the limits of the queries
+    constructor(app, blockchainObj, limits) {
+        this.app = app;
+        this.blockchain = blockchainObj;
+        this.limits = limits;
+        // All the endpoints methods needs to be called in the constructor to initialize the route.
+        this.getQuery();
+        this.postQuery();
+    }
+
+    // Run a GraphQL request and answer its response
+    async answer(req, res, request) {
+        const error = missingParameters(request, ['query']);
+        if(error) {
+            throw error;
+        }
+        const result = await runQuery(this.blockchain, request, this.limits);
+        return res.status(result.status).json(result.body);
+    }
+
+    // This endpoint runs the query of the query string, `variables` is JSON (GET endpoint)
+    getQuery() {
+        this.app.get("/graphql", route(async (req, res) => {
+            let variables;
+            if(req.query.variables !== undefined) {
+                try {
+                    variables = JSON.parse(req.query.variables);
+                } catch (error) {
+                    throw new BadRequestError('INVALID_PARAMETER', 'Check the Query Parameter variables!', ['variables must be a JSON object']);
+                }
+            }
+            return this.answer(req, res, { query: req.query.query, variables: variables, operationName: req.query.operationName });
+        }));
+    }
+
+    // This endpoint runs the query of the body (POST endpoint)
+    postQuery() {
+        this.app.post("/graphql", route(async (req, res) => {
+            return this.answer(req, res, { query: req.body.query, variables: req.body.variables, operationName: req.body.operationName });
+        }));
+    }
+
+}
+
+module.exports = (app, blockchainObj, limits) => { return new GraphQLController(app, blockchainObj, limits);}
@@ -6,6 +6,7 @@
  * - `morgan` Isn't required but help with debugging and logging
  * - `body-parser` This module allows to parse the body of the post request into a JSON
  */
+const http = require("http");
 const express = require("express");
 const morgan = require("morgan");
 const bodyParser = require("body-parser");
@@ -13,59 +14,335 @@ const bodyParser = require("body-parser");
  * Require the Blockchain class. This allow us to have only one instance of the class.
  */
 const BlockChain = require('./src/blockchain.js');
+/**
+ * Require the storage backends, the chain is saved in an append-only file so it survives a restart.
+ */
+const { FileStorage } = require('./src/storage.js');
+const path = require('path');
+const bitcoin = require('bitcoinjs-lib');
+/**
+ * Require the PeerNetwork class, it connects this node to the other nodes of the network.
+ */
+const { PeerNetwork } = require('./src/peers.js');
+/**
+ * Require the EventStream class, it pushes the new blocks to the clients with Server-Sent Events.
+ */
+const { EventStream } = require('./src/events.js');
+/**
+ * Require the access control middlewares: API keys, rate limits and daily star cap.
+ */
+const { accessControl } = require('./src/limits.js');
+/**
+ * Require the request ids and the error handlers, every error is answered with `{ code, message, details, requestId }`.
+ */
+const { requestContext } = require('./src/context.js');
+const { notFoundHandler, errorHandler } = require('./src/handlers.js');
+const { NotFoundError, ServiceUnavailableError } = require('./src/errors.js');
+/**
+ * Require the configuration, read from the environment and a config file.
+ */
+const { loadConfig } = require('./src/config.js');
+/**
+ * Require the OpenAPI document of the endpoints and the middleware that validates the requests against it.
+ */
+const openapi = require('./src/openapi.js');
+const { validateRequests } = require('./src/validation.js');
+/**
+ * Require the metrics of the node, served in the Prometheus format at `/metrics`.
+ */
+const { Metrics } = require('./src/metrics.js');
 
 // Logging added per code review recommendation//
 const logger = require('./src/logger.js');  // Import logger
 
 class ApplicationServer {
 
-	constructor() {
+	/**
+	 * @param {*} options Settings of the node, all of them are optional (see `loadConfig` in `src/config.js`):
+	 *  - `port` port to listen on (default 8000, 0 picks a free port)
+	 *  - `chains` named chains served by the node, `{ name: settings }`, each one has its own Blockchain served under
+	 *    `/chains/:name/...`. The settings of a chain are the options of the Blockchain class (`genesis`, proof-of-work
+	 *    and signature window), its storage (`storage` backend or `file`, default `data/<name>.ndjson`), its `peers`
+	 *    and its `access` settings, merged over the `access` of the node
+	 *  - `defaultChain` chain also served at the root (default the first chain)
+	 *  - `storage` and `chain` storage backend and options of the Blockchain when `chains` isn't given, the
+	 *    node then has a single chain named `main` (default storage `data/chain.ndjson`)
+	 *  - `nodeUrl` URL the peers use to reach this node (default `http://localhost:<port>`)
+	 *  - `peers` URLs of the peers of the default chain to register once the server is listening
+	 *  - `nodeKey` private key of the node in WIF, used to sign the snapshot manifests
+	 *  - `access` API keys and rate limits, see `accessControl` in `src/limits.js`
+	 *  - `graphql` limits of the GraphQL queries `{ maxDepth, maxComplexity }` (default 10 and 1000), see `src/graphql.js`
+	 *  - `peerApiKey` API key sent to the peers, when they require one
+	 *  - `trustProxy` express `trust proxy` setting, so the rate limits see the IP of the client behind a proxy
+	 *  - `importLimit` largest dump accepted by `POST /import`, in bytes or like `16mb` (default `16mb`)
+	 *  - `log` level and files of the logs, see `src/logger.js`
+	 */
+	constructor(options = {}) {
+		this.options = options;
+		if(options.log){
+			logger.applyConfig(options.log);
+		}
 		//Express application object
 		this.app = express();
-		//Blockchain class object
-		this.blockchain = new BlockChain.Blockchain();
+		//Blockchain, PeerNetwork and EventStream objects of each chain
+		const chains = options.chains || { main: Object.assign({ storage: options.storage, file: path.join(__dirname, 'data', 'chain.ndjson') }, options.chain) };
+		const nodeKey = options.nodeKey ? bitcoin.ECPair.fromWIF(options.nodeKey, [bitcoin.networks.bitcoin, bitcoin.networks.testnet]) : null;
+		this.defaultChain = options.defaultChain || Object.keys(chains)[0];
+		//The requests of every chain are validated against the OpenAPI document
+		this.requestValidator = validateRequests(openapi);
+		//The metrics of every chain are collected in the registry of the node
+		this.metrics = new Metrics(openapi);
+		this.chains = new Map();
+		for(const [name, settings] of Object.entries(chains)){
+			this.chains.set(name, this.initChain(name, settings, nodeKey));
+		}
+		//The objects of the default chain
+		this.blockchain = this.chains.get(this.defaultChain).blockchain;
+		this.network = this.chains.get(this.defaultChain).network;
+		this.events = this.chains.get(this.defaultChain).events;
 		//Method that initialized the express framework.
 		this.initExpress();
 		//Method that initialized middleware modules
 		this.initExpressMiddleWare();
 		//Method that initialized the controllers where you defined the endpoints
 		this.initControllers();
-		//Method that run the express application.
-		this.start();
+		//Method that initialized the handlers of the unknown routes and of the errors, they must come last
+		this.initErrorHandlers();
+		//HTTP server of the application, it listens once `start()` is called
+		this.server = http.createServer(this.app);
+		// While the node stops, the keep-alive connections are closed as soon as their request is answered
+		this.server.on('request', (req, res) => res.on('close', () => {
+			if(this.stopping){
+				this.server.closeIdleConnections();
+			}
+		}));
+	}
+
+	/**
+	 * Create the Blockchain of a chain, its PeerNetwork, its EventStream and the router of its endpoints.
+	 * The default chain is reached by its peers at the root, the other chains under `/chains/:name`.
+	 * @param {*} name
+	 * @param {*} settings
+	 * @param {*} nodeKey
+	 */
+	initChain(name, settings, nodeKey) {
+		const chainPath = name === this.defaultChain ? '' : `/chains/${name}`;
+		const storage = settings.storage || new FileStorage(path.resolve(settings.file || path.join(__dirname, 'data', `${name}.ndjson`)));
+		const blockchain = new BlockChain.Blockchain(storage, Object.assign({}, settings, { nodeKey: nodeKey }));
+		//The url of the node is known once the server is listening
+		const network = new PeerNetwork(blockchain, this.options.nodeUrl ? this.options.nodeUrl + chainPath : null, { apiKey: this.options.peerApiKey });
+		const events = new EventStream(blockchain);
+		this.metrics.watchChain(name, blockchain);
+		const chain = { name: name, path: chainPath, blockchain: blockchain, network: network, events: events, ready: false, error: null };
+		// The chain is ready once it is loaded and validated, a chain that failed to load is never served
+		blockchain.ready.then(() => {
+			chain.ready = true;
+		}, (error) => {
+			chain.error = error;
+			logger.error(`Unable to load the chain ${name}:`, error);
+		});
+		const router = express.Router();
+		router.use(this.metrics.requestMetrics(name));
+		router.use((req, res, next) => {
+			if(!chain.ready){
+				return next(new ServiceUnavailableError('CHAIN_NOT_READY', chain.error ? 'The chain failed to load.' : 'The chain is still loading.'));
+			}
+			next();
+		});
+		// Authentication and rate limits run once the body is parsed, they need the wallet address
+		accessControl(Object.assign({}, this.options.access, settings.access)).forEach(middleware => router.use(middleware));
+		router.use(this.requestValidator);
+		require("./BlockchainController.js")(router, blockchain, network, events, { importLimit: this.options.importLimit });
+		require("./GraphQLController.js")(router, blockchain, this.options.graphql);
+		chain.router = router;
+		chain.peers = (settings.peers || []).concat(name === this.defaultChain ? this.options.peers || [] : []);
+		return chain;
 	}
 
 	initExpress() {
-		this.app.set("port", 8000);
+		this.app.set("port", this.options.port !== undefined ? this.options.port : 8000);
+		if(this.options.trustProxy !== undefined && this.options.trustProxy !== null){
+			this.app.set("trust proxy", this.options.trustProxy);
+		}
 	}
 
 	initExpressMiddleWare() {
+		// The request id comes first so every log line of the request carries it
+		this.app.use(requestContext);
 		this.app.use(morgan("dev"));
 		this.app.use(bodyParser.urlencoded({extended:true}));
 		this.app.use(bodyParser.json());
 	}
 
 	initControllers() {
-        require("./BlockchainController.js")(this.app, this.blockchain);
+		// Liveness of the process, it answers as long as the node runs
+		this.app.get("/health", (req, res) => {
+			res.status(200).json({ status: 'ok', uptime: Math.floor(process.uptime()) });
+		});
+		// Readiness of the node: every chain is loaded and validated and the node isn't stopping
+		this.app.get("/ready", (req, res) => {
+			const chains = Array.from(this.chains.values()).map(chain => {
+				const status = { name: chain.name, ready: chain.ready, height: chain.blockchain.height };
+				if(chain.error){
+					status.error = chain.error.message;
+				}
+				return status;
+			});
+			const ready = !this.stopping && chains.every(chain => chain.ready);
+			res.status(ready ? 200 : 503).json({ ready: ready, stopping: Boolean(this.stopping), chains: chains });
+		});
+		// The metrics of the node in the Prometheus text format
+		this.app.get("/metrics", async (req, res, next) => {
+			try {
+				const metrics = await this.metrics.render();
+				res.status(200).type(metrics.contentType).send(metrics.body);
+			} catch (error) {
+				next(error);
+			}
+		});
+		// The list of the chains of the node
+		this.app.get("/chains", (req, res) => {
+			res.status(200).json(Array.from(this.chains.values()).map(chain => {
+				return { name: chain.name, height: chain.blockchain.height, default: chain.name === this.defaultChain };
+			}));
+		});
+		// The description of the endpoints
+		this.app.get("/openapi.json", (req, res) => {
+			res.status(200).json(openapi);
+		});
+		for(const chain of this.chains.values()){
+			this.app.use(`/chains/${chain.name}`, chain.router);
+		}
+		this.app.use("/chains/:name", (req, res, next) => {
+			if(this.chains.has(req.params.name)){
+				// The chain exists, the route doesn't
+				return notFoundHandler(req, res, next);
+			}
+			next(new NotFoundError('CHAIN_NOT_FOUND', 'Chain Not Found!'));
+		});
+		// The default chain is also served at the root
+		this.app.use(this.chains.get(this.defaultChain).router);
 	}
 
+	initErrorHandlers() {
+		this.app.use(notFoundHandler);
+		this.app.use(errorHandler);
+	}
+
+	/**
+	 * The start() method makes the server listen on its port. The health endpoints answer at once, the
+	 * endpoints of a chain once it is loaded and validated.
+	 * Resolves with the http server once every chain is ready and the node has joined its peers,
+	 * rejects if a chain can't be loaded.
+	 */
 	start() {
         let self = this;
-        this.app.listen(this.app.get("port"), () => {
-            console.log(`Server Listening for port: ${self.app.get("port")}`);
-        });
-
-        // Handle Uncaught Exceptions
-        process.on('uncaughtException', (error) => {
-            logger.error('Uncaught Exception:', error);
+        if(this.listening){
+            return this.listening;
+        }
+        this.listening = new Promise((resolve, reject) => {
+            self.server.once('error', reject);
+            self.server.listen(self.app.get("port"), () => {
+                self.server.removeListener('error', reject);
+                const port = self.server.address().port;
+                console.log(`Server Listening for port: ${port}`);
+                resolve(port);
+            });
+        }).then(async (port) => {
+            await Promise.all(Array.from(self.chains.values()).map(chain => chain.blockchain.ready));
+            for(const chain of self.chains.values()){
+                chain.network.nodeUrl = chain.network.nodeUrl || `http://localhost:${port}${chain.path}`;
+                for(const peer of chain.peers){
+                    await chain.network.addPeer(peer);
+                }
+            }
+            return self.server;
         });
+        return this.listening;
+	}
 
-        // Handle Unhandled Promise Rejections
-        process.on('unhandledRejection', (error) => {
-            logger.error('Unhandled Promise Rejection:', error);
-        });
-    
+	/**
+	 * The stop() method stops the node gracefully: the server stops accepting connections, the event
+	 * streams are closed, the requests in flight are answered (the connections still open after
+	 * `drainTimeout` milliseconds are closed), then the blocks being committed are stored and the
+	 * storage of each chain is closed. `/ready` answers 503 as soon as the node is stopping.
+	 * @param {*} drainTimeout Milliseconds given to the requests in flight (default 10000)
+	 */
+	stop(drainTimeout = 10000) {
+        let self = this;
+        if(this.stopping){
+            return this.stopping;
+        }
+        this.stopping = (async () => {
+            logger.info('Stopping the server');
+            self.chains.forEach(chain => chain.events.close());
+            if(self.server.listening){
+                const closed = new Promise(resolve => self.server.close(resolve));
+                self.server.closeIdleConnections();
+                const timer = setTimeout(() => {
+                    logger.warn('Closing the connections still open after the drain timeout');
+                    self.server.closeAllConnections();
+                }, drainTimeout);
+                timer.unref();
+                await closed;
+                clearTimeout(timer);
+            }
+            await Promise.all(Array.from(self.chains.values()).map(chain => chain.blockchain.close()));
+            logger.info('Server stopped');
+        })();
+        return this.stopping;
 	}
 
 }
 
-new ApplicationServer();
\ No newline at end of file
+/**
+ * The createServer(options) method returns a node that doesn't listen yet: `app` is the express
+ * application, `server` its http server, `start()` makes it listen and `stop()` stops it.
+ * @param {*} options See the ApplicationServer
+ */
+function createServer(options) {
+	return new ApplicationServer(options);
+}
+
+module.exports = ApplicationServer;
+module.exports.createServer = createServer;
+
+// Start a node when the file is run directly (`node app.js`). The settings are read from the environment
+// variables and the config file given by `CONFIG_FILE`, see `src/config.js`, e.g.
+// `PORT=8001 CHAIN_FILE=data/node2.ndjson PEERS=http://localhost:8000 node app.js`.
+// The node doesn't start if a setting isn't valid.
+if (require.main === module) {
+	let config;
+	try {
+		config = loadConfig();
+	} catch (error) {
+		console.error(error.message + (error.details && error.details.length ? '\n - ' + error.details.join('\n - ') : ''));
+		process.exit(1);
+	}
+	const node = createServer(config);
+	node.start().catch((error) => {
+		logger.error('Unable to start the node:', error);
+		logger.flush().then(() => process.exit(1));
+	});
+
+	// Stop gracefully on SIGTERM (and Ctrl-C): drain the requests, store the blocks and flush the logs
+	const shutdown = (signal) => {
+		logger.info(`${signal} received`);
+		node.stop()
+			.catch(error => logger.error('Unable to stop the node cleanly:', error))
+			.then(() => logger.flush())
+			.then(() => process.exit(0));
+	};
+	process.once('SIGTERM', shutdown);
+	process.once('SIGINT', shutdown);
+
+	// Handle Uncaught Exceptions
+	process.on('uncaughtException', (error) => {
+		logger.error('Uncaught Exception:', error);
+	});
+
+	// Handle Unhandled Promise Rejections
+	process.on('unhandledRejection', (error) => {
+		logger.error('Unhandled Promise Rejection:', error);
+	});
+}
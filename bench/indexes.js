@@ -0,0 +1,112 @@
+/**
+ *                          Index benchmark
+ *  Measures `getBlockByHash`, `getBlockByHeight` and `getStarsByWalletAddress` on
+ *  chains of 1k, 10k and 100k blocks. Each owner holds about 10 stars whatever the
+ *  size of the chain, so the lookups should take the same time on every chain.
+ *  The script exits with an error if the lookups on the biggest chain are more than
+ *  `MAX_SLOWDOWN` times slower than on the smallest one.
+ *  Run it with `npm run bench`. `test/indexes.test.js` checks on smaller chains that
+ *  the lookups read the same number of blocks whatever the size of the chain.
+ */
+
+const crypto = require('crypto');
+const BlockClass = require('../src/block.js');
+const { Blockchain } = require('../src/blockchain.js');
+const logger = require('../src/logger.js');
+
+const SIZES = [1000, 10000, 100000];
+const LOOKUPS = 5000;
+const MAX_SLOWDOWN = 3;
+
+/**
+ * Build a chain of `size` blocks registering stars, one a minute. The blocks aren't mined,
+ * only the indexes are exercised.
+ * @param {*} size
+ */
+function buildChain(size) {
+    const chain = [];
+    for(let height = 0; height < size; height++){
+        const data = height === 0 ? { data: 'Genesis Block' } : {
+            owner: `owner-${height % Math.ceil(size / 10)}`,
+            star: { ra: (height % 3600) / 10, dec: (Math.floor(height / 3600) % 1800) / 10 - 90, story: `star ${height}` }
+        };
+        const block = new BlockClass.Block(data);
+        block.height = height;
+        block.time = String(1700000000 + height * 60);
+        block.hash = crypto.randomBytes(32).toString('hex');
+        block.previousBlockHash = height > 0 ? chain[height - 1].hash : null;
+        chain.push(block);
+    }
+    return chain;
+}
+
+/**
+ * Average duration in microseconds of `lookup(i)` over LOOKUPS calls,
+ * measured after a first pass that warms up the JIT.
+ * @param {*} lookup
+ */
+async function measure(lookup) {
+    for(let i = 0; i < LOOKUPS; i++){
+        await lookup(i);
+    }
+    const start = process.hrtime.bigint();
+    for(let i = 0; i < LOOKUPS; i++){
+        await lookup(i);
+    }
+    return Number(process.hrtime.bigint() - start) / 1000 / LOOKUPS;
+}
+
+/**
+ * A Blockchain in memory holding a chain of `size` blocks built by `buildChain`, with its indexes.
+ * @param {*} size
+ */
+async function loadChain(size) {
+    const blockchain = new Blockchain(undefined, { difficulty: 0 });
+    await blockchain.ready;
+    blockchain.chain = buildChain(size);
+    blockchain.height = size - 1;
+    blockchain._rebuildIndexes();
+    return blockchain;
+}
+
+async function main() {
+    logger.silent = true;
+    const results = [];
+    for(const size of SIZES){
+        const blockchain = await loadChain(size);
+
+        const pick = (i) => blockchain.chain[(i * 7919) % size];
+        const owners = Math.ceil(size / 10);
+        results.push({
+            size: size,
+            byHash: await measure(i => blockchain.getBlockByHash(pick(i).hash)),
+            byHeight: await measure(i => blockchain.getBlockByHeight(pick(i).height)),
+            byOwner: await measure(i => blockchain.getStarsByWalletAddress(`owner-${(i * 7919) % owners}`))
+        });
+    }
+
+    console.table(results.map(r => ({
+        blocks: r.size,
+        'getBlockByHash (µs)': r.byHash.toFixed(2),
+        'getBlockByHeight (µs)': r.byHeight.toFixed(2),
+        'getStarsByWalletAddress (µs)': r.byOwner.toFixed(2)
+    })));
+
+    const first = results[0];
+    const last = results[results.length - 1];
+    const slow = ['byHash', 'byHeight', 'byOwner'].filter(key => last[key] > first[key] * MAX_SLOWDOWN);
+    if(slow.length > 0){
+        console.error(`Lookups grow with the chain: ${slow.join(', ')}`);
+        process.exit(1);
+    }
+}
+
+if(require.main === module){
+    main().catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
+}
+
+module.exports.buildChain = buildChain;
+module.exports.loadChain = loadChain;
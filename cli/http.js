@@ -0,0 +1,45 @@
+/**
+ *                          HTTP client of the CLIs
+ *  Sends the requests of the command line tools to a node.
+ */
+
+const http = require('http');
+
+/**
+ * Send a request to the node, resolves with the raw body of the response.
+ * An answer with an error status rejects with an Error carrying the `status` and the
+ * `response` of the node (its parsed JSON error `{ code, message, details }` when it is one).
+ * @param {*} method
+ * @param {*} url
+ * @param {*} body Buffer
+ * @param {*} headers
+ */
+function request(method, url, body, headers = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.request(url, { method: method, headers: body ? Object.assign({ 'Content-Length': body.length }, headers) : headers }, (res) => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => {
+                const data = Buffer.concat(chunks);
+                if(res.statusCode >= 400){
+                    const error = new Error(`${method} ${url} answered with status ${res.statusCode}: ${data.toString('utf8')}`);
+                    error.status = res.statusCode;
+                    try {
+                        error.response = JSON.parse(data.toString('utf8'));
+                    } catch (parseError) {
+                        error.response = null;
+                    }
+                    return reject(error);
+                }
+                resolve(data);
+            });
+        });
+        req.on('error', reject);
+        if(body){
+            req.write(body);
+        }
+        req.end();
+    });
+}
+
+module.exports.request = request;
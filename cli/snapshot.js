@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+/**
+ *                          Snapshot CLI
+ *  Backs up the chain of a node and restores it in another one, through the
+ *  `/export` and `/import` endpoints.
+ *      node cli/snapshot.js export --out chain.bin [--format binary] [--height 120] [--node http://localhost:8000]
+ *      node cli/snapshot.js import --in chain.bin [--format binary] [--manifest chain.bin.manifest.json] [--signer ADDRESS] [--force] [--node URL]
+ *      node cli/snapshot.js verify --in chain.bin [--format binary] [--manifest chain.bin.manifest.json] [--signer ADDRESS]
+ *  `export` writes the dump and its manifest (`<out>.manifest.json`). `verify` checks
+ *  offline that a dump matches its manifest and who signed it, the chain itself is
+ *  validated by the node when it is imported.
+ *  The format defaults to `binary` when the file ends with `.bin`, `ndjson` otherwise.
+ *  `import` needs the API key of the node, sent with `--api-key KEY`, and only extends the
+ *  chain of the node unless `--force` is given.
+ */
+
+const fs = require('fs');
+const snapshot = require('../src/snapshot.js');
+const { request } = require('./http.js');
+
+const USAGE = 'Usage: node cli/snapshot.js <export|import|verify> [--node URL] [--format ndjson|binary] [--out FILE] [--in FILE] [--height H] [--manifest FILE] [--signer ADDRESS] [--force] [--api-key KEY]';
+// The options without a value
+const FLAGS = ['force'];
+
+/**
+ * Read the `--name value` options and the `--flag` options of the command line.
+ * @param {*} args
+ */
+function parseOptions(args) {
+    const options = {};
+    for(let i = 0; i < args.length; i += 2){
+        if(args[i].startsWith('--') && FLAGS.includes(args[i].slice(2))){
+            options[args[i].slice(2)] = true;
+            i--;
+            continue;
+        }
+        if(!args[i].startsWith('--') || args[i + 1] === undefined){
+            throw new Error(USAGE);
+        }
+        options[args[i].slice(2)] = args[i + 1];
+    }
+    return options;
+}
+
+async function main(argv) {
+    const command = argv[0];
+    const options = parseOptions(argv.slice(1));
+    const node = (options.node || 'http://localhost:8000').replace(/\/+$/, '');
+    const auth = options['api-key'] ? { 'X-API-Key': options['api-key'] } : {};
+    const file = command === 'export' ? options.out : options.in;
+    if(!['export', 'import', 'verify'].includes(command) || !file){
+        throw new Error(USAGE);
+    }
+    const format = options.format || (file.endsWith('.bin') ? 'binary' : 'ndjson');
+    if(!snapshot.FORMATS.includes(format)){
+        throw new Error(`Unknown format ${format}`);
+    }
+
+    if(command === 'export'){
+        // The manifest fixes the height so the dump is the one it describes even if the chain grows meanwhile
+        const query = `format=${format}` + (options.height !== undefined ? `&height=${options.height}` : '');
+        const manifest = JSON.parse(await request('GET', `${node}/export/manifest?${query}`, null, auth));
+        const dump = await request('GET', `${node}/export?format=${format}&height=${manifest.height}`, null, auth);
+        fs.writeFileSync(file, dump);
+        fs.writeFileSync(`${file}.manifest.json`, JSON.stringify(manifest, null, 4) + '\n');
+        console.log(`Exported ${manifest.blocks} blocks up to height ${manifest.height} (${manifest.tipHash}) to ${file}`);
+        return;
+    }
+
+    const dump = fs.readFileSync(file);
+    const manifestFile = options.manifest || (fs.existsSync(`${file}.manifest.json`) ? `${file}.manifest.json` : null);
+    const manifest = manifestFile ? JSON.parse(fs.readFileSync(manifestFile, 'utf8')) : null;
+
+    if(command === 'verify'){
+        const blocks = snapshot.decode(dump, format);
+        if(manifest || options.signer){
+            snapshot.verifyManifest(manifest, dump, blocks, options.signer);
+        }
+        const tip = blocks[blocks.length - 1];
+        console.log(`${file}: ${blocks.length} blocks up to height ${tip ? tip.height : -1}` +
+            (manifest ? `, matches its manifest${manifest.signer ? ' signed by ' + manifest.signer : ' (unsigned)'}` : ''));
+        return;
+    }
+
+    const headers = Object.assign({ 'Content-Type': 'application/octet-stream' }, auth);
+    if(manifest){
+        headers['X-Snapshot-Manifest'] = JSON.stringify(manifest);
+    }
+    const query = `format=${format}` + (options.signer ? `&signer=${encodeURIComponent(options.signer)}` : '') + (options.force ? '&force=true' : '');
+    const tip = JSON.parse(await request('POST', `${node}/import?${query}`, dump, headers));
+    console.log(`Imported ${file}, the chain of ${node} is now at height ${tip.height} (${tip.hash})`);
+}
+
+main(process.argv.slice(2)).catch((error) => {
+    console.error(error.message + (error.details && error.details.length ? '\n - ' + error.details.join('\n - ') : ''));
+    process.exit(1);
+});
@@ -0,0 +1,368 @@
+#!/usr/bin/env node
+/**
+ *                          Wallet CLI
+ *  Keeps a bitcoin key and registers stars with it on a node, without signing the
+ *  challenges by hand in Electrum:
+ *      node cli/wallet.js generate [--type p2pkh|p2sh-p2wpkh|p2wpkh] [--network bitcoin|testnet|regtest] [--force]
+ *      node cli/wallet.js import --wif WIF [--type p2pkh|p2sh-p2wpkh|p2wpkh] [--network bitcoin|testnet|regtest] [--force]
+ *      node cli/wallet.js address
+ *      node cli/wallet.js submit (--star star.json | --ra RA --dec DEC --story TEXT [--mag MAG] [--cen CEN]) [--seal] [--node URL]
+ *      node cli/wallet.js reveal --star STAR_ID [--node URL]
+ *      node cli/wallet.js stars [--address ADDRESS] [--node URL]
+ *      node cli/wallet.js block (--hash HASH | --height H) [--node URL]
+ *      node cli/wallet.js validate [--audit] [--from H] [--to H] [--node URL]
+ *  `submit` requests the challenge of the address, signs it and submits the star in one go,
+ *  well within the 5 minutes the challenge is valid. With `--seal` the story is encrypted to the
+ *  key of the wallet and only its commitment is public, `reveal` publishes it later (see `src/seal.js`).
+ *  The key is stored in the wallet file, `--wallet FILE` (or `STAR_WALLET`), by default
+ *  `~/.star-notary/wallet.json`. It holds the private key unencrypted and is only readable by its owner.
+ *  `--json` prints the results as JSON instead of text, `--api-key KEY` is sent to the node
+ *  when it requires an API key. `validate` exits with the code 2 when the chain isn't valid.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const bitcoin = require('bitcoinjs-lib');
+const bitcoinMessage = require('bitcoinjs-message');
+const { Block } = require('../src/block.js');
+const { starKey } = require('../src/star.js');
+const merkle = require('../src/merkle.js');
+const { sealStory, openSealed } = require('../src/seal.js');
+const { request } = require('./http.js');
+
+const USAGE = 'Usage: node cli/wallet.js <generate|import|address|submit|reveal|stars|block|validate> [--wallet FILE] [--node URL] [--api-key KEY] [--json]\n' +
+    '  generate [--type p2pkh|p2sh-p2wpkh|p2wpkh] [--network bitcoin|testnet|regtest] [--force]\n' +
+    '  import --wif WIF [--type TYPE] [--network NETWORK] [--force]\n' +
+    '  submit (--star FILE | --ra RA --dec DEC --story TEXT [--mag MAG] [--cen CEN]) [--seal]\n' +
+    '  reveal --star STAR_ID\n' +
+    '  stars [--address ADDRESS]\n' +
+    '  block (--hash HASH | --height H)\n' +
+    '  validate [--audit] [--from H] [--to H]';
+
+// The options without a value
+const FLAGS = ['json', 'force', 'audit', 'seal'];
+
+const DEFAULT_WALLET = path.join(os.homedir(), '.star-notary', 'wallet.json');
+
+// Address of a public key for each type of wallet, and the segwit type of its signatures (BIP-137 header)
+const TYPES = {
+    'p2pkh': {
+        address: (pubkey, network) => bitcoin.payments.p2pkh({ pubkey: pubkey, network: network }).address,
+        segwitType: undefined
+    },
+    'p2sh-p2wpkh': {
+        address: (pubkey, network) => bitcoin.payments.p2sh({ redeem: bitcoin.payments.p2wpkh({ pubkey: pubkey, network: network }), network: network }).address,
+        segwitType: 'p2sh(p2wpkh)'
+    },
+    'p2wpkh': {
+        address: (pubkey, network) => bitcoin.payments.p2wpkh({ pubkey: pubkey, network: network }).address,
+        segwitType: 'p2wpkh'
+    }
+};
+
+/**
+ * Read the `--name value` options and the `--flag` flags of the command line.
+ * @param {*} args
+ */
+function parseOptions(args) {
+    const options = {};
+    for(let i = 0; i < args.length; i++){
+        if(!args[i].startsWith('--')){
+            throw new Error(USAGE);
+        }
+        const name = args[i].slice(2);
+        if(FLAGS.includes(name)){
+            options[name] = true;
+        } else if(args[i + 1] === undefined){
+            throw new Error(USAGE);
+        } else {
+            options[name] = args[++i];
+        }
+    }
+    return options;
+}
+
+/**
+ * The wallet of a key: its address for the type, and `sign(message)` returning the base64 signature of a message.
+ * @param {*} keyPair bitcoinjs-lib ECPair
+ * @param {*} type One of `TYPES`
+ * @param {*} network Name of the network in `bitcoin.networks`
+ */
+function createWallet(keyPair, type, network) {
+    if(!TYPES[type]){
+        throw new Error(`Unknown wallet type ${type}, use ${Object.keys(TYPES).join(', ')}`);
+    }
+    return {
+        keyPair: keyPair,
+        type: type,
+        network: network,
+        address: TYPES[type].address(keyPair.publicKey, bitcoin.networks[network]),
+        sign: (message) => bitcoinMessage.sign(message, keyPair.privateKey, keyPair.compressed, { segwitType: TYPES[type].segwitType }).toString('base64')
+    };
+}
+
+/**
+ * Write the wallet file, only its owner can read it. An existing wallet is only replaced with `force`.
+ * @param {*} file
+ * @param {*} wallet
+ * @param {*} force
+ */
+function saveWallet(file, wallet, force) {
+    if(fs.existsSync(file) && !force){
+        throw new Error(`The wallet ${file} already exists, add --force to replace it`);
+    }
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const content = { network: wallet.network, type: wallet.type, address: wallet.address, wif: wallet.keyPair.toWIF() };
+    fs.writeFileSync(file, JSON.stringify(content, null, 4) + '\n', { mode: 0o600 });
+    fs.chmodSync(file, 0o600);
+}
+
+/**
+ * Read the wallet file.
+ * @param {*} file
+ */
+function loadWallet(file) {
+    if(!fs.existsSync(file)){
+        throw new Error(`No wallet at ${file}, create one with \`generate\` or \`import\``);
+    }
+    const content = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const wallet = createWallet(bitcoin.ECPair.fromWIF(content.wif, bitcoin.networks[content.network]), content.type, content.network);
+    if(content.address && content.address !== wallet.address){
+        throw new Error(`The wallet ${file} is corrupted, its key doesn't match its address ${content.address}`);
+    }
+    return wallet;
+}
+
+/**
+ * The network of the options, checked.
+ * @param {*} options
+ */
+function networkOption(options) {
+    if(options.network !== undefined && !bitcoin.networks[options.network]){
+        throw new Error(`Unknown network ${options.network}, use ${Object.keys(bitcoin.networks).join(', ')}`);
+    }
+    return options.network;
+}
+
+/**
+ * The star described by the options, read from the `--star` JSON file or given field by field.
+ * The coordinates written as a number are sent as degrees.
+ * @param {*} options
+ */
+function starOption(options) {
+    if(options.star){
+        return JSON.parse(fs.readFileSync(options.star, 'utf8'));
+    }
+    if(options.ra === undefined || options.dec === undefined || options.story === undefined){
+        throw new Error(USAGE);
+    }
+    const number = (value) => /^[+-]?\d+(\.\d+)?$/.test(value.trim()) ? Number(value) : value;
+    const star = { ra: number(options.ra), dec: number(options.dec), story: options.story };
+    if(options.mag !== undefined){
+        star.mag = Number(options.mag);
+    }
+    if(options.cen !== undefined){
+        star.cen = options.cen;
+    }
+    return star;
+}
+
+/**
+ * The id of the star registered by the address in a block: the hash of its record in a
+ * batched block, the hash of the block otherwise.
+ * @param {*} block
+ * @param {*} address
+ * @param {*} star
+ */
+function starId(block, address, star) {
+    const data = Block.decodeBody(block);
+    if(!Array.isArray(data.records)){
+        return block.hash;
+    }
+    const record = data.records.find(candidate => candidate.owner === address && starKey(candidate.star) === starKey(star));
+    return record ? merkle.hashRecord(record) : null;
+}
+
+/**
+ * A block as text, with its decoded body.
+ * @param {*} block
+ */
+function blockText(block) {
+    let body;
+    try {
+        body = JSON.stringify(Block.decodeBody(block));
+    } catch (error) {
+        body = `(undecodable) ${block.body}`;
+    }
+    return [
+        `Block #${block.height} ${block.hash}`,
+        `  time:     ${new Date(Number(block.time) * 1000).toISOString()}`,
+        `  previous: ${block.previousBlockHash || '-'}`,
+        `  body:     ${body}`
+    ].join('\n');
+}
+
+/**
+ * A star as text.
+ * @param {*} star
+ */
+function starText(star) {
+    const fields = [`ra ${star.ra}`, `dec ${star.dec}`];
+    if(star.mag !== undefined){
+        fields.push(`mag ${star.mag}`);
+    }
+    if(star.cen !== undefined){
+        fields.push(star.cen);
+    }
+    if(star.sealed){
+        return `${fields.join(', ')}: ` + (star.revealed ? `${star.story} (revealed)` : '(sealed)');
+    }
+    return `${fields.join(', ')}: ${star.story}`;
+}
+
+/**
+ * A finding of the validation as text.
+ * @param {*} finding
+ */
+function findingText(finding) {
+    return `block #${finding.height} ${finding.hash}: ${finding.error || finding.type}` +
+        (finding.expected !== undefined ? ` (expected ${finding.expected}, found ${finding.actual})` : '');
+}
+
+async function main(argv, options) {
+    const command = argv[0];
+    const file = options.wallet || process.env.STAR_WALLET || DEFAULT_WALLET;
+    const node = (options.node || 'http://localhost:8000').replace(/\/+$/, '');
+    const auth = options['api-key'] ? { 'X-API-Key': options['api-key'] } : {};
+    // Send a JSON request to the node, resolves with the parsed answer
+    const call = async (method, url, body) => {
+        const data = body ? Buffer.from(JSON.stringify(body)) : null;
+        const headers = data ? Object.assign({ 'Content-Type': 'application/json' }, auth) : auth;
+        return JSON.parse(await request(method, node + url, data, headers));
+    };
+    const print = (result, text) => console.log(options.json ? JSON.stringify(result, null, 4) : text);
+
+    switch(command){
+        case 'generate':
+        case 'import': {
+            const network = networkOption(options);
+            let keyPair;
+            if(command === 'generate'){
+                keyPair = bitcoin.ECPair.makeRandom({ network: bitcoin.networks[network || 'bitcoin'] });
+            } else if(!options.wif){
+                throw new Error(USAGE);
+            } else {
+                // The WIF of a regtest key is the one of a testnet key, only `--network` tells them apart
+                keyPair = bitcoin.ECPair.fromWIF(options.wif, network ? bitcoin.networks[network] : [bitcoin.networks.bitcoin, bitcoin.networks.testnet]);
+            }
+            const name = network || (keyPair.network === bitcoin.networks.testnet ? 'testnet' : 'bitcoin');
+            const wallet = createWallet(keyPair, options.type || 'p2pkh', name);
+            saveWallet(file, wallet, options.force);
+            return print({ wallet: file, address: wallet.address, type: wallet.type, network: wallet.network },
+                `Saved the ${wallet.type} wallet ${wallet.address} (${wallet.network}) to ${file}`);
+        }
+        case 'address': {
+            const wallet = loadWallet(file);
+            return print({ address: wallet.address, type: wallet.type, network: wallet.network }, wallet.address);
+        }
+        case 'submit': {
+            const wallet = loadWallet(file);
+            const star = starOption(options);
+            if(options.seal){
+                if(typeof star.story !== 'string'){
+                    throw new Error('The star has no story to seal');
+                }
+                star.sealed = sealStory(star.story, wallet.keyPair.publicKey).sealed;
+                delete star.story;
+            }
+            const challenge = await call('POST', '/requestValidation', { address: wallet.address });
+            const block = await call('POST', '/submitstar', { address: wallet.address, message: challenge, signature: wallet.sign(challenge), star: star });
+            const id = starId(block, wallet.address, star);
+            return print({ id: id, block: block }, `Registered the ${options.seal ? 'sealed ' : ''}star ${id} in block #${block.height} ${block.hash}`);
+        }
+        case 'reveal': {
+            if(!options.star){
+                throw new Error(USAGE);
+            }
+            const wallet = loadWallet(file);
+            const history = await call('GET', `/star/${encodeURIComponent(options.star)}/history`);
+            if(!history.star.sealed){
+                throw new Error(`The story of the star ${options.star} is not sealed`);
+            }
+            let opened;
+            try {
+                opened = openSealed(history.star.sealed, wallet.keyPair.privateKey);
+            } catch (error) {
+                throw new Error(`The story of the star ${options.star} was not sealed to the key of this wallet`);
+            }
+            const message = await call('POST', '/requestReveal', { address: wallet.address, starHash: options.star });
+            const block = await call('POST', '/revealstar', { address: wallet.address, starHash: options.star, story: opened.story, salt: opened.salt, message: message, signature: wallet.sign(message) });
+            return print(block, `Revealed the story of the star ${options.star} in block #${block.height} ${block.hash}: ${opened.story}`);
+        }
+        case 'stars': {
+            const address = options.address || loadWallet(file).address;
+            let stars;
+            try {
+                stars = await call('GET', `/blocks/${encodeURIComponent(address)}`);
+            } catch (error) {
+                // The node answers 404 to an address that owns no star
+                if(error.status !== 404){
+                    throw error;
+                }
+                stars = [];
+            }
+            return print(stars, stars.length > 0
+                ? `${address} owns ${stars.length} star(s):\n` + stars.map(star => ' - ' + starText(star)).join('\n')
+                : `${address} owns no star`);
+        }
+        case 'block': {
+            if(options.hash === undefined && options.height === undefined){
+                throw new Error(USAGE);
+            }
+            const block = options.hash !== undefined
+                ? await call('GET', `/block/hash/${encodeURIComponent(options.hash)}`)
+                : await call('GET', `/block/height/${encodeURIComponent(options.height)}`);
+            return print(block, blockText(block));
+        }
+        case 'validate': {
+            let findings;
+            let result;
+            if(options.audit){
+                const query = ['from', 'to'].filter(name => options[name] !== undefined).map(name => `&${name}=${encodeURIComponent(options[name])}`).join('');
+                result = await call('GET', `/validateChain?mode=audit${query}`);
+                findings = result.findings;
+            } else {
+                result = await call('GET', '/validateChain');
+                findings = result.errors;
+            }
+            if(findings.length > 0){
+                process.exitCode = 2;
+            }
+            return print(result, findings.length === 0
+                ? `The chain of ${node} is valid` + (options.audit ? ` (${result.checked} blocks checked from #${result.from} to #${result.to})` : '')
+                : `The chain of ${node} has ${findings.length} problem(s):\n` + findings.map(finding => ' - ' + findingText(finding)).join('\n'));
+        }
+        default:
+            throw new Error(USAGE);
+    }
+}
+
+let options = {};
+Promise.resolve()
+    .then(() => {
+        options = parseOptions(process.argv.slice(3));
+        return main(process.argv.slice(2), options);
+    })
+    .catch((error) => {
+        // The errors of the node are `{ code, message, details }`
+        const response = error.response;
+        if(options.json){
+            console.error(JSON.stringify(response || { message: error.message }, null, 4));
+        } else if(response && response.code){
+            console.error(`${response.code}: ${response.message}` + (response.details && response.details.length ? '\n - ' + response.details.join('\n - ') : ''));
+        } else {
+            console.error(error.message);
+        }
+        process.exit(1);
+    });
@@ -10,7 +10,17 @@
  */
 
 const SHA256 = require('crypto-js/sha256');
-const hex2ascii = require('hex2ascii');
+const merkle = require('./merkle.js');
+const { canonicalize, canonicalJSON } = require('./canonical.js');
+
+// Version of the serialization of the blocks created by this node (see `calculateHash` and `encodeBody`):
+//  1  the blocks written before the versions existed, they have no `version` field. The hash is the
+//     SHA256 of `JSON.stringify` of the block and the body the hex of `JSON.stringify` of the data,
+//     both depend on the order of the properties
+//  2  the hash is the SHA256 of the canonical JSON of the block and the body the hex of the
+//     canonical JSON of the data (see `canonical.js`), neither depends on the order of the properties
+const VERSION = 2;
+const VERSIONS = [1, 2];
 
 class Block {
 
@@ -18,9 +28,12 @@ class Block {
 	constructor(data){
 		this.hash = null;                                           // Hash of the block
 		this.height = 0;                                            // Block Height (consecutive number of each block)
-		this.body = Buffer.from(JSON.stringify(data)).toString('hex');   // Will contain the transactions stored in the block, by default it will encode the data
+		this.body = Block.encodeBody(data);                         // Will contain the transactions stored in the block, by default it will encode the data
 		this.time = 0;                                              // Timestamp for the Block creation
 		this.previousBlockHash = null;                              // Reference to the previous Block Hash
+		this.nonce = 0;                                             // Proof-of-work counter found by the miner
+		this.difficulty = 0;                                        // Number of leading zero hex digits the hash must have
+		this.version = VERSION;                                     // Version of the serialization of the block
     }
     
     /**
@@ -32,7 +45,8 @@ class Block {
      *  2. Save the in auxiliary variable the current hash of the block (`this` represent the block object)
      *  3. Recalculate the hash of the entire block (Use SHA256 from crypto-js library)
      *  4. Compare if the auxiliary hash value is different from the calculated one.
-     *  5. Resolve true or false depending if it is valid or not.
+     *  5. Check the hash meets the proof-of-work difficulty of the block.
+     *  6. Resolve true or false depending if it is valid or not.
      *  Note: to access the class values inside a Promise code you need to create an auxiliary value `let self = this;`
      */
     validate() {
@@ -41,16 +55,12 @@ class Block {
             // Save in auxiliary variable the current block hash
             const currentHash = self.hash;
 
-            // using a spread operator, create a copy of the block and set the hash to null
-            const blockCopy = {...self, hash: null};
-
-
             // Recalculate the hash of the Block
-            const recalcHash = SHA256(JSON.stringify(blockCopy)).toString();
+            const recalcHash = Block.calculateHash(self);
 
-            // Compare the original block's hash with the recalculated hash
-            // if they are equal, resolve true; otherwise false
-            resolve(currentHash === recalcHash);
+            // Compare the original block's hash with the recalculated hash and check
+            // the proof-of-work, if both are fine resolve true; otherwise false
+            resolve(currentHash === recalcHash && Block.meetsDifficulty(currentHash, self.difficulty));
         });
     }
 
@@ -58,29 +68,141 @@ class Block {
      *  Auxiliary Method to return the block body (decoding the data)
      *  Steps:
      *  
-     *  1. Use hex2ascii module to decode the data
+     *  1. Decode the hex of the body to its UTF-8 text, see `decodeBody` (any Unicode text comes back as it was)
      *  2. Because data is a javascript object use JSON.parse(string) to get the Javascript Object
      *  3. Resolve with the data and make sure that you don't need to return the data for the `genesis block` 
      *     or Reject with an error.
+     *  The stars with a sealed story are marked `revealed: false`, or `revealed: true` with their
+     *  story when `reveals` (the `reveals` index of the Blockchain) has it, see `showReveals`.
+     *  @param {*} reveals Star id to its reveal `{story, salt, hash, height}` (optional)
      */
-    getBData() {
+    getBData(reveals) {
         let self = this;
         return new Promise((resolve, reject)=>{
             if(self.height !== 0){
-                // Getting the encoded data saved in the Block
-                const encodedData = self.body;
-                // Decoding the data to retrieve the JSON representation of the object
-                const decodedData = hex2ascii(encodedData);
-                // Parse the data to an object to be retrieve.
-                const dataObject = JSON.parse(decodedData);
-                // Resolve with the data if the object isn't the Genesis bloc
-                resolve(dataObject);
+                try {
+                    // Decode the data saved in the Block and parse it to an object
+                    const dataObject = Block.showReveals(self, Block.decodeBody(self), reveals);
+                    // Resolve with the data if the object isn't the Genesis bloc
+                    resolve(dataObject);
+                } catch (error) {
+                    reject(error);
+                }
             } else {
                 reject('Genesis block has no transaction data');
             }
         })
     }
 
+    /**
+     *  Auxiliary Method to rebuild a Block instance from a plain object, for example
+     *  a record read back from the storage layer. The properties are copied as they
+     *  are (same values and same order) so the stored hash can still be validated.
+     */
+    static fromObject(obj) {
+        return Object.assign(Object.create(Block.prototype), obj);
+    }
+
+    /**
+     *  Auxiliary Method to create a block batching several records. The body is
+     *  `{records: [...]}` and the header carries the Merkle root of the records.
+     */
+    static withRecords(records) {
+        // The records are stored in their canonical form, the hash of a record read back from the body is its leaf
+        const canonical = records.map(canonicalize);
+        const block = new Block({records: canonical});
+        block.merkleRoot = merkle.merkleRoot(canonical);
+        return block;
+    }
+
+    /**
+     *  Auxiliary Method to return the version of the serialization of a block, 1 for the
+     *  blocks written before the versions existed.
+     */
+    static versionOf(block) {
+        return block.version === undefined ? 1 : block.version;
+    }
+
+    /**
+     *  Auxiliary Method to encode the data of a block in the serialization of `version`:
+     *  the hex of the UTF-8 bytes of its JSON (canonical from the version 2).
+     */
+    static encodeBody(data, version = VERSION) {
+        const json = version === 1 ? JSON.stringify(data) : canonicalJSON(data);
+        return Buffer.from(json, 'utf8').toString('hex');
+    }
+
+    /**
+     *  Auxiliary Method to decode the body of a block (of any version), throws if it isn't valid JSON.
+     */
+    static decodeBody(block) {
+        return JSON.parse(Buffer.from(block.body, 'hex').toString('utf8'));
+    }
+
+    /**
+     *  Auxiliary Method to tell the sealed stars of the decoded body of a block from the revealed
+     *  ones (see `seal.js`): each star with a `sealed` story gets `revealed`, and its story once it
+     *  is revealed. The id of a star is the hash of the block, or of its record in a batched block.
+     *  The other data is returned as it is.
+     *  @param {*} block
+     *  @param {*} data Decoded body of the block
+     *  @param {*} reveals Star id to its reveal `{story, salt, hash, height}` (optional)
+     */
+    static showReveals(block, data, reveals) {
+        const show = (record, starId) => {
+            if(!record || !record.star || !record.star.sealed){
+                return record;
+            }
+            const reveal = reveals ? reveals.get(starId) : undefined;
+            const star = reveal ? {...record.star, story: reveal.story, revealed: true} : {...record.star, revealed: false};
+            return {...record, star: star};
+        };
+        if(data && Array.isArray(data.records)){
+            return {...data, records: data.records.map(record => show(record, merkle.hashRecord(record)))};
+        }
+        return show(data, block.hash);
+    }
+
+    /**
+     *  Auxiliary Method to calculate the hash of a block (or of a plain object with the
+     *  same properties). Using a spread operator, a copy of the block is created with the
+     *  hash set to null, the hash is the SHA256 of that copy: of its canonical JSON from the
+     *  version 2, of `JSON.stringify` for a version 1 block (see `VERSION`).
+     *  The body of a block with a `merkleRoot` isn't part of the copy, the root already
+     *  commits to its records, so the hash of its header can be checked without the body.
+     *  The validation of the chain checks the body is nothing but the encoding of the records.
+     */
+    static calculateHash(block) {
+        const blockCopy = {...block, hash: null};
+        if(blockCopy.merkleRoot !== undefined){
+            delete blockCopy.body;
+        }
+        const json = Block.versionOf(block) === 1 ? JSON.stringify(blockCopy) : canonicalJSON(blockCopy);
+        return SHA256(json).toString();
+    }
+
+    /**
+     *  Auxiliary Method to return the header of a block: a copy without the body.
+     */
+    static header(block) {
+        const header = {...block};
+        delete header.body;
+        return header;
+    }
+
+    /**
+     *  Auxiliary Method to check if a hash satisfies a proof-of-work difficulty,
+     *  the hash must start with `difficulty` zero hex digits.
+     */
+    static meetsDifficulty(hash, difficulty) {
+        if(typeof hash !== 'string' || !Number.isInteger(difficulty) || difficulty < 0){
+            return false;
+        }
+        return hash.startsWith('0'.repeat(difficulty));
+    }
+
 }
 
-module.exports.Block = Block;                    // Exposing the Block class as a module
\ No newline at end of file
+module.exports.Block = Block;                    // Exposing the Block class as a module
+module.exports.VERSION = VERSION;
+module.exports.VERSIONS = VERSIONS;
\ No newline at end of file
@@ -2,20 +2,73 @@
  *                          Blockchain Class
  *  The Blockchain class contain the basics functions to create your own private blockchain
  *  It uses libraries like `crypto-js` to create the hashes for each block and `bitcoinjs-message` 
- *  to verify a message signature. The chain is stored in the array
- *  `this.chain = [];`. Of course each time you run the application the chain will be empty because and array
- *  isn't a persisten storage method.
+ *  to verify a message signature (see `signature.js` for the types of addresses and signatures). The chain is kept in the array `this.chain = [];`
+ *  and every block is also written to a storage backend (see `storage.js`), the
+ *  chain is reloaded and validated from that backend each time the application starts.
  *  
  */
 
-const SHA256 = require('crypto-js/sha256');
+const EventEmitter = require('events');
 const BlockClass = require('./block.js');
-const bitcoinMessage = require('bitcoinjs-message');
-const hex2ascii = require('hex2ascii');
+const { VERSIONS } = BlockClass;
 // Logging added per code review recommendation//
 const logger = require('./logger.js');
+const { MemoryStorage } = require('./storage.js');
+const miner = require('./miner.js');
+const { ChallengeStore, ChallengeError } = require('./challenges.js');
+const { StarError, validateStar, storyProblems, starKey } = require('./star.js');
+const { TransferError, transferMessage, isValidAddress } = require('./transfer.js');
+const { RevealError, storyCommitment, revealMessage, isHex32 } = require('./seal.js');
+const { Mempool } = require('./mempool.js');
+const snapshot = require('./snapshot.js');
+const { SignatureError, verifyMessage } = require('./signature.js');
+const { DomainError } = require('./errors.js');
+const merkle = require('./merkle.js');
+const { StarSearchIndex } = require('./search.js');
+const { canonicalJSON } = require('./canonical.js');
 
-class Blockchain {
+// Message of the `validateChain` errors for each type of finding
+const VALIDATION_ERRORS = {
+    hash_mismatch: 'Block validation failed',
+    insufficient_work: 'Block validation failed',
+    difficulty_mismatch: 'Block difficulty mismatch',
+    broken_link: 'Previous block hash mismatch',
+    bad_height: 'Block height mismatch',
+    non_monotonic_timestamp: 'Block timestamp older than the previous block',
+    future_timestamp: 'Block timestamp ahead of the clock',
+    merkle_mismatch: 'Merkle root mismatch',
+    bad_version: 'Block version not supported',
+    non_canonical_body: 'Block body not canonical',
+    invalid_record: 'Block record not valid'
+};
+
+// Number of blocks whose median time is the time of a block for the difficulty retarget
+const MEDIAN_SPAN = 11;
+
+// Fields of each kind of record in a block of the version 2, see `_checkAdoptedBlock`
+const RECORD_FIELDS = {
+    registration: ['owner', 'star', 'message', 'signature'],
+    transfer: ['type', 'from', 'to', 'star', 'message', 'signature'],
+    reveal: ['type', 'owner', 'star', 'story', 'salt', 'message', 'signature']
+};
+// A body without any of these fields is plain data, like the Genesis Block
+const RECORD_MARKERS = ['owner', 'star', 'records', 'type', 'from', 'to'];
+
+/**
+ * Position of the first height at or after `height` in a list of heights in ascending order.
+ * @param {*} heights 
+ * @param {*} height 
+ */
+function firstAtOrAfter(heights, height) {
+    let low = 0, high = heights.length;
+    while(low < high){
+        const middle = (low + high) >> 1;
+        if(heights[middle] < height){ low = middle + 1; } else { high = middle; }
+    }
+    return low;
+}
+
+class Blockchain extends EventEmitter {
 
     /**
      * Constructor of the class, you will need to setup your chain array and the height
@@ -24,30 +77,559 @@ class Blockchain {
      * the Genesis Block.
      * The methods in this class will always return a Promise to allow client applications or
      * other backends to call asynchronous functions.
+     * The class is an EventEmitter, a `block` event is emitted each time a block is committed and
+     * a `validationFailure` event each time a block is refused by the validation (see `_reportFailure`).
+     * A `timing` event `{operation, duration}` tells how many seconds adding a block (`addBlock`) or
+     * validating the chain (`validateChain`) took, and a `signatureFailure` event `{operation, reason}`
+     * is emitted each time the signature of a submission, a transfer or a reveal is refused (see `metrics.js`).
+     * @param {*} storage Storage backend used to persist the blocks, defaults to a `MemoryStorage`
+     * @param {*} options Proof-of-work settings of the chain:
+     *  - `difficulty` difficulty of the Genesis Block, also the minimum difficulty of the chain (default 2)
+     *  - `targetBlockTime` expected number of seconds between two blocks (default 60)
+     *  - `retargetInterval` number of blocks between two difficulty adjustments (default 10)
+     *  - `maxClockDrift` number of seconds a block received from a peer or a snapshot can be ahead of the clock (default 120)
+     *  - `validationWindow` number of seconds an ownership message can be used (default 300)
+     *  - `genesis` data of the Genesis Block, a chain starting with another Genesis Block is another chain (default `{data: 'Genesis Block'}`)
+     *  - `batchSize` maximum number of stars batched in one block (default 10)
+     *  - `nodeKey` key of the node (a bitcoinjs-lib ECPair) used to sign the snapshot manifests (optional)
      */
-    constructor() {
+    constructor(storage, options = {}) {
+        super();
         this.chain = [];
         this.height = -1;
-        this.initializeChain();
+        this.storage = storage || new MemoryStorage();
+        this.difficulty = options.difficulty !== undefined ? options.difficulty : 2;
+        this.targetBlockTime = options.targetBlockTime || 60;
+        this.retargetInterval = options.retargetInterval || 10;
+        this.maxClockDrift = options.maxClockDrift !== undefined ? options.maxClockDrift : 120;
+        this.genesis = options.genesis || {data: 'Genesis Block'};
+        // Ownership messages issued by `requestMessageOwnershipVerification`
+        this.challenges = new ChallengeStore(options.validationWindow || 300);
+        // Stars waiting to be batched in the next block
+        this.mempool = new Mempool(options.batchSize || 10);
+        this.nodeKey = options.nodeKey || null;
+        // Indexes kept up to date by `_indexBlock` each time a block is committed, they are rebuilt
+        // from the chain by `_rebuildIndexes`. The chain array itself is the height to block index.
+        // Hash of a block to the block
+        this.blocksByHash = new Map();
+        // Normalized coordinates of every registered star (see `starKey`) to the hash of the block registering it
+        this.starIndex = new Map();
+        // Star id to the star, its current owner, where it was registered and its history (registration then transfers and reveal).
+        // The id of a star is the hash of its block, or the hash of its record for a star batched with others.
+        this.starOwners = new Map();
+        // Owner address to the set of ids of the stars it currently owns
+        this.starsByOwner = new Map();
+        // Address to the heights (ascending) of the blocks naming it: registrations it made, transfers from or to it
+        this.blocksByOwner = new Map();
+        // Type of block (see `_blockType`) to the heights (ascending) of the blocks of this type
+        this.blocksByType = new Map();
+        // The registered stars by place in the sky, magnitude, constellation and words of their story (see `search.js`)
+        this.searchIndex = new StarSearchIndex();
+        // Id of a star with a sealed story to its reveal `{story, salt, hash, height}`, once the owner revealed it (see `seal.js`)
+        this.reveals = new Map();
+        // Challenge messages signed by the registrations of the chain, a message registers a single star
+        this.registrationMessages = new Set();
+        // Blocks are committed one at a time, see `_addBlock`
+        this.writeQueue = Promise.resolve();
+        // Resolves once the chain has been loaded from the storage and validated
+        this.ready = this.initializeChain();
     }
 
     /**
-     * This method will check for the height of the chain and if there isn't a Genesis Block it will create it.
-     * You should use the `addBlock(block)` to create the Genesis Block
-     * Passing as a data `{data: 'Genesis Block'}`
+     * This method will load the blocks saved in the storage backend and validate them.
+     * If the storage is empty there isn't a Genesis Block so it will create it,
+     * passing as a data the `genesis` option (`{data: 'Genesis Block'}` by default)
      */
     async initializeChain() {
         logger.info('blockchain.initializeChain called');
-        if( this.height === -1){
-            let block = new BlockClass.Block({data: 'Genesis Block'});
-            // Log the entire blockchain after initialization
-            logger.info("Blockchain after initialization: ", JSON.stringify(this.chain));
-            await this._addBlock(block);
+        const records = await this.storage.load();
+        this.chain = records.map(record => BlockClass.Block.fromObject(record));
+        this.height = this.chain.length - 1;
+
+        if(this.height === -1){
+            let block = new BlockClass.Block(this.genesis);
+            await this._commitBlock(block);
             // Log the entire blockchain after adding a block
             logger.info("Blockchain after adding a block: ", JSON.stringify(this.chain));
+        } else {
+            // A chain created with another genesis belongs to another network
+            if(!this._isGenesis(this.chain[0])){
+                throw new Error('Stored chain starts with another Genesis Block');
+            }
+            // A chain that was tampered on disk must not be served
+            const errors = await this.validateChain();
+            if(errors.length > 0){
+                logger.error('Stored chain failed validation', { errors: errors });
+                throw new Error(`Stored chain failed validation with ${errors.length} error(s)`);
+            }
+            this._rebuildIndexes();
+            logger.info(`Blockchain loaded from storage with height ${this.height}`);
+        }
+    }
+
+    /**
+     * This method will return a Promise that will resolve once the blocks being committed are
+     * stored and the storage backend is closed, it is called when the node stops.
+     * The storage is closed as well when the chain failed to load.
+     */
+    close() {
+        logger.info('blockchain.close called');
+        let self = this;
+        const closed = self.writeQueue
+            .then(() => self.ready.catch(() => {}))
+            .then(() => self.storage.close());
+        self.writeQueue = closed.catch(() => {});
+        return closed;
+    }
+
+    /**
+     * Auxiliary method that tells if a block has the data of the Genesis Block of this chain
+     * @param {*} block 
+     */
+    _isGenesis(block) {
+        return block.height === 0 && block.body === BlockClass.Block.encodeBody(this.genesis, BlockClass.Block.versionOf(block));
+    }
+
+    /**
+     * Auxiliary method to decode the body of any block (including the Genesis Block),
+     * returns null if the body can't be decoded. The body is decoded as UTF-8 so the
+     * coordinates keep their `°` sign.
+     * @param {*} block 
+     */
+    _decodeBody(block) {
+        try {
+            return BlockClass.Block.decodeBody(block);
+        } catch (error) {
+            return null;
         }
     }
 
+    /**
+     * Update the indexes with a block that was just committed to the chain.
+     * The first block registering some coordinates owns them, the transfers are
+     * replayed in the order of the chain to find the current owner of each star,
+     * and the reveals to find the sealed stories that were revealed.
+     * @param {*} block 
+     */
+    _indexBlock(block) {
+        this.blocksByHash.set(block.hash, block);
+        const data = this._decodeBody(block);
+        const type = this._blockType(block, data);
+        if(!this.blocksByType.has(type)){
+            this.blocksByType.set(type, []);
+        }
+        this.blocksByType.get(type).push(block.height);
+        if(!data){
+            return;
+        }
+        // A batched block holds several records, the other blocks hold a single one
+        const batched = Array.isArray(data.records);
+        const records = batched ? data.records : [data];
+        records.forEach((record, index) => {
+            if(record.type === 'transfer'){
+                this._indexTransfer(block, record);
+            } else if(record.type === 'reveal'){
+                this._indexReveal(block, record);
+            } else if(record.star && record.owner){
+                this._indexRegistration(block, record, batched ? merkle.hashRecord(record) : block.hash, batched ? index : null);
+            }
+        });
+        this._blockAddresses(block, data).forEach(address => {
+            if(!this.blocksByOwner.has(address)){
+                this.blocksByOwner.set(address, []);
+            }
+            this.blocksByOwner.get(address).push(block.height);
+        });
+    }
+
+    /**
+     * Auxiliary method that returns the addresses named by a block: the owners of the stars
+     * it registers, the sender and the recipient of a transfer.
+     * @param {*} block 
+     * @param {*} data Decoded body of the block, decoded here if it isn't given
+     */
+    _blockAddresses(block, data = this._decodeBody(block)) {
+        const addresses = new Set();
+        if(!data){
+            return addresses;
+        }
+        const records = Array.isArray(data.records) ? data.records : [data];
+        records.forEach(record => {
+            [record.owner, record.from, record.to]
+                .filter(address => typeof address === 'string')
+                .forEach(address => addresses.add(address));
+        });
+        return addresses;
+    }
+
+    /**
+     * Index a star registration, ignored if the coordinates are already registered.
+     * @param {*} block 
+     * @param {*} record `{owner, star, message, signature}`
+     * @param {*} starId 
+     * @param {*} index Position of the record in a batched block, null for a single record block
+     */
+    _indexRegistration(block, record, starId, index) {
+        if(record.message){
+            this.registrationMessages.add(record.message);
+        }
+        const key = starKey(record.star);
+        if(key && this.starIndex.has(key)){
+            return;
+        }
+        if(key){
+            this.starIndex.set(key, starId);
+        }
+        this.starOwners.set(starId, {
+            star: record.star,
+            owner: record.owner,
+            hash: block.hash,
+            height: block.height,
+            index: index,
+            history: [{ type: 'registration', owner: record.owner, hash: block.hash, height: block.height, time: block.time }]
+        });
+        this._setStarOwner(starId, null, record.owner);
+        this.searchIndex.add(starId, record.star);
+    }
+
+    /**
+     * Index a star transfer, a transfer that doesn't apply (e.g. received from a peer)
+     * doesn't change the ownership.
+     * @param {*} block 
+     * @param {*} transfer `{from, to, star, message, signature}`
+     */
+    _indexTransfer(block, transfer) {
+        try {
+            this._checkTransfer(transfer);
+        } catch (error) {
+            logger.warn(`Ignoring transfer in block ${block.height}: ${error.message}`);
+            return;
+        }
+        const entry = this.starOwners.get(transfer.star);
+        this._setStarOwner(transfer.star, entry.owner, transfer.to);
+        entry.owner = transfer.to;
+        entry.history.push({ type: 'transfer', from: transfer.from, to: transfer.to, hash: block.hash, height: block.height, time: block.time });
+    }
+
+    /**
+     * Index the reveal of a sealed story, a reveal that doesn't apply (e.g. received from a peer)
+     * doesn't reveal anything.
+     * @param {*} block 
+     * @param {*} reveal `{owner, star, story, salt, message, signature}`
+     */
+    _indexReveal(block, reveal) {
+        try {
+            this._checkReveal(reveal);
+        } catch (error) {
+            logger.warn(`Ignoring reveal in block ${block.height}: ${error.message}`);
+            return;
+        }
+        this.reveals.set(reveal.star, { story: reveal.story, salt: reveal.salt, hash: block.hash, height: block.height });
+        this.starOwners.get(reveal.star).history.push({ type: 'reveal', owner: reveal.owner, hash: block.hash, height: block.height, time: block.time });
+        this.searchIndex.addStory(reveal.star, reveal.story);
+    }
+
+    /**
+     * Move a star from the owner list of `from` (null for a registration) to the list of `to`.
+     * @param {*} starHash Id of the star
+     * @param {*} from 
+     * @param {*} to 
+     */
+    _setStarOwner(starHash, from, to) {
+        if(from && this.starsByOwner.has(from)){
+            const owned = this.starsByOwner.get(from);
+            owned.delete(starHash);
+            if(owned.size === 0){
+                this.starsByOwner.delete(from);
+            }
+        }
+        if(!this.starsByOwner.has(to)){
+            this.starsByOwner.set(to, new Set());
+        }
+        this.starsByOwner.get(to).add(starHash);
+    }
+
+    /**
+     * Rebuild the indexes from the blocks of the chain, used once the chain is loaded or replaced.
+     */
+    _rebuildIndexes() {
+        this.blocksByHash.clear();
+        this.starIndex.clear();
+        this.starOwners.clear();
+        this.starsByOwner.clear();
+        this.blocksByOwner.clear();
+        this.blocksByType.clear();
+        this.searchIndex.clear();
+        this.reveals.clear();
+        this.registrationMessages.clear();
+        this.chain.forEach(block => this._indexBlock(block));
+    }
+
+    /**
+     * Auxiliary method that returns the type of a block: `genesis`, `star`, `transfer`, `reveal` or `data`.
+     * @param {*} block 
+     * @param {*} data Decoded body of the block
+     */
+    _blockType(block, data) {
+        if(block.height === 0){
+            return 'genesis';
+        }
+        if(data && (data.type === 'transfer' || data.type === 'reveal')){
+            return data.type;
+        }
+        return data && (data.star || Array.isArray(data.records)) ? 'star' : 'data';
+    }
+
+    /**
+     * Throw the error that prevents the data of a new block from being committed:
+     * a StarError for a star already registered, a TransferError for a transfer that doesn't apply
+     * or a RevealError for a reveal that doesn't apply.
+     * The stars of a batched block must also be different from each other.
+     * @param {*} data Decoded body of the block
+     */
+    _checkRecord(data) {
+        if(data && Array.isArray(data.records)){
+            const keys = new Set();
+            data.records.forEach(record => {
+                this._checkStarIsNew(record.star);
+                const key = starKey(record.star);
+                if(key && keys.has(key)){
+                    throw new StarError('STAR_ALREADY_REGISTERED', 'The same star is registered twice in the block.');
+                }
+                keys.add(key);
+            });
+        } else if(data && data.type === 'transfer'){
+            this._checkTransfer(data);
+        } else if(data && data.type === 'reveal'){
+            this._checkReveal(data);
+        } else {
+            this._checkStarIsNew(data && data.star);
+        }
+    }
+
+    /**
+     * Throw a TransferError if the transfer can't be applied to the current ownership of the star.
+     * @param {*} transfer `{from, to, star, message, signature}`
+     */
+    _checkTransfer(transfer) {
+        const entry = this.starOwners.get(transfer.star);
+        if(!entry){
+            throw new TransferError('STAR_NOT_FOUND', 'No star was registered with this id.');
+        }
+        if(entry.owner !== transfer.from){
+            throw new TransferError('NOT_STAR_OWNER', 'The address does not own this star.');
+        }
+        if(!isValidAddress(transfer.to)){
+            throw new TransferError('INVALID_RECIPIENT', 'The recipient is not a valid address.');
+        }
+        const head = entry.history[entry.history.length - 1].hash;
+        if(transfer.message !== transferMessage(transfer.from, transfer.star, transfer.to, head)){
+            throw new TransferError('TRANSFER_MESSAGE_MISMATCH', 'The message is not the one expected for this transfer.');
+        }
+        try {
+            verifyMessage(transfer.message, transfer.from, transfer.signature);
+        } catch (error) {
+            if(error instanceof SignatureError){
+                this._reportSignatureFailure('transferStar', error);
+                throw new TransferError('TRANSFER_SIGNATURE_INVALID', `Signature verification failed: ${error.message}`);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Throw a RevealError if the reveal can't be applied: the star must be sealed and not revealed
+     * yet, the story and the salt must match its commitment and the current owner must have signed it.
+     * @param {*} reveal `{owner, star, story, salt, message, signature}`
+     */
+    _checkReveal(reveal) {
+        const entry = this._sealedStar(reveal.owner, reveal.star);
+        const problems = storyProblems(reveal.story);
+        if(!isHex32(reveal.salt)){
+            problems.push('salt must be 32 bytes in hex');
+        }
+        if(problems.length > 0){
+            throw new RevealError('REVEAL_INVALID', 'The revealed story is not valid.', problems);
+        }
+        if(storyCommitment(reveal.story, reveal.salt) !== entry.star.sealed.commitment){
+            throw new RevealError('REVEAL_COMMITMENT_MISMATCH', 'The story and the salt do not match the commitment of the star.');
+        }
+        if(reveal.message !== revealMessage(reveal.owner, reveal.star, entry.star.sealed.commitment)){
+            throw new RevealError('REVEAL_MESSAGE_MISMATCH', 'The message is not the one expected for this reveal.');
+        }
+        try {
+            verifyMessage(reveal.message, reveal.owner, reveal.signature);
+        } catch (error) {
+            if(error instanceof SignatureError){
+                this._reportSignatureFailure('revealStar', error);
+                throw new RevealError('REVEAL_SIGNATURE_INVALID', `Signature verification failed: ${error.message}`);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * The entry of a star whose sealed story `address` can reveal, throws a RevealError otherwise.
+     * @param {*} address 
+     * @param {*} starHash Id of the star
+     */
+    _sealedStar(address, starHash) {
+        const entry = this.starOwners.get(starHash);
+        if(!entry){
+            throw new RevealError('STAR_NOT_FOUND', 'No star was registered with this id.');
+        }
+        if(entry.owner !== address){
+            throw new RevealError('NOT_STAR_OWNER', 'The address does not own this star.');
+        }
+        if(!entry.star.sealed){
+            throw new RevealError('STAR_NOT_SEALED', 'The story of this star is not sealed.');
+        }
+        if(this.reveals.has(starHash)){
+            throw new RevealError('STAR_ALREADY_REVEALED', 'The story of this star is already revealed.');
+        }
+        return entry;
+    }
+
+    /**
+     * The star as the API shows it: a star with a sealed story gets `revealed`, and its story
+     * once its owner revealed it (see `seal.js`). The other stars are returned as they were registered.
+     * @param {*} starId 
+     * @param {*} star 
+     */
+    _showStar(starId, star) {
+        if(!star.sealed){
+            return star;
+        }
+        const reveal = this.reveals.get(starId);
+        return reveal ? {...star, story: reveal.story, revealed: true} : {...star, revealed: false};
+    }
+
+    /**
+     * Throw a StarError if a star with the same coordinates is already registered.
+     * @param {*} star 
+     */
+    _checkStarIsNew(star) {
+        const key = starKey(star);
+        if(key && this.starIndex.has(key)){
+            throw new StarError('STAR_ALREADY_REGISTERED', 'A star with the same coordinates is already registered.', [
+                `registered as star ${this.starIndex.get(key)}`
+            ]);
+        }
+    }
+
+    /**
+     * Throw a StarError if a registration received from a peer or a snapshot isn't one this
+     * node would have written: the star must follow the schema, the message must be a challenge
+     * issued to the owner before the block, not used by another registration, and signed by the owner.
+     * @param {*} record `{owner, star, message, signature}`
+     * @param {*} block Block of the record
+     */
+    _checkRegistration(record, block) {
+        const problems = [];
+        if(!isValidAddress(record.owner)){
+            problems.push('owner must be a valid address');
+        }
+        const challenge = ChallengeStore.parse(record.message);
+        if(!challenge || challenge.address !== record.owner){
+            problems.push('message must be a challenge issued to the owner');
+        } else if(challenge.issuedAt > Number(block.time)){
+            problems.push('message must be issued before the block');
+        }
+        if(problems.length > 0){
+            throw new StarError('REGISTRATION_INVALID', 'The registration is not valid.', problems);
+        }
+        if(canonicalJSON(validateStar(record.star)) !== canonicalJSON(record.star)){
+            throw new StarError('STAR_INVALID', 'The star is not valid.', ['star must be stored as it was validated']);
+        }
+        if(this.registrationMessages.has(record.message)){
+            throw new StarError('REGISTRATION_INVALID', 'The registration is not valid.', ['message was already used by another registration']);
+        }
+        try {
+            verifyMessage(record.message, record.owner, record.signature);
+        } catch (error) {
+            if(error instanceof SignatureError){
+                throw new StarError('REGISTRATION_SIGNATURE_INVALID', `Signature verification failed: ${error.message}`);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Throw the error that prevents a block received from a peer or a snapshot from being
+     * adopted, the checks of the local writes (see `_checkRecord`) and from the version 2 the
+     * signature of every registration and no other field than the ones the node writes.
+     * The version 1 blocks were written before the registrations carried their signature.
+     * @param {*} block 
+     */
+    _checkAdoptedBlock(block) {
+        const data = this._decodeBody(block);
+        if(BlockClass.Block.versionOf(block) > 1 && data && RECORD_MARKERS.some(field => data[field] !== undefined)){
+            const batched = Array.isArray(data.records) && Object.keys(data).length === 1;
+            const kind = data.type === 'transfer' || data.type === 'reveal' ? data.type : 'registration';
+            const records = batched ? data.records : [data];
+            const messages = new Set();
+            records.forEach(record => {
+                const fields = record && typeof record === 'object' && !Array.isArray(record) ? Object.keys(record) : null;
+                if(!fields || fields.some(field => !RECORD_FIELDS[batched ? 'registration' : kind].includes(field))){
+                    throw new StarError('REGISTRATION_INVALID', 'The record is not one this node writes.', [`fields must be ${RECORD_FIELDS[batched ? 'registration' : kind].join(', ')}`]);
+                }
+                if(batched || kind === 'registration'){
+                    this._checkRegistration(record, block);
+                    if(messages.has(record.message)){
+                        throw new StarError('REGISTRATION_INVALID', 'The registration is not valid.', ['message was already used by another registration']);
+                    }
+                    messages.add(record.message);
+                }
+            });
+        }
+        this._checkRecord(data);
+    }
+
+    /**
+     * Check the records of blocks received from a peer or a snapshot in the order of the chain,
+     * each block is indexed once its records passed (see `_checkAdoptedBlock`). Returns the
+     * `invalid_record` finding of the first block refused, or no finding.
+     * @param {*} blocks 
+     */
+    _replayRecords(blocks) {
+        for(const block of blocks){
+            try {
+                this._checkAdoptedBlock(block);
+            } catch (error) {
+                if(!(error instanceof DomainError)){
+                    throw error;
+                }
+                const actual = [`${error.code}: ${error.message}`].concat(error.details).join(', ');
+                return [{ height: block.height, hash: block.hash, type: 'invalid_record', expected: 'a record the node would accept', actual: actual }];
+            }
+            this._indexBlock(block);
+        }
+        return [];
+    }
+
+    /**
+     * Auxiliary method that returns a copy of the node with its own indexes, built from `chain`.
+     * The records of a chain that would replace ours are replayed on it, our indexes
+     * only change once the chain is adopted. It emits no event.
+     * @param {*} chain 
+     */
+    _shadow(chain) {
+        const shadow = Object.create(this);
+        shadow.emit = () => false;
+        shadow.chain = chain;
+        shadow.blocksByHash = new Map();
+        shadow.starIndex = new Map();
+        shadow.starOwners = new Map();
+        shadow.starsByOwner = new Map();
+        shadow.blocksByOwner = new Map();
+        shadow.blocksByType = new Map();
+        shadow.searchIndex = new StarSearchIndex();
+        shadow.reveals = new Map();
+        shadow.registrationMessages = new Set();
+        shadow._rebuildIndexes();
+        return shadow;
+    }
+
     /**
      * Utility method that return a Promise that will resolve with the height of the chain
      */
@@ -58,6 +640,48 @@ class Blockchain {
         });
     }
 
+    /**
+     * Compute the proof-of-work difficulty the block at `height` must have.
+     * The Genesis Block uses the difficulty configured for the chain, which is also the
+     * minimum difficulty. Every `retargetInterval` blocks the difficulty is compared with
+     * the block-time history: if the last blocks came twice as fast as `targetBlockTime`
+     * it goes up by one, if they came twice as slow it goes down by one. The time between the
+     * first and the last block of the interval is measured between the median times of the
+     * blocks ending at each of them, a block with a wrong time doesn't move the difficulty.
+     * @param {*} height 
+     * @param {*} chain Blocks preceding `height`, defaults to the current chain
+     */
+    _expectedDifficulty(height, chain = this.chain) {
+        if(height === 0){
+            return this.difficulty;
+        }
+        const parent = chain[height - 1];
+        if(height <= this.retargetInterval || height % this.retargetInterval !== 0){
+            return parent.difficulty;
+        }
+        const span = Math.min(MEDIAN_SPAN, height - this.retargetInterval + 1);
+        const elapsed = this._medianTime(height - 1, span, chain) - this._medianTime(height - this.retargetInterval, span, chain);
+        const expected = this.targetBlockTime * (this.retargetInterval - 1);
+        if(elapsed < expected / 2){
+            return parent.difficulty + 1;
+        }
+        if(elapsed > expected * 2){
+            return Math.max(chain[0].difficulty, parent.difficulty - 1);
+        }
+        return parent.difficulty;
+    }
+
+    /**
+     * Auxiliary method that returns the median time of the `span` blocks ending at `height`.
+     * @param {*} height 
+     * @param {*} span 
+     * @param {*} chain 
+     */
+    _medianTime(height, span, chain) {
+        const times = chain.slice(height - span + 1, height + 1).map(block => Number(block.time)).sort((a, b) => a - b);
+        return times[Math.floor(times.length / 2)];
+    }
+
     /**
      * _addBlock(block) will store a block in the chain
      * @param {*} block 
@@ -72,47 +696,328 @@ class Blockchain {
      */
     _addBlock(block) {
         logger.info('blockchain._addBlock called');
+        let self = this;
+        return self._enqueue(() => self._commitBlock(block));
+    }
+
+    /**
+     * Writing to the storage is asynchronous, every change to the chain goes through this
+     * queue so that two concurrent writers never read the same tip of the chain.
+     * @param {*} task Function returning a Promise, called once the previous writes are done
+     */
+    _enqueue(task) {
+        let self = this;
+        const result = self.writeQueue
+            .then(() => self.ready)
+            .then(task);
+        self.writeQueue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * _commitBlock(block) checks the star of the block isn't registered yet (or
+     * that the transfer still applies), links the block to the tip of the chain, mines it (the
+     * proof-of-work runs in a worker thread, see `miner.js`) and validates it against its
+     * parent. Only a valid block is persisted in the storage and then pushed into the chain
+     * array. If the validation or the storage write fails the block is rolled back (its
+     * header is reset) and the chain is left untouched.
+     * @param {*} block 
+     */
+    _commitBlock(block) {
         let self = this;
         return new Promise(async (resolve, reject) => {
+            const started = process.hrtime.bigint();
             try{
-                if(self.chain.length >0){
-                    block.previousBlockHash = self.chain[self.chain.length - 1].hash;
+                self._checkRecord(self._decodeBody(block));
+                const parent = self.chain[self.chain.length - 1];
+                if(parent){
+                    block.previousBlockHash = parent.hash;
                 }
-                block.time = new Date().getTime().toString().slice(0,-3);
+                // The timestamp never goes back, even if the clock of the server does
+                const now = new Date().getTime().toString().slice(0,-3);
+                block.time = parent && Number(parent.time) > Number(now) ? parent.time : now;
                 block.height = self.chain.length;
-                block.hash = SHA256(JSON.stringify(block)).toString();
+                block.difficulty = self._expectedDifficulty(block.height);
+                block.hash = null;
+                const sealed = await miner.mine(block);
+                block.nonce = sealed.nonce;
+                block.hash = sealed.hash;
+
+                // Validate the new block against its parent before committing it
+                const findings = self._checkBlock(block, block.height, self.chain);
+                if(findings.length > 0){
+                    self._reportFailure('commit', block, findings);
+                    const error = new DomainError('BLOCK_VALIDATION_FAILED', 'Block validation failed', findings);
+                    error.findings = findings;
+                    throw error;
+                }
+                await self.storage.append(block);
                 self.chain.push(block);
                 self.height++;
+                self._indexBlock(block);
 
-                // Validate the chain after adding a block
-                const errors = await self.validateChain();
-                if(errors && errors.length > 0){
-                    reject(errors);
-                }
                 // Log the block data and height
-                logger.info("Block added: " + hex2ascii(block.body));
+                logger.info("Block added: " + Buffer.from(block.body, 'hex').toString('utf8'));
                 logger.info("Block height: " + block.height);
+                self._reportTiming('addBlock', started);
+                self.emit('block', block);
                 resolve(block);
             } catch (error){
-                // Add Block Error
+                // Add Block Error, roll back the header so the block isn't mistaken for a committed one
                 logger.error("Error occurred while adding block:", error);
+                if(self.chain[block.height] !== block){
+                    block.hash = null;
+                    block.previousBlockHash = null;
+                    block.nonce = 0;
+                }
                 reject(error);
             }
         });
     }
 
+    /**
+     * Emit a `validationFailure` event for a block refused by the validation:
+     * `{source, height, hash, time, findings}` where `source` is `commit` for a block
+     * built by this node, `peer` for blocks received from a peer and `import` for a snapshot.
+     * @param {*} source 
+     * @param {*} block The first block that failed
+     * @param {*} findings 
+     */
+    _reportFailure(source, block, findings) {
+        this.emit('validationFailure', {
+            source: source,
+            height: block.height,
+            hash: block.hash,
+            time: new Date().getTime().toString().slice(0,-3),
+            findings: findings
+        });
+    }
+
+    /**
+     * Emit a `timing` event `{operation, duration}`, `duration` is the number of seconds since `started`.
+     * @param {*} operation
+     * @param {*} started Value of `process.hrtime.bigint()` when the operation started
+     */
+    _reportTiming(operation, started) {
+        this.emit('timing', {
+            operation: operation,
+            duration: Number(process.hrtime.bigint() - started) / 1e9
+        });
+    }
+
+    /**
+     * Emit a `signatureFailure` event `{operation, reason}` for a signature that was refused,
+     * `reason` is the code of the error: a `SIGNATURE_*` or `ADDRESS_*` code, or a `CHALLENGE_*`
+     * code for a message that isn't a valid challenge.
+     * @param {*} operation `submitStar` or `transferStar`
+     * @param {*} error
+     */
+    _reportSignatureFailure(operation, error) {
+        this.emit('signatureFailure', {
+            operation: operation,
+            reason: error.code
+        });
+    }
+
+    /**
+     * The adoptChain(blocks) method is the sync routine used by the peer network.
+     * `blocks` are plain block objects received from a peer, either the blocks that follow
+     * the tip of our chain or a complete chain starting at the Genesis Block.
+     * The resulting chain is adopted only if it is longer than the current one and
+     * is valid. Only the blocks that aren't in our chain yet are validated, each one
+     * against its parent, the common blocks were validated when they were committed. The method will return a Promise that will resolve with
+     * true if the chain changed or false if the blocks were ignored.
+     * @param {*} blocks 
+     */
+    adoptChain(blocks) {
+        logger.info('blockchain.adoptChain called');
+        let self = this;
+        return self._enqueue(async () => {
+            const incoming = blocks.map(record => BlockClass.Block.fromObject(record));
+            if(incoming.length === 0){
+                return false;
+            }
+
+            // Build the candidate chain, the blocks either extend our tip or replace the whole chain
+            let candidate;
+            if(incoming[0].height === 0){
+                candidate = incoming;
+            } else if(incoming[0].height === self.chain.length && incoming[0].previousBlockHash === self.chain[self.chain.length - 1].hash){
+                candidate = self.chain.concat(incoming);
+            } else {
+                return false;
+            }
+            if(candidate.length <= self.chain.length){
+                return false;
+            }
+            // Peers must run the same rules, a chain with a weaker genesis difficulty or another genesis is ignored
+            if(candidate[0].difficulty !== self.difficulty){
+                logger.warn('Rejected a chain received from a peer with a different genesis difficulty');
+                return false;
+            }
+            if(!self._isGenesis(candidate[0])){
+                logger.warn('Rejected a chain received from a peer with another Genesis Block');
+                return false;
+            }
+
+            // Count the blocks both chains have in common, only the ones after them are new.
+            // Our own copies of the common blocks are kept.
+            let common = 0;
+            while(common < self.chain.length && self.chain[common].hash === candidate[common].hash){
+                common++;
+            }
+            candidate = self.chain.slice(0, common).concat(candidate.slice(common));
+
+            // The records are checked like the local writes, a block that extends our chain is indexed as it
+            // passes and a chain that replaces ours is replayed on a copy of the node first
+            const extended = common === self.chain.length;
+            let findings = self._checkRange(candidate, common, candidate.length - 1, Number(new Date().getTime().toString().slice(0,-3)));
+            if(findings.length === 0){
+                const state = extended ? self : self._shadow(candidate.slice(0, Math.max(common, 1)));
+                findings = state._replayRecords(candidate.slice(Math.max(common, 1)));
+            }
+            if(findings.length > 0){
+                logger.warn('Rejected a chain received from a peer', { findings: findings });
+                if(extended){
+                    self._rebuildIndexes();
+                }
+                self._reportFailure('peer', candidate[findings[0].height], findings);
+                return false;
+            }
+            if(extended){
+                try {
+                    for(const block of candidate.slice(common)){
+                        await self.storage.append(block);
+                    }
+                } catch (error) {
+                    self._rebuildIndexes();
+                    throw error;
+                }
+            } else {
+                logger.warn(`Replacing the chain from height ${common}, a longer chain was received`);
+                await self.storage.replace(candidate);
+            }
+            self.chain = candidate;
+            self.height = candidate.length - 1;
+            if(!extended){
+                self._rebuildIndexes();
+            }
+            candidate.slice(common).forEach(block => self.emit('block', block));
+            return true;
+        });
+    }
+
+    /**
+     * This method will return a Promise that will resolve with the blocks from the
+     * height `from` up to the tip of the chain, it is used by peers to fetch missing blocks.
+     * @param {*} from 
+     */
+    getBlocksFrom(from) {
+        logger.info('blockchain.getBlocksFrom called');
+        let self = this;
+        return new Promise((resolve) => {
+            resolve(self.chain.slice(Math.max(from, 0)));
+        });
+    }
+
+    /**
+     * The exportSnapshot(format, height) method dumps the chain from the Genesis Block up to
+     * `height` (the tip by default) in the `ndjson` or `binary` format (see `snapshot.js`).
+     * The method will return a Promise that will resolve with `{dump, manifest}`, the manifest
+     * is signed when the node has a key. Resolves with null if there isn't a block at `height`.
+     * @param {*} format 
+     * @param {*} height 
+     */
+    exportSnapshot(format, height = this.height) {
+        logger.info('blockchain.exportSnapshot called');
+        let self = this;
+        return new Promise((resolve) => {
+            if(height < 0 || height > self.height){
+                return resolve(null);
+            }
+            const blocks = self.chain.slice(0, height + 1);
+            const dump = snapshot.encode(blocks, format);
+            resolve({ dump: dump, manifest: snapshot.createManifest(blocks, format, dump, self.nodeKey) });
+        });
+    }
+
+    /**
+     * The importSnapshot(dump, format, manifest, signer, force) method replaces the chain with the
+     * chain of a dump. When a manifest is given the dump must match it, and when `signer` is
+     * given the manifest must be signed by this address. The whole chain of the dump is
+     * validated, like the chain loaded from the storage at startup, before it replaces the
+     * current chain in the storage. Unless `force` is set the chain of the dump must be longer
+     * than the current chain and start with all of its blocks but its Genesis Block. The method will return a Promise
+     * that will resolve with the new tip of the chain, or reject with a SnapshotError.
+     * @param {*} dump Buffer
+     * @param {*} format `ndjson` or `binary`
+     * @param {*} manifest 
+     * @param {*} signer 
+     * @param {*} force Replace the chain even with a shorter chain or a chain that drops some of its blocks
+     */
+    importSnapshot(dump, format, manifest, signer, force = false) {
+        logger.info('blockchain.importSnapshot called');
+        let self = this;
+        return self._enqueue(async () => {
+            const records = snapshot.decode(dump, format);
+            if(manifest || signer){
+                snapshot.verifyManifest(manifest, dump, records, signer);
+            }
+            if(records.length === 0){
+                throw new snapshot.SnapshotError('SNAPSHOT_INVALID', 'The dump has no block.', ['the dump must start with the Genesis Block']);
+            }
+            const candidate = records.map(record => BlockClass.Block.fromObject(record));
+            if(candidate[0].difficulty !== self.difficulty){
+                throw new snapshot.SnapshotError('SNAPSHOT_INVALID', 'The chain of the dump does not follow the rules of this node.',
+                    [`the genesis difficulty is ${candidate[0].difficulty} instead of ${self.difficulty}`]);
+            }
+            if(!self._isGenesis(candidate[0])){
+                throw new snapshot.SnapshotError('SNAPSHOT_INVALID', 'The chain of the dump does not follow the rules of this node.',
+                    ['the dump starts with another Genesis Block']);
+            }
+            let findings = self._checkRange(candidate, 0, candidate.length - 1, Number(new Date().getTime().toString().slice(0,-3)));
+            if(findings.length === 0){
+                findings = self._shadow(candidate.slice(0, 1))._replayRecords(candidate.slice(1));
+            }
+            if(findings.length > 0){
+                self._reportFailure('import', candidate[findings[0].height], findings);
+                throw new snapshot.SnapshotError('SNAPSHOT_INVALID', 'The chain of the dump failed validation.', findings);
+            }
+
+            let common = 0;
+            while(common < Math.min(self.chain.length, candidate.length) && self.chain[common].hash === candidate[common].hash){
+                common++;
+            }
+            // Every node mines its own Genesis Block, a new chain only loses it
+            if(!force && (candidate.length <= self.chain.length || common < self.chain.length && self.height > 0)){
+                throw new snapshot.SnapshotError('SNAPSHOT_REPLACES_CHAIN', 'The chain of the dump would drop blocks of the current chain, import it with force to replace the chain anyway.',
+                    [candidate.length <= self.chain.length ? `the dump ends at height ${candidate.length - 1}, the chain is at height ${self.height}` : `the dump diverges from the chain at height ${common}`]);
+            }
+            await self.storage.replace(candidate);
+            self.chain = candidate;
+            self.height = candidate.length - 1;
+            self._rebuildIndexes();
+            logger.info(`Chain replaced by a snapshot from height ${common}, new height ${self.height}`);
+            candidate.slice(common).forEach(block => self.emit('block', block));
+            return candidate[candidate.length - 1];
+        });
+    }
+
     /**
      * The requestMessageOwnershipVerification(address) method
      * will allow you  to request a message that you will use to
      * sign it with your Bitcoin Wallet (Electrum or Bitcoin Core)
      * This is the first step before submit your Block.
+     * The message contains a random nonce and is stored as a challenge, it can only
+     * be used once and only for this address (see `challenges.js`).
      * The method return a Promise that will resolve with the message to be signed
      * @param {*} address 
      */
     requestMessageOwnershipVerification(address) {
         logger.info('blockchain.requestMessageOwnershipVerification called');
+        let self = this;
         return new Promise((resolve) => {
-            let message = `${address}:${new Date().getTime().toString().slice(0,-3)}:starRegistry`;
+            let message = self.challenges.issue(address);
             resolve(message);
         });
     }
@@ -123,12 +1028,16 @@ class Blockchain {
      * into the chain. This method will resolve with the Block added or
      * reject with an error.
      * Algorithm steps:
-     * 1. Get the time from the message sent as a parameter example: `parseInt(message.split(':')[1])`
-     * 2. Get the current time: `let currentTime = parseInt(new Date().getTime().toString().slice(0, -3));`
-     * 3. Check if the time elapsed is less than 5 minutes
-     * 4. Veify the message with wallet address and signature: `bitcoinMessage.verify(message, address, signature)`
-     * 5. Create the block and add it to the chain
-     * 6. Resolve with the block added.
+     * 0. Check the star follows the schema and isn't registered yet (a `StarError` tells why)
+     * 1. Check the message is a challenge issued for this address, not used yet and
+     *    less than 5 minutes old (a `ChallengeError` tells which check failed)
+     * 2. Veify the message with wallet address and signature: `verifyMessage(message, address, signature)`,
+     *    it accepts legacy, segwit and Taproot addresses and BIP-137 or BIP-322 signatures
+     *    (a `SignatureError` tells why a signature isn't valid)
+     * 3. Consume the challenge so the signature can't be replayed
+     * 4. Queue the star in the mempool, it is batched with the other pending stars
+     *    in the next block added to the chain
+     * 5. Resolve with the block added.
      * @param {*} address 
      * @param {*} message 
      * @param {*} signature 
@@ -159,42 +1068,235 @@ class Blockchain {
         let self = this;
         return new Promise(async (resolve, reject) => {
             try {
-                const messageTime = parseInt(message.split(':')[1]);
-                const currentTime = parseInt(new Date().getTime().toString().slice(0,-3));
-                if((currentTime - messageTime) < 300){
-                    logger.info(`Verifying signature. Message: ${message}, Address: ${address}, Signature: ${signature}`);
-                    if(bitcoinMessage.verify(message, address, signature)){
-                        const block = new BlockClass.Block({owner: address, star: star});
-                        await self._addBlock(block);
-                        resolve(block);
-                    } else {
-                        reject(new Error("Signature verification failed."));
-                    }
-                } else {
-                    reject(new Error("Message signature has expired."));
-                }
+                const cleanStar = validateStar(star);
+                self._checkStarIsNew(cleanStar);
+                self.challenges.check(address, message);
+                logger.info(`Verifying signature. Message: ${message}, Address: ${address}, Signature: ${signature}`);
+                // Throws a SignatureError telling why the signature isn't valid
+                verifyMessage(message, address, signature);
+                self.challenges.consume(message);
+                // The signed challenge is kept in the record so the peers can check who registered the star
+                const block = await self._queueRecord({owner: address, star: cleanStar, message: message, signature: signature});
+                resolve(block);
             } catch (error) {
                 logger.error('Error in submitStar: ', error);
+                if(error instanceof SignatureError || error instanceof ChallengeError){
+                    self._reportSignatureFailure('submitStar', error);
+                }
                 reject(error);
             }
         });
     }
-    
+
+    /**
+     * The requestTransferMessage(address, starHash, to) method returns the message the
+     * current owner of a star must sign to transfer it to the address `to` (see `transfer.js`).
+     * The method return a Promise that will resolve with the message to be signed
+     * or reject with a TransferError.
+     * @param {*} address Current owner
+     * @param {*} starHash Id of the star (hash of its block, or of its record for a batched star)
+     * @param {*} to Recipient
+     */
+    requestTransferMessage(address, starHash, to) {
+        logger.info('blockchain.requestTransferMessage called');
+        let self = this;
+        return new Promise((resolve, reject) => {
+            const entry = self.starOwners.get(starHash);
+            if(!entry){
+                return reject(new TransferError('STAR_NOT_FOUND', 'No star was registered with this id.'));
+            }
+            if(entry.owner !== address){
+                return reject(new TransferError('NOT_STAR_OWNER', 'The address does not own this star.'));
+            }
+            if(!isValidAddress(to)){
+                return reject(new TransferError('INVALID_RECIPIENT', 'The recipient is not a valid address.'));
+            }
+            resolve(transferMessage(address, starHash, to, entry.history[entry.history.length - 1].hash));
+        });
+    }
+
+    /**
+     * The transferStar(address, to, starHash, message, signature) method adds a transfer
+     * block to the chain, the star `starHash` then belongs to `to`.
+     * This method will resolve with the Block added or reject with an error.
+     * Algorithm steps:
+     * 1. Check the address owns the star, the recipient is valid, the message is the one
+     *    returned by `requestTransferMessage` and it was signed by the address
+     * 2. Create the transfer block and add it to the chain
+     * 3. Resolve with the block added.
+     * @param {*} address Current owner
+     * @param {*} to Recipient
+     * @param {*} starHash Id of the star (hash of its block, or of its record for a batched star)
+     * @param {*} message 
+     * @param {*} signature 
+     */
+    transferStar(address, to, starHash, message, signature) {
+        logger.info('blockchain.transferStar called');
+        let self = this;
+        return new Promise(async (resolve, reject) => {
+            try {
+                const transfer = { type: 'transfer', from: address, to: to, star: starHash, message: message, signature: signature };
+                self._checkTransfer(transfer);
+                const block = new BlockClass.Block(transfer);
+                await self._addBlock(block);
+                resolve(block);
+            } catch (error) {
+                logger.error('Error in transferStar: ', error);
+                reject(error);
+            }
+        });
+    }
+
+    /**
+     * The requestRevealMessage(address, starHash) method returns the message the current
+     * owner of a star with a sealed story must sign to reveal it (see `seal.js`).
+     * The method return a Promise that will resolve with the message to be signed
+     * or reject with a RevealError.
+     * @param {*} address Current owner
+     * @param {*} starHash Id of the star (hash of its block, or of its record for a batched star)
+     */
+    requestRevealMessage(address, starHash) {
+        logger.info('blockchain.requestRevealMessage called');
+        let self = this;
+        return new Promise((resolve, reject) => {
+            try {
+                const entry = self._sealedStar(address, starHash);
+                resolve(revealMessage(address, starHash, entry.star.sealed.commitment));
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+
+    /**
+     * The revealStar(address, starHash, story, salt, message, signature) method adds a reveal
+     * block to the chain, the sealed story of the star `starHash` is then public.
+     * This method will resolve with the Block added or reject with an error.
+     * Algorithm steps:
+     * 1. Check the address owns the star, its story is sealed and not revealed yet, the story
+     *    and the salt match the commitment, the message is the one returned by
+     *    `requestRevealMessage` and it was signed by the address
+     * 2. Create the reveal block and add it to the chain
+     * 3. Resolve with the block added.
+     * @param {*} address Current owner
+     * @param {*} starHash Id of the star (hash of its block, or of its record for a batched star)
+     * @param {*} story The story that was sealed
+     * @param {*} salt The salt of its commitment
+     * @param {*} message 
+     * @param {*} signature 
+     */
+    revealStar(address, starHash, story, salt, message, signature) {
+        logger.info('blockchain.revealStar called');
+        let self = this;
+        return new Promise(async (resolve, reject) => {
+            try {
+                const reveal = { type: 'reveal', owner: address, star: starHash, story: story, salt: salt, message: message, signature: signature };
+                self._checkReveal(reveal);
+                const block = new BlockClass.Block(reveal);
+                await self._addBlock(block);
+                resolve(block);
+            } catch (error) {
+                logger.error('Error in revealStar: ', error);
+                reject(error);
+            }
+        });
+    }
+
     /**
      * This method will return a Promise that will resolve with the Block
      *  with the hash passed as a parameter.
-     * Search on the chain array for the block that has the hash.
+     * The block is looked up in the `blocksByHash` index.
      * @param {*} hash 
      */
     getBlockByHash(hash) {
         logger.info('blockchain.getBlockByHash called');
         let self = this;
         return new Promise((resolve, reject) => {
-           const block = self.chain.find(p => p.hash === hash);
+           const block = self.blocksByHash.get(hash);
            resolve(block || null)
         });
     }
 
+    /**
+     * This method will return a Promise that will resolve with a page of blocks, in the
+     * order of the chain: `{blocks, nextCursor}`. `nextCursor` is the height to pass as
+     * `cursor` to get the next page, or null when there are no more blocks.
+     * The chain isn't scanned: the owner and the type come from their indexes, and since the
+     * timestamps never go back the time range is found by a binary search on the heights.
+     * @param {*} query All the fields are optional:
+     *  - `cursor` height to start from, returned by the previous page (takes precedence over `from`)
+     *  - `from`, `to` range of heights (inclusive)
+     *  - `limit` maximum number of blocks of the page (default 20, at most 100)
+     *  - `owner` only the blocks naming this address (registrations, transfers from or to it)
+     *  - `fromTime`, `toTime` range of block timestamps in seconds (inclusive)
+     *  - `type` only the blocks of this type: `genesis`, `star`, `transfer` or `reveal`
+     *  - `decodedBody` add the decoded body to each block as `decodedBody`, the sealed stars marked as in `getBData`
+     */
+    getBlocks(query = {}) {
+        logger.info('blockchain.getBlocks called');
+        let self = this;
+        return new Promise((resolve) => {
+            const limit = Math.min(query.limit || 20, 100);
+            let start = Math.max(query.cursor !== undefined ? query.cursor : (query.from || 0), 0);
+            let end = query.to !== undefined ? Math.min(query.to, self.height) : self.height;
+            if(query.fromTime !== undefined){
+                start = Math.max(start, self._firstHeight(block => Number(block.time) >= query.fromTime));
+            }
+            if(query.toTime !== undefined){
+                end = Math.min(end, self._firstHeight(block => Number(block.time) > query.toTime) - 1);
+            }
+
+            // The candidates come from the shortest of the owner and type indexes, the other one is
+            // checked by a binary search. Without owner and type every height is a candidate.
+            const lists = [];
+            if(query.owner){
+                lists.push(self.blocksByOwner.get(query.owner) || []);
+            }
+            if(query.type){
+                lists.push(self.blocksByType.get(query.type) || []);
+            }
+            lists.sort((a, b) => a.length - b.length);
+            const candidates = lists.length > 0 ? lists[0] : null;
+            const others = lists.slice(1);
+            const count = candidates ? candidates.length : self.chain.length;
+            let i = candidates ? firstAtOrAfter(candidates, start) : start;
+
+            let blocks = [];
+            let nextCursor = null;
+            for(; i < count; i++){
+                const height = candidates ? candidates[i] : i;
+                if(height > end){
+                    break;
+                }
+                if(others.some(list => list[firstAtOrAfter(list, height)] !== height)){
+                    continue;
+                }
+                if(blocks.length === limit){
+                    nextCursor = height;
+                    break;
+                }
+                const block = self.chain[height];
+                blocks.push(query.decodedBody ? {...block, decodedBody: BlockClass.Block.showReveals(block, self._decodeBody(block), self.reveals)} : block);
+            }
+            resolve({ blocks: blocks, nextCursor: nextCursor });
+        });
+    }
+
+    /**
+     * Auxiliary method that returns the first height whose block passes `test`, or the length
+     * of the chain if none does. The blocks that pass must all follow the ones that don't,
+     * as the blocks after a given time do.
+     * @param {*} test 
+     */
+    _firstHeight(test) {
+        let low = 0, high = this.chain.length;
+        while(low < high){
+            const middle = (low + high) >> 1;
+            if(test(this.chain[middle])){ high = middle; } else { low = middle + 1; }
+        }
+        return low;
+    }
+
     /**
      * This method will return a Promise that will resolve with the Block object 
      * with the height equal to the parameter `height`
@@ -204,7 +1306,8 @@ class Blockchain {
         logger.info('blockchain.getBlockByHeight called');
         let self = this;
         return new Promise((resolve, reject) => {
-            const block = self.chain.find(p => p.height === height);
+            // The block at the position `height` of the chain array has the height `height`
+            const block = Number.isInteger(height) && height >= 0 ? self.chain[height] : undefined;
             resolve(block || null)
         });
     }
@@ -212,26 +1315,19 @@ class Blockchain {
     /**
      * This method will return a Promise that will resolve with an array of Stars objects existing in the chain 
      * and are belongs to the owner with the wallet address passed as parameter.
+     * The ownership is the one obtained by replaying the transfers, a star the address
+     * transferred isn't returned and a star it received is.
      * Remember the star should be returned decoded.
+     * A star with a sealed story has `revealed: false`, or `revealed: true` and its story once revealed.
      * @param {*} address 
      */
     getStarsByWalletAddress (address) {
         logger.info('blockchain.getStarsByWalletAddress called');
         let self = this;
-        let stars = [];
         return new Promise((resolve, reject) => {
-            let stars = self.chain
-                .map(block => {
-                    // decode the block data
-                    let decodedData = JSON.parse(hex2ascii(block.body));
-
-                    // if the block owner exists and matches the address return the star data
-                    if(decodedData.owner && decodedData.owner === address){
-                        return decodedData.star;
-                    }
-                })
-                // filter out blocks that don't match the owner
-                .filter(star => star !== undefined);
+            // The stars are looked up in the owner index, no block needs to be decoded
+            const owned = self.starsByOwner.get(address);
+            let stars = owned ? Array.from(owned).map(starHash => self._showStar(starHash, self.starOwners.get(starHash).star)) : [];
             if(stars.length > 0){
                 resolve(stars);
             } else {
@@ -240,35 +1336,286 @@ class Blockchain {
         });
     }
 
+    /**
+     * This method will return a Promise that will resolve with a page of the registered stars
+     * matching every criterion of the query, in the order they were registered: `{stars, nextCursor}`.
+     * Each star is `{id, star, owner, hash, height}` where `hash` and `height` are those of the block
+     * registering it, plus its `distance` in degrees from the center of a cone search.
+     * `nextCursor` is the value to pass as `cursor` to get the next page, or null when there are no more stars.
+     * The stars are looked up in the search index (see `search.js`), no block needs to be decoded.
+     * @param {*} query All the fields are optional:
+     *  - `ra`, `dec`, `radius` cone search, the stars at most `radius` degrees from the center (`ra` and `dec` in degrees)
+     *  - `minMag`, `maxMag` range of magnitudes (inclusive)
+     *  - `cen` constellation, IAU abbreviation
+     *  - `q` words that must all be in the story of the star
+     *  - `owner` address that currently owns the star
+     *  - `cursor` returned by the previous page
+     *  - `limit` maximum number of stars of the page (default 20, at most 100)
+     */
+    searchStars(query = {}) {
+        logger.info('blockchain.searchStars called');
+        let self = this;
+        return new Promise((resolve) => {
+            const page = self.searchIndex.search({
+                cone: query.radius !== undefined ? { ra: query.ra, dec: query.dec, radius: query.radius } : null,
+                minMag: query.minMag,
+                maxMag: query.maxMag,
+                cen: query.cen,
+                text: query.q,
+                ids: query.owner !== undefined ? (self.starsByOwner.get(query.owner) || new Set()) : undefined,
+                cursor: query.cursor,
+                limit: Math.min(query.limit || 20, 100)
+            });
+            const stars = page.results.map(result => {
+                const entry = self.starOwners.get(result.id);
+                const star = { id: result.id, star: self._showStar(result.id, entry.star), owner: entry.owner, hash: entry.hash, height: entry.height };
+                if(result.distance !== undefined){
+                    star.distance = result.distance;
+                }
+                return star;
+            });
+            resolve({ stars: stars, nextCursor: page.nextCursor });
+        });
+    }
+
+    /**
+     * The _queueRecord(record) method puts a star registration in the mempool and
+     * schedules the mining of the next batch. It returns a Promise that will resolve
+     * with the block holding the record once it is committed.
+     * @param {*} record `{owner, star, message, signature}`
+     */
+    _queueRecord(record) {
+        let self = this;
+        const added = self.mempool.add(record);
+        self._enqueue(() => self._mineBatch());
+        return added;
+    }
+
+    /**
+     * The _mineBatch() method takes the next batch of pending records from the mempool,
+     * refuses the ones that can't be registered any more (each with its own error) and
+     * commits a block with the others. It runs in the write queue, the records submitted
+     * while a block is mined are batched together in the next one.
+     */
+    async _mineBatch() {
+        let self = this;
+        const entries = self.mempool.take();
+        const accepted = [];
+        const keys = new Set();
+        entries.forEach(entry => {
+            try {
+                self._checkStarIsNew(entry.record.star);
+                const key = starKey(entry.record.star);
+                if(keys.has(key)){
+                    throw new StarError('STAR_ALREADY_REGISTERED', 'A star with the same coordinates is already registered.');
+                }
+                keys.add(key);
+                accepted.push(entry);
+            } catch (error) {
+                entry.reject(error);
+            }
+        });
+        if(accepted.length === 0){
+            return;
+        }
+        try {
+            const block = BlockClass.Block.withRecords(accepted.map(entry => entry.record));
+            await self._commitBlock(block);
+            accepted.forEach(entry => entry.resolve(block));
+        } catch (error) {
+            accepted.forEach(entry => entry.reject(error));
+        }
+    }
+
+    /**
+     * This method will return a Promise that will resolve with the provenance of the star
+     * `starId`: the star, its current owner and every block of its history, the
+     * registration first and then each transfer or reveal. Resolves with null if there is no such star.
+     * @param {*} starId Hash of the block that registered the star, or hash of its record for a batched star
+     */
+    getStarHistory(starId) {
+        logger.info('blockchain.getStarHistory called');
+        let self = this;
+        return new Promise((resolve) => {
+            const entry = self.starOwners.get(starId);
+            if(!entry){
+                return resolve(null);
+            }
+            resolve({ id: starId, star: self._showStar(starId, entry.star), owner: entry.owner, history: entry.history });
+        });
+    }
+
+    /**
+     * This method will return a Promise that will resolve with the Merkle inclusion proof
+     * of a batched star: `{id, record, index, proof, header}`. The proof can be checked
+     * against the header alone with `merkle.verifyInclusion(record, proof, header)`.
+     * Resolves with null if there is no such star or if it isn't in a batched block.
+     * @param {*} starId Hash of the record of the star
+     */
+    getStarProof(starId) {
+        logger.info('blockchain.getStarProof called');
+        let self = this;
+        return new Promise((resolve) => {
+            const entry = self.starOwners.get(starId);
+            if(!entry || entry.index === null){
+                return resolve(null);
+            }
+            const block = self.chain[entry.height];
+            const records = self._decodeBody(block).records;
+            resolve({
+                id: starId,
+                record: records[entry.index],
+                index: entry.index,
+                proof: merkle.merkleProof(records, entry.index),
+                header: BlockClass.Block.header(block)
+            });
+        });
+    }
+
+    /**
+     * Auxiliary method that checks one block against its parent and returns the list of
+     * findings, empty when the block is valid. Each finding is `{height, hash, type, expected, actual}`
+     * where `type` is one of:
+     *  - `hash_mismatch`            the hash isn't the hash of the block content
+     *  - `insufficient_work`        the hash misses the proof-of-work difficulty of the block
+     *  - `difficulty_mismatch`      the difficulty doesn't follow the adjustment rules
+     *  - `broken_link`              previousBlockHash isn't the hash of the parent
+     *  - `bad_height`               the height isn't the position of the block in the chain
+     *  - `non_monotonic_timestamp`  the block is older than its parent
+     *  - `merkle_mismatch`          the Merkle root isn't the root of the records of the body, or the body
+     *                               isn't exactly the encoding of its records
+     *  - `non_canonical_body`       the body of a version 2 block isn't the canonical encoding of its data
+     *  - `future_timestamp`         the block is more than `maxClockDrift` seconds ahead of `now`
+     * @param {*} block 
+     * @param {*} i Position of the block in the chain
+     * @param {*} chain Chain holding the parents of the block (it doesn't need to hold the block itself)
+     * @param {*} now Time of the clock in seconds for a block received from a peer or a snapshot, the blocks
+     * of the chain are not checked against the clock (it may have gone back since they were committed)
+     */
+    _checkBlock(block, i, chain, now) {
+        const findings = [];
+        const finding = (type, expected, actual) => findings.push({ height: i, hash: block.hash, type: type, expected: expected, actual: actual });
+
+        const expectedHash = BlockClass.Block.calculateHash(block);
+        if(block.hash !== expectedHash){
+            finding('hash_mismatch', expectedHash, block.hash);
+        } else if(!BlockClass.Block.meetsDifficulty(block.hash, block.difficulty)){
+            finding('insufficient_work', `${block.difficulty} leading zeros`, block.hash);
+        }
+        if(block.height !== i){
+            finding('bad_height', i, block.height);
+        }
+        // A block can't go back to an older serialization than its parent
+        const version = BlockClass.Block.versionOf(block);
+        const minimumVersion = i > 0 ? BlockClass.Block.versionOf(chain[i - 1]) : VERSIONS[0];
+        if(!VERSIONS.includes(version) || version < minimumVersion){
+            finding('bad_version', VERSIONS.filter(supported => supported >= minimumVersion).join(' or '), block.version);
+        }
+        if(i > 0){
+            const parent = chain[i - 1];
+            if(block.previousBlockHash !== parent.hash){
+                finding('broken_link', parent.hash, block.previousBlockHash);
+            }
+            const expectedDifficulty = this._expectedDifficulty(i, chain);
+            if(block.difficulty !== expectedDifficulty){
+                finding('difficulty_mismatch', expectedDifficulty, block.difficulty);
+            }
+            if(!(Number(block.time) >= Number(parent.time))){
+                finding('non_monotonic_timestamp', `>= ${parent.time}`, block.time);
+            }
+        }
+        if(now !== undefined && Number(block.time) > now + this.maxClockDrift){
+            finding('future_timestamp', `<= ${now + this.maxClockDrift}`, block.time);
+        }
+        if(block.merkleRoot !== undefined){
+            // The hash doesn't cover the body of a batched block, the Merkle root does
+            const data = this._decodeBody(block);
+            const records = data && Array.isArray(data.records) ? data.records : null;
+            const expectedRoot = records ? merkle.merkleRoot(records) : null;
+            // Nothing but the records can be added to the body, the root wouldn't see it
+            const expectedBody = records ? BlockClass.Block.encodeBody({records: records}, version) : null;
+            if(block.merkleRoot !== expectedRoot){
+                finding('merkle_mismatch', expectedRoot, block.merkleRoot);
+            } else if(block.body !== expectedBody){
+                finding('merkle_mismatch', expectedBody, block.body);
+            }
+        } else if(version === 2){
+            // A version 2 body has a single encoding, so the same data always gives the same hash
+            let expectedBody = null;
+            try {
+                expectedBody = BlockClass.Block.encodeBody(BlockClass.Block.decodeBody(block), version);
+            } catch (error) {
+                expectedBody = null;
+            }
+            if(block.body !== expectedBody){
+                finding('non_canonical_body', expectedBody, block.body);
+            }
+        }
+        return findings;
+    }
+
+    /**
+     * Auxiliary method that checks the blocks at the positions `from` to `to` (inclusive)
+     * of a chain, each one against its parent, and returns all the findings.
+     * @param {*} chain 
+     * @param {*} from 
+     * @param {*} to 
+     * @param {*} now Time of the clock for the blocks received from a peer or a snapshot (see `_checkBlock`)
+     */
+    _checkRange(chain, from, to, now) {
+        let findings = [];
+        for(let i = Math.max(from, 0); i <= Math.min(to, chain.length - 1); i++){
+            findings = findings.concat(this._checkBlock(chain[i], i, chain, now));
+        }
+        return findings;
+    }
+
     /**
      * This method will return a Promise that will resolve with the list of errors when validating the chain.
      * Steps to validate:
      * 1. You should validate each block using `validate`
      * 2. Each Block should check the with the previousBlockHash
+     * 3. Each Block should have the proof-of-work difficulty expected at its height
+     * 4. Each Block should have the height of its position in the chain
+     * 5. Each Block should not be older than the previous one
+     * Each error is `{block, error}` and also carries the details of the finding (see `_checkBlock`).
+     * @param {*} chain Chain to validate, defaults to the current chain
      */
-    async validateChain() {
+    async validateChain(chain = this.chain) {
         logger.info('blockchain.validateChain called');
         let self = this;
-        let errorLog = [];
-
-        // Create an array of promises for validating each block in the chain
-        const promises = self.chain.map((block, i) => {
-            return block.validate().then(isValid => {
-                // Check block is valid
-                if (!isValid) {
-                    errorLog.push({ block: i, error: 'Block validation failed' });
-                }
+        const started = process.hrtime.bigint();
+        const findings = self._checkRange(chain, 0, chain.length - 1);
+        self._reportTiming('validateChain', started);
+        return findings.map(finding => ({ block: finding.height, error: VALIDATION_ERRORS[finding.type], ...finding }));
+    }
 
-                // Check previous block hash matches excluding genesis block
-                if (i > 0 && block.previousBlockHash !== self.chain[i - 1].hash) {
-                    errorLog.push({ block: i, error: "Previous block hash mismatch" });
-                }
+    /**
+     * The auditChain(from, to) method runs a full audit of the blocks between the heights
+     * `from` and `to` (inclusive, the whole chain by default). It will return a Promise that
+     * will resolve with a report `{valid, from, to, checked, findings}` where `findings`
+     * lists the problems found on each block (see `_checkBlock`).
+     * @param {*} from 
+     * @param {*} to 
+     */
+    auditChain(from, to) {
+        logger.info('blockchain.auditChain called');
+        let self = this;
+        return new Promise((resolve) => {
+            const start = Math.max(from !== undefined ? from : 0, 0);
+            const end = Math.min(to !== undefined ? to : self.height, self.height);
+            const findings = self._checkRange(self.chain, start, end);
+            if(findings.length > 0){
+                logger.warn(`Chain audit found ${findings.length} problem(s)`);
+            }
+            resolve({
+                valid: findings.length === 0,
+                from: start,
+                to: end,
+                checked: Math.max(end - start + 1, 0),
+                findings: findings
             });
         });
-
-        // Use Promise.all to wait for all the promises to resolve
-        await Promise.all(promises);
-        return errorLog;
     }
 
 }
@@ -0,0 +1,42 @@
+/**
+ *                          Canonical JSON
+ *  The canonical JSON of a value doesn't depend on the order its properties were
+ *  set in: the keys of every object are sorted (by UTF-16 code units, like
+ *  `Array.prototype.sort`), the arrays keep their order and the strings, numbers
+ *  and literals are written by `JSON.stringify`. Two objects with the same content
+ *  always have the same canonical JSON, so its hash can be checked after the object
+ *  went through any JSON serialization. `JSON.stringify` escapes the lone surrogates,
+ *  the canonical JSON of any string is valid UTF-8 and decodes back to the same string.
+ */
+
+/**
+ * A deep copy of the value with the keys of every object sorted.
+ * The properties whose value is `undefined` are left out, like `JSON.stringify` does.
+ * @param {*} value
+ */
+function canonicalize(value) {
+    if(Array.isArray(value)){
+        return value.map(canonicalize);
+    }
+    if(value === null || typeof value !== 'object'){
+        return value;
+    }
+    const copy = {};
+    Object.keys(value).sort().forEach(key => {
+        if(value[key] !== undefined){
+            copy[key] = canonicalize(value[key]);
+        }
+    });
+    return copy;
+}
+
+/**
+ * The canonical JSON of a value.
+ * @param {*} value
+ */
+function canonicalJSON(value) {
+    return JSON.stringify(canonicalize(value));
+}
+
+module.exports.canonicalize = canonicalize;
+module.exports.canonicalJSON = canonicalJSON;
@@ -0,0 +1,127 @@
+/**
+ *                          ChallengeStore class
+ *  The messages returned by `requestMessageOwnershipVerification` are challenges
+ *  issued by the server. Each one contains a random nonce and is kept in the store
+ *  until it expires, `submitStar` only accepts a message the server issued for the
+ *  same address, and each message can be used only once so a signature can't be
+ *  replayed to register several stars.
+ */
+
+const crypto = require('crypto');
+const { DomainError } = require('./errors.js');
+
+/**
+ * Error raised when a message isn't a valid challenge (401), `code` tells why:
+ *  - `CHALLENGE_UNKNOWN`           the server never issued this message
+ *  - `CHALLENGE_ADDRESS_MISMATCH`  the message was issued for another address
+ *  - `CHALLENGE_EXPIRED`           the validation window is over
+ *  - `CHALLENGE_ALREADY_USED`      the message was already used to submit a star
+ */
+class ChallengeError extends DomainError {
+
+    constructor(code, message) {
+        super(code, message, [], 401);
+    }
+
+}
+
+class ChallengeStore {
+
+    /**
+     * @param {*} validityWindow Number of seconds a challenge can be used after it was issued
+     */
+    constructor(validityWindow = 300) {
+        this.validityWindow = validityWindow;
+        this.challenges = new Map();
+    }
+
+    /**
+     * Utility method that return the current time in seconds, like the block timestamps
+     */
+    static now() {
+        return parseInt(new Date().getTime().toString().slice(0, -3));
+    }
+
+    /**
+     * The issue(address) method creates a new challenge for the address and returns
+     * the message to sign: `<WALLET_ADDRESS>:<TIME>:starRegistry:<NONCE>`
+     * @param {*} address
+     */
+    issue(address) {
+        this.purge();
+        const issuedAt = ChallengeStore.now();
+        const nonce = crypto.randomBytes(16).toString('hex');
+        const message = `${address}:${issuedAt}:starRegistry:${nonce}`;
+        this.challenges.set(message, { address: address, issuedAt: issuedAt, used: false });
+        return message;
+    }
+
+    /**
+     * Read back the address and the time of a challenge message, or null when the
+     * message doesn't have the `<WALLET_ADDRESS>:<TIME>:starRegistry:<NONCE>` form.
+     * The peers use it to check the registrations of the blocks they adopt.
+     * @param {*} message
+     */
+    static parse(message) {
+        if(typeof message !== 'string'){
+            return null;
+        }
+        const match = /^([^:]+):(\d+):starRegistry:([0-9a-f]{32})$/.exec(message);
+        if(!match){
+            return null;
+        }
+        return { address: match[1], issuedAt: parseInt(match[2]) };
+    }
+
+    /**
+     * The check(address, message) method throws a ChallengeError if the message can't be
+     * used by the address. It doesn't consume the challenge, call `consume` once the
+     * signature has been verified.
+     * @param {*} address
+     * @param {*} message
+     */
+    check(address, message) {
+        const challenge = this.challenges.get(message);
+        if(!challenge){
+            throw new ChallengeError('CHALLENGE_UNKNOWN', 'The message was not issued by this server.');
+        }
+        if(challenge.address !== address){
+            throw new ChallengeError('CHALLENGE_ADDRESS_MISMATCH', 'The message was issued for another address.');
+        }
+        if(ChallengeStore.now() - challenge.issuedAt >= this.validityWindow){
+            throw new ChallengeError('CHALLENGE_EXPIRED', 'Message signature has expired.');
+        }
+        if(challenge.used){
+            throw new ChallengeError('CHALLENGE_ALREADY_USED', 'The message was already used.');
+        }
+    }
+
+    /**
+     * Mark the challenge as used, it is kept until it expires so a replay is reported
+     * as such instead of as an unknown message.
+     * @param {*} message
+     */
+    consume(message) {
+        const challenge = this.challenges.get(message);
+        if(challenge){
+            challenge.used = true;
+        }
+    }
+
+    /**
+     * Forget the old challenges. They are kept one more window after they expire
+     * so a late submission is still reported as expired.
+     */
+    purge() {
+        const now = ChallengeStore.now();
+        for(const [message, challenge] of this.challenges){
+            if(now - challenge.issuedAt >= 2 * this.validityWindow){
+                this.challenges.delete(message);
+            }
+        }
+    }
+
+}
+
+module.exports.ChallengeStore = ChallengeStore;
+module.exports.ChallengeError = ChallengeError;
@@ -0,0 +1,361 @@
+/**
+ *                          Configuration
+ *  The settings of a node, read when it boots from three sources, each one
+ *  overriding the previous: the defaults below, a JSON config file (the file
+ *  given to `loadConfig` or the `CONFIG_FILE` environment variable) and the
+ *  environment variables. The result is validated, a setting that is wrong stops
+ *  the node before it serves anything. It has the shape of the options of the
+ *  ApplicationServer:
+ *      {
+ *          "port": 8000,
+ *          "log": { "level": "info", "dir": "logs" },
+ *          "access": { "apiKeys": ["..."], "dailyStarCap": 100 },
+ *          "graphql": { "maxDepth": 10, "maxComplexity": 1000 },
+ *          "defaultChain": "mainnet",
+ *          "chains": {
+ *              "mainnet": { "file": "data/mainnet.ndjson", "difficulty": 3 },
+ *              "sandbox": { "file": "data/sandbox.ndjson", "difficulty": 0, "validationWindow": 3600, "access": { "dailyStarCap": 0 } }
+ *          }
+ *      }
+ *  Each chain is a separate Blockchain with its own storage, genesis and rules, served
+ *  under `/chains/:name/...`, the default chain is also served at the root.
+ *  The paths of the config file are relative to its directory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const bitcoin = require('bitcoinjs-lib');
+const { DomainError } = require('./errors.js');
+
+// The default paths are relative to the root of the project
+const ROOT = path.join(__dirname, '..');
+
+const DEFAULTS = {
+    port: 8000,
+    nodeUrl: null,
+    nodeKey: null,
+    peers: [],
+    peerApiKey: null,
+    trustProxy: null,
+    importLimit: '16mb',
+    log: {
+        level: 'info',
+        dir: null,
+        error: 'error.log',
+        combined: 'combined.log',
+        exceptions: 'exceptions.log'
+    },
+    access: {
+        apiKeys: [],
+        protect: 'writes',
+        ipBurst: 60,
+        ipPerSecond: 1,
+        addressBurst: 10,
+        addressPerSecond: 0.2,
+        dailyStarCap: 100
+    },
+    graphql: {
+        maxDepth: 10,
+        maxComplexity: 1000
+    },
+    defaultChain: null,
+    chains: {
+        main: { file: path.join(ROOT, 'data', 'chain.ndjson') }
+    }
+};
+
+// Settings of each chain, the options of the Blockchain class
+const CHAIN_DEFAULTS = {
+    file: null,
+    genesis: { data: 'Genesis Block' },
+    difficulty: 2,
+    targetBlockTime: 60,
+    retargetInterval: 10,
+    maxClockDrift: 120,
+    validationWindow: 300,
+    batchSize: 10,
+    peers: [],
+    access: {}
+};
+
+// Environment variables of the settings, the chain settings apply to the default chain
+const ENVIRONMENT = {
+    PORT: ['port', 'number'],
+    NODE_URL: ['nodeUrl', 'string'],
+    NODE_KEY: ['nodeKey', 'string'],
+    PEERS: ['peers', 'list'],
+    PEER_API_KEY: ['peerApiKey', 'string'],
+    TRUST_PROXY: ['trustProxy', 'proxy'],
+    IMPORT_LIMIT: ['importLimit', 'size'],
+    LOG_LEVEL: ['log.level', 'string'],
+    LOG_DIR: ['log.dir', 'path'],
+    API_KEYS: ['access.apiKeys', 'list'],
+    API_KEYS_PROTECT: ['access.protect', 'string'],
+    RATE_LIMIT_IP_BURST: ['access.ipBurst', 'number'],
+    RATE_LIMIT_IP_PER_SECOND: ['access.ipPerSecond', 'number'],
+    RATE_LIMIT_ADDRESS_BURST: ['access.addressBurst', 'number'],
+    RATE_LIMIT_ADDRESS_PER_SECOND: ['access.addressPerSecond', 'number'],
+    DAILY_STAR_CAP: ['access.dailyStarCap', 'number'],
+    GRAPHQL_MAX_DEPTH: ['graphql.maxDepth', 'number'],
+    GRAPHQL_MAX_COMPLEXITY: ['graphql.maxComplexity', 'number'],
+    DEFAULT_CHAIN: ['defaultChain', 'string'],
+    CHAIN_FILE: ['chain.file', 'path'],
+    DIFFICULTY: ['chain.difficulty', 'number'],
+    SIGNATURE_WINDOW: ['chain.validationWindow', 'number'],
+    BATCH_SIZE: ['chain.batchSize', 'number']
+};
+
+const LOG_LEVELS = ['error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly'];
+const CHAIN_NAME = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+/**
+ * Error raised when the configuration can't be read or isn't valid, `details` lists the problems.
+ */
+class ConfigError extends DomainError {
+
+    constructor(message, details) {
+        super('CONFIG_INVALID', message, details);
+    }
+
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Merge `source` into a copy of `target`, the objects are merged and the other values replaced.
+ * @param {*} target
+ * @param {*} source
+ */
+function merge(target, source) {
+    const result = Object.assign({}, target);
+    for(const key of Object.keys(source)){
+        result[key] = isObject(result[key]) && isObject(source[key]) ? merge(result[key], source[key]) : source[key];
+    }
+    return result;
+}
+
+/**
+ * Read the config file, its chains replace the default chains and its paths
+ * are made absolute from its directory.
+ * @param {*} file
+ */
+function readConfigFile(file) {
+    let settings;
+    try {
+        settings = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new ConfigError(`Unable to read the config file ${file}.`, [error.message]);
+    }
+    if(!isObject(settings)){
+        throw new ConfigError(`Unable to read the config file ${file}.`, ['the config file must be a JSON object']);
+    }
+    const dir = path.dirname(path.resolve(file));
+    if(isObject(settings.log) && typeof settings.log.dir === 'string'){
+        settings.log.dir = path.resolve(dir, settings.log.dir);
+    }
+    if(isObject(settings.chains)){
+        for(const chain of Object.values(settings.chains)){
+            if(isObject(chain) && typeof chain.file === 'string'){
+                chain.file = path.resolve(dir, chain.file);
+            }
+        }
+    }
+    return settings;
+}
+
+/**
+ * Convert the value of an environment variable to its type.
+ * @param {*} value
+ * @param {*} type
+ */
+function fromEnvironment(value, type) {
+    switch(type){
+        case 'number':
+            return Number(value);
+        case 'list':
+            return value.split(',').map(item => item.trim()).filter(item => item !== '');
+        case 'path':
+            return path.resolve(value);
+        case 'size':
+            // A number of bytes or a size with its unit, like `16mb`
+            return /^\d+$/.test(value) ? Number(value) : value;
+        case 'proxy':
+            // `true`, `false`, a number of hops or a list of addresses, see the `trust proxy` setting of express
+            if(value === 'true' || value === 'false'){
+                return value === 'true';
+            }
+            return /^\d+$/.test(value) ? Number(value) : value;
+        default:
+            return value;
+    }
+}
+
+/**
+ * The settings given by the environment variables, the `chain.*` settings are returned apart.
+ * @param {*} env
+ */
+function readEnvironment(env) {
+    const settings = {};
+    const chain = {};
+    for(const [name, [key, type]] of Object.entries(ENVIRONMENT)){
+        if(env[name] === undefined || env[name] === ''){
+            continue;
+        }
+        const keys = key.split('.');
+        let target = keys[0] === 'chain' ? chain : settings;
+        for(const part of keys.slice(keys[0] === 'chain' ? 1 : 0, -1)){
+            target = target[part] = target[part] || {};
+        }
+        target[keys[keys.length - 1]] = fromEnvironment(env[name], type);
+    }
+    return { settings: settings, chain: chain };
+}
+
+/**
+ * Check that a value is an url of a node.
+ */
+function isNodeUrl(value) {
+    return typeof value === 'string' && /^http:\/\/[^\s/]+/.test(value);
+}
+
+/**
+ * The validateConfig(config) method returns the list of the problems of a configuration,
+ * an empty list when it is valid.
+ * @param {*} config
+ */
+function validateConfig(config) {
+    const problems = [];
+    const check = (valid, problem) => {
+        if(!valid){
+            problems.push(problem);
+        }
+    };
+    const unknownKeys = (object, known, prefix) => {
+        Object.keys(object).filter(key => !(key in known)).forEach(key => problems.push(`${prefix}${key} is not a setting`));
+    };
+    const isNumber = (value, min) => typeof value === 'number' && Number.isFinite(value) && value >= min;
+    const isInteger = (value, min, max = Infinity) => Number.isInteger(value) && value >= min && value <= max;
+
+    unknownKeys(config, DEFAULTS, '');
+    check(isInteger(config.port, 0, 65535), 'port must be an integer between 0 and 65535');
+    check(config.nodeUrl === null || isNodeUrl(config.nodeUrl), 'nodeUrl must be an http url');
+    if(config.nodeKey !== null){
+        try {
+            bitcoin.ECPair.fromWIF(config.nodeKey, [bitcoin.networks.bitcoin, bitcoin.networks.testnet]);
+        } catch (error) {
+            problems.push('nodeKey must be a private key in WIF');
+        }
+    }
+    check(Array.isArray(config.peers) && config.peers.every(isNodeUrl), 'peers must be a list of http urls');
+    check(config.peerApiKey === null || typeof config.peerApiKey === 'string', 'peerApiKey must be a string');
+    check(isInteger(config.importLimit, 1) || /^\d+(\.\d+)?\s*(b|kb|mb|gb)$/i.test(config.importLimit), 'importLimit must be a number of bytes or a size like 16mb');
+
+    if(isObject(config.log)){
+        unknownKeys(config.log, DEFAULTS.log, 'log.');
+        check(LOG_LEVELS.includes(config.log.level), `log.level must be one of ${LOG_LEVELS.join(', ')}`);
+        check(config.log.dir === null || typeof config.log.dir === 'string', 'log.dir must be a path');
+        ['error', 'combined', 'exceptions'].forEach(name => {
+            check(typeof config.log[name] === 'string' && config.log[name] !== '', `log.${name} must be a file name`);
+        });
+    } else {
+        problems.push('log must be an object');
+    }
+
+    const checkAccess = (access, prefix) => {
+        if(!isObject(access)){
+            return problems.push(`${prefix} must be an object`);
+        }
+        unknownKeys(access, DEFAULTS.access, `${prefix}.`);
+        if(access.apiKeys !== undefined){
+            check(Array.isArray(access.apiKeys) && access.apiKeys.every(key => typeof key === 'string' && key !== ''), `${prefix}.apiKeys must be a list of keys`);
+        }
+        if(access.protect !== undefined){
+            check(['writes', 'all'].includes(access.protect), `${prefix}.protect must be writes or all`);
+        }
+        ['ipBurst', 'ipPerSecond', 'addressBurst', 'addressPerSecond', 'dailyStarCap']
+            .filter(name => access[name] !== undefined)
+            .forEach(name => check(isNumber(access[name], 0), `${prefix}.${name} must be a number of at least 0`));
+    };
+    checkAccess(config.access, 'access');
+
+    if(isObject(config.graphql)){
+        unknownKeys(config.graphql, DEFAULTS.graphql, 'graphql.');
+        ['maxDepth', 'maxComplexity'].forEach(name => {
+            check(isInteger(config.graphql[name], 1), `graphql.${name} must be an integer of at least 1`);
+        });
+    } else {
+        problems.push('graphql must be an object');
+    }
+
+    if(!isObject(config.chains) || Object.keys(config.chains).length === 0){
+        problems.push('chains must define at least one chain');
+        return problems;
+    }
+    for(const [name, chain] of Object.entries(config.chains)){
+        const prefix = `chains.${name}`;
+        check(CHAIN_NAME.test(name), `${prefix}: the name of a chain must be lowercase letters, digits, - or _ (at most 32)`);
+        if(!isObject(chain)){
+            problems.push(`${prefix} must be an object`);
+            continue;
+        }
+        unknownKeys(chain, CHAIN_DEFAULTS, `${prefix}.`);
+        check(typeof chain.file === 'string' && chain.file !== '', `${prefix}.file must be a path`);
+        check(isObject(chain.genesis) || (typeof chain.genesis === 'string' && chain.genesis !== ''), `${prefix}.genesis must be an object or a text`);
+        check(isInteger(chain.difficulty, 0, 64), `${prefix}.difficulty must be an integer between 0 and 64`);
+        check(isNumber(chain.targetBlockTime, 0) && chain.targetBlockTime > 0, `${prefix}.targetBlockTime must be a number of seconds above 0`);
+        check(isInteger(chain.retargetInterval, 1), `${prefix}.retargetInterval must be an integer of at least 1`);
+        check(isNumber(chain.maxClockDrift, 0), `${prefix}.maxClockDrift must be a number of seconds of at least 0`);
+        check(isNumber(chain.validationWindow, 0) && chain.validationWindow > 0, `${prefix}.validationWindow must be a number of seconds above 0`);
+        check(isInteger(chain.batchSize, 1), `${prefix}.batchSize must be an integer of at least 1`);
+        check(Array.isArray(chain.peers) && chain.peers.every(isNodeUrl), `${prefix}.peers must be a list of http urls`);
+        checkAccess(chain.access, `${prefix}.access`);
+    }
+    check(config.defaultChain in config.chains, `defaultChain must be one of ${Object.keys(config.chains).join(', ')}`);
+    const files = Object.values(config.chains).filter(isObject).map(chain => chain.file);
+    check(new Set(files).size === files.length, 'chains must not share a file');
+    return problems;
+}
+
+/**
+ * The loadConfig(file, env) method reads and validates the configuration of the node.
+ * Throws a ConfigError listing the problems if the configuration isn't valid.
+ * @param {*} file Path of the JSON config file (optional, defaults to `CONFIG_FILE`)
+ * @param {*} env Environment variables (default `process.env`)
+ */
+function loadConfig(file, env = process.env) {
+    let config = DEFAULTS;
+    const configFile = file || env.CONFIG_FILE;
+    if(configFile){
+        const settings = readConfigFile(configFile);
+        // The chains of the file replace the default chain
+        config = merge(config, Object.assign({}, settings, { chains: {} }));
+        config.chains = settings.chains !== undefined ? settings.chains : DEFAULTS.chains;
+    }
+    const environment = readEnvironment(env);
+    config = merge(config, environment.settings);
+    if(isObject(config.chains)){
+        // The settings of a chain replace the defaults, its genesis isn't merged with the default genesis
+        const chains = {};
+        for(const [name, chain] of Object.entries(config.chains)){
+            chains[name] = isObject(chain) ? Object.assign({}, CHAIN_DEFAULTS, { file: path.join(ROOT, 'data', `${name}.ndjson`) }, chain) : chain;
+        }
+        config.chains = chains;
+        config.defaultChain = config.defaultChain || Object.keys(chains)[0];
+        if(isObject(chains[config.defaultChain])){
+            Object.assign(chains[config.defaultChain], environment.chain);
+        }
+    }
+    const problems = validateConfig(config);
+    if(problems.length > 0){
+        throw new ConfigError('The configuration is not valid.', problems);
+    }
+    return config;
+}
+
+module.exports.DEFAULTS = DEFAULTS;
+module.exports.CHAIN_DEFAULTS = CHAIN_DEFAULTS;
+module.exports.ConfigError = ConfigError;
+module.exports.validateConfig = validateConfig;
+module.exports.loadConfig = loadConfig;
@@ -0,0 +1,34 @@
+/**
+ *                          Request context
+ *  Each request gets an id, taken from the `X-Request-Id` header when the client
+ *  (or a proxy) sends one, and echoed in the `X-Request-Id` header of the response.
+ *  The id is kept in an AsyncLocalStorage for the whole handling of the request, so
+ *  every winston log entry written meanwhile carries it as `requestId` (see `logger.js`)
+ *  and an error response can be linked to its log entries.
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Express middleware that assigns the request id and runs the rest of the request in its context.
+ */
+function requestContext(req, res, next) {
+    const header = req.get('X-Request-Id');
+    req.id = header && /^[\w.-]{1,64}$/.test(header) ? header : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+    storage.run({ requestId: req.id }, next);
+}
+
+/**
+ * Id of the request being handled, undefined outside of a request.
+ */
+function currentRequestId() {
+    const store = storage.getStore();
+    return store ? store.requestId : undefined;
+}
+
+module.exports.requestContext = requestContext;
+module.exports.currentRequestId = currentRequestId;
@@ -0,0 +1,84 @@
+/**
+ *                          Errors
+ *  Every error the application reports to a client is a DomainError: a `code`
+ *  the client can test, a human readable `message`, `details` (the list of the
+ *  problems when there are several) and the HTTP `status` it maps to. The modules
+ *  define their own DomainErrors (`StarError`, `TransferError`, ...) with the
+ *  status of each of their codes, the classes below cover the generic cases.
+ *  `handlers.js` turns them into the responses of the API.
+ */
+
+class DomainError extends Error {
+
+    /**
+     * @param {*} code
+     * @param {*} message
+     * @param {*} details List of the problems (optional)
+     * @param {*} status HTTP status (default 500)
+     */
+    constructor(code, message, details, status) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+        this.details = details || [];
+        this.status = status || 500;
+    }
+
+}
+
+// The request is malformed: a parameter is missing or can't be read
+class BadRequestError extends DomainError {
+    constructor(code, message, details) {
+        super(code, message, details, 400);
+    }
+}
+
+// The client must authenticate
+class UnauthorizedError extends DomainError {
+    constructor(code, message, details) {
+        super(code, message, details, 401);
+    }
+}
+
+class NotFoundError extends DomainError {
+    constructor(code, message, details) {
+        super(code, message, details, 404);
+    }
+}
+
+// The node can't serve the request for now: it is starting or stopping
+class ServiceUnavailableError extends DomainError {
+    constructor(code, message, details) {
+        super(code, message, details, 503);
+    }
+}
+
+// The client went over a limit, it can retry after `retryAfter` seconds
+class TooManyRequestsError extends DomainError {
+    constructor(code, message, retryAfter) {
+        super(code, message, [`retry after ${retryAfter} seconds`], 429);
+        this.retryAfter = retryAfter;
+    }
+}
+
+/**
+ * Auxiliary method to build the BadRequestError of the body parameters that are missing.
+ * Returns null when they are all there.
+ * @param {*} body
+ * @param {*} names
+ */
+function missingParameters(body, names) {
+    const missing = names.filter(name => !body || body[name] === undefined || body[name] === null || body[name] === '');
+    if(missing.length === 0){
+        return null;
+    }
+    return new BadRequestError('MISSING_PARAMETER', 'Check the Body Parameter!', missing.map(name => `${name} is required`));
+}
+
+module.exports.DomainError = DomainError;
+module.exports.BadRequestError = BadRequestError;
+module.exports.UnauthorizedError = UnauthorizedError;
+module.exports.NotFoundError = NotFoundError;
+module.exports.TooManyRequestsError = TooManyRequestsError;
+module.exports.ServiceUnavailableError = ServiceUnavailableError;
+module.exports.missingParameters = missingParameters;
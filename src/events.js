@@ -0,0 +1,139 @@
+/**
+ *                          EventStream class
+ *  The EventStream class pushes the events of the chain to the clients with
+ *  Server-Sent Events, so the dashboards don't need to poll for new blocks.
+ *  A client subscribes to a topic:
+ *   - `blocks`      every block committed in the chain, optionally only the blocks naming an `owner`
+ *   - `validation`  the blocks refused by the validation (`validationFailure` events of the Blockchain)
+ *  Each event has an id, the height of the block for the `blocks` topic and a sequence
+ *  number for the `validation` topic. After a reconnect the client resumes with the
+ *  `Last-Event-ID` header (sent by `EventSource` automatically) or from a height,
+ *  the events it missed are replayed before the live ones.
+ */
+
+const logger = require('./logger.js');
+
+const HEARTBEAT_INTERVAL = 15000;
+
+class EventStream {
+
+    /**
+     * @param {*} blockchain Blockchain instance of this node
+     * @param {*} options
+     *  - `historySize` number of validation failures kept to be replayed (default 100)
+     */
+    constructor(blockchain, options = {}) {
+        this.blockchain = blockchain;
+        this.historySize = options.historySize || 100;
+        // Last validation failures, the blocks don't need a history, they are replayed from the chain
+        this.failures = [];
+        this.failureSequence = 0;
+        this.clients = new Set();
+        this.blockchain.on('block', (block) => this.publishBlock(block));
+        this.blockchain.on('validationFailure', (failure) => this.publishFailure(failure));
+        // Comment lines keep the idle connections open through the proxies
+        this.heartbeat = setInterval(() => this.clients.forEach(client => client.res.write(': ping\n\n')), HEARTBEAT_INTERVAL);
+        this.heartbeat.unref();
+    }
+
+    /**
+     * Write one event in the Server-Sent Events format.
+     * @param {*} res
+     * @param {*} id
+     * @param {*} event
+     * @param {*} data
+     */
+    static send(res, id, event, data) {
+        res.write(`id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    /**
+     * Check a block matches the subscription of a client.
+     * @param {*} client
+     * @param {*} block
+     */
+    _matches(client, block) {
+        return !client.owner || this.blockchain._blockAddresses(block).has(client.owner);
+    }
+
+    /**
+     * The subscribe(req, res, subscription) method opens the stream of a client.
+     * `subscription` is `{topic, owner, from}`: `from` is the first height to replay, when it
+     * is missing the events after the `Last-Event-ID` header are replayed and when both are
+     * missing only the new events are sent.
+     * The events are replayed and the client registered in the same tick, so no event is
+     * lost or sent twice between the replay and the live events.
+     * @param {*} req
+     * @param {*} res
+     * @param {*} subscription
+     */
+    subscribe(req, res, subscription) {
+        const client = { res: res, topic: subscription.topic || 'blocks', owner: subscription.owner || null };
+        const lastEventId = req.get('Last-Event-ID');
+        const lastId = lastEventId !== undefined && /^\d+$/.test(lastEventId) ? parseInt(lastEventId) : undefined;
+
+        res.status(200).set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+        res.flushHeaders();
+        res.write('retry: 3000\n\n');
+
+        if(client.topic === 'validation'){
+            this.failures
+                .filter(failure => subscription.from !== undefined ? failure.height >= subscription.from : lastId !== undefined && failure.id > lastId)
+                .forEach(failure => EventStream.send(res, failure.id, 'validationFailure', failure));
+        } else {
+            const from = subscription.from !== undefined ? subscription.from : (lastId !== undefined ? lastId + 1 : this.blockchain.chain.length);
+            this.blockchain.chain.slice(from)
+                .filter(block => this._matches(client, block))
+                .forEach(block => EventStream.send(res, block.height, 'block', block));
+        }
+
+        this.clients.add(client);
+        logger.info(`Event stream opened, topic ${client.topic}${client.owner ? ' owner ' + client.owner : ''}`);
+        req.on('close', () => this.clients.delete(client));
+    }
+
+    /**
+     * Send a committed block to the clients subscribed to it.
+     * @param {*} block
+     */
+    publishBlock(block) {
+        this.clients.forEach(client => {
+            if(client.topic === 'blocks' && this._matches(client, block)){
+                EventStream.send(client.res, block.height, 'block', block);
+            }
+        });
+    }
+
+    /**
+     * Number the validation failure, keep it to be replayed and send it to the clients.
+     * @param {*} failure
+     */
+    publishFailure(failure) {
+        const event = Object.assign({ id: this.failureSequence++ }, failure);
+        this.failures.push(event);
+        if(this.failures.length > this.historySize){
+            this.failures.shift();
+        }
+        this.clients.forEach(client => {
+            if(client.topic === 'validation'){
+                EventStream.send(client.res, event.id, 'validationFailure', event);
+            }
+        });
+    }
+
+    /**
+     * End every open stream, the clients will reconnect.
+     */
+    close() {
+        clearInterval(this.heartbeat);
+        this.clients.forEach(client => client.res.end());
+        this.clients.clear();
+    }
+
+}
+
+module.exports.EventStream = EventStream;
@@ -0,0 +1,510 @@
+/**
+ *                          GraphQL schema
+ *  The GraphQL schema of a chain, served at `/graphql` by the GraphQLController. One query
+ *  can follow the links between the blocks, the owners and the stars that take several
+ *  REST calls: a block and the previous one, an owner and its stars, a star and the block
+ *  registering it, the chain head and the validation of the chain.
+ *  The lists are pages: `first` (default 20, at most 100) and `after`, the `endCursor` of the
+ *  previous page, they return `{nodes, pageInfo: {hasNextPage, endCursor}}`.
+ *  Before a query runs its depth and its cost are checked (see `queryLimits`):
+ *   - the depth is the number of nested fields, the introspection fields don't count
+ *   - the cost is one per field, the fields of a page count `first` times, the fields of
+ *     the other lists 10 times, and `validation` (a check of the whole chain) counts 500
+ *  The resolvers read the indexes of the Blockchain, no block is decoded to find another one.
+ */
+
+const {
+    GraphQLSchema, GraphQLObjectType, GraphQLScalarType, GraphQLEnumType, GraphQLNonNull, GraphQLList,
+    GraphQLString, GraphQLInt, GraphQLFloat, GraphQLBoolean, GraphQLID, Kind,
+    getNamedType, getNullableType, isListType, getOperationAST, parse, validate, execute
+} = require('graphql');
+const { getArgumentValues, getVariableValues } = require('graphql/execution/values');
+const BlockClass = require('./block.js');
+const merkle = require('./merkle.js');
+const { parseRa, parseDec, CONSTELLATIONS } = require('./star.js');
+const logger = require('./logger.js');
+const { DomainError, BadRequestError } = require('./errors.js');
+const { DEFAULTS } = require('./config.js');
+
+const DEFAULT_PAGE = 20;
+const MAX_PAGE = 100;
+// Number of elements assumed for the lists that aren't pages (stars of a block, history of a star)
+const LIST_SIZE = 10;
+// Cost of the fields that do more than read an index
+const FIELD_COSTS = { 'Query.validation': 500 };
+
+const nonNull = (type) => new GraphQLNonNull(type);
+const list = (type) => nonNull(new GraphQLList(nonNull(type)));
+
+// Any JSON value, the decoded body of a block or the values of a finding
+const JSONScalar = new GraphQLScalarType({
+    name: 'JSON',
+    description: 'Any JSON value',
+    serialize: (value) => value,
+    parseValue: (value) => value,
+    parseLiteral: function parseLiteral(ast) {
+        switch(ast.kind){
+            case Kind.STRING:
+            case Kind.BOOLEAN:
+                return ast.value;
+            case Kind.INT:
+            case Kind.FLOAT:
+                return Number(ast.value);
+            case Kind.LIST:
+                return ast.values.map(parseLiteral);
+            case Kind.OBJECT:
+                return Object.fromEntries(ast.fields.map(field => [field.name.value, parseLiteral(field.value)]));
+            default:
+                return null;
+        }
+    }
+});
+
+const BlockType = new GraphQLEnumType({
+    name: 'BlockType',
+    values: { GENESIS: { value: 'genesis' }, STAR: { value: 'star' }, TRANSFER: { value: 'transfer' }, REVEAL: { value: 'reveal' }, DATA: { value: 'data' } }
+});
+
+/**
+ * The opaque cursor of a page, `kind` tells the pages apart so a cursor can't be used for another list.
+ * @param {*} kind
+ * @param {*} position Cursor of the Blockchain (a height for the blocks, a sequence number for the stars)
+ */
+function encodeCursor(kind, position) {
+    return position === null ? null : Buffer.from(`${kind}:${position}`, 'utf8').toString('base64');
+}
+
+/**
+ * The position of a cursor given as `after`, undefined without a cursor.
+ * @param {*} kind
+ * @param {*} cursor
+ */
+function decodeCursor(kind, cursor) {
+    if(cursor === undefined || cursor === null){
+        return undefined;
+    }
+    const match = Buffer.from(cursor, 'base64').toString('utf8').match(new RegExp(`^${kind}:(\\d+)$`));
+    if(!match){
+        throw new BadRequestError('INVALID_PARAMETER', 'The cursor is not valid.', [`after must be the endCursor of a page of ${kind}`]);
+    }
+    return Number(match[1]);
+}
+
+/**
+ * The size of a page, checked.
+ * @param {*} first
+ */
+function pageSize(first) {
+    if(!Number.isInteger(first) || first < 1 || first > MAX_PAGE){
+        throw new BadRequestError('INVALID_PARAMETER', 'The size of the page is not valid.', [`first must be an integer between 1 and ${MAX_PAGE}`]);
+    }
+    return first;
+}
+
+/**
+ * A page of nodes.
+ * @param {*} nodes
+ * @param {*} kind
+ * @param {*} nextCursor Cursor of the Blockchain for the next page, null on the last page
+ */
+function page(nodes, kind, nextCursor) {
+    return { nodes: nodes, pageInfo: { hasNextPage: nextCursor !== null, endCursor: encodeCursor(kind, nextCursor) } };
+}
+
+/**
+ * A page of the blocks of the chain.
+ * @param {*} blockchain
+ * @param {*} args `{first, after, owner, type}`
+ */
+async function blockPage(blockchain, args) {
+    const result = await blockchain.getBlocks({ cursor: decodeCursor('blocks', args.after), limit: pageSize(args.first), owner: args.owner, type: args.type });
+    return page(result.blocks, 'blocks', result.nextCursor);
+}
+
+/**
+ * A page of the registered stars, `{id}` of each star.
+ * @param {*} blockchain
+ * @param {*} query Query of `searchStars`
+ * @param {*} args `{first, after}`
+ */
+async function starPage(blockchain, query, args) {
+    const result = await blockchain.searchStars(Object.assign({}, query, { cursor: decodeCursor('stars', args.after), limit: pageSize(args.first) }));
+    return page(result.stars.map(star => ({ id: star.id })), 'stars', result.nextCursor);
+}
+
+/**
+ * The entry of a star in the indexes, with the star as the API shows it (see `_showStar`).
+ * @param {*} blockchain
+ * @param {*} starId
+ */
+function starEntry(blockchain, starId) {
+    const entry = blockchain.starOwners.get(starId);
+    return entry ? Object.assign({}, entry, { id: starId, star: blockchain._showStar(starId, entry.star) }) : null;
+}
+
+/**
+ * The ids of the stars a block registered, a registration of coordinates already registered isn't a star.
+ * @param {*} blockchain
+ * @param {*} block
+ */
+function blockStarIds(blockchain, block) {
+    const data = blockchain._decodeBody(block);
+    if(!data || block.height === 0){
+        return [];
+    }
+    const batched = Array.isArray(data.records);
+    return (batched ? data.records : [data])
+        .filter(record => record && record.star && record.owner && record.type === undefined)
+        .map(record => batched ? merkle.hashRecord(record) : block.hash)
+        .filter(starId => blockchain.starOwners.has(starId) && blockchain.starOwners.get(starId).hash === block.hash);
+}
+
+/**
+ * The query of `searchStars` for the arguments of `stars`, checked as `GET /stars/search` checks its parameters.
+ * @param {*} args
+ */
+function starQuery(args) {
+    // An argument given as null is an argument not given
+    const given = Object.fromEntries(Object.entries(args).filter(([, value]) => value !== null));
+    const ranges = { ra: [0, 360], dec: [-90, 90], radius: [0, 180], minMag: [-30, 30], maxMag: [-30, 30] };
+    Object.keys(ranges).filter(name => given[name] !== undefined).forEach(name => {
+        const [min, max] = ranges[name];
+        if(given[name] < min || given[name] > max || (name === 'ra' && given[name] === max)){
+            throw new BadRequestError('INVALID_PARAMETER', `Check the argument ${name}!`, [`${name} must be a number in [${min}, ${max}${name === 'ra' ? ')' : ']'}`]);
+        }
+    });
+    // A cone search needs its center and its radius
+    const missing = ['ra', 'dec', 'radius'].filter(name => given[name] === undefined);
+    if(missing.length > 0 && missing.length < 3){
+        throw new BadRequestError('MISSING_PARAMETER', `Check the argument ${missing[0]}!`, missing.map(name => `${name} is required for a cone search`));
+    }
+    if(given.minMag !== undefined && given.maxMag !== undefined && given.minMag > given.maxMag){
+        throw new BadRequestError('INVALID_PARAMETER', 'Check the argument minMag!', ['minMag must not be greater than maxMag']);
+    }
+    let cen;
+    if(given.cen !== undefined){
+        cen = CONSTELLATIONS.find(name => name.toLowerCase() === given.cen.trim().toLowerCase());
+        if(!cen){
+            throw new BadRequestError('INVALID_PARAMETER', 'Check the argument cen!', ['cen must be an IAU constellation abbreviation']);
+        }
+    }
+    return { ra: given.ra, dec: given.dec, radius: given.radius, minMag: given.minMag, maxMag: given.maxMag, cen: cen, q: given.text };
+}
+
+const pageArgs = {
+    first: { type: GraphQLInt, defaultValue: DEFAULT_PAGE, description: `Size of the page, at most ${MAX_PAGE}` },
+    after: { type: GraphQLString, description: 'endCursor of the previous page' }
+};
+
+const PageInfo = new GraphQLObjectType({
+    name: 'PageInfo',
+    fields: {
+        hasNextPage: { type: nonNull(GraphQLBoolean) },
+        endCursor: { type: GraphQLString, description: 'Cursor to pass as `after` to get the next page, null on the last page' }
+    }
+});
+
+const connection = (name, node) => new GraphQLObjectType({
+    name: name,
+    fields: () => ({
+        nodes: { type: list(node()) },
+        pageInfo: { type: nonNull(PageInfo) }
+    })
+});
+
+const Block = new GraphQLObjectType({
+    name: 'Block',
+    fields: () => ({
+        hash: { type: nonNull(GraphQLString) },
+        height: { type: nonNull(GraphQLInt) },
+        time: { type: nonNull(GraphQLString), description: 'UNIX time in seconds' },
+        nonce: { type: nonNull(GraphQLFloat), description: 'An integer, a Float because the proof of work can take more than 2^31 tries' },
+        difficulty: { type: nonNull(GraphQLInt) },
+        version: { type: nonNull(GraphQLInt), resolve: (block) => BlockClass.Block.versionOf(block) },
+        merkleRoot: { type: GraphQLString, description: 'Merkle root of the records of a batched block' },
+        previousBlockHash: { type: GraphQLString },
+        type: { type: nonNull(BlockType), resolve: (block, args, { blockchain }) => blockchain._blockType(block, blockchain._decodeBody(block)) },
+        data: {
+            type: JSONScalar,
+            description: 'Decoded body of the block, the sealed stars marked as in `getBData`',
+            resolve: (block, args, { blockchain }) => BlockClass.Block.showReveals(block, blockchain._decodeBody(block), blockchain.reveals)
+        },
+        previous: { type: Block, resolve: (block, args, { blockchain }) => block.height > 0 ? blockchain.chain[block.height - 1] : null },
+        next: { type: Block, resolve: (block, args, { blockchain }) => blockchain.chain[block.height + 1] || null },
+        stars: { type: list(Star), description: 'Stars registered by the block', resolve: (block, args, { blockchain }) => blockStarIds(blockchain, block).map(id => ({ id: id })) },
+        owners: {
+            type: list(Owner),
+            description: 'Addresses named by the block: owners of the stars it registers, sender and recipient of a transfer',
+            resolve: (block, args, { blockchain }) => Array.from(blockchain._blockAddresses(block), address => ({ address: address }))
+        }
+    })
+});
+
+// The resolvers of a star look it up by its id, a star is `{id}`
+const starField = (type, read, description) => ({
+    type: type,
+    description: description,
+    resolve: (source, args, { blockchain }) => read(starEntry(blockchain, source.id), blockchain)
+});
+
+const Star = new GraphQLObjectType({
+    name: 'Star',
+    fields: () => ({
+        id: { type: nonNull(GraphQLID), description: 'Hash of the block registering the star, or of its record for a batched star' },
+        ra: starField(nonNull(GraphQLString), entry => String(entry.star.ra), 'Right ascension as registered'),
+        dec: starField(nonNull(GraphQLString), entry => String(entry.star.dec), 'Declination as registered'),
+        raDegrees: starField(GraphQLFloat, entry => numberOrNull(parseRa(entry.star.ra))),
+        decDegrees: starField(GraphQLFloat, entry => numberOrNull(parseDec(entry.star.dec))),
+        mag: starField(GraphQLFloat, entry => typeof entry.star.mag === 'number' ? entry.star.mag : null),
+        cen: starField(GraphQLString, entry => entry.star.cen || null),
+        story: starField(GraphQLString, entry => typeof entry.star.story === 'string' ? entry.star.story : null, 'Null for a sealed story until it is revealed'),
+        sealed: starField(nonNull(GraphQLBoolean), entry => !!entry.star.sealed, 'Whether the story was submitted sealed'),
+        revealed: starField(GraphQLBoolean, entry => entry.star.sealed ? entry.star.revealed : null, 'Whether the sealed story was revealed, null for a story that was never sealed'),
+        commitment: starField(GraphQLString, entry => entry.star.sealed ? entry.star.sealed.commitment : null, 'Commitment of a sealed story'),
+        owner: starField(nonNull(Owner), entry => ({ address: entry.owner }), 'Current owner'),
+        block: starField(nonNull(Block), (entry, blockchain) => blockchain.chain[entry.height], 'Block registering the star'),
+        history: starField(list(StarEvent), entry => entry.history, 'Registration, then each transfer or reveal')
+    })
+});
+
+const StarEvent = new GraphQLObjectType({
+    name: 'StarEvent',
+    fields: () => ({
+        type: { type: nonNull(GraphQLString), description: '`registration`, `transfer` or `reveal`' },
+        owner: { type: Owner, resolve: (event) => event.owner ? { address: event.owner } : null },
+        from: { type: Owner, resolve: (event) => event.from ? { address: event.from } : null },
+        to: { type: Owner, resolve: (event) => event.to ? { address: event.to } : null },
+        time: { type: nonNull(GraphQLString) },
+        block: { type: nonNull(Block), resolve: (event, args, { blockchain }) => blockchain.chain[event.height] }
+    })
+});
+
+const Owner = new GraphQLObjectType({
+    name: 'Owner',
+    fields: () => ({
+        address: { type: nonNull(GraphQLString) },
+        starCount: { type: nonNull(GraphQLInt), resolve: (owner, args, { blockchain }) => (blockchain.starsByOwner.get(owner.address) || new Set()).size },
+        stars: { type: nonNull(StarConnection), args: pageArgs, description: 'Stars the address owns, in the order they were registered', resolve: (owner, args, { blockchain }) => starPage(blockchain, { owner: owner.address }, args) },
+        blocks: {
+            type: nonNull(BlockConnection),
+            args: Object.assign({ type: { type: BlockType } }, pageArgs),
+            description: 'Blocks naming the address: registrations, transfers from or to it, reveals',
+            resolve: (owner, args, { blockchain }) => blockPage(blockchain, Object.assign({}, args, { owner: owner.address }))
+        }
+    })
+});
+
+const Finding = new GraphQLObjectType({
+    name: 'Finding',
+    fields: () => ({
+        type: { type: nonNull(GraphQLString), description: 'Type of the problem, e.g. `hash_mismatch`' },
+        height: { type: nonNull(GraphQLInt) },
+        hash: { type: GraphQLString },
+        expected: { type: JSONScalar },
+        actual: { type: JSONScalar },
+        block: { type: Block, resolve: (finding, args, { blockchain }) => blockchain.chain[finding.height] || null }
+    })
+});
+
+const Validation = new GraphQLObjectType({
+    name: 'Validation',
+    fields: {
+        valid: { type: nonNull(GraphQLBoolean) },
+        from: { type: nonNull(GraphQLInt) },
+        to: { type: nonNull(GraphQLInt) },
+        checked: { type: nonNull(GraphQLInt), description: 'Number of blocks checked' },
+        findings: { type: list(Finding) }
+    }
+});
+
+const ChainHead = new GraphQLObjectType({
+    name: 'ChainHead',
+    fields: {
+        height: { type: nonNull(GraphQLInt) },
+        block: { type: nonNull(Block), resolve: (head, args, { blockchain }) => blockchain.chain[head.height] }
+    }
+});
+
+const BlockConnection = connection('BlockConnection', () => Block);
+const StarConnection = connection('StarConnection', () => Star);
+
+const Query = new GraphQLObjectType({
+    name: 'Query',
+    fields: {
+        head: { type: nonNull(ChainHead), description: 'Last block of the chain', resolve: async (root, args, { blockchain }) => ({ height: await blockchain.getChainHeight() }) },
+        block: {
+            type: Block,
+            args: { height: { type: GraphQLInt }, hash: { type: GraphQLString } },
+            description: 'The block of a height or of a hash',
+            resolve: (root, args, { blockchain }) => {
+                if((args.height === undefined) === (args.hash === undefined)){
+                    throw new BadRequestError('INVALID_PARAMETER', 'A block is found by its height or its hash.', ['give either height or hash']);
+                }
+                return args.hash !== undefined ? blockchain.getBlockByHash(args.hash) : blockchain.getBlockByHeight(args.height);
+            }
+        },
+        blocks: {
+            type: nonNull(BlockConnection),
+            args: Object.assign({ owner: { type: GraphQLString }, type: { type: BlockType } }, pageArgs),
+            description: 'The blocks in the order of the chain',
+            resolve: (root, args, { blockchain }) => blockPage(blockchain, args)
+        },
+        star: {
+            type: Star,
+            args: { id: { type: nonNull(GraphQLID) } },
+            resolve: (root, args, { blockchain }) => blockchain.starOwners.has(args.id) ? { id: args.id } : null
+        },
+        stars: {
+            type: nonNull(StarConnection),
+            args: Object.assign({
+                ra: { type: GraphQLFloat }, dec: { type: GraphQLFloat }, radius: { type: GraphQLFloat, description: 'Cone search, in degrees' },
+                minMag: { type: GraphQLFloat }, maxMag: { type: GraphQLFloat },
+                cen: { type: GraphQLString }, text: { type: GraphQLString, description: 'Words that must all be in the story' }
+            }, pageArgs),
+            description: 'The registered stars matching every criterion, in the order they were registered (see `GET /stars/search`)',
+            resolve: (root, args, { blockchain }) => starPage(blockchain, starQuery(args), args)
+        },
+        owner: { type: nonNull(Owner), args: { address: { type: nonNull(GraphQLString) } }, resolve: (root, args) => ({ address: args.address }) },
+        validation: {
+            type: nonNull(Validation),
+            args: { from: { type: GraphQLInt }, to: { type: GraphQLInt } },
+            description: 'Validation of the blocks between the heights `from` and `to` (the whole chain by default)',
+            resolve: (root, args, { blockchain }) => blockchain.auditChain(args.from, args.to)
+        }
+    }
+});
+
+const schema = new GraphQLSchema({ query: Query });
+
+/**
+ * A number, or null when it is NaN.
+ * @param {*} value
+ */
+function numberOrNull(value) {
+    return isNaN(value) ? null : value;
+}
+
+/**
+ * The depth and the cost of the operation of a query, `{depth, cost}`, see the header of this
+ * module. The document must be valid (no unknown field and no cycle of fragments).
+ * @param {*} document Parsed query
+ * @param {*} operationName
+ * @param {*} variables
+ */
+function queryLimits(document, operationName, variables) {
+    const operation = getOperationAST(document, operationName);
+    if(!operation){
+        return { depth: 0, cost: 0 };
+    }
+    const fragments = {};
+    document.definitions.filter(definition => definition.kind === Kind.FRAGMENT_DEFINITION).forEach(fragment => {
+        fragments[fragment.name.value] = fragment;
+    });
+    const coerced = getVariableValues(schema, operation.variableDefinitions || [], variables || {});
+    const values = coerced.coerced || {};
+
+    const measure = (selectionSet, parentType) => {
+        let depth = 0;
+        let cost = 0;
+        selectionSet.selections.forEach(selection => {
+            let measured;
+            if(selection.kind === Kind.FIELD){
+                const name = selection.name.value;
+                // The introspection of the schema is free, GraphiQL and the other tools send deep introspection queries
+                if(name.startsWith('__')){
+                    return;
+                }
+                const field = parentType.getFields()[name];
+                const args = getArgumentValues(field, selection, values);
+                const inner = selection.selectionSet ? measure(selection.selectionSet, getNamedType(field.type)) : { depth: 0, cost: 0 };
+                let times = 1;
+                if(field.args.some(arg => arg.name === 'first')){
+                    times = Math.min(Math.max(Number(args.first) || 0, 0), MAX_PAGE);
+                } else if(isListType(getNullableType(field.type)) && !parentType.name.endsWith('Connection')){
+                    // The nodes of a page already count `first` times
+                    times = LIST_SIZE;
+                }
+                measured = { depth: inner.depth + 1, cost: (FIELD_COSTS[`${parentType.name}.${name}`] || 1) + times * inner.cost };
+            } else {
+                const fragment = selection.kind === Kind.FRAGMENT_SPREAD ? fragments[selection.name.value] : selection;
+                const type = fragment.typeCondition ? schema.getType(fragment.typeCondition.name.value) : parentType;
+                measured = measure(fragment.selectionSet, type);
+            }
+            depth = Math.max(depth, measured.depth);
+            cost += measured.cost;
+        });
+        return { depth: depth, cost: cost };
+    };
+    return measure(operation.selectionSet, schema.getQueryType());
+}
+
+/**
+ * A GraphQL error as answered to the client, `extensions.code` is the code of the DomainError
+ * raised by a resolver. The internal errors are logged and answered without their message.
+ * @param {*} error GraphQLError
+ */
+function formatError(error) {
+    const original = error.originalError;
+    if(original instanceof DomainError){
+        return { message: error.message, locations: error.locations, path: error.path, extensions: { code: original.code, details: original.details } };
+    }
+    if(original){
+        logger.error(`GraphQL field ${(error.path || []).join('.')} failed:`, original);
+        return { message: 'An error happened!', locations: error.locations, path: error.path, extensions: { code: 'INTERNAL_ERROR' } };
+    }
+    return { message: error.message, locations: error.locations, path: error.path, extensions: { code: 'INTERNAL_ERROR' } };
+}
+
+/**
+ * The runQuery(blockchain, request, limits) method parses, checks and runs a GraphQL request.
+ * It will return a Promise that will resolve with `{status, body}`: 400 and `{errors}` when the
+ * query can't run (syntax, unknown fields, arguments, depth or cost over the limits), otherwise
+ * 200 and `{data}`, plus `errors` when some fields failed.
+ * @param {*} blockchain
+ * @param {*} request `{query, variables, operationName}`
+ * @param {*} limits `{maxDepth, maxComplexity}`, the defaults are the `graphql` settings of `config.js`
+ */
+async function runQuery(blockchain, request, limits = {}) {
+    const settings = Object.assign({}, DEFAULTS.graphql, limits);
+    const refuse = (code, errors) => ({ status: 400, body: { errors: errors.map(error => Object.assign({}, error, { extensions: Object.assign({ code: code }, error.extensions) })) } });
+    let document;
+    try {
+        document = parse(request.query);
+    } catch (error) {
+        return refuse('GRAPHQL_PARSE_FAILED', [{ message: error.message, locations: error.locations }]);
+    }
+    const invalid = validate(schema, document);
+    if(invalid.length > 0){
+        return refuse('GRAPHQL_VALIDATION_FAILED', invalid.map(error => ({ message: error.message, locations: error.locations })));
+    }
+    const operation = getOperationAST(document, request.operationName);
+    if(!operation){
+        return refuse('GRAPHQL_VALIDATION_FAILED', [{ message: request.operationName ? `Unknown operation named "${request.operationName}".` : 'The document must name the operation to run.' }]);
+    }
+    const variables = getVariableValues(schema, operation.variableDefinitions || [], request.variables || {});
+    if(variables.errors){
+        return refuse('GRAPHQL_VALIDATION_FAILED', variables.errors.map(error => ({ message: error.message, locations: error.locations })));
+    }
+    const { depth, cost } = queryLimits(document, request.operationName, request.variables);
+    if(depth > settings.maxDepth){
+        return refuse('QUERY_TOO_DEEP', [{ message: `The query is ${depth} levels deep, at most ${settings.maxDepth} are allowed.` }]);
+    }
+    if(cost > settings.maxComplexity){
+        return refuse('QUERY_TOO_COMPLEX', [{ message: `The query costs ${cost}, at most ${settings.maxComplexity} is allowed.` }]);
+    }
+    const result = await execute({
+        schema: schema,
+        document: document,
+        variableValues: request.variables,
+        operationName: request.operationName,
+        contextValue: { blockchain: blockchain }
+    });
+    const body = { data: result.data };
+    if(result.errors){
+        body.errors = result.errors.map(formatError);
+    }
+    return { status: 200, body: body };
+}
+
+module.exports.schema = schema;
+module.exports.runQuery = runQuery;
@@ -0,0 +1,78 @@
+/**
+ *                          Error handlers
+ *  The last middlewares of the application: `notFoundHandler` answers the routes
+ *  that don't exist and `errorHandler` is the central Express error handler, it
+ *  answers every error with the same JSON envelope and the status of the error:
+ *      `{ code, message, details, requestId }`
+ *  `requestId` is the id of the request in the logs (see `context.js`).
+ *  The controllers wrap their async handlers with `route` so their errors reach `errorHandler`.
+ */
+
+const logger = require('./logger.js');
+const { DomainError, BadRequestError, NotFoundError } = require('./errors.js');
+
+/**
+ * Convert the errors raised by Express and body-parser, the other errors are internal errors.
+ * @param {*} error
+ */
+function toDomainError(error) {
+    if(error instanceof DomainError){
+        return error;
+    }
+    if(error.type === 'entity.parse.failed'){
+        return new BadRequestError('INVALID_JSON', 'The body is not valid JSON.');
+    }
+    if(error.type === 'entity.too.large'){
+        return new DomainError('PAYLOAD_TOO_LARGE', 'The body is too large.', [], 413);
+    }
+    if(error.status >= 400 && error.status < 500 && error.expose){
+        return new DomainError('BAD_REQUEST', error.message, [], error.status);
+    }
+    return new DomainError('INTERNAL_ERROR', 'An error happened!');
+}
+
+/**
+ * Wrap an async handler of a controller. Express 4 doesn't catch the rejected promises
+ * of the handlers, they are passed to the error handler.
+ * @param {*} handler
+ */
+function route(handler) {
+    return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
+
+/**
+ * Answer 404 for the routes that don't exist.
+ */
+function notFoundHandler(req, res, next) {
+    next(new NotFoundError('ROUTE_NOT_FOUND', `Cannot ${req.method} ${req.baseUrl}${req.path}`));
+}
+
+/**
+ * The central Express error handler, it answers `{ code, message, details, requestId }`
+ * with the status of the error. The internal errors are logged with their stack and
+ * answered without their message.
+ */
+function errorHandler(error, req, res, next) {
+    const domainError = toDomainError(error);
+    if(domainError.status >= 500){
+        logger.error(`${req.method} ${req.originalUrl} failed:`, error);
+    } else {
+        logger.warn(`${req.method} ${req.originalUrl} answered ${domainError.status} ${domainError.code}: ${domainError.message}`);
+    }
+    if(res.headersSent){
+        return res.end();
+    }
+    if(domainError.retryAfter !== undefined){
+        res.set('Retry-After', String(domainError.retryAfter));
+    }
+    res.status(domainError.status).json({
+        code: domainError.code,
+        message: domainError.message,
+        details: domainError.details,
+        requestId: req.id
+    });
+}
+
+module.exports.route = route;
+module.exports.notFoundHandler = notFoundHandler;
+module.exports.errorHandler = errorHandler;
@@ -0,0 +1,222 @@
+/**
+ *                          Access control
+ *  The middlewares installed by `ApplicationServer.initExpressMiddleWare` in front of
+ *  every route of the BlockchainController:
+ *   - optional API-key authentication, the key is sent in the `X-API-Key` header
+ *     (or `Authorization: Bearer <key>`), for the write endpoints or for every endpoint,
+ *     the admin endpoints always need a key
+ *   - token-bucket rate limits by client IP and by wallet address (the `address` of the body)
+ *   - a daily cap on the number of stars each address can submit
+ *  A client over a limit gets a TooManyRequestsError, answered with a 429 and a
+ *  `Retry-After` header. Every setting can be changed with the options of the
+ *  ApplicationServer, see `accessControl(options)`, the defaults are the `access` settings of `config.js`.
+ */
+
+const logger = require('./logger.js');
+const { UnauthorizedError, TooManyRequestsError } = require('./errors.js');
+// The defaults of the settings are the ones of the configuration
+const { DEFAULTS } = require('./config.js');
+
+// The POST endpoints that only read the chain, they need a key only when every endpoint is protected
+const READ_ONLY_POSTS = ['/graphql'];
+// The POST endpoints that replace the chain, add blocks to it or make the node call other URLs, they
+// always need a key, and are closed on a node without API keys
+const ADMIN_POSTS = ['/import', '/peers', '/peers/block'];
+
+/**
+ * Token buckets, one per key: a bucket holds at most `capacity` tokens, refilled at
+ * `perSecond` tokens per second, and each request takes a token.
+ */
+class TokenBucket {
+
+    /**
+     * @param {*} capacity Maximum number of tokens, the size of a burst
+     * @param {*} perSecond Number of tokens added every second
+     */
+    constructor(capacity, perSecond) {
+        this.capacity = capacity;
+        this.perSecond = perSecond;
+        this.buckets = new Map();
+        this.lastPurge = Date.now();
+    }
+
+    /**
+     * The take(key) method takes a token from the bucket of `key`. Returns 0 if a token
+     * was taken, or the number of seconds to wait for the next token.
+     * @param {*} key
+     */
+    take(key) {
+        const now = Date.now();
+        this.purge(now);
+        const bucket = this.buckets.get(key) || { tokens: this.capacity, updated: now };
+        bucket.tokens = Math.min(this.capacity, bucket.tokens + (now - bucket.updated) / 1000 * this.perSecond);
+        bucket.updated = now;
+        this.buckets.set(key, bucket);
+        if(bucket.tokens >= 1){
+            bucket.tokens -= 1;
+            return 0;
+        }
+        return Math.ceil((1 - bucket.tokens) / this.perSecond);
+    }
+
+    /**
+     * Forget the buckets that are full again, at most once a minute.
+     * @param {*} now
+     */
+    purge(now) {
+        if(now - this.lastPurge < 60000){
+            return;
+        }
+        this.lastPurge = now;
+        for(const [key, bucket] of this.buckets){
+            if(bucket.tokens + (now - bucket.updated) / 1000 * this.perSecond >= this.capacity){
+                this.buckets.delete(key);
+            }
+        }
+    }
+
+}
+
+/**
+ * Number of stars submitted by each address during the current UTC day.
+ */
+class DailyQuota {
+
+    /**
+     * @param {*} limit Maximum number of stars per address and per day
+     */
+    constructor(limit) {
+        this.limit = limit;
+        this.day = null;
+        this.counts = new Map();
+    }
+
+    /**
+     * Seconds until the next UTC day, when the counts are reset.
+     */
+    static secondsToNextDay(now = new Date()) {
+        const next = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+        return Math.ceil((next - now.getTime()) / 1000);
+    }
+
+    /**
+     * The reserve(address) method counts a star for the address. Returns false if the
+     * address already reached its daily cap.
+     * @param {*} address
+     */
+    reserve(address) {
+        const day = new Date().toISOString().slice(0, 10);
+        if(day !== this.day){
+            this.day = day;
+            this.counts.clear();
+        }
+        const count = this.counts.get(address) || 0;
+        if(count >= this.limit){
+            return false;
+        }
+        this.counts.set(address, count + 1);
+        return true;
+    }
+
+    /**
+     * Give back a reservation, when the star was refused.
+     * @param {*} address
+     */
+    release(address) {
+        const count = this.counts.get(address);
+        if(count){
+            this.counts.set(address, count - 1);
+        }
+    }
+
+}
+
+/**
+ * The accessControl(options) method returns the list of the access control middlewares.
+ * `options`, all optional:
+ *  - `apiKeys` accepted API keys, the authentication is disabled when the list is empty (default)
+ *  - `protect` `writes` to require a key for the POST endpoints only (default), `all` for every endpoint.
+ *    The GraphQL queries only read the chain, a POST to `/graphql` is a read. The admin endpoints (`POST /import`,
+ *    `POST /peers` and `POST /peers/block`) always need a key, without `apiKeys` they are refused
+ *  - `ipBurst` / `ipPerSecond` token bucket of each client IP (default 60 requests, 1 per second)
+ *  - `addressBurst` / `addressPerSecond` token bucket of each wallet address (default 10 requests, 1 every 5 seconds)
+ *  - `dailyStarCap` number of stars an address can submit per UTC day (default 100)
+ *  A limit set to 0 is disabled.
+ * @param {*} options
+ */
+function accessControl(options = {}) {
+    const settings = Object.assign({}, DEFAULTS.access, options);
+    const apiKeys = new Set(settings.apiKeys);
+    const middlewares = [];
+
+    middlewares.push((req, res, next) => {
+        const admin = req.method === 'POST' && ADMIN_POSTS.includes(req.path);
+        if(!admin && (apiKeys.size === 0 || settings.protect !== 'all' && (req.method === 'GET' || READ_ONLY_POSTS.includes(req.path)))){
+            return next();
+        }
+        if(apiKeys.size === 0){
+            return next(new UnauthorizedError('API_KEY_MISSING', 'This endpoint needs an API key and the node has none, set API_KEYS to use it.'));
+        }
+        const authorization = req.get('Authorization') || '';
+        const key = req.get('X-API-Key') || (authorization.startsWith('Bearer ') ? authorization.slice(7) : null);
+        if(!key){
+            return next(new UnauthorizedError('API_KEY_MISSING', 'An API key is required.'));
+        }
+        if(!apiKeys.has(key)){
+            logger.warn(`Invalid API key from ${req.ip}`);
+            return next(new UnauthorizedError('API_KEY_INVALID', 'The API key is not valid.'));
+        }
+        next();
+    });
+
+    if(settings.ipBurst > 0 && settings.ipPerSecond > 0){
+        const buckets = new TokenBucket(settings.ipBurst, settings.ipPerSecond);
+        middlewares.push((req, res, next) => {
+            const retryAfter = buckets.take(req.ip);
+            if(retryAfter > 0){
+                return next(new TooManyRequestsError('RATE_LIMITED', 'Too many requests from this IP address.', retryAfter));
+            }
+            next();
+        });
+    }
+
+    if(settings.addressBurst > 0 && settings.addressPerSecond > 0){
+        const buckets = new TokenBucket(settings.addressBurst, settings.addressPerSecond);
+        middlewares.push((req, res, next) => {
+            const address = req.body && typeof req.body.address === 'string' ? req.body.address : null;
+            if(address){
+                const retryAfter = buckets.take(address);
+                if(retryAfter > 0){
+                    return next(new TooManyRequestsError('RATE_LIMITED', 'Too many requests for this wallet address.', retryAfter));
+                }
+            }
+            next();
+        });
+    }
+
+    if(settings.dailyStarCap > 0){
+        const quota = new DailyQuota(settings.dailyStarCap);
+        middlewares.push((req, res, next) => {
+            const address = req.body && typeof req.body.address === 'string' ? req.body.address : null;
+            if(req.method !== 'POST' || req.path !== '/submitstar' || !address){
+                return next();
+            }
+            if(!quota.reserve(address)){
+                return next(new TooManyRequestsError('DAILY_STAR_CAP_REACHED', `This address already submitted ${settings.dailyStarCap} stars today.`, DailyQuota.secondsToNextDay()));
+            }
+            // Only the stars added to the chain count
+            res.on('finish', () => {
+                if(res.statusCode >= 400){
+                    quota.release(address);
+                }
+            });
+            next();
+        });
+    }
+
+    return middlewares;
+}
+
+module.exports.TokenBucket = TokenBucket;
+module.exports.DailyQuota = DailyQuota;
+module.exports.accessControl = accessControl;
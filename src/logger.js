@@ -1,33 +1,103 @@
 // src/logger.js
+const fs = require('fs');
+const path = require('path');
 const winston = require('winston');
+const { currentRequestId } = require('./context.js');
 
-const logger = winston.createLogger({
-    level: 'info',  // Log only if info.level is less than or equal to this level
-    format: winston.format.json(),  // Use JSON format
-    defaultMeta: { service: 'blockchain-app-service' },  // Default metadata
-    transports: [
-        // Write all logs error (and below) to `error.log`.
-        new winston.transports.File({ filename: 'error.log', level: 'error' }),
-        // Write to all logs with level `info` and below to `combined.log`
-        new winston.transports.File({ filename: 'combined.log' }),
-    ],
-});
-
-// If we're not in production then also log to the `console`
-if (process.env.NODE_ENV !== 'production') {
-    logger.add(new winston.transports.Console({
-        format: winston.format.simple(),  // Use simple format
-    }));
+// Level and files of the logs, `dir` is the directory of the files (the current directory when null).
+// The files are only opened by `logger.applyConfig` (the ApplicationServer calls it with its `log`
+// setting, see `config.js`), until then the entries only go to the console.
+const DEFAULT_SETTINGS = {
+    level: 'info',
+    dir: null,
+    error: 'error.log',
+    combined: 'combined.log',
+    exceptions: 'exceptions.log'
+};
 
-// Hendle Uncaught Exceptions and Rejections
-logger.exceptions.handle(
-    new winston.transports.File({ filename: 'exceptions.log' })
-);
+// The streams of the files of the logs, closed when the logger is configured again or flushed
+let files = [];
 
-process.on('unhandledRejection', (ex) => {
-    throw ex;
+// Add the id of the request being handled to the entries, see `context.js`
+const requestId = winston.format((info) => {
+    const id = currentRequestId();
+    if(id){
+        info.requestId = id;
+    }
+    return info;
 });
 
+/**
+ * Open a file of the logs in append mode, its directory is created if needed.
+ * @param {*} settings
+ * @param {*} name `error`, `combined` or `exceptions`
+ */
+function openFile(settings, name) {
+    const file = settings.dir ? path.join(settings.dir, settings[name]) : settings[name];
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    const stream = fs.createWriteStream(file, { flags: 'a' });
+    files.push(stream);
+    return new winston.transports.Stream({ stream: stream, level: name === 'error' ? 'error' : undefined });
 }
 
+/**
+ * Options of the winston logger for the settings, without files when `settings` is null
+ * @param {*} settings
+ */
+function loggerOptions(settings) {
+    const production = process.env.NODE_ENV === 'production';
+    const options = {
+        level: (settings || DEFAULT_SETTINGS).level,  // Log only if info.level is less than or equal to this level
+        format: winston.format.combine(requestId(), winston.format.json()),  // Use JSON format
+        defaultMeta: { service: 'blockchain-app-service' },  // Default metadata
+        // If we're not in production then also log to the `console`, a silent console keeps winston
+        // from warning that there is no transport in production before the files are opened
+        transports: [new winston.transports.Console({ format: winston.format.simple(), silent: production })]
+    };
+    if(settings){
+        // Write all logs error (and below) to `error.log`, and with level `info` and below to `combined.log`
+        options.transports.push(openFile(settings, 'error'), openFile(settings, 'combined'));
+        if(!production){
+            // Hendle Uncaught Exceptions
+            options.exceptionHandlers = [openFile(settings, 'exceptions')];
+        }
+    }
+    return options;
+}
+
+/**
+ * Close the streams of the files of the logs, resolves once they are written.
+ * @param {*} streams
+ */
+function closeFiles(streams) {
+    return Promise.all(streams.map(stream => new Promise(resolve => stream.end(resolve))));
+}
+
+// The unhandled rejections are logged by the entry point (`app.js`), the logger doesn't
+// install process handlers of its own so the server can be embedded in tests or other programs
+const logger = winston.createLogger(loggerOptions(null));
+
+/**
+ * Replace the level and the files of the logs, the settings that aren't given keep their default.
+ * @param {*} settings `{ level, dir, error, combined, exceptions }`
+ */
+logger.applyConfig = function(settings) {
+    const previous = files;
+    files = [];
+    logger.configure(loggerOptions(Object.assign({}, DEFAULT_SETTINGS, settings)));
+    closeFiles(previous);
+};
+
+/**
+ * Flush the entries to the files and close the logger, resolves once the files are written.
+ * Called last when the process exits, nothing can be logged afterwards.
+ */
+logger.flush = function() {
+    return new Promise((resolve) => {
+        // The transports finish once they handed their last entries to the streams of the files
+        logger.once('finish', () => closeFiles(files).then(() => resolve()));
+        logger.end();
+    });
+};
+
 module.exports = logger;
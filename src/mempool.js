@@ -0,0 +1,48 @@
+/**
+ *                          Mempool class
+ *  The records waiting to be written in a block. `submitStar` queues its record
+ *  here and the Blockchain class takes the pending records in batches of at most
+ *  `maxRecords`, so the stars submitted while a block is being mined end up
+ *  together in the next block.
+ */
+
+class Mempool {
+
+    /**
+     * @param {*} maxRecords Maximum number of records in one block
+     */
+    constructor(maxRecords = 10) {
+        this.maxRecords = maxRecords;
+        this.pending = [];
+    }
+
+    /**
+     * Number of records waiting for a block
+     */
+    get size() {
+        return this.pending.length;
+    }
+
+    /**
+     * The add(record) method queues a record. It returns a Promise that will resolve
+     * with the block containing the record once it is committed, or reject if the
+     * record is refused.
+     * @param {*} record
+     */
+    add(record) {
+        return new Promise((resolve, reject) => {
+            this.pending.push({ record: record, resolve: resolve, reject: reject });
+        });
+    }
+
+    /**
+     * Remove and return the next batch of pending entries, oldest first.
+     * Each entry is `{record, resolve, reject}`.
+     */
+    take() {
+        return this.pending.splice(0, this.maxRecords);
+    }
+
+}
+
+module.exports.Mempool = Mempool;
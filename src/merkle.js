@@ -0,0 +1,112 @@
+/**
+ *                          Merkle trees
+ *  A block can batch several records, its header then carries the Merkle root
+ *  of the records (`merkleRoot`). The leaves are the SHA256 of each record,
+ *  each level hashes the concatenation of two nodes (the last node of a level
+ *  with an odd number of nodes is paired with itself, like in Bitcoin).
+ *  An inclusion proof is the list of the sibling hashes from the leaf up to the
+ *  root, it proves a record is in a block knowing only the header of the block.
+ */
+
+const SHA256 = require('crypto-js/sha256');
+
+/**
+ * Hash of a record, the leaf of the tree.
+ * @param {*} record
+ */
+function hashRecord(record) {
+    return SHA256(JSON.stringify(record)).toString();
+}
+
+/**
+ * Hash of two nodes of the tree.
+ * @param {*} left
+ * @param {*} right
+ */
+function hashPair(left, right) {
+    return SHA256(left + right).toString();
+}
+
+/**
+ * Build the next level of the tree.
+ * @param {*} level
+ */
+function nextLevel(level) {
+    const next = [];
+    for(let i = 0; i < level.length; i += 2){
+        next.push(hashPair(level[i], i + 1 < level.length ? level[i + 1] : level[i]));
+    }
+    return next;
+}
+
+/**
+ * Merkle root of a list of records, null for an empty list.
+ * @param {*} records
+ */
+function merkleRoot(records) {
+    let level = records.map(hashRecord);
+    if(level.length === 0){
+        return null;
+    }
+    while(level.length > 1){
+        level = nextLevel(level);
+    }
+    return level[0];
+}
+
+/**
+ * Inclusion proof of the record at `index`: the list of `{position, hash}` siblings
+ * from the leaf to the root, `position` tells if the sibling is on the `left` or the `right`.
+ * @param {*} records
+ * @param {*} index
+ */
+function merkleProof(records, index) {
+    let level = records.map(hashRecord);
+    const proof = [];
+    while(level.length > 1){
+        const sibling = index % 2 === 0 ? Math.min(index + 1, level.length - 1) : index - 1;
+        proof.push({ position: index % 2 === 0 ? 'right' : 'left', hash: level[sibling] });
+        level = nextLevel(level);
+        index = Math.floor(index / 2);
+    }
+    return proof;
+}
+
+/**
+ * Recalculate the root from a leaf hash and its proof.
+ * @param {*} leaf
+ * @param {*} proof
+ */
+function rootFromProof(leaf, proof) {
+    return proof.reduce((hash, step) => {
+        return step.position === 'left' ? hashPair(step.hash, hash) : hashPair(hash, step.hash);
+    }, leaf);
+}
+
+/**
+ * The verifyInclusion(record, proof, header) method checks a record is part of a block
+ * knowing only the header of the block (the block without its `body`):
+ * 1. The hash of the header must be valid, the body isn't part of the hash of a Merkle block
+ * 2. The root calculated from the record and the proof must be the `merkleRoot` of the header
+ * Returns true or false.
+ * @param {*} record
+ * @param {*} proof
+ * @param {*} header
+ */
+function verifyInclusion(record, proof, header) {
+    // Required here to avoid a circular dependency, block.js uses this module to hash the headers
+    const { Block } = require('./block.js');
+    if(!header || typeof header.merkleRoot !== 'string' || !Array.isArray(proof)){
+        return false;
+    }
+    if(Block.calculateHash(header) !== header.hash){
+        return false;
+    }
+    return rootFromProof(hashRecord(record), proof) === header.merkleRoot;
+}
+
+module.exports.hashRecord = hashRecord;
+module.exports.merkleRoot = merkleRoot;
+module.exports.merkleProof = merkleProof;
+module.exports.rootFromProof = rootFromProof;
+module.exports.verifyInclusion = verifyInclusion;
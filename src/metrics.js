@@ -0,0 +1,211 @@
+/**
+ *                          Metrics class
+ *  The Metrics class exposes the activity of the node in the Prometheus text format,
+ *  served at `GET /metrics`. Every metric is labelled with the `chain` it belongs to:
+ *   - the chain itself: its height, the time of its last block, the stars waiting in the
+ *     mempool, the stars and the owners, and the stars of the owners holding the most
+ *   - the work of the Blockchain: how long adding a block and `validateChain` take, and the
+ *     signatures refused by reason (`timing` and `signatureFailure` events of the Blockchain)
+ *   - the requests of each route of the BlockchainController: their number by status and their latency
+ *  Each ApplicationServer has its own registry, so several nodes can run in the same process.
+ */
+
+const client = require('prom-client');
+const { pathPattern } = require('./validation.js');
+
+const PREFIX = 'starnotary_';
+
+// Number of owners reported by `starnotary_stars_per_owner`, one series per owner would have no bound
+const TOP_OWNERS = 50;
+
+// Buckets of the durations in seconds, adding a block includes its proof-of-work
+const BLOCK_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+const VALIDATION_BUCKETS = [0.001, 0.005, 0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+const HTTP_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Label of the requests that don't match a route
+const UNKNOWN_ROUTE = 'unknown';
+
+class Metrics {
+
+    /**
+     * @param {*} document OpenAPI document of the routes of a chain (see `openapi.js`), the requests
+     * are labelled with the route they match: `/block/height/:height` rather than `/block/height/3`
+     */
+    constructor(document) {
+        let self = this;
+        this.registry = new client.Registry();
+        // Name of a chain to its Blockchain, read when the metrics are collected
+        this.chains = new Map();
+        this.routes = Object.entries(document.paths)
+            .filter(([, item]) => !item.servers)
+            .map(([path]) => ({ pattern: pathPattern(path), route: path.replace(/\{(\w+)\}/g, ':$1') }));
+        client.collectDefaultMetrics({ register: this.registry, prefix: PREFIX });
+
+        const registers = [this.registry];
+        new client.Gauge({
+            name: PREFIX + 'chain_height',
+            help: 'Height of the last block of the chain',
+            labelNames: ['chain'],
+            registers: registers,
+            collect() {
+                self.chains.forEach((blockchain, chain) => this.set({ chain: chain }, blockchain.height));
+            }
+        });
+        new client.Gauge({
+            name: PREFIX + 'last_block_timestamp_seconds',
+            help: 'Time of the last block of the chain, in seconds since the epoch',
+            labelNames: ['chain'],
+            registers: registers,
+            collect() {
+                self.chains.forEach((blockchain, chain) => {
+                    const tip = blockchain.chain[blockchain.height];
+                    if(tip){
+                        this.set({ chain: chain }, Number(tip.time));
+                    }
+                });
+            }
+        });
+        new client.Gauge({
+            name: PREFIX + 'mempool_stars',
+            help: 'Stars waiting to be batched in a block',
+            labelNames: ['chain'],
+            registers: registers,
+            collect() {
+                self.chains.forEach((blockchain, chain) => this.set({ chain: chain }, blockchain.mempool.size));
+            }
+        });
+        new client.Gauge({
+            name: PREFIX + 'stars',
+            help: 'Stars registered in the chain',
+            labelNames: ['chain'],
+            registers: registers,
+            collect() {
+                self.chains.forEach((blockchain, chain) => this.set({ chain: chain }, blockchain.starOwners.size));
+            }
+        });
+        new client.Gauge({
+            name: PREFIX + 'owners',
+            help: 'Addresses owning at least one star',
+            labelNames: ['chain'],
+            registers: registers,
+            collect() {
+                self.chains.forEach((blockchain, chain) => this.set({ chain: chain }, self._owners(blockchain).length));
+            }
+        });
+        new client.Gauge({
+            name: PREFIX + 'stars_per_owner',
+            help: `Stars owned by each of the ${TOP_OWNERS} addresses owning the most stars`,
+            labelNames: ['chain', 'owner'],
+            registers: registers,
+            collect() {
+                // The owners that left the top must not keep their last value
+                this.reset();
+                self.chains.forEach((blockchain, chain) => {
+                    self._owners(blockchain)
+                        .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+                        .slice(0, TOP_OWNERS)
+                        .forEach(([owner, stars]) => this.set({ chain: chain, owner: owner }, stars));
+                });
+            }
+        });
+        this.blockDuration = new client.Histogram({
+            name: PREFIX + 'block_add_duration_seconds',
+            help: 'Time taken to add a block to the chain: checks, proof-of-work, validation and storage',
+            labelNames: ['chain'],
+            buckets: BLOCK_BUCKETS,
+            registers: registers
+        });
+        this.validationDuration = new client.Histogram({
+            name: PREFIX + 'validate_chain_duration_seconds',
+            help: 'Time taken by validateChain',
+            labelNames: ['chain'],
+            buckets: VALIDATION_BUCKETS,
+            registers: registers
+        });
+        this.signatureFailures = new client.Counter({
+            name: PREFIX + 'signature_failures_total',
+            help: 'Signatures refused, by operation and reason (the code of the error)',
+            labelNames: ['chain', 'operation', 'reason'],
+            registers: registers
+        });
+        this.httpRequests = new client.Counter({
+            name: PREFIX + 'http_requests_total',
+            help: 'Requests answered, by route and status',
+            labelNames: ['chain', 'method', 'route', 'status'],
+            registers: registers
+        });
+        this.httpDuration = new client.Histogram({
+            name: PREFIX + 'http_request_duration_seconds',
+            help: 'Time taken to answer the requests, by route and status',
+            labelNames: ['chain', 'method', 'route', 'status'],
+            buckets: HTTP_BUCKETS,
+            registers: registers
+        });
+    }
+
+    /**
+     * Collect the metrics of a chain.
+     * @param {*} chain Name of the chain
+     * @param {*} blockchain
+     */
+    watchChain(chain, blockchain) {
+        this.chains.set(chain, blockchain);
+        blockchain.on('timing', (timing) => {
+            if(timing.operation === 'addBlock'){
+                this.blockDuration.observe({ chain: chain }, timing.duration);
+            } else if(timing.operation === 'validateChain'){
+                this.validationDuration.observe({ chain: chain }, timing.duration);
+            }
+        });
+        blockchain.on('signatureFailure', (failure) => {
+            this.signatureFailures.inc({ chain: chain, operation: failure.operation, reason: failure.reason });
+        });
+    }
+
+    /**
+     * The middleware counting the requests of a chain and their latency, it comes first in the
+     * router of the chain so the requests refused by the other middlewares are counted too.
+     * @param {*} chain Name of the chain
+     */
+    requestMetrics(chain) {
+        return (req, res, next) => {
+            // The path is relative to the router of the chain only while the request goes through it
+            const route = this._route(req.path);
+            const end = this.httpDuration.startTimer();
+            res.on('finish', () => {
+                const labels = { chain: chain, method: req.method, route: route, status: res.statusCode };
+                this.httpRequests.inc(labels);
+                end(labels);
+            });
+            next();
+        };
+    }
+
+    /**
+     * The metrics in the Prometheus text format, resolves with `{contentType, body}`.
+     */
+    async render() {
+        return { contentType: this.registry.contentType, body: await this.registry.metrics() };
+    }
+
+    /**
+     * The route of the BlockchainController matching a path, `unknown` when none does.
+     * @param {*} path
+     */
+    _route(path) {
+        const match = this.routes.find(candidate => candidate.pattern.test(path));
+        return match ? match.route : UNKNOWN_ROUTE;
+    }
+
+    /**
+     * The owners of the chain with their number of stars, `[[owner, stars], ...]`.
+     * @param {*} blockchain
+     */
+    _owners(blockchain) {
+        return Array.from(blockchain.starsByOwner.entries()).map(([owner, stars]) => [owner, stars.size]);
+    }
+
+}
+
+module.exports.Metrics = Metrics;
@@ -0,0 +1,54 @@
+/**
+ *                          Miner
+ *  The proof-of-work search is CPU bound, running it on the main thread would
+ *  freeze the Express event loop until the block is found. The search is
+ *  therefore done in a worker thread: the same file is loaded as the worker,
+ *  it receives the block header, looks for a nonce that gives a hash meeting
+ *  the difficulty and posts back `{nonce, hash}`.
+ */
+
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const BlockClass = require('./block.js');
+
+/**
+ * Increment the nonce until the hash of the block meets the difficulty.
+ * @param {*} header Plain copy of the block with the difficulty already set
+ */
+function search(header) {
+    let nonce = 0;
+    let hash = BlockClass.Block.calculateHash({...header, nonce: nonce});
+    while(!BlockClass.Block.meetsDifficulty(hash, header.difficulty)){
+        nonce++;
+        hash = BlockClass.Block.calculateHash({...header, nonce: nonce});
+    }
+    return { nonce: nonce, hash: hash };
+}
+
+/**
+ * The mine(block) method resolves with the `{nonce, hash}` pair that seals the block.
+ * The block itself isn't modified. A difficulty of 0 doesn't need any search so the
+ * hash is calculated right away without starting a worker.
+ * @param {*} block
+ */
+function mine(block) {
+    const header = {...block};
+    if(header.difficulty === 0){
+        return Promise.resolve(search(header));
+    }
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(__filename, { workerData: header });
+        worker.once('message', resolve);
+        worker.once('error', reject);
+        worker.once('exit', (code) => {
+            if(code !== 0){
+                reject(new Error(`Miner stopped with exit code ${code}`));
+            }
+        });
+    });
+}
+
+if(!isMainThread){
+    parentPort.postMessage(search(workerData));
+}
+
+module.exports.mine = mine;
@@ -0,0 +1,500 @@
+/**
+ *                          OpenAPI document
+ *  The OpenAPI 3 description of the endpoints of the BlockchainController and of the
+ *  GraphQLController, served at `GET /openapi.json`. The schemas of the parameters
+ *  and of the JSON bodies are enforced by the `validateRequests` middleware (see
+ *  `validation.js`), so this document and the checks of the API can't drift apart.
+ *  The schemas only check the shape of a request, the rules of the chain (a valid
+ *  star, a signature, an owner) are checked by the Blockchain class and reported
+ *  with their own codes.
+ */
+
+// Auxiliary methods that keep the document short
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const json = (schema, description) => ({ description: description, content: { 'application/json': { schema: schema } } });
+const error = (description) => json(ref('Error'), description);
+const pathParameter = (name, schema, description) => ({ name: name, in: 'path', required: true, schema: schema, description: description });
+const queryParameter = (name, schema, description) => ({ name: name, in: 'query', required: false, schema: schema, description: description });
+const body = (schema) => ({ required: true, content: { 'application/json': { schema: schema } } });
+
+const HEIGHT = { type: 'integer', minimum: 0 };
+const TEXT = { type: 'string', minLength: 1 };
+const GRAPHQL_REFUSED = 'The query was not run: GRAPHQL_PARSE_FAILED, GRAPHQL_VALIDATION_FAILED, QUERY_TOO_DEEP or QUERY_TOO_COMPLEX';
+
+const schemas = {
+    Error: {
+        type: 'object',
+        required: ['code', 'message', 'details', 'requestId'],
+        properties: {
+            code: { type: 'string', example: 'STAR_INVALID' },
+            message: { type: 'string' },
+            details: { type: 'array', items: {} },
+            requestId: { type: 'string' }
+        }
+    },
+    Block: {
+        type: 'object',
+        required: ['hash', 'height', 'body', 'time', 'previousBlockHash', 'nonce', 'difficulty'],
+        properties: {
+            hash: { type: 'string' },
+            height: HEIGHT,
+            body: { type: 'string', description: 'JSON data of the block encoded in hex' },
+            time: { type: 'string', description: 'UNIX time in seconds' },
+            previousBlockHash: { type: ['string', 'null'] },
+            nonce: { type: 'integer' },
+            difficulty: { type: 'integer' },
+            merkleRoot: { type: 'string', description: 'Merkle root of the records of a batched block' },
+            version: { type: 'integer', description: 'Version of the serialization of the block, 1 when absent' }
+        }
+    },
+    Star: {
+        type: 'object',
+        description: 'The coordinates and the story are checked by the chain, an invalid star is answered 422 STAR_INVALID',
+        properties: {
+            ra: { oneOf: [{ type: 'string' }, { type: 'number' }], example: '16h 29m 1.0s' },
+            dec: { oneOf: [{ type: 'string' }, { type: 'number' }], example: "68° 52' 56.9" },
+            mag: { type: 'number' },
+            cen: { type: 'string' },
+            story: { type: 'string', description: 'Absent from a sealed star until its owner reveals it' },
+            sealed: ref('SealedStory'),
+            revealed: { type: 'boolean', description: 'Only in the answers, whether the sealed story of the star was revealed' }
+        }
+    },
+    SealedStory: {
+        type: 'object',
+        description: 'A story encrypted to the public key of the owner, in place of `story` (see `src/seal.js`)',
+        required: ['commitment', 'ciphertext'],
+        properties: {
+            commitment: { type: 'string', description: 'Hex SHA-256 of the salt and the story' },
+            ciphertext: { type: 'string', description: 'Base64 ECIES encryption of the salt and the story' }
+        }
+    },
+    GraphQLResponse: {
+        type: 'object',
+        properties: {
+            data: { type: ['object', 'null'] },
+            errors: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['message', 'extensions'],
+                    properties: {
+                        message: { type: 'string' },
+                        path: { type: 'array', items: {} },
+                        extensions: { type: 'object', properties: { code: { type: 'string', example: 'QUERY_TOO_COMPLEX' }, details: { type: 'array', items: {} } } }
+                    }
+                }
+            }
+        }
+    },
+    StarMatch: {
+        type: 'object',
+        required: ['id', 'star', 'owner', 'hash', 'height'],
+        properties: {
+            id: { type: 'string', description: 'Hash of the block registering the star, or of its record for a batched star' },
+            star: ref('Star'),
+            owner: { type: 'string', description: 'Current owner' },
+            hash: { type: 'string', description: 'Hash of the block registering the star' },
+            height: HEIGHT,
+            distance: { type: 'number', description: 'Degrees from the center of a cone search' }
+        }
+    },
+    Finding: {
+        type: 'object',
+        properties: {
+            height: HEIGHT,
+            hash: { type: 'string' },
+            type: { type: 'string', enum: ['hash_mismatch', 'insufficient_work', 'difficulty_mismatch', 'broken_link', 'bad_height', 'non_monotonic_timestamp', 'future_timestamp', 'merkle_mismatch', 'bad_version', 'non_canonical_body', 'invalid_record'] },
+            expected: {},
+            actual: {}
+        }
+    },
+    HistoryEntry: {
+        type: 'object',
+        properties: {
+            type: { type: 'string', enum: ['registration', 'transfer', 'reveal'] },
+            owner: { type: 'string' },
+            from: { type: 'string' },
+            to: { type: 'string' },
+            hash: { type: 'string' },
+            height: HEIGHT,
+            time: { type: 'string' }
+        }
+    },
+    Manifest: {
+        type: 'object',
+        properties: {
+            format: { type: 'string', enum: ['ndjson', 'binary'] },
+            height: HEIGHT,
+            tipHash: { type: 'string' },
+            blocks: { type: 'integer' },
+            sha256: { type: 'string' },
+            createdAt: { type: 'string' },
+            signer: { type: ['string', 'null'] },
+            signature: { type: ['string', 'null'] }
+        }
+    }
+};
+
+const paths = {
+    '/block/height/{height}': {
+        get: {
+            summary: 'Get a block by its height',
+            parameters: [pathParameter('height', HEIGHT)],
+            responses: { 200: json(ref('Block'), 'The block'), 400: error('The height is not an integer'), 404: error('BLOCK_NOT_FOUND') }
+        }
+    },
+    '/requestValidation': {
+        post: {
+            summary: 'Request the message to sign to prove the ownership of an address',
+            requestBody: body({ type: 'object', required: ['address'], properties: { address: TEXT } }),
+            responses: { 200: json({ type: 'string', example: '<address>:<time>:starRegistry:<nonce>' }, 'The message to sign'), 400: error('MISSING_PARAMETER') }
+        }
+    },
+    '/submitstar': {
+        post: {
+            summary: 'Register a star, signed with the message of /requestValidation',
+            requestBody: body({
+                type: 'object',
+                required: ['address', 'message', 'signature', 'star'],
+                properties: { address: TEXT, message: TEXT, signature: TEXT, star: ref('Star') }
+            }),
+            responses: {
+                200: json(ref('Block'), 'The block registering the star'),
+                400: error('MISSING_PARAMETER, INVALID_PARAMETER or SIGNATURE_MALFORMED'),
+                401: error('CHALLENGE_* or SIGNATURE_*'),
+                409: error('STAR_ALREADY_REGISTERED'),
+                422: error('STAR_INVALID, ADDRESS_INVALID or ADDRESS_UNSUPPORTED'),
+                429: error('RATE_LIMITED or DAILY_STAR_CAP_REACHED')
+            }
+        }
+    },
+    '/block/hash/{hash}': {
+        get: {
+            summary: 'Get a block by its hash',
+            parameters: [pathParameter('hash', TEXT)],
+            responses: { 200: json(ref('Block'), 'The block'), 404: error('BLOCK_NOT_FOUND') }
+        }
+    },
+    '/blocks/{address}': {
+        get: {
+            summary: 'List the stars an address currently owns',
+            parameters: [pathParameter('address', TEXT)],
+            responses: { 200: json({ type: 'array', items: ref('Star') }, 'The stars'), 404: error('STARS_NOT_FOUND') }
+        }
+    },
+    '/validateChain': {
+        get: {
+            summary: 'Validate the chain, or audit a range of heights with mode=audit',
+            parameters: [
+                queryParameter('mode', { type: 'string', enum: ['audit'] }),
+                queryParameter('from', HEIGHT),
+                queryParameter('to', HEIGHT)
+            ],
+            responses: {
+                200: json({
+                    oneOf: [
+                        { type: 'object', properties: { errors: { type: 'array', items: { type: 'object' } } } },
+                        { type: 'object', properties: { valid: { type: 'boolean' }, from: HEIGHT, to: { type: 'integer' }, checked: { type: 'integer' }, findings: { type: 'array', items: ref('Finding') } } }
+                    ]
+                }, 'The errors of the chain, empty when it is valid, or the audit report'),
+                400: error('INVALID_PARAMETER')
+            }
+        }
+    },
+    '/requestTransfer': {
+        post: {
+            summary: 'Request the message the owner of a star signs to transfer it',
+            requestBody: body({ type: 'object', required: ['address', 'starHash', 'to'], properties: { address: TEXT, starHash: TEXT, to: TEXT } }),
+            responses: {
+                200: json({ type: 'string', example: '<from>:<star>:<to>:<head>:starTransfer' }, 'The message to sign'),
+                400: error('MISSING_PARAMETER'),
+                403: error('NOT_STAR_OWNER'),
+                404: error('STAR_NOT_FOUND'),
+                422: error('INVALID_RECIPIENT')
+            }
+        }
+    },
+    '/transferstar': {
+        post: {
+            summary: 'Transfer a star, signed with the message of /requestTransfer',
+            requestBody: body({
+                type: 'object',
+                required: ['address', 'to', 'starHash', 'message', 'signature'],
+                properties: { address: TEXT, to: TEXT, starHash: TEXT, message: TEXT, signature: TEXT }
+            }),
+            responses: {
+                200: json(ref('Block'), 'The block of the transfer'),
+                400: error('MISSING_PARAMETER'),
+                401: error('TRANSFER_SIGNATURE_INVALID'),
+                403: error('NOT_STAR_OWNER'),
+                404: error('STAR_NOT_FOUND'),
+                422: error('INVALID_RECIPIENT or TRANSFER_MESSAGE_MISMATCH')
+            }
+        }
+    },
+    '/requestReveal': {
+        post: {
+            summary: 'Request the message the owner of a star signs to reveal its sealed story',
+            requestBody: body({ type: 'object', required: ['address', 'starHash'], properties: { address: TEXT, starHash: TEXT } }),
+            responses: {
+                200: json({ type: 'string', example: '<owner>:<star>:<commitment>:starReveal' }, 'The message to sign'),
+                400: error('MISSING_PARAMETER'),
+                403: error('NOT_STAR_OWNER'),
+                404: error('STAR_NOT_FOUND'),
+                409: error('STAR_NOT_SEALED or STAR_ALREADY_REVEALED')
+            }
+        }
+    },
+    '/revealstar': {
+        post: {
+            summary: 'Reveal the sealed story of a star, signed with the message of /requestReveal',
+            requestBody: body({
+                type: 'object',
+                required: ['address', 'starHash', 'story', 'salt', 'message', 'signature'],
+                properties: { address: TEXT, starHash: TEXT, story: TEXT, salt: TEXT, message: TEXT, signature: TEXT }
+            }),
+            responses: {
+                200: json(ref('Block'), 'The block of the reveal'),
+                400: error('MISSING_PARAMETER'),
+                401: error('REVEAL_SIGNATURE_INVALID'),
+                403: error('NOT_STAR_OWNER'),
+                404: error('STAR_NOT_FOUND'),
+                409: error('STAR_NOT_SEALED or STAR_ALREADY_REVEALED'),
+                422: error('REVEAL_INVALID, REVEAL_COMMITMENT_MISMATCH or REVEAL_MESSAGE_MISMATCH')
+            }
+        }
+    },
+    '/star/{hash}/history': {
+        get: {
+            summary: 'Get the owner and the provenance of a star',
+            parameters: [pathParameter('hash', TEXT, 'Id of the star')],
+            responses: {
+                200: json({ type: 'object', properties: { id: { type: 'string' }, star: ref('Star'), owner: { type: 'string' }, history: { type: 'array', items: ref('HistoryEntry') } } }, 'The history of the star'),
+                404: error('STAR_NOT_FOUND')
+            }
+        }
+    },
+    '/star/{hash}/proof': {
+        get: {
+            summary: 'Get the Merkle inclusion proof of a star batched in a block',
+            parameters: [pathParameter('hash', TEXT, 'Id of the star')],
+            responses: {
+                200: json({
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string' },
+                        record: { type: 'object' },
+                        index: HEIGHT,
+                        proof: { type: 'array', items: { type: 'object', properties: { position: { type: 'string', enum: ['left', 'right'] }, hash: { type: 'string' } } } },
+                        header: { type: 'object' }
+                    }
+                }, 'The proof'),
+                404: error('STAR_NOT_FOUND')
+            }
+        }
+    },
+    '/blocks': {
+        get: {
+            summary: 'List the blocks page by page',
+            parameters: [
+                queryParameter('cursor', HEIGHT, 'Height of the first block of the page'),
+                queryParameter('from', HEIGHT),
+                queryParameter('to', HEIGHT),
+                queryParameter('limit', { type: 'integer', minimum: 1 }),
+                queryParameter('owner', TEXT),
+                queryParameter('fromTime', HEIGHT),
+                queryParameter('toTime', HEIGHT),
+                queryParameter('type', { type: 'string', enum: ['genesis', 'star', 'transfer', 'reveal'] }),
+                queryParameter('decodedBody', { type: 'string', enum: ['true', 'false', '1', '0'] })
+            ],
+            responses: {
+                200: json({ type: 'object', properties: { blocks: { type: 'array', items: ref('Block') }, nextCursor: { type: ['integer', 'null'] } } }, 'A page of blocks'),
+                400: error('INVALID_PARAMETER')
+            }
+        }
+    },
+    '/stars/search': {
+        get: {
+            summary: 'Search the registered stars page by page, every criterion given must match',
+            parameters: [
+                queryParameter('ra', TEXT, 'Right ascension of the center of a cone search, "16h 29m 1.0s" or degrees'),
+                queryParameter('dec', TEXT, 'Declination of the center of a cone search, "68° 52\' 56.9" or degrees'),
+                queryParameter('radius', { type: 'number', minimum: 0, maximum: 180 }, 'Radius of a cone search in degrees'),
+                queryParameter('minMag', { type: 'number', minimum: -30, maximum: 30 }),
+                queryParameter('maxMag', { type: 'number', minimum: -30, maximum: 30 }),
+                queryParameter('cen', TEXT, 'IAU abbreviation of the constellation'),
+                queryParameter('q', TEXT, 'Words that must all be in the story'),
+                queryParameter('cursor', HEIGHT, 'Returned by the previous page'),
+                queryParameter('limit', { type: 'integer', minimum: 1 })
+            ],
+            responses: {
+                200: json({ type: 'object', properties: { stars: { type: 'array', items: ref('StarMatch') }, nextCursor: { type: ['integer', 'null'] } } }, 'A page of stars'),
+                400: error('MISSING_PARAMETER or INVALID_PARAMETER')
+            }
+        }
+    },
+    '/chain/head': {
+        get: {
+            summary: 'Get the tip of the chain',
+            responses: { 200: json({ type: 'object', properties: { height: HEIGHT, hash: { type: 'string' }, time: { type: 'string' } } }, 'The tip') }
+        }
+    },
+    '/graphql': {
+        get: {
+            summary: 'Run a GraphQL query over the blocks, the owners and the stars (see src/graphql.js)',
+            parameters: [
+                Object.assign(queryParameter('query', TEXT, 'GraphQL query'), { required: true }),
+                queryParameter('variables', TEXT, 'Variables of the query as a JSON object'),
+                queryParameter('operationName', TEXT, 'Operation of the query to run')
+            ],
+            responses: { 200: json(ref('GraphQLResponse'), 'The data, and the errors of the fields that failed'), 400: json(ref('GraphQLResponse'), GRAPHQL_REFUSED) }
+        },
+        post: {
+            summary: 'Run a GraphQL query, the same as the GET endpoint with the query in the body',
+            requestBody: body({
+                type: 'object',
+                required: ['query'],
+                properties: { query: TEXT, variables: { type: ['object', 'null'] }, operationName: { type: ['string', 'null'] } }
+            }),
+            responses: { 200: json(ref('GraphQLResponse'), 'The data, and the errors of the fields that failed'), 400: json(ref('GraphQLResponse'), GRAPHQL_REFUSED) }
+        }
+    },
+    '/events': {
+        get: {
+            summary: 'Stream the new blocks or the validation failures with Server-Sent Events',
+            parameters: [
+                queryParameter('topic', { type: 'string', enum: ['blocks', 'validation'] }),
+                queryParameter('owner', TEXT, 'Only the blocks naming this address'),
+                queryParameter('from', HEIGHT, 'Replay the events from this height')
+            ],
+            responses: { 200: { description: 'The event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } }, 400: error('INVALID_PARAMETER') }
+        }
+    },
+    '/export': {
+        get: {
+            summary: 'Dump the chain up to a height',
+            parameters: [queryParameter('format', { type: 'string', enum: ['ndjson', 'binary'] }), queryParameter('height', HEIGHT)],
+            responses: {
+                200: { description: 'The dump', content: { 'application/x-ndjson': { schema: { type: 'string' } }, 'application/octet-stream': { schema: { type: 'string', format: 'binary' } } } },
+                400: error('INVALID_PARAMETER'),
+                404: error('BLOCK_NOT_FOUND')
+            }
+        }
+    },
+    '/export/manifest': {
+        get: {
+            summary: 'Get the manifest of the dump of /export',
+            parameters: [queryParameter('format', { type: 'string', enum: ['ndjson', 'binary'] }), queryParameter('height', HEIGHT)],
+            responses: { 200: json(ref('Manifest'), 'The manifest'), 400: error('INVALID_PARAMETER'), 404: error('BLOCK_NOT_FOUND') }
+        }
+    },
+    '/import': {
+        post: {
+            summary: 'Replace the chain with the chain of a dump, needs an API key',
+            parameters: [
+                queryParameter('format', { type: 'string', enum: ['ndjson', 'binary'] }),
+                queryParameter('signer', TEXT, 'Address that must have signed the manifest'),
+                queryParameter('force', { type: 'string', enum: ['true', 'false'] }, 'Replace the chain even if the dump does not extend it'),
+                { name: 'X-Snapshot-Manifest', in: 'header', required: false, schema: { type: 'string' }, description: 'The manifest as JSON' }
+            ],
+            requestBody: { required: true, content: { 'application/octet-stream': { schema: { type: 'string', format: 'binary' } } } },
+            responses: {
+                200: json({ type: 'object', properties: { height: HEIGHT, hash: { type: 'string' } } }, 'The new tip'),
+                400: error('MISSING_PARAMETER, INVALID_PARAMETER or SNAPSHOT_MALFORMED'),
+                401: error('API_KEY_MISSING, API_KEY_INVALID or SNAPSHOT_SIGNATURE_INVALID'),
+                409: error('SNAPSHOT_REPLACES_CHAIN'),
+                413: error('PAYLOAD_TOO_LARGE'),
+                422: error('SNAPSHOT_INVALID or SNAPSHOT_MANIFEST_MISMATCH')
+            }
+        }
+    },
+    '/peers': {
+        get: {
+            summary: 'List the peers',
+            responses: { 200: json({ type: 'array', items: { type: 'string' } }, 'The urls of the peers') }
+        },
+        post: {
+            summary: 'Register a peer, needs an API key',
+            requestBody: body({ type: 'object', required: ['url'], properties: { url: TEXT } }),
+            responses: { 200: json({ type: 'array', items: { type: 'string' } }, 'The urls of the peers'), 400: error('MISSING_PARAMETER or INVALID_PEER_URL'), 401: error('API_KEY_MISSING or API_KEY_INVALID') }
+        }
+    },
+    '/peers/block': {
+        post: {
+            summary: 'Announce a block mined by a registered peer, needs an API key',
+            requestBody: body({ type: 'object', required: ['block'], properties: { block: { type: 'object' }, peer: { type: 'string' } } }),
+            responses: { 200: json({ type: 'object', properties: { added: { type: 'boolean' } } }, 'Whether the chain changed'), 400: error('MISSING_PARAMETER'), 401: error('API_KEY_MISSING or API_KEY_INVALID') }
+        }
+    },
+    '/peers/blocks': {
+        get: {
+            summary: 'Get the blocks from a height up to the tip',
+            parameters: [queryParameter('from', HEIGHT)],
+            responses: { 200: json({ type: 'array', items: ref('Block') }, 'The blocks'), 400: error('INVALID_PARAMETER') }
+        }
+    }
+};
+
+// The routes of the node, served at the root only
+const NODE_SERVERS = [{ url: '/' }];
+paths['/chains'] = {
+    servers: NODE_SERVERS,
+    get: {
+        summary: 'List the chains of the node',
+        responses: { 200: json({ type: 'array', items: { type: 'object', properties: { name: { type: 'string' }, height: { type: 'integer' }, default: { type: 'boolean' } } } }, 'The chains') }
+    }
+};
+paths['/health'] = {
+    servers: NODE_SERVERS,
+    get: {
+        summary: 'Liveness of the node',
+        responses: { 200: json({ type: 'object', properties: { status: { type: 'string', enum: ['ok'] }, uptime: { type: 'integer' } } }, 'The node runs') }
+    }
+};
+const READINESS = json({
+    type: 'object',
+    properties: {
+        ready: { type: 'boolean' },
+        stopping: { type: 'boolean' },
+        chains: { type: 'array', items: { type: 'object', properties: { name: { type: 'string' }, ready: { type: 'boolean' }, height: { type: 'integer' }, error: { type: 'string' } } } }
+    }
+});
+paths['/ready'] = {
+    servers: NODE_SERVERS,
+    get: {
+        summary: 'Readiness of the node: every chain is loaded and validated',
+        responses: { 200: Object.assign({}, READINESS, { description: 'The node serves its chains' }), 503: Object.assign({}, READINESS, { description: 'A chain is loading or failed to load, or the node is stopping' }) }
+    }
+};
+paths['/metrics'] = {
+    servers: NODE_SERVERS,
+    get: {
+        summary: 'Metrics of the chains and of the requests in the Prometheus text format',
+        responses: { 200: { description: 'The metrics', content: { 'text/plain': { schema: { type: 'string' } } } } }
+    }
+};
+paths['/openapi.json'] = {
+    servers: NODE_SERVERS,
+    get: {
+        summary: 'Get this document',
+        responses: { 200: json({ type: 'object' }, 'The OpenAPI document') }
+    }
+};
+
+const document = {
+    openapi: '3.1.0',
+    info: {
+        title: 'Private Blockchain Notary',
+        version: '1.0.0',
+        description: 'Register the ownership of stars in a private blockchain. Every error is answered with the Error schema.'
+    },
+    servers: [
+        { url: '/', description: 'The default chain' },
+        { url: '/chains/{chain}', description: 'A named chain', variables: { chain: { default: 'main' } } }
+    ],
+    paths: paths,
+    components: { schemas: schemas }
+};
+
+module.exports = document;
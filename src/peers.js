@@ -0,0 +1,203 @@
+/**
+ *                          PeerNetwork class
+ *  The PeerNetwork class connects the node to other nodes running the application.
+ *  It keeps the list of registered peers, broadcasts every block committed in the
+ *  local chain and fetches the missing blocks from the peers. When the chains
+ *  diverge the longest chain that passes `validateChain` is adopted, this is done
+ *  by `Blockchain.adoptChain(blocks)`.
+ *  The peers talk to each other with the endpoints under `/peers` exposed by
+ *  the BlockchainController. The node only ever calls the peers registered with
+ *  `addPeer`, behind the API key of `POST /peers`, and only takes the blocks
+ *  announced by them: a block announced by anyone else is ignored.
+ */
+
+const http = require('http');
+const logger = require('./logger.js');
+const { BadRequestError } = require('./errors.js');
+
+const REQUEST_TIMEOUT = 5000;
+
+/**
+ * Send a JSON request to a peer and resolve with the parsed JSON response.
+ * @param {*} method
+ * @param {*} url
+ * @param {*} body
+ * @param {*} apiKey API key of the peer, sent in the `X-API-Key` header
+ */
+function requestJSON(method, url, body, apiKey) {
+    return new Promise((resolve, reject) => {
+        const payload = body !== undefined ? JSON.stringify(body) : null;
+        const headers = payload ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) } : {};
+        if(apiKey){
+            headers['X-API-Key'] = apiKey;
+        }
+        const req = http.request(url, {
+            method: method,
+            headers: headers,
+            timeout: REQUEST_TIMEOUT
+        }, (res) => {
+            let data = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => data += chunk);
+            res.on('end', () => {
+                if(res.statusCode >= 400){
+                    return reject(new Error(`${method} ${url} answered with status ${res.statusCode}`));
+                }
+                try {
+                    resolve(data ? JSON.parse(data) : null);
+                } catch (error) {
+                    reject(error);
+                }
+            });
+        });
+        req.on('timeout', () => req.destroy(new Error(`${method} ${url} timed out`)));
+        req.on('error', reject);
+        if(payload){
+            req.write(payload);
+        }
+        req.end();
+    });
+}
+
+class PeerNetwork {
+
+    /**
+     * @param {*} blockchain Blockchain instance of this node
+     * @param {*} nodeUrl Public URL of this node (e.g. `http://localhost:8000`), sent to the peers
+     * @param {*} options
+     *  - `apiKey` API key sent to the peers, when they require one (see `limits.js`)
+     */
+    constructor(blockchain, nodeUrl, options = {}) {
+        this.blockchain = blockchain;
+        this.nodeUrl = nodeUrl || null;
+        this.apiKey = options.apiKey || null;
+        this.peers = new Set();
+        // Broadcast every block committed in the local chain, mined here or received from a peer
+        this.blockchain.on('block', (block) => this.broadcastBlock(block));
+    }
+
+    /**
+     * Remove the trailing slashes so the same peer is never registered twice
+     * @param {*} url
+     */
+    static normalizeUrl(url) {
+        return String(url).replace(/\/+$/, '');
+    }
+
+    /**
+     * Utility method that return a Promise that will resolve with the list of peers
+     */
+    getPeers() {
+        return new Promise((resolve) => {
+            resolve(Array.from(this.peers));
+        });
+    }
+
+    /**
+     * The addPeer(url) method registers a peer. The first time a peer is registered
+     * this node registers itself on the peer (so the link works both ways) and
+     * synchronizes its chain with it.
+     * Resolves with true if the peer wasn't known yet.
+     * @param {*} url
+     */
+    async addPeer(url) {
+        const peer = PeerNetwork.normalizeUrl(url);
+        if(!/^http:\/\/[^\s/]+/.test(peer)){
+            throw new BadRequestError('INVALID_PEER_URL', `Invalid peer url: ${url}`);
+        }
+        if(peer === this.nodeUrl || this.peers.has(peer)){
+            return false;
+        }
+        this.peers.add(peer);
+        logger.info(`Peer registered: ${peer}`);
+        if(this.nodeUrl){
+            try {
+                await requestJSON('POST', `${peer}/peers`, { url: this.nodeUrl }, this.apiKey);
+            } catch (error) {
+                logger.warn(`Unable to register on peer ${peer}: ${error.message}`);
+            }
+        }
+        await this.syncWithPeer(peer);
+        return true;
+    }
+
+    /**
+     * Send a block to every peer, a peer that can't be reached is only logged.
+     * @param {*} block
+     */
+    broadcastBlock(block) {
+        const announcement = { block: block, peer: this.nodeUrl };
+        return Promise.all(Array.from(this.peers).map(peer => {
+            return requestJSON('POST', `${peer}/peers/block`, announcement, this.apiKey).catch((error) => {
+                logger.warn(`Unable to send block ${block.height} to peer ${peer}: ${error.message}`);
+            });
+        }));
+    }
+
+    /**
+     * The receiveBlock(block, peer) method handles a block announced by a peer.
+     * The blocks announced by a node that isn't a registered peer are ignored.
+     * If the block extends our tip it is added to the chain, if the peer is ahead
+     * of us the missing blocks are fetched from it.
+     * Resolves with true if the chain changed.
+     * @param {*} block
+     * @param {*} peer URL of the peer that sent the block
+     */
+    async receiveBlock(block, peer) {
+        const sender = peer ? PeerNetwork.normalizeUrl(peer) : null;
+        if(!sender || !this.peers.has(sender)){
+            logger.warn(`Block ${block.height} announced by ${peer || 'an unknown node'}, which isn't a registered peer, ignored`);
+            return false;
+        }
+        if(await this.blockchain.adoptChain([block])){
+            return true;
+        }
+        const height = await this.blockchain.getChainHeight();
+        if(block.height <= height){
+            return false;
+        }
+        return this.syncWithPeer(sender);
+    }
+
+    /**
+     * The syncWithPeer(peer) method fetches the blocks the peer has after our tip.
+     * If they don't extend our chain the chains have diverged, the complete chain
+     * of the peer is fetched and adopted if it is longer and valid.
+     * Resolves with true if the chain changed, with false if the peer isn't registered.
+     * @param {*} peer
+     */
+    async syncWithPeer(peer) {
+        if(!this.peers.has(peer)){
+            return false;
+        }
+        try {
+            const height = await this.blockchain.getChainHeight();
+            const missing = await requestJSON('GET', `${peer}/peers/blocks?from=${height + 1}`, undefined, this.apiKey);
+            if(!Array.isArray(missing) || missing.length === 0){
+                return false;
+            }
+            if(await this.blockchain.adoptChain(missing)){
+                return true;
+            }
+            const chain = await requestJSON('GET', `${peer}/peers/blocks?from=0`, undefined, this.apiKey);
+            return await this.blockchain.adoptChain(chain);
+        } catch (error) {
+            logger.warn(`Unable to sync with peer ${peer}: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Synchronize the chain with every registered peer, one after the other.
+     */
+    async syncWithPeers() {
+        let changed = false;
+        for(const peer of this.peers){
+            changed = (await this.syncWithPeer(peer)) || changed;
+        }
+        return changed;
+    }
+
+}
+
+module.exports.PeerNetwork = PeerNetwork;
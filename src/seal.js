@@ -0,0 +1,174 @@
+/**
+ *                          Sealed stories
+ *  The story of a star can be submitted sealed: encrypted to the public key of its
+ *  owner, so only the owner can read it, with a commitment to the story in clear.
+ *  The star then has `sealed: {commitment, ciphertext}` in place of `story`:
+ *   - `commitment` is the hex SHA-256 of a random 32 bytes salt followed by the UTF-8
+ *     story, `storyCommitment(story, salt)`. The salt keeps a short story from being
+ *     found by trying the likely ones.
+ *   - `ciphertext` is the base64 ECIES encryption of `{"salt":…,"story":…}` to the
+ *     secp256k1 public key of the owner: an ephemeral public key (33 bytes), the IV (12 bytes),
+ *     the AES-256-GCM tag (16 bytes) and the encrypted JSON. The AES key is derived with
+ *     HKDF-SHA256 from the ECDH secret of the ephemeral key and the key of the owner.
+ *  The wallet encrypts the story (`sealStory`), the node only stores it. The owner can
+ *  later reveal the story: a block whose body is
+ *      `{type: 'reveal', owner, star, story, salt, message, signature}`
+ *  where `message` is signed by the current owner of the star:
+ *      `<OWNER>:<STAR_HASH>:<COMMITMENT>:starReveal`
+ *  The node checks the story and the salt match the commitment, a star is revealed once.
+ */
+
+const crypto = require('crypto');
+const { DomainError } = require('./errors.js');
+
+const SALT_BYTES = 32;
+const PUBLIC_KEY_BYTES = 33;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+// Largest ciphertext a star can hold, a story of 500 bytes takes less than 1.5 KB once encrypted
+const MAX_CIPHERTEXT_BYTES = 2048;
+const HKDF_INFO = 'star-notary sealed story';
+
+const STATUS = {
+    STAR_NOT_FOUND: 404,
+    NOT_STAR_OWNER: 403,
+    STAR_NOT_SEALED: 409,
+    STAR_ALREADY_REVEALED: 409,
+    REVEAL_INVALID: 422,
+    REVEAL_COMMITMENT_MISMATCH: 422,
+    REVEAL_MESSAGE_MISMATCH: 422,
+    REVEAL_SIGNATURE_INVALID: 401
+};
+
+/**
+ * Error raised when a reveal is refused, `code` tells why:
+ *  - `STAR_NOT_FOUND`              (404) no star was registered with this id
+ *  - `NOT_STAR_OWNER`              (403) the address doesn't own the star
+ *  - `STAR_NOT_SEALED`             (409) the story of the star was never sealed
+ *  - `STAR_ALREADY_REVEALED`       (409) the story of the star is already revealed
+ *  - `REVEAL_INVALID`              (422) the story or the salt isn't valid, `details` lists the problems
+ *  - `REVEAL_COMMITMENT_MISMATCH`  (422) the story and the salt don't match the commitment of the star
+ *  - `REVEAL_MESSAGE_MISMATCH`     (422) the message isn't the one expected for this reveal
+ *  - `REVEAL_SIGNATURE_INVALID`    (401) the signature doesn't match the owner address
+ */
+class RevealError extends DomainError {
+
+    constructor(code, message, details) {
+        super(code, message, details, STATUS[code]);
+    }
+
+}
+
+/**
+ * The commitment to a story, the hex SHA-256 of the salt and the UTF-8 story.
+ * @param {*} story
+ * @param {*} salt Hex salt
+ */
+function storyCommitment(story, salt) {
+    return crypto.createHash('sha256').update(Buffer.from(salt, 'hex')).update(story, 'utf8').digest('hex');
+}
+
+/**
+ * The AES key shared by an ephemeral key and the key of the owner.
+ * @param {*} secret ECDH secret
+ * @param {*} ephemeralKey Compressed ephemeral public key
+ */
+function aesKey(secret, ephemeralKey) {
+    return Buffer.from(crypto.hkdfSync('sha256', secret, ephemeralKey, HKDF_INFO, 32));
+}
+
+/**
+ * Seal a story to the public key of its owner, returns `{sealed, salt}` where `sealed`
+ * is the `{commitment, ciphertext}` of the star. The salt is also in the ciphertext.
+ * @param {*} story
+ * @param {*} publicKey Buffer, secp256k1 public key of the owner
+ */
+function sealStory(story, publicKey) {
+    const salt = crypto.randomBytes(SALT_BYTES).toString('hex');
+    const ephemeral = crypto.createECDH('secp256k1');
+    ephemeral.generateKeys();
+    const ephemeralKey = ephemeral.getPublicKey(null, 'compressed');
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv('aes-256-gcm', aesKey(ephemeral.computeSecret(publicKey), ephemeralKey), iv);
+    const encrypted = Buffer.concat([cipher.update(JSON.stringify({ salt: salt, story: story }), 'utf8'), cipher.final()]);
+    return {
+        sealed: {
+            commitment: storyCommitment(story, salt),
+            ciphertext: Buffer.concat([ephemeralKey, iv, cipher.getAuthTag(), encrypted]).toString('base64')
+        },
+        salt: salt
+    };
+}
+
+/**
+ * Open a sealed story with the private key of its owner, returns `{story, salt}`.
+ * Throws if the ciphertext wasn't sealed to this key or was altered.
+ * @param {*} sealed `{commitment, ciphertext}`
+ * @param {*} privateKey Buffer, secp256k1 private key of the owner
+ */
+function openSealed(sealed, privateKey) {
+    const data = Buffer.from(sealed.ciphertext, 'base64');
+    const ephemeralKey = data.subarray(0, PUBLIC_KEY_BYTES);
+    const iv = data.subarray(PUBLIC_KEY_BYTES, PUBLIC_KEY_BYTES + IV_BYTES);
+    const tag = data.subarray(PUBLIC_KEY_BYTES + IV_BYTES, PUBLIC_KEY_BYTES + IV_BYTES + TAG_BYTES);
+    const owner = crypto.createECDH('secp256k1');
+    owner.setPrivateKey(privateKey);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', aesKey(owner.computeSecret(ephemeralKey), ephemeralKey), iv);
+    decipher.setAuthTag(tag);
+    const opened = JSON.parse(Buffer.concat([decipher.update(data.subarray(PUBLIC_KEY_BYTES + IV_BYTES + TAG_BYTES)), decipher.final()]).toString('utf8'));
+    return { story: opened.story, salt: opened.salt };
+}
+
+/**
+ * The problems of the `sealed` field of a star, an empty list when it is valid.
+ * The node can't read the story, it only checks the shape of the commitment and of the ciphertext.
+ * @param {*} sealed
+ */
+function sealedProblems(sealed) {
+    if(!sealed || typeof sealed !== 'object' || Array.isArray(sealed)){
+        return ['sealed must be an object {commitment, ciphertext}'];
+    }
+    const problems = [];
+    Object.keys(sealed).filter(key => !['commitment', 'ciphertext'].includes(key)).forEach(key => {
+        problems.push(`unknown field sealed.${key}`);
+    });
+    if(!isHex32(sealed.commitment)){
+        problems.push('sealed.commitment must be a SHA-256 in hex');
+    }
+    const minimum = PUBLIC_KEY_BYTES + IV_BYTES + TAG_BYTES + 1;
+    if(typeof sealed.ciphertext !== 'string' || !/^[A-Za-z0-9+/]+={0,2}$/.test(sealed.ciphertext) || sealed.ciphertext.length % 4 !== 0){
+        problems.push('sealed.ciphertext must be base64');
+    } else {
+        const length = Buffer.from(sealed.ciphertext, 'base64').length;
+        if(length < minimum || length > MAX_CIPHERTEXT_BYTES){
+            problems.push(`sealed.ciphertext must be between ${minimum} and ${MAX_CIPHERTEXT_BYTES} bytes`);
+        }
+    }
+    return problems;
+}
+
+/**
+ * Check a value is 32 bytes in lowercase hex, the size of the salts and of the commitments.
+ * @param {*} value
+ */
+function isHex32(value) {
+    return typeof value === 'string' && /^[0-9a-f]{64}$/.test(value);
+}
+
+/**
+ * The revealMessage method returns the message the owner must sign to reveal the story of a star.
+ * @param {*} owner Current owner
+ * @param {*} starHash Id of the star
+ * @param {*} commitment Commitment of the sealed story
+ */
+function revealMessage(owner, starHash, commitment) {
+    return `${owner}:${starHash}:${commitment}:starReveal`;
+}
+
+module.exports.RevealError = RevealError;
+module.exports.storyCommitment = storyCommitment;
+module.exports.sealStory = sealStory;
+module.exports.openSealed = openSealed;
+module.exports.sealedProblems = sealedProblems;
+module.exports.isHex32 = isHex32;
+module.exports.revealMessage = revealMessage;
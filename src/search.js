@@ -0,0 +1,215 @@
+/**
+ *                          StarSearchIndex class
+ *  The StarSearchIndex class finds the registered stars by their place in the sky and
+ *  by the fields of the star schema (see `star.js`). The Blockchain class adds each star
+ *  to it as the blocks are committed and rebuilds it when the chain is reloaded or replaced.
+ *  It keeps:
+ *   - the stars by zone of declination (one zone per degree), a cone search only reads the
+ *     zones it overlaps and then checks the distance of each star
+ *   - the stars sorted by magnitude, a range of magnitudes is found by binary search
+ *   - the stars of each constellation
+ *   - the stars whose `story` contains each word (letters and digits, lowercase and without accents)
+ *  The stars are returned in the order they were registered, each star has a sequence
+ *  number in that order which is the cursor of the pages.
+ */
+
+const { parseRa, parseDec } = require('./star.js');
+
+const DEGREES = Math.PI / 180;
+
+/**
+ * The words of a text, lowercase and without accents, so `Café`, `café` and `cafe` are the same word.
+ * @param {*} text
+ */
+function words(text) {
+    if(typeof text !== 'string'){
+        return [];
+    }
+    return text.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * The angular distance in degrees between two points of the sky, given in degrees.
+ * @param {*} ra1
+ * @param {*} dec1
+ * @param {*} ra2
+ * @param {*} dec2
+ */
+function angularDistance(ra1, dec1, ra2, dec2) {
+    const sinDec = Math.sin((dec2 - dec1) * DEGREES / 2);
+    const sinRa = Math.sin((ra2 - ra1) * DEGREES / 2);
+    const a = sinDec * sinDec + Math.cos(dec1 * DEGREES) * Math.cos(dec2 * DEGREES) * sinRa * sinRa;
+    return 2 * Math.asin(Math.min(1, Math.sqrt(a))) / DEGREES;
+}
+
+/**
+ * Position of the first element of the sorted array for which `before(element)` is false.
+ * @param {*} array
+ * @param {*} before
+ */
+function lowerBound(array, before) {
+    let low = 0, high = array.length;
+    while(low < high){
+        const middle = (low + high) >> 1;
+        if(before(array[middle])){ low = middle + 1; } else { high = middle; }
+    }
+    return low;
+}
+
+class StarSearchIndex {
+
+    constructor() {
+        this.clear();
+    }
+
+    /**
+     * Remove every star from the index.
+     */
+    clear() {
+        // Star id to `{id, sequence, ra, dec, mag, cen, words}`, in the order of registration
+        this.entries = new Map();
+        this.sequence = 0;
+        // Degree of declination (rounded down) to the entries in that zone
+        this.zones = new Map();
+        // Entries with a magnitude, sorted by magnitude then sequence
+        this.magnitudes = [];
+        // Constellation to the entries in it
+        this.constellations = new Map();
+        // Word to the entries whose story contains it
+        this.words = new Map();
+    }
+
+    /**
+     * Index a registered star.
+     * @param {*} id Id of the star
+     * @param {*} star
+     */
+    add(id, star) {
+        if(this.entries.has(id)){
+            return;
+        }
+        const ra = parseRa(star.ra);
+        const dec = parseDec(star.dec);
+        const entry = {
+            id: id,
+            sequence: this.sequence++,
+            // The stars written before the schema existed may have no coordinates or magnitude
+            ra: isNaN(ra) ? null : ra,
+            dec: isNaN(dec) ? null : dec,
+            mag: typeof star.mag === 'number' ? star.mag : null,
+            cen: typeof star.cen === 'string' ? star.cen : null,
+            words: new Set(words(star.story))
+        };
+        this.entries.set(id, entry);
+        if(entry.ra !== null && entry.dec !== null){
+            const zone = Math.floor(entry.dec);
+            if(!this.zones.has(zone)){
+                this.zones.set(zone, []);
+            }
+            this.zones.get(zone).push(entry);
+        }
+        if(entry.mag !== null){
+            // The entries are added in sequence order, a new entry goes after the ones of the same magnitude
+            this.magnitudes.splice(lowerBound(this.magnitudes, other => other.mag <= entry.mag), 0, entry);
+        }
+        if(entry.cen !== null){
+            if(!this.constellations.has(entry.cen)){
+                this.constellations.set(entry.cen, []);
+            }
+            this.constellations.get(entry.cen).push(entry);
+        }
+        entry.words.forEach(word => {
+            if(!this.words.has(word)){
+                this.words.set(word, []);
+            }
+            this.words.get(word).push(entry);
+        });
+    }
+
+    /**
+     * Index the words of the story of a star once it is known, the story of a sealed star
+     * is only indexed when its owner reveals it (see `seal.js`).
+     * @param {*} id Id of the star
+     * @param {*} story
+     */
+    addStory(id, story) {
+        const entry = this.entries.get(id);
+        if(!entry){
+            return;
+        }
+        Array.from(new Set(words(story))).filter(word => !entry.words.has(word)).forEach(word => {
+            entry.words.add(word);
+            if(!this.words.has(word)){
+                this.words.set(word, []);
+            }
+            this.words.get(word).push(entry);
+        });
+    }
+
+    /**
+     * Find the stars matching every criterion of the query, returns a page `{results, nextCursor}`
+     * where each result is `{id, distance}` (`distance` in degrees for a cone search, undefined otherwise)
+     * and `nextCursor` the cursor of the next page or null.
+     * @param {*} query All the fields are optional:
+     *  - `cone` `{ra, dec, radius}` in degrees, the stars at most `radius` from the center
+     *  - `minMag`, `maxMag` range of magnitudes (inclusive), the stars without a magnitude don't match
+     *  - `cen` constellation, IAU abbreviation in its IAU case
+     *  - `text` words that must all be in the story
+     *  - `ids` set of ids of stars, only these stars match
+     *  - `cursor` returned by the previous page
+     *  - `limit` maximum number of stars of the page
+     */
+    search(query) {
+        const terms = Array.from(new Set(words(query.text)));
+        const checks = [];
+        const sources = [];
+        if(query.cone){
+            const { ra, dec, radius } = query.cone;
+            const zones = [];
+            for(let zone = Math.floor(Math.max(dec - radius, -90)); zone <= Math.floor(Math.min(dec + radius, 90)); zone++){
+                zones.push(this.zones.get(zone) || []);
+            }
+            sources.push([].concat(...zones));
+            checks.push(entry => entry.ra !== null && entry.dec !== null && angularDistance(ra, dec, entry.ra, entry.dec) <= radius);
+        }
+        if(query.minMag !== undefined || query.maxMag !== undefined){
+            const min = query.minMag !== undefined ? query.minMag : -Infinity;
+            const max = query.maxMag !== undefined ? query.maxMag : Infinity;
+            sources.push(this.magnitudes.slice(lowerBound(this.magnitudes, entry => entry.mag < min), lowerBound(this.magnitudes, entry => entry.mag <= max)));
+            checks.push(entry => entry.mag !== null && entry.mag >= min && entry.mag <= max);
+        }
+        if(query.cen){
+            sources.push(this.constellations.get(query.cen) || []);
+            checks.push(entry => entry.cen === query.cen);
+        }
+        if(query.ids){
+            sources.push(Array.from(query.ids, id => this.entries.get(id)).filter(entry => entry));
+            checks.push(entry => query.ids.has(entry.id));
+        }
+        terms.forEach(term => {
+            sources.push(this.words.get(term) || []);
+            checks.push(entry => entry.words.has(term));
+        });
+
+        // The candidates are taken from the smallest list, then checked against the other criteria
+        const candidates = sources.length > 0
+            ? sources.reduce((smallest, source) => source.length < smallest.length ? source : smallest)
+            : Array.from(this.entries.values());
+        const cursor = query.cursor || 0;
+        const matches = candidates
+            .filter(entry => entry.sequence >= cursor && checks.every(check => check(entry)))
+            .sort((a, b) => a.sequence - b.sequence);
+        const page = matches.slice(0, query.limit);
+        return {
+            results: page.map(entry => ({
+                id: entry.id,
+                distance: query.cone ? angularDistance(query.cone.ra, query.cone.dec, entry.ra, entry.dec) : undefined
+            })),
+            nextCursor: matches.length > page.length ? matches[page.length].sequence : null
+        };
+    }
+
+}
+
+module.exports.StarSearchIndex = StarSearchIndex;
+module.exports.angularDistance = angularDistance;
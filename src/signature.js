@@ -0,0 +1,451 @@
+/**
+ *                          Message signatures
+ *  Verifies the signature of a message by a bitcoin address, whatever the type of
+ *  the address and the way the wallet signs:
+ *   - addresses: legacy P2PKH (`1…`), P2SH-P2WPKH (`3…`), native segwit P2WPKH (`bc1q…`)
+ *     and Taproot P2TR (`bc1p…`), on mainnet, testnet (`m…`, `n…`, `2…`, `tb1…`) or regtest (`bcrt1…`)
+ *   - BIP-137 signatures (65 bytes, the format of Bitcoin Core, Electrum and most wallets),
+ *     the header byte may or may not tell the address is segwit, like Electrum and Trezor do
+ *   - BIP-322 "simple" signatures (the witness of the virtual transaction) for the native
+ *     segwit addresses: P2WPKH and Taproot key path spends
+ *  When a signature doesn't verify a SignatureError tells exactly why.
+ */
+
+const crypto = require('crypto');
+const bitcoin = require('bitcoinjs-lib');
+const bitcoinMessage = require('bitcoinjs-message');
+const EC = require('elliptic').ec;
+const BN = require('bn.js');
+const { DomainError } = require('./errors.js');
+
+const secp256k1 = new EC('secp256k1');
+
+const BASE58_VERSIONS = {
+    0x00: { type: 'p2pkh', network: 'mainnet' },
+    0x05: { type: 'p2sh', network: 'mainnet' },
+    0x6f: { type: 'p2pkh', network: 'testnet' },
+    0xc4: { type: 'p2sh', network: 'testnet' }
+};
+const BECH32_PREFIXES = { bc: 'mainnet', tb: 'testnet', bcrt: 'regtest' };
+const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const BECH32_CONSTANT = 1;
+const BECH32M_CONSTANT = 0x2bc830a3;
+
+const STATUS = {
+    ADDRESS_INVALID: 422,
+    ADDRESS_UNSUPPORTED: 422,
+    SIGNATURE_MALFORMED: 400,
+    SIGNATURE_TYPE_MISMATCH: 401,
+    SIGNATURE_KEY_MISMATCH: 401,
+    SIGNATURE_INVALID: 401
+};
+
+/**
+ * Error raised when a signature can't be verified, `code` tells why:
+ *  - `ADDRESS_INVALID`              (422) the address isn't a valid bitcoin address
+ *  - `ADDRESS_UNSUPPORTED`          (422) the address is valid but its type can't sign messages here (e.g. P2WSH)
+ *  - `SIGNATURE_MALFORMED`          (400) the signature can't be decoded
+ *  - `SIGNATURE_TYPE_MISMATCH`      (401) the signature was made for another type of address (e.g. a BIP-137 signature for a Taproot address)
+ *  - `SIGNATURE_KEY_MISMATCH`       (401) the signature was made by another key, or for another message
+ *  - `SIGNATURE_INVALID`            (401) the key matches the address but the signature doesn't verify
+ */
+class SignatureError extends DomainError {
+
+    constructor(code, message) {
+        super(code, message, [], STATUS[code]);
+    }
+
+}
+
+function sha256(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest();
+}
+
+function hash256(buffer) {
+    return sha256(sha256(buffer));
+}
+
+function hash160(buffer) {
+    return crypto.createHash('ripemd160').update(sha256(buffer)).digest();
+}
+
+/**
+ * BIP-340 tagged hash.
+ * @param {*} tag
+ * @param {*} buffer
+ */
+function taggedHash(tag, buffer) {
+    const tagHash = sha256(Buffer.from(tag, 'utf8'));
+    return sha256(Buffer.concat([tagHash, tagHash, buffer]));
+}
+
+function bech32Polymod(values) {
+    const generator = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+    let checksum = 1;
+    values.forEach(value => {
+        const top = checksum >>> 25;
+        checksum = ((checksum & 0x1ffffff) << 5) ^ value;
+        generator.forEach((g, i) => {
+            if((top >>> i) & 1){
+                checksum ^= g;
+            }
+        });
+    });
+    return checksum >>> 0;
+}
+
+/**
+ * Decode a bech32 or bech32m (BIP-350) segwit address, returns null if it isn't one.
+ * @param {*} address
+ */
+function decodeSegwit(address) {
+    if(address.length > 90 || (address !== address.toLowerCase() && address !== address.toUpperCase())){
+        return null;
+    }
+    const lower = address.toLowerCase();
+    const separator = lower.lastIndexOf('1');
+    const prefix = lower.slice(0, separator);
+    if(separator < 1 || !BECH32_PREFIXES[prefix] || lower.length - separator - 1 < 7){
+        return null;
+    }
+    const data = [];
+    for(const char of lower.slice(separator + 1)){
+        const value = BECH32_CHARSET.indexOf(char);
+        if(value === -1){
+            return null;
+        }
+        data.push(value);
+    }
+    const expanded = [];
+    for(const char of prefix){
+        expanded.push(char.charCodeAt(0) >> 5);
+    }
+    expanded.push(0);
+    for(const char of prefix){
+        expanded.push(char.charCodeAt(0) & 31);
+    }
+    const constant = bech32Polymod(expanded.concat(data));
+    const version = data[0];
+    // Version 0 uses bech32, the next versions bech32m
+    if(constant !== (version === 0 ? BECH32_CONSTANT : BECH32M_CONSTANT)){
+        return null;
+    }
+    // Convert the 5 bit groups of the program to bytes
+    let accumulator = 0;
+    let bits = 0;
+    const program = [];
+    for(const value of data.slice(1, -6)){
+        accumulator = (accumulator << 5) | value;
+        bits += 5;
+        if(bits >= 8){
+            bits -= 8;
+            program.push((accumulator >> bits) & 0xff);
+        }
+    }
+    if(bits >= 5 || ((accumulator << (8 - bits)) & 0xff) !== 0){
+        return null;
+    }
+    if(version > 16 || program.length < 2 || program.length > 40 || (version === 0 && program.length !== 20 && program.length !== 32)){
+        return null;
+    }
+    return { network: BECH32_PREFIXES[prefix], version: version, program: Buffer.from(program) };
+}
+
+/**
+ * The detectAddress(address) method returns the type of an address: `{type, network, hash}`
+ * where `type` is `p2pkh`, `p2sh`, `p2wpkh`, `p2wsh`, `p2tr` or `witness_unknown`, `network` is
+ * `mainnet`, `testnet` or `regtest` and `hash` the hash or the witness program of the address.
+ * Returns null if the address isn't valid.
+ * @param {*} address
+ */
+function detectAddress(address) {
+    if(typeof address !== 'string' || address.length === 0){
+        return null;
+    }
+    const segwit = decodeSegwit(address);
+    if(segwit){
+        let type = 'witness_unknown';
+        if(segwit.version === 0){
+            type = segwit.program.length === 20 ? 'p2wpkh' : 'p2wsh';
+        } else if(segwit.version === 1 && segwit.program.length === 32){
+            type = 'p2tr';
+        }
+        return { type: type, network: segwit.network, hash: segwit.program };
+    }
+    try {
+        const decoded = bitcoin.address.fromBase58Check(address);
+        const kind = BASE58_VERSIONS[decoded.version];
+        return kind ? { type: kind.type, network: kind.network, hash: decoded.hash } : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Verify a BIP-137 signature: recover the public key from the signature and check it
+ * owns the address. The header byte gives the recovery id and how the wallet encoded the key:
+ * 27-30 uncompressed P2PKH, 31-34 compressed P2PKH, 35-38 P2SH-P2WPKH, 39-42 P2WPKH. Many
+ * wallets sign for segwit addresses with the 31-34 header, so it is accepted for them too.
+ * @param {*} message
+ * @param {*} address Result of `detectAddress`
+ * @param {*} signature
+ */
+function verifyBip137(message, address, signature) {
+    const header = signature[0];
+    if(header < 27 || header > 42){
+        throw new SignatureError('SIGNATURE_MALFORMED', `The signature has an unknown header byte ${header}.`);
+    }
+    if(address.type === 'p2tr' || address.type === 'p2wsh' || address.type === 'witness_unknown'){
+        throw new SignatureError('SIGNATURE_TYPE_MISMATCH', `A ${address.type} address must sign with BIP-322, not with a BIP-137 signature.`);
+    }
+    const compressed = header >= 31;
+    const flagType = header >= 39 ? 'p2wpkh' : (header >= 35 ? 'p2sh' : 'p2pkh');
+    if(flagType !== 'p2pkh' && flagType !== address.type){
+        throw new SignatureError('SIGNATURE_TYPE_MISMATCH', `The signature was made for a ${flagType === 'p2sh' ? 'p2sh-p2wpkh' : flagType} address, not for a ${address.type} address.`);
+    }
+    if(!compressed && address.type !== 'p2pkh'){
+        throw new SignatureError('SIGNATURE_TYPE_MISMATCH', `The signature was made with an uncompressed key, which can't own a ${address.type} address.`);
+    }
+
+    let publicKey;
+    try {
+        const point = secp256k1.recoverPubKey(bitcoinMessage.magicHash(message), {
+            r: signature.subarray(1, 33),
+            s: signature.subarray(33, 65)
+        }, (header - 27) & 3);
+        publicKey = Buffer.from(point.encode('array', compressed));
+    } catch (error) {
+        throw new SignatureError('SIGNATURE_INVALID', 'No public key can be recovered from the signature.');
+    }
+    const keyHash = hash160(publicKey);
+    const actual = address.type === 'p2sh' ? hash160(Buffer.concat([Buffer.from('0014', 'hex'), keyHash])) : keyHash;
+    if(!actual.equals(address.hash)){
+        throw new SignatureError('SIGNATURE_KEY_MISMATCH', 'The signature was made by another key or for another message.');
+    }
+}
+
+/**
+ * Read a variable length integer of a bitcoin serialization.
+ * @param {*} buffer
+ * @param {*} offset
+ */
+function readVarInt(buffer, offset) {
+    const first = buffer.readUInt8(offset);
+    if(first < 0xfd){
+        return { value: first, size: 1 };
+    }
+    if(first === 0xfd){
+        return { value: buffer.readUInt16LE(offset + 1), size: 3 };
+    }
+    if(first === 0xfe){
+        return { value: buffer.readUInt32LE(offset + 1), size: 5 };
+    }
+    throw new RangeError('Variable length integer too big');
+}
+
+/**
+ * Decode a BIP-322 simple signature, the consensus encoding of a witness stack.
+ * @param {*} signature
+ */
+function decodeWitness(signature) {
+    try {
+        let offset = 0;
+        const count = readVarInt(signature, offset);
+        offset += count.size;
+        const stack = [];
+        for(let i = 0; i < count.value; i++){
+            const length = readVarInt(signature, offset);
+            offset += length.size;
+            if(offset + length.value > signature.length){
+                throw new RangeError('Truncated witness');
+            }
+            stack.push(signature.subarray(offset, offset + length.value));
+            offset += length.value;
+        }
+        if(offset !== signature.length || stack.length === 0){
+            throw new RangeError('Invalid witness');
+        }
+        return stack;
+    } catch (error) {
+        throw new SignatureError('SIGNATURE_MALFORMED', 'The signature is neither a BIP-137 signature nor a BIP-322 witness.');
+    }
+}
+
+function uint32(value) {
+    const buffer = Buffer.alloc(4);
+    buffer.writeUInt32LE(value, 0);
+    return buffer;
+}
+
+/**
+ * The virtual transactions of BIP-322: `to_spend` commits to the message and pays the
+ * address, `to_sign` spends it. Returns the pieces the sighashes are made of.
+ * @param {*} message
+ * @param {*} scriptPubKey
+ */
+function bip322Transactions(message, scriptPubKey) {
+    const messageHash = taggedHash('BIP0322-signed-message', Buffer.from(message, 'utf8'));
+    const toSpend = Buffer.concat([
+        uint32(0),                                                  // version
+        Buffer.from([1]),                                           // one input
+        Buffer.alloc(32), Buffer.from('ffffffff', 'hex'),           // prevout 000…000:0xFFFFFFFF
+        Buffer.from([34, 0x00, 0x20]), messageHash,                 // scriptSig OP_0 PUSH32[message_hash]
+        uint32(0),                                                  // sequence
+        Buffer.from([1]),                                           // one output
+        Buffer.alloc(8),                                            // value 0
+        Buffer.from([scriptPubKey.length]), scriptPubKey,           // pays the address
+        uint32(0)                                                   // locktime
+    ]);
+    return {
+        outpoint: Buffer.concat([hash256(toSpend), uint32(0)]),
+        sequence: uint32(0),
+        // to_sign has a single output of value 0 with the script OP_RETURN
+        outputs: Buffer.concat([Buffer.alloc(8), Buffer.from([1, 0x6a])])
+    };
+}
+
+/**
+ * Verify a BIP-322 signature of a P2WPKH address: the witness is `[signature, publicKey]`
+ * and the signature is checked against the BIP-143 sighash of `to_sign`.
+ * @param {*} message
+ * @param {*} address
+ * @param {*} stack
+ */
+function verifyBip322P2wpkh(message, address, stack) {
+    if(stack.length !== 2 || stack[1].length !== 33){
+        throw new SignatureError('SIGNATURE_MALFORMED', 'A P2WPKH witness must hold a signature and a compressed public key.');
+    }
+    if(!hash160(stack[1]).equals(address.hash)){
+        throw new SignatureError('SIGNATURE_KEY_MISMATCH', 'The public key of the signature does not own the address.');
+    }
+    const hashType = stack[0][stack[0].length - 1];
+    if(hashType !== 0x01){
+        throw new SignatureError('SIGNATURE_MALFORMED', `The signature uses the sighash type ${hashType}, only SIGHASH_ALL is allowed.`);
+    }
+    const tx = bip322Transactions(message, Buffer.concat([Buffer.from('0014', 'hex'), address.hash]));
+    const preimage = Buffer.concat([
+        uint32(0),                                                  // version
+        hash256(tx.outpoint),                                       // hashPrevouts
+        hash256(tx.sequence),                                       // hashSequence
+        tx.outpoint,
+        Buffer.from('1976a914', 'hex'), address.hash, Buffer.from('88ac', 'hex'),   // scriptCode
+        Buffer.alloc(8),                                            // amount
+        tx.sequence,
+        hash256(tx.outputs),                                        // hashOutputs
+        uint32(0),                                                  // locktime
+        uint32(hashType)
+    ]);
+    let valid = false;
+    try {
+        valid = secp256k1.verify(hash256(preimage), stack[0].subarray(0, -1), stack[1]);
+    } catch (error) {
+        throw new SignatureError('SIGNATURE_MALFORMED', 'The signature is not a valid DER encoded signature.');
+    }
+    if(!valid){
+        throw new SignatureError('SIGNATURE_INVALID', 'The signature does not verify for this message.');
+    }
+}
+
+/**
+ * BIP-340 Schnorr signature verification.
+ * @param {*} signature 64 bytes
+ * @param {*} hash
+ * @param {*} publicKey 32 bytes x-only key
+ */
+function verifySchnorr(signature, hash, publicKey) {
+    const n = secp256k1.curve.n;
+    const p = secp256k1.curve.p;
+    const x = new BN(publicKey);
+    const r = new BN(signature.subarray(0, 32));
+    const s = new BN(signature.subarray(32, 64));
+    if(x.cmp(p) >= 0 || r.cmp(p) >= 0 || s.cmp(n) >= 0){
+        return false;
+    }
+    let point;
+    try {
+        point = secp256k1.curve.pointFromX(x, false);
+    } catch (error) {
+        return false;
+    }
+    const e = new BN(taggedHash('BIP0340/challenge', Buffer.concat([signature.subarray(0, 32), publicKey, hash]))).umod(n);
+    const R = secp256k1.g.mul(s).add(point.mul(n.sub(e)));
+    return !R.isInfinity() && !R.getY().isOdd() && R.getX().cmp(r) === 0;
+}
+
+/**
+ * Verify a BIP-322 signature of a Taproot address (key path spend): the witness is the
+ * Schnorr signature checked against the BIP-341 sighash of `to_sign`.
+ * @param {*} message
+ * @param {*} address
+ * @param {*} stack
+ */
+function verifyBip322P2tr(message, address, stack) {
+    if(stack.length !== 1){
+        throw new SignatureError('ADDRESS_UNSUPPORTED', 'Only Taproot key path signatures are supported, not script path ones.');
+    }
+    const signature = stack[0];
+    if(signature.length !== 64 && signature.length !== 65){
+        throw new SignatureError('SIGNATURE_MALFORMED', 'A Taproot signature must be 64 or 65 bytes long.');
+    }
+    // SIGHASH_DEFAULT is only written as a 64 bytes signature, BIP-341 refuses a 65th byte of 0x00
+    const hashType = signature.length === 65 ? signature[64] : 0x00;
+    if(signature.length === 65 && hashType !== 0x01){
+        throw new SignatureError('SIGNATURE_MALFORMED', `The signature uses the sighash type ${hashType}, only SIGHASH_DEFAULT (64 bytes) and SIGHASH_ALL are allowed.`);
+    }
+    const scriptPubKey = Buffer.concat([Buffer.from('5120', 'hex'), address.hash]);
+    const tx = bip322Transactions(message, scriptPubKey);
+    const sigMsg = Buffer.concat([
+        Buffer.from([0x00, hashType]),                              // sighash epoch, hash type
+        uint32(0),                                                  // version
+        uint32(0),                                                  // locktime
+        sha256(tx.outpoint),                                        // sha_prevouts
+        sha256(Buffer.alloc(8)),                                    // sha_amounts
+        sha256(Buffer.concat([Buffer.from([scriptPubKey.length]), scriptPubKey])), // sha_scriptpubkeys
+        sha256(tx.sequence),                                        // sha_sequences
+        sha256(tx.outputs),                                         // sha_outputs
+        Buffer.from([0x00]),                                        // spend type: key path, no annex
+        uint32(0)                                                   // input index
+    ]);
+    if(!verifySchnorr(signature.subarray(0, 64), taggedHash('TapSighash', sigMsg), address.hash)){
+        throw new SignatureError('SIGNATURE_INVALID', 'The signature does not verify for this message.');
+    }
+}
+
+/**
+ * The verifyMessage(message, address, signature) method checks `signature` (base64) is
+ * a signature of `message` by `address`. It returns the format of the signature
+ * (`bip137` or `bip322`) and throws a SignatureError telling why if it isn't valid.
+ * @param {*} message
+ * @param {*} address
+ * @param {*} signature
+ */
+function verifyMessage(message, address, signature) {
+    const decoded = detectAddress(address);
+    if(!decoded){
+        throw new SignatureError('ADDRESS_INVALID', 'The address is not a valid bitcoin address.');
+    }
+    if(decoded.type === 'p2wsh' || decoded.type === 'witness_unknown'){
+        throw new SignatureError('ADDRESS_UNSUPPORTED', `Messages signed by ${decoded.type} addresses are not supported.`);
+    }
+    if(typeof signature !== 'string' || !/^[A-Za-z0-9+/]+={0,2}$/.test(signature)){
+        throw new SignatureError('SIGNATURE_MALFORMED', 'The signature must be base64 encoded.');
+    }
+    const bytes = Buffer.from(signature, 'base64');
+    if(bytes.length === 65 && bytes[0] >= 27 && bytes[0] <= 42){
+        verifyBip137(message, decoded, bytes);
+        return 'bip137';
+    }
+    const stack = decodeWitness(bytes);
+    if(decoded.type === 'p2wpkh'){
+        verifyBip322P2wpkh(message, decoded, stack);
+    } else if(decoded.type === 'p2tr'){
+        verifyBip322P2tr(message, decoded, stack);
+    } else {
+        throw new SignatureError('SIGNATURE_TYPE_MISMATCH', `A ${decoded.type} address must sign with a BIP-137 signature, BIP-322 simple signatures are for segwit addresses.`);
+    }
+    return 'bip322';
+}
+
+module.exports.SignatureError = SignatureError;
+module.exports.detectAddress = detectAddress;
+module.exports.verifyMessage = verifyMessage;
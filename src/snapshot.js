@@ -0,0 +1,315 @@
+/**
+ *                          Chain snapshots
+ *  A snapshot is a dump of the chain that can be imported in another node,
+ *  in one of two formats:
+ *   - `ndjson`  one JSON encoded block per line, the format of `FileStorage`
+ *   - `binary`  a compact format, the hashes and the bodies are stored as raw bytes:
+ *       magic `STAR`, format version (u8, 2 since the blocks have a version, the dumps
+ *       of the version 1 can still be read), number of blocks (u32), then the blocks.
+ *       A block is a kind (u8) followed by either the compact record (kind 0) or,
+ *       for a block that doesn't have the usual shape, its JSON (kind 1, u32 length
+ *       + UTF-8), so any block is restored exactly as it was hashed.
+ *  A snapshot comes with a manifest `{format, height, tipHash, blocks, sha256, createdAt,
+ *  signer, signature}`. When the node has a key the manifest is signed with
+ *  `bitcoinjs-message`, the recipient checks the dump matches the manifest and who
+ *  signed it with `verifyManifest`.
+ */
+
+const crypto = require('crypto');
+const bitcoin = require('bitcoinjs-lib');
+const bitcoinMessage = require('bitcoinjs-message');
+const { DomainError } = require('./errors.js');
+
+const FORMATS = ['ndjson', 'binary'];
+const MAGIC = 'STAR';
+const BINARY_VERSION = 2;
+const BINARY_VERSIONS = [1, 2];
+// Keys of a compact block in their order, followed by the optional `version` and `merkleRoot`
+const COMPACT_KEYS = ['hash', 'height', 'body', 'time', 'previousBlockHash', 'nonce', 'difficulty'];
+const OPTIONAL_KEYS = ['version', 'merkleRoot'];
+const HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+const STATUS = {
+    SNAPSHOT_MALFORMED: 400,
+    SNAPSHOT_INVALID: 422,
+    SNAPSHOT_MANIFEST_MISMATCH: 422,
+    SNAPSHOT_SIGNATURE_INVALID: 401,
+    SNAPSHOT_REPLACES_CHAIN: 409
+};
+
+/**
+ * Error raised when a snapshot can't be imported, `code` tells why:
+ *  - `SNAPSHOT_MALFORMED`           (400) the dump can't be decoded
+ *  - `SNAPSHOT_INVALID`             (422) the chain of the dump doesn't pass the validation, `details` lists the findings
+ *  - `SNAPSHOT_MANIFEST_MISMATCH`   (422) the dump isn't the one described by the manifest
+ *  - `SNAPSHOT_SIGNATURE_INVALID`   (401) the manifest isn't signed, or not by the expected signer
+ *  - `SNAPSHOT_REPLACES_CHAIN`      (409) the chain of the dump isn't longer than the chain or drops some of its blocks, and `force` isn't set
+ */
+class SnapshotError extends DomainError {
+
+    constructor(code, message, details) {
+        super(code, message, details, STATUS[code]);
+    }
+
+}
+
+/**
+ * Dump the blocks as NDJSON, returns a Buffer.
+ * @param {*} blocks
+ */
+function encodeNDJSON(blocks) {
+    return Buffer.from(blocks.map(block => JSON.stringify(block) + '\n').join(''), 'utf8');
+}
+
+/**
+ * Read the blocks of an NDJSON dump, the blank lines are ignored.
+ * @param {*} dump Buffer or string
+ */
+function decodeNDJSON(dump) {
+    return dump.toString('utf8').split('\n').filter(line => line.trim() !== '').map((line, index) => {
+        try {
+            return JSON.parse(line);
+        } catch (error) {
+            throw new SnapshotError('SNAPSHOT_MALFORMED', `Line ${index + 1} of the dump is not valid JSON.`);
+        }
+    });
+}
+
+/**
+ * Check a block can be stored as a compact record: same keys in the same order as a
+ * Block (plus the optional `version` and `merkleRoot`), hashes and body in lowercase hex.
+ * @param {*} block
+ */
+function isCompact(block) {
+    const keys = Object.keys(block);
+    const expected = COMPACT_KEYS.concat(OPTIONAL_KEYS.filter(key => block[key] !== undefined));
+    return keys.length === expected.length && keys.every((key, i) => key === expected[i]) &&
+        HASH_PATTERN.test(block.hash) &&
+        Number.isInteger(block.height) && block.height >= 0 && block.height <= 0xffffffff &&
+        typeof block.body === 'string' && /^([0-9a-f]{2})*$/.test(block.body) &&
+        typeof block.time === 'string' && /^(0|[1-9]\d{0,14})$/.test(block.time) &&
+        (block.previousBlockHash === null || HASH_PATTERN.test(block.previousBlockHash)) &&
+        Number.isSafeInteger(block.nonce) && block.nonce >= 0 &&
+        Number.isInteger(block.difficulty) && block.difficulty >= 0 && block.difficulty <= 64 &&
+        (block.version === undefined || (Number.isInteger(block.version) && block.version >= 0 && block.version <= 0xff)) &&
+        (block.merkleRoot === undefined || HASH_PATTERN.test(block.merkleRoot));
+}
+
+/**
+ * Encode one block, returns the list of its Buffers.
+ * @param {*} block
+ */
+function encodeBlock(block) {
+    if(!isCompact(block)){
+        const json = Buffer.from(JSON.stringify(block), 'utf8');
+        const header = Buffer.alloc(5);
+        header.writeUInt8(1, 0);
+        header.writeUInt32BE(json.length, 1);
+        return [header, json];
+    }
+    const body = Buffer.from(block.body, 'hex');
+    const flags = (block.previousBlockHash !== null ? 1 : 0) | (block.merkleRoot !== undefined ? 2 : 0) | (block.version !== undefined ? 4 : 0);
+    const fixed = Buffer.alloc(2 + 32 + 4 + 8 + 8 + 1);
+    let offset = fixed.writeUInt8(0, 0);
+    offset = fixed.writeUInt8(flags, offset);
+    offset += fixed.write(block.hash, offset, 'hex');
+    offset = fixed.writeUInt32BE(block.height, offset);
+    offset = fixed.writeDoubleBE(Number(block.time), offset);
+    offset = fixed.writeDoubleBE(block.nonce, offset);
+    fixed.writeUInt8(block.difficulty, offset);
+    const parts = [fixed];
+    if(flags & 1){
+        parts.push(Buffer.from(block.previousBlockHash, 'hex'));
+    }
+    if(flags & 2){
+        parts.push(Buffer.from(block.merkleRoot, 'hex'));
+    }
+    if(flags & 4){
+        parts.push(Buffer.from([block.version]));
+    }
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(body.length, 0);
+    parts.push(length, body);
+    return parts;
+}
+
+/**
+ * Dump the blocks in the binary format, returns a Buffer.
+ * @param {*} blocks
+ */
+function encodeBinary(blocks) {
+    const header = Buffer.alloc(9);
+    header.write(MAGIC, 0, 'ascii');
+    header.writeUInt8(BINARY_VERSION, 4);
+    header.writeUInt32BE(blocks.length, 5);
+    return Buffer.concat([header].concat(...blocks.map(encodeBlock)));
+}
+
+/**
+ * Read the blocks of a binary dump.
+ * @param {*} dump Buffer
+ */
+function decodeBinary(dump) {
+    let offset = 0;
+    const take = (size) => {
+        if(offset + size > dump.length){
+            throw new SnapshotError('SNAPSHOT_MALFORMED', 'The dump is truncated.');
+        }
+        const slice = dump.subarray(offset, offset + size);
+        offset += size;
+        return slice;
+    };
+    if(take(4).toString('ascii') !== MAGIC){
+        throw new SnapshotError('SNAPSHOT_MALFORMED', 'The dump is not a binary snapshot.');
+    }
+    const version = take(1).readUInt8(0);
+    if(!BINARY_VERSIONS.includes(version)){
+        throw new SnapshotError('SNAPSHOT_MALFORMED', `Unsupported binary snapshot version ${version}.`);
+    }
+    const count = take(4).readUInt32BE(0);
+    const blocks = [];
+    for(let i = 0; i < count; i++){
+        const kind = take(1).readUInt8(0);
+        if(kind === 1){
+            const json = take(take(4).readUInt32BE(0)).toString('utf8');
+            try {
+                blocks.push(JSON.parse(json));
+            } catch (error) {
+                throw new SnapshotError('SNAPSHOT_MALFORMED', `Block ${i} of the dump is not valid JSON.`);
+            }
+            continue;
+        }
+        if(kind !== 0){
+            throw new SnapshotError('SNAPSHOT_MALFORMED', `Block ${i} of the dump has an unknown kind.`);
+        }
+        const flags = take(1).readUInt8(0);
+        const hash = take(32).toString('hex');
+        const height = take(4).readUInt32BE(0);
+        const time = String(take(8).readDoubleBE(0));
+        const nonce = take(8).readDoubleBE(0);
+        const difficulty = take(1).readUInt8(0);
+        const previousBlockHash = flags & 1 ? take(32).toString('hex') : null;
+        const merkleRoot = flags & 2 ? take(32).toString('hex') : undefined;
+        const blockVersion = flags & 4 ? take(1).readUInt8(0) : undefined;
+        const body = take(take(4).readUInt32BE(0)).toString('hex');
+        // Same keys in the same order as a Block, the hash of a version 1 block depends on it
+        const block = { hash: hash, height: height, body: body, time: time, previousBlockHash: previousBlockHash, nonce: nonce, difficulty: difficulty };
+        if(blockVersion !== undefined){
+            block.version = blockVersion;
+        }
+        if(merkleRoot !== undefined){
+            block.merkleRoot = merkleRoot;
+        }
+        blocks.push(block);
+    }
+    if(offset !== dump.length){
+        throw new SnapshotError('SNAPSHOT_MALFORMED', 'The dump has trailing bytes.');
+    }
+    return blocks;
+}
+
+/**
+ * Dump the blocks in the given format.
+ * @param {*} blocks
+ * @param {*} format `ndjson` or `binary`
+ */
+function encode(blocks, format) {
+    return format === 'binary' ? encodeBinary(blocks) : encodeNDJSON(blocks);
+}
+
+/**
+ * Read the blocks of a dump in the given format.
+ * @param {*} dump
+ * @param {*} format `ndjson` or `binary`
+ */
+function decode(dump, format) {
+    return format === 'binary' ? decodeBinary(dump) : decodeNDJSON(dump);
+}
+
+/**
+ * The message signed for a manifest, its fields in a fixed order.
+ * @param {*} manifest
+ */
+function manifestMessage(manifest) {
+    return JSON.stringify([manifest.format, manifest.height, manifest.tipHash, manifest.blocks, manifest.sha256, manifest.createdAt, manifest.signer]);
+}
+
+/**
+ * The createManifest(blocks, format, dump, key) method describes a dump. If `key` (a
+ * bitcoinjs-lib ECPair) is given the manifest is signed and `signer` is its P2PKH address.
+ * @param {*} blocks
+ * @param {*} format
+ * @param {*} dump
+ * @param {*} key
+ */
+function createManifest(blocks, format, dump, key) {
+    const tip = blocks[blocks.length - 1];
+    const manifest = {
+        format: format,
+        height: tip ? tip.height : -1,
+        tipHash: tip ? tip.hash : null,
+        blocks: blocks.length,
+        sha256: crypto.createHash('sha256').update(dump).digest('hex'),
+        createdAt: new Date().getTime().toString().slice(0,-3),
+        signer: key ? bitcoin.payments.p2pkh({ pubkey: key.publicKey, network: key.network }).address : null,
+        signature: null
+    };
+    if(key){
+        manifest.signature = bitcoinMessage.sign(manifestMessage(manifest), key.privateKey, key.compressed).toString('base64');
+    }
+    return manifest;
+}
+
+/**
+ * The verifyManifest(manifest, dump, blocks, signer) method checks the dump and its decoded
+ * blocks are the ones described by the manifest, and that the manifest is signed by `signer`
+ * when it is given. It throws a SnapshotError if they aren't.
+ * @param {*} manifest
+ * @param {*} dump
+ * @param {*} blocks
+ * @param {*} signer Address expected to have signed the manifest (optional)
+ */
+function verifyManifest(manifest, dump, blocks, signer) {
+    if(!manifest || typeof manifest !== 'object'){
+        throw new SnapshotError('SNAPSHOT_MANIFEST_MISMATCH', 'The manifest is not an object.');
+    }
+    const tip = blocks[blocks.length - 1];
+    const problems = [];
+    if(manifest.sha256 !== crypto.createHash('sha256').update(dump).digest('hex')){
+        problems.push('sha256 does not match the dump');
+    }
+    if(manifest.blocks !== blocks.length){
+        problems.push('blocks does not match the number of blocks of the dump');
+    }
+    if(!tip || manifest.height !== tip.height || manifest.tipHash !== tip.hash){
+        problems.push('height and tipHash do not match the last block of the dump');
+    }
+    if(problems.length > 0){
+        throw new SnapshotError('SNAPSHOT_MANIFEST_MISMATCH', 'The dump does not match the manifest.', problems);
+    }
+    if(manifest.signature || signer){
+        let valid = false;
+        try {
+            valid = !!manifest.signer && bitcoinMessage.verify(manifestMessage(manifest), manifest.signer, manifest.signature);
+        } catch (error) {
+            valid = false;
+        }
+        if(!valid){
+            throw new SnapshotError('SNAPSHOT_SIGNATURE_INVALID', 'The signature of the manifest is not valid.');
+        }
+        if(signer && manifest.signer !== signer){
+            throw new SnapshotError('SNAPSHOT_SIGNATURE_INVALID', `The manifest was signed by ${manifest.signer}, not by ${signer}.`);
+        }
+    }
+}
+
+module.exports.SnapshotError = SnapshotError;
+module.exports.FORMATS = FORMATS;
+module.exports.encode = encode;
+module.exports.decode = decode;
+module.exports.encodeNDJSON = encodeNDJSON;
+module.exports.decodeNDJSON = decodeNDJSON;
+module.exports.encodeBinary = encodeBinary;
+module.exports.decodeBinary = decodeBinary;
+module.exports.createManifest = createManifest;
+module.exports.verifyManifest = verifyManifest;
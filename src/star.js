@@ -0,0 +1,194 @@
+/**
+ *                          Star schema
+ *  A star submitted with `submitStar` must follow this schema:
+ *   - `ra`     right ascension, `"16h 29m 1.0s"` or a number of degrees in [0, 360)   (required)
+ *   - `dec`    declination, `"68° 52' 56.9"` or a number of degrees in [-90, 90]      (required)
+ *   - `mag`    apparent magnitude, a number in [-30, 30]                              (optional)
+ *   - `cen`    constellation, one of the 88 IAU abbreviations (e.g. `"Dra"`)          (optional)
+ *   - `story`  text of at most 500 bytes                                             (required)
+ *   - `sealed` `{commitment, ciphertext}` of a story sealed to the owner, in place of `story` (see `seal.js`)
+ *  Two stars are the same star when their coordinates are equal once rounded to the
+ *  arcsecond, `starKey(star)` returns that normalized key.
+ */
+
+const { DomainError } = require('./errors.js');
+const { sealedProblems } = require('./seal.js');
+
+const MAX_STORY_BYTES = 500;
+
+const CONSTELLATIONS = [
+    'And', 'Ant', 'Aps', 'Aqr', 'Aql', 'Ara', 'Ari', 'Aur', 'Boo', 'Cae', 'Cam', 'Cnc',
+    'CVn', 'CMa', 'CMi', 'Cap', 'Car', 'Cas', 'Cen', 'Cep', 'Cet', 'Cha', 'Cir', 'Col',
+    'Com', 'CrA', 'CrB', 'Crv', 'Crt', 'Cru', 'Cyg', 'Del', 'Dor', 'Dra', 'Equ', 'Eri',
+    'For', 'Gem', 'Gru', 'Her', 'Hor', 'Hya', 'Hyi', 'Ind', 'Lac', 'Leo', 'LMi', 'Lep',
+    'Lib', 'Lup', 'Lyn', 'Lyr', 'Men', 'Mic', 'Mon', 'Mus', 'Nor', 'Oct', 'Oph', 'Ori',
+    'Pav', 'Peg', 'Per', 'Phe', 'Pic', 'Psc', 'PsA', 'Pup', 'Pyx', 'Ret', 'Sge', 'Sgr',
+    'Sco', 'Scl', 'Sct', 'Ser', 'Sex', 'Tau', 'Tel', 'Tri', 'TrA', 'Tuc', 'UMa', 'UMi',
+    'Vel', 'Vir', 'Vol', 'Vul'
+];
+
+const RA_PATTERN = /^\s*(\d{1,2})\s*h\s*(\d{1,2})\s*m\s*(\d{1,2}(?:\.\d+)?)\s*s?\s*$/i;
+const DEC_PATTERN = /^\s*([+-]?)(\d{1,2})\s*°\s*(\d{1,2})\s*'\s*(\d{1,2}(?:\.\d+)?)\s*"?\s*$/;
+
+/**
+ * Error raised when a star can't be registered, `code` tells why:
+ *  - `STAR_INVALID`             (422) the star doesn't follow the schema, `details` lists the problems
+ *  - `STAR_ALREADY_REGISTERED`  (409) a star with the same coordinates is already in the chain
+ */
+class StarError extends DomainError {
+
+    constructor(code, message, details) {
+        super(code, message, details, code === 'STAR_ALREADY_REGISTERED' ? 409 : 422);
+    }
+
+}
+
+/**
+ * Convert the right ascension to degrees, returns NaN if it isn't valid.
+ * @param {*} ra
+ */
+function parseRa(ra) {
+    if(typeof ra === 'number'){
+        return (ra >= 0 && ra < 360) ? ra : NaN;
+    }
+    const match = typeof ra === 'string' ? ra.match(RA_PATTERN) : null;
+    if(!match){
+        return NaN;
+    }
+    const hours = parseInt(match[1]);
+    const minutes = parseInt(match[2]);
+    const seconds = parseFloat(match[3]);
+    if(hours > 23 || minutes > 59 || seconds >= 60){
+        return NaN;
+    }
+    return (hours + minutes / 60 + seconds / 3600) * 15;
+}
+
+/**
+ * Convert the declination to degrees, returns NaN if it isn't valid.
+ * @param {*} dec
+ */
+function parseDec(dec) {
+    if(typeof dec === 'number'){
+        return (dec >= -90 && dec <= 90) ? dec : NaN;
+    }
+    const match = typeof dec === 'string' ? dec.match(DEC_PATTERN) : null;
+    if(!match){
+        return NaN;
+    }
+    const degrees = parseInt(match[2]);
+    const minutes = parseInt(match[3]);
+    const seconds = parseFloat(match[4]);
+    if(minutes > 59 || seconds >= 60){
+        return NaN;
+    }
+    const value = degrees + minutes / 60 + seconds / 3600;
+    if(value > 90){
+        return NaN;
+    }
+    return match[1] === '-' ? -value : value;
+}
+
+/**
+ * The validateStar(star) method checks the star against the schema and returns a
+ * clean copy of it (only the known fields, the constellation with its IAU case).
+ * It throws a StarError with the list of problems if the star isn't valid.
+ * @param {*} star
+ */
+function validateStar(star) {
+    if(!star || typeof star !== 'object' || Array.isArray(star)){
+        throw new StarError('STAR_INVALID', 'The star must be an object.', ['star must be an object']);
+    }
+    const problems = [];
+    const allowed = ['ra', 'dec', 'mag', 'cen', 'story', 'sealed'];
+    Object.keys(star).filter(key => !allowed.includes(key)).forEach(key => {
+        problems.push(`unknown field ${key}`);
+    });
+
+    if(isNaN(parseRa(star.ra))){
+        problems.push('ra must look like "16h 29m 1.0s" or be a number of degrees in [0, 360)');
+    }
+    if(isNaN(parseDec(star.dec))){
+        problems.push('dec must look like "68° 52\' 56.9" or be a number of degrees in [-90, 90]');
+    }
+    if(star.mag !== undefined && (typeof star.mag !== 'number' || !isFinite(star.mag) || star.mag < -30 || star.mag > 30)){
+        problems.push('mag must be a number in [-30, 30]');
+    }
+    let cen;
+    if(star.cen !== undefined){
+        cen = typeof star.cen === 'string' ? CONSTELLATIONS.find(c => c.toLowerCase() === star.cen.trim().toLowerCase()) : undefined;
+        if(!cen){
+            problems.push('cen must be an IAU constellation abbreviation');
+        }
+    }
+    // A sealed star has the commitment and the ciphertext of its story in place of the story (see `seal.js`)
+    if(star.sealed !== undefined){
+        if(star.story !== undefined){
+            problems.push('a star has either a story or a sealed story, not both');
+        }
+        sealedProblems(star.sealed).forEach(problem => problems.push(problem));
+    } else {
+        storyProblems(star.story).forEach(problem => problems.push(problem));
+    }
+
+    if(problems.length > 0){
+        throw new StarError('STAR_INVALID', 'The star is not valid.', problems);
+    }
+
+    const clean = { ra: star.ra, dec: star.dec };
+    if(star.mag !== undefined){
+        clean.mag = star.mag;
+    }
+    if(cen){
+        clean.cen = cen;
+    }
+    if(star.sealed !== undefined){
+        clean.sealed = { commitment: star.sealed.commitment, ciphertext: star.sealed.ciphertext };
+    } else {
+        clean.story = star.story;
+    }
+    return clean;
+}
+
+/**
+ * The problems of the story of a star, an empty list when it is valid.
+ * @param {*} story
+ */
+function storyProblems(story) {
+    if(typeof story !== 'string' || story.trim().length === 0){
+        return ['story must be a non empty string'];
+    }
+    if(Buffer.byteLength(story, 'utf8') > MAX_STORY_BYTES){
+        return [`story must be at most ${MAX_STORY_BYTES} bytes`];
+    }
+    return [];
+}
+
+/**
+ * The starKey(star) method returns the normalized coordinates of a star, the right
+ * ascension and the declination rounded to the arcsecond. Returns null if the
+ * coordinates can't be parsed (for example a block written before the schema existed).
+ * @param {*} star
+ */
+function starKey(star) {
+    if(!star){
+        return null;
+    }
+    const ra = parseRa(star.ra);
+    const dec = parseDec(star.dec);
+    if(isNaN(ra) || isNaN(dec)){
+        return null;
+    }
+    const raSeconds = Math.round(ra * 3600) % (360 * 3600);
+    const decSeconds = Math.round(dec * 3600);
+    return `${raSeconds}:${decSeconds}`;
+}
+
+module.exports.StarError = StarError;
+module.exports.validateStar = validateStar;
+module.exports.storyProblems = storyProblems;
+module.exports.starKey = starKey;
+module.exports.parseRa = parseRa;
+module.exports.parseDec = parseDec;
+module.exports.CONSTELLATIONS = CONSTELLATIONS;
+module.exports.MAX_STORY_BYTES = MAX_STORY_BYTES;
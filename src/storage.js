@@ -0,0 +1,132 @@
+/**
+ *                          Storage backends
+ *  The Blockchain class delegates the persistence of its blocks to a storage
+ *  backend, so the chain survives a restart of the application. Every backend
+ *  exposes the same asynchronous interface:
+ *   - `load()`          resolves with the array of stored block records, oldest first
+ *   - `append(block)`   persists one block at the tip of the chain
+ *   - `replace(blocks)` atomically replaces every stored block (used when a longer chain is adopted)
+ *   - `close()`         releases any resource held by the backend
+ *  The records returned by `load()` are plain objects, the Blockchain class is in
+ *  charge of turning them back into `Block` instances and validating them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger.js');
+
+/**
+ * MemoryStorage keeps the blocks in an array. Nothing survives a restart,
+ * it is meant for tests and throw away chains.
+ */
+class MemoryStorage {
+
+    constructor() {
+        this.records = [];
+    }
+
+    load() {
+        return Promise.resolve(this.records.map(record => JSON.parse(record)));
+    }
+
+    append(block) {
+        // Store a serialized copy so later changes to the block object can't leak into the storage
+        this.records.push(JSON.stringify(block));
+        return Promise.resolve();
+    }
+
+    replace(blocks) {
+        this.records = blocks.map(block => JSON.stringify(block));
+        return Promise.resolve();
+    }
+
+    close() {
+        return Promise.resolve();
+    }
+
+}
+
+/**
+ * FileStorage is an append-only log with one JSON encoded block per line.
+ * Each block is written with a single `write` followed by an `fsync`, so the only
+ * damage a crash can do is a torn last line. That line never ends with a newline
+ * and it is discarded (and truncated from the file) the next time the log is loaded.
+ */
+class FileStorage {
+
+    constructor(filename) {
+        this.filename = filename;
+        this.handle = null;
+    }
+
+    async load() {
+        await fs.promises.mkdir(path.dirname(this.filename), { recursive: true });
+        let content;
+        try {
+            content = await fs.promises.readFile(this.filename);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+            content = Buffer.alloc(0);
+        }
+
+        // Everything after the last newline is a record that was never completely written
+        const end = content.lastIndexOf(0x0a) + 1;
+        if (end < content.length) {
+            logger.warn(`Discarding ${content.length - end} bytes of a partially written block in ${this.filename}`);
+            await fs.promises.truncate(this.filename, end);
+        }
+
+        const records = content.slice(0, end).toString('utf8')
+            .split('\n')
+            .filter(line => line.length > 0)
+            .map((line, i) => {
+                try {
+                    return JSON.parse(line);
+                } catch (error) {
+                    throw new Error(`Corrupted block record at line ${i + 1} of ${this.filename}`);
+                }
+            });
+
+        this.handle = await fs.promises.open(this.filename, 'a');
+        return records;
+    }
+
+    async append(block) {
+        if (!this.handle) {
+            throw new Error('FileStorage must be loaded before appending blocks');
+        }
+        await this.handle.write(JSON.stringify(block) + '\n');
+        await this.handle.sync();
+    }
+
+    /**
+     * The new chain is written to a temporary file which is renamed over the log
+     * once it is on disk, a crash leaves either the old or the new chain, never a mix.
+     */
+    async replace(blocks) {
+        const tmpFilename = `${this.filename}.tmp`;
+        const tmpHandle = await fs.promises.open(tmpFilename, 'w');
+        try {
+            await tmpHandle.write(blocks.map(block => JSON.stringify(block) + '\n').join(''));
+            await tmpHandle.sync();
+        } finally {
+            await tmpHandle.close();
+        }
+        await this.close();
+        await fs.promises.rename(tmpFilename, this.filename);
+        this.handle = await fs.promises.open(this.filename, 'a');
+    }
+
+    async close() {
+        if (this.handle) {
+            await this.handle.close();
+            this.handle = null;
+        }
+    }
+
+}
+
+module.exports.MemoryStorage = MemoryStorage;
+module.exports.FileStorage = FileStorage;
@@ -0,0 +1,64 @@
+/**
+ *                          Star transfers
+ *  A star belongs to the address that registered it until its owner transfers it.
+ *  A transfer is a block whose body is:
+ *      `{type: 'transfer', from, to, star, message, signature}`
+ *  where `star` is the id of the star (the hash of the block that registered it, or
+ *  the hash of its record for a star batched with others, see `merkle.js`) and `message`
+ *  is signed by `from` with `bitcoinjs-message`. The message names the current
+ *  owner, the star, the recipient and the hash of the last block of the star's
+ *  history (its registration or its last transfer):
+ *      `<FROM>:<STAR_HASH>:<TO>:<HEAD_HASH>:starTransfer`
+ *  Once the transfer is in the chain the head changes, so the same signature
+ *  can never be replayed.
+ */
+
+const { DomainError } = require('./errors.js');
+const { detectAddress } = require('./signature.js');
+
+const STATUS = {
+    STAR_NOT_FOUND: 404,
+    NOT_STAR_OWNER: 403,
+    INVALID_RECIPIENT: 422,
+    TRANSFER_MESSAGE_MISMATCH: 422,
+    TRANSFER_SIGNATURE_INVALID: 401
+};
+
+/**
+ * Error raised when a transfer is refused, `code` tells why:
+ *  - `STAR_NOT_FOUND`              (404) no star was registered with this id
+ *  - `NOT_STAR_OWNER`              (403) the address doesn't own the star
+ *  - `INVALID_RECIPIENT`           (422) the recipient isn't a valid bitcoin address
+ *  - `TRANSFER_MESSAGE_MISMATCH`   (422) the message isn't the one expected for this transfer
+ *  - `TRANSFER_SIGNATURE_INVALID`  (401) the signature doesn't match the owner address
+ */
+class TransferError extends DomainError {
+
+    constructor(code, message) {
+        super(code, message, [], STATUS[code]);
+    }
+
+}
+
+/**
+ * The transferMessage method returns the message the owner must sign to transfer a star.
+ * @param {*} from Current owner
+ * @param {*} starHash Id of the star
+ * @param {*} to Recipient
+ * @param {*} headHash Hash of the last block of the star's history
+ */
+function transferMessage(from, starHash, to, headHash) {
+    return `${from}:${starHash}:${to}:${headHash}:starTransfer`;
+}
+
+/**
+ * Check the address is a valid bitcoin address (legacy, segwit or Taproot, mainnet, testnet or regtest).
+ * @param {*} address
+ */
+function isValidAddress(address) {
+    return detectAddress(address) !== null;
+}
+
+module.exports.TransferError = TransferError;
+module.exports.transferMessage = transferMessage;
+module.exports.isValidAddress = isValidAddress;
@@ -0,0 +1,141 @@
+/**
+ *                          Request validation
+ *  The `validateRequests(document)` middleware checks the path parameters, the query
+ *  parameters and the JSON body of each request against the operation of the OpenAPI
+ *  document (see `openapi.js`) before it reaches the BlockchainController. A request
+ *  that doesn't match is answered 400 with the code `MISSING_PARAMETER` when required
+ *  body parameters are missing, `INVALID_PARAMETER` otherwise, and `details` lists
+ *  every problem. The requests of the routes that aren't in the document go through.
+ */
+
+const Ajv = require('ajv');
+const { BadRequestError } = require('./errors.js');
+
+const METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+// Where each type of parameter is found in the request, and its name in the messages
+const LOCATIONS = {
+    path: 'Path',
+    query: 'Query',
+    body: 'Body'
+};
+
+/**
+ * Compile a schema of the document, its `$ref` point to the components of the document.
+ * @param {*} ajv
+ * @param {*} document
+ * @param {*} schema
+ */
+function compile(ajv, document, schema) {
+    return ajv.compile(Object.assign({}, schema, { components: document.components }));
+}
+
+/**
+ * Compile the validators of the path parameters, the query parameters and the JSON body of an operation.
+ * The parameters are strings in a request, they are converted to the type of their schema to be checked.
+ * @param {*} document
+ * @param {*} operation
+ * @param {*} parameterAjv
+ * @param {*} bodyAjv
+ */
+function compileOperation(document, operation, parameterAjv, bodyAjv) {
+    const validators = {};
+    for(const location of ['path', 'query']){
+        const parameters = (operation.parameters || []).filter(parameter => parameter.in === location);
+        if(parameters.length > 0){
+            validators[location] = compile(parameterAjv, document, {
+                type: 'object',
+                properties: Object.fromEntries(parameters.map(parameter => [parameter.name, parameter.schema])),
+                required: parameters.filter(parameter => parameter.required).map(parameter => parameter.name)
+            });
+        }
+    }
+    const content = operation.requestBody && operation.requestBody.content['application/json'];
+    if(content){
+        validators.body = compile(bodyAjv, document, content.schema);
+    }
+    return validators;
+}
+
+/**
+ * The regular expression matching the request paths of an OpenAPI path, `/star/{hash}`
+ * matches `/star/abc` (and `/star/abc/`) and captures the parameter `hash`.
+ * @param {*} path
+ */
+function pathPattern(path) {
+    return new RegExp('^' + path.replace(/\{(\w+)\}/g, '(?<$1>[^/]+)') + '/?$');
+}
+
+/**
+ * Describe an error of Ajv the way the API does: `star must be object`, `address is required`.
+ * @param {*} error
+ */
+function describe(error) {
+    const field = error.instancePath.slice(1).replace(/\//g, '.');
+    if(error.keyword === 'required'){
+        return `${field ? field + '.' : ''}${error.params.missingProperty} is required`;
+    }
+    if(error.keyword === 'enum'){
+        return `${field || 'the body'} must be one of ${error.params.allowedValues.join(', ')}`;
+    }
+    return `${field || 'the body'} ${error.message}`;
+}
+
+/**
+ * Build the BadRequestError of the problems found in a part of the request.
+ * @param {*} location `path`, `query` or `body`
+ * @param {*} errors Errors of Ajv
+ */
+function requestError(location, errors) {
+    const details = Array.from(new Set(errors.map(describe)));
+    if(location === 'body' && errors.every(error => error.keyword === 'required' && error.instancePath === '')){
+        return new BadRequestError('MISSING_PARAMETER', 'Check the Body Parameter!', details);
+    }
+    const first = errors[0];
+    const name = first.instancePath.split('/')[1] || (first.keyword === 'required' ? first.params.missingProperty : null);
+    return new BadRequestError('INVALID_PARAMETER', `Check the ${LOCATIONS[location]} Parameter${name ? ' ' + name : ''}!`, details);
+}
+
+/**
+ * The validateRequests(document) method returns the middleware that validates the requests
+ * against the OpenAPI `document`. The paths of the requests are the paths of the document,
+ * the middleware is installed in the router of each chain.
+ * @param {*} document
+ */
+function validateRequests(document) {
+    const parameterAjv = new Ajv({ strict: false, allErrors: true, coerceTypes: true });
+    const bodyAjv = new Ajv({ strict: false, allErrors: true });
+    const operations = [];
+    for(const [path, item] of Object.entries(document.paths)){
+        const pattern = pathPattern(path);
+        for(const [method, operation] of Object.entries(item).filter(([key]) => METHODS.includes(key))){
+            operations.push({ method: method.toUpperCase(), pattern: pattern, validators: compileOperation(document, operation, parameterAjv, bodyAjv) });
+        }
+    }
+
+    return (req, res, next) => {
+        let match = null;
+        const operation = operations.find(candidate => candidate.method === req.method && (match = candidate.pattern.exec(req.path)));
+        if(!operation){
+            return next();
+        }
+        let pathParameters;
+        try {
+            pathParameters = Object.fromEntries(Object.entries(match.groups || {}).map(([name, value]) => [name, decodeURIComponent(value)]));
+        } catch (error) {
+            return next(new BadRequestError('INVALID_PARAMETER', 'Check the Path Parameter!', ['the path is not a valid url']));
+        }
+        // The parameters are copied, the conversion of their types must not change the request
+        const values = { path: pathParameters, query: Object.assign({}, req.query), body: req.body };
+        for(const location of Object.keys(LOCATIONS)){
+            const validator = operation.validators[location];
+            if(validator && !validator(values[location])){
+                return next(requestError(location, validator.errors));
+            }
+        }
+        next();
+    };
+}
+
+module.exports.validateRequests = validateRequests;
+module.exports.pathPattern = pathPattern;
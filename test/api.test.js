@@ -0,0 +1,333 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createWallet, registerStar } = require('./helpers.js');
+const { ChallengeStore } = require('../src/challenges.js');
+const merkle = require('../src/merkle.js');
+const { Block } = require('../src/block.js');
+
+const STAR = { ra: '16h 29m 1.0s', dec: "68° 52' 56.9", mag: 4.5, cen: 'Dra', story: 'Found it from my backyard 🔭' };
+
+// A star of its own at the right ascension `hours`, each star can only be registered once
+function starAt(hours) {
+    return Object.assign({}, STAR, { ra: `${hours}h 0m 0s` });
+}
+
+// The id of a star batched in a block is the hash of its record, found from the blocks of its owner
+async function findStar(client, address) {
+    const page = await client.request('GET', `/blocks?owner=${address}&type=star&decodedBody=true`);
+    const record = page.body.blocks[0].decodedBody.records.find(entry => entry.owner === address);
+    return { starId: merkle.hashRecord(record), record: record };
+}
+
+describe('star registration', () => {
+    let client;
+    before(async () => { client = await startServer(); });
+    after(() => client.close());
+
+    it('starts with the Genesis Block', async () => {
+        const head = await client.request('GET', '/chain/head');
+        assert.equal(head.status, 200);
+        assert.equal(head.body.height, 0);
+        const genesis = await client.request('GET', '/block/height/0');
+        assert.equal(genesis.status, 200);
+        assert.equal(genesis.body.hash, head.body.hash);
+        assert.equal(genesis.body.previousBlockHash, null);
+    });
+
+    it('issues a challenge for the address', async () => {
+        const wallet = createWallet();
+        const res = await client.request('POST', '/requestValidation', { address: wallet.address });
+        assert.equal(res.status, 200);
+        assert.match(res.body, new RegExp(`^${wallet.address}:\\d+:starRegistry:[0-9a-f]{32}$`));
+    });
+
+    it('registers a star signed with the challenge', async () => {
+        const wallet = createWallet();
+        const res = await registerStar(client, wallet, STAR);
+        assert.equal(res.status, 200);
+        assert.equal(res.body.height, 1);
+
+        const byHash = await client.request('GET', `/block/hash/${res.body.hash}`);
+        assert.equal(byHash.status, 200);
+        assert.deepEqual(byHash.body, res.body);
+
+        const stars = await client.request('GET', `/blocks/${wallet.address}`);
+        assert.equal(stars.status, 200);
+        assert.deepEqual(stars.body, [STAR]);
+
+        const blocks = await client.request('GET', `/blocks?owner=${wallet.address}&decodedBody=true`);
+        assert.equal(blocks.body.blocks.length, 1);
+        const record = blocks.body.blocks[0].decodedBody.records[0];
+        // The record keeps the challenge the owner signed, the peers check it
+        assert.deepEqual(Object.keys(record).sort(), ['message', 'owner', 'signature', 'star']);
+        assert.deepEqual({ owner: record.owner, star: record.star }, { owner: wallet.address, star: STAR });
+        assert.ok(record.message.startsWith(`${wallet.address}:`));
+    });
+
+    it('serves the history and the Merkle proof of the star', async () => {
+        const wallet = createWallet();
+        const star = starAt(10);
+        const block = (await registerStar(client, wallet, star)).body;
+        const { starId, record } = await findStar(client, wallet.address);
+
+        const history = await client.request('GET', `/star/${starId}/history`);
+        assert.equal(history.status, 200);
+        assert.equal(history.body.owner, wallet.address);
+        assert.deepEqual(history.body.history.map(entry => [entry.type, entry.hash]), [['registration', block.hash]]);
+
+        const proof = await client.request('GET', `/star/${starId}/proof`);
+        assert.equal(proof.status, 200);
+        assert.deepEqual(proof.body.record, record);
+        assert.ok(merkle.verifyInclusion(proof.body.record, proof.body.proof, proof.body.header));
+    });
+
+    it('refuses a signature made by another key', async () => {
+        const wallet = createWallet();
+        const message = (await client.request('POST', '/requestValidation', { address: wallet.address })).body;
+        const res = await client.request('POST', '/submitstar', { address: wallet.address, message: message, signature: createWallet().sign(message), star: starAt(20) });
+        assert.equal(res.status, 401);
+        assert.equal(res.body.code, 'SIGNATURE_KEY_MISMATCH');
+    });
+
+    it('refuses a challenge used twice', async () => {
+        const wallet = createWallet();
+        const message = (await client.request('POST', '/requestValidation', { address: wallet.address })).body;
+        const submission = { address: wallet.address, message: message, signature: wallet.sign(message), star: starAt(1) };
+        assert.equal((await client.request('POST', '/submitstar', submission)).status, 200);
+        submission.star = starAt(2);
+        const replay = await client.request('POST', '/submitstar', submission);
+        assert.equal(replay.status, 401);
+        assert.equal(replay.body.code, 'CHALLENGE_ALREADY_USED');
+    });
+
+    it('refuses a message the server never issued', async () => {
+        const wallet = createWallet();
+        const message = `${wallet.address}:${ChallengeStore.now()}:starRegistry`;
+        const res = await client.request('POST', '/submitstar', { address: wallet.address, message: message, signature: wallet.sign(message), star: starAt(21) });
+        assert.equal(res.status, 401);
+        assert.equal(res.body.code, 'CHALLENGE_UNKNOWN');
+    });
+
+    it('refuses a star registered twice', async () => {
+        const star = starAt(3);
+        assert.equal((await registerStar(client, createWallet(), star)).status, 200);
+        const res = await registerStar(client, createWallet(), star);
+        assert.equal(res.status, 409);
+        assert.equal(res.body.code, 'STAR_ALREADY_REGISTERED');
+    });
+
+    it('refuses an invalid star with the list of its problems', async () => {
+        const res = await registerStar(client, createWallet(), { ra: '25h 0m 0s', dec: 100, story: '' });
+        assert.equal(res.status, 422);
+        assert.equal(res.body.code, 'STAR_INVALID');
+        assert.equal(res.body.details.length, 3);
+    });
+
+    it('answers the errors with the code, the details and the request id', async () => {
+        const res = await client.request('POST', '/submitstar', { address: createWallet().address }, { 'X-Request-Id': 'test-request-1' });
+        assert.equal(res.status, 400);
+        assert.equal(res.headers.get('x-request-id'), 'test-request-1');
+        assert.deepEqual(res.body, {
+            code: 'MISSING_PARAMETER',
+            message: 'Check the Body Parameter!',
+            details: ['message is required', 'signature is required', 'star is required'],
+            requestId: 'test-request-1'
+        });
+    });
+});
+
+describe('signature expiry', () => {
+    let client;
+    before(async () => { client = await startServer({ chain: { difficulty: 0, validationWindow: 60 } }); });
+    after(() => client.close());
+
+    it('refuses a challenge signed after the validation window', async (t) => {
+        const wallet = createWallet();
+        const message = (await client.request('POST', '/requestValidation', { address: wallet.address })).body;
+        const issuedAt = Number(message.split(':')[1]);
+        t.mock.method(ChallengeStore, 'now', () => issuedAt + 60);
+        const res = await client.request('POST', '/submitstar', { address: wallet.address, message: message, signature: wallet.sign(message), star: STAR });
+        assert.equal(res.status, 401);
+        assert.equal(res.body.code, 'CHALLENGE_EXPIRED');
+    });
+
+    it('accepts a challenge signed within the validation window', async (t) => {
+        const wallet = createWallet();
+        const message = (await client.request('POST', '/requestValidation', { address: wallet.address })).body;
+        const issuedAt = Number(message.split(':')[1]);
+        t.mock.method(ChallengeStore, 'now', () => issuedAt + 59);
+        const res = await client.request('POST', '/submitstar', { address: wallet.address, message: message, signature: wallet.sign(message), star: STAR });
+        assert.equal(res.status, 200);
+    });
+});
+
+describe('star transfers', () => {
+    let client;
+    before(async () => { client = await startServer(); });
+    after(() => client.close());
+
+    it('transfers a star to another address', async () => {
+        const owner = createWallet();
+        const recipient = createWallet();
+        await registerStar(client, owner, STAR);
+        const { starId } = await findStar(client, owner.address);
+
+        const message = await client.request('POST', '/requestTransfer', { address: owner.address, starHash: starId, to: recipient.address });
+        assert.equal(message.status, 200);
+        const res = await client.request('POST', '/transferstar', {
+            address: owner.address, to: recipient.address, starHash: starId, message: message.body, signature: owner.sign(message.body)
+        });
+        assert.equal(res.status, 200);
+
+        assert.deepEqual((await client.request('GET', `/blocks/${recipient.address}`)).body, [STAR]);
+        assert.equal((await client.request('GET', `/blocks/${owner.address}`)).status, 404);
+        const history = await client.request('GET', `/star/${starId}/history`);
+        assert.equal(history.body.owner, recipient.address);
+        assert.deepEqual(history.body.history.map(entry => entry.type), ['registration', 'transfer']);
+    });
+
+    it('refuses a transfer signed by someone else than the owner', async () => {
+        const owner = createWallet();
+        const thief = createWallet();
+        await registerStar(client, owner, starAt(11));
+        const { starId } = await findStar(client, owner.address);
+        const message = await client.request('POST', '/requestTransfer', { address: thief.address, starHash: starId, to: thief.address });
+        assert.equal(message.status, 403);
+        assert.equal(message.body.code, 'NOT_STAR_OWNER');
+    });
+});
+
+describe('tampering detection', () => {
+    let client;
+    before(async () => {
+        client = await startServer();
+        for(let i = 0; i < 3; i++){
+            await registerStar(client, createWallet(), starAt(i + 4));
+        }
+    });
+    after(() => client.close());
+
+    it('reports no error on an untouched chain', async () => {
+        const res = await client.request('GET', '/validateChain');
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.errors, []);
+    });
+
+    it('reports a block whose data was changed', async () => {
+        const block = client.app.blockchain.chain[2];
+        const body = block.body;
+        block.body = Buffer.from(JSON.stringify({ records: [{ owner: createWallet().address, star: STAR }] })).toString('hex');
+        try {
+            const res = await client.request('GET', '/validateChain');
+            assert.equal(res.status, 200);
+            assert.ok(res.body.errors.some(error => error.block === 2));
+
+            const audit = await client.request('GET', '/validateChain?mode=audit&from=1&to=3');
+            assert.equal(audit.body.valid, false);
+            assert.deepEqual(audit.body.findings.map(finding => [finding.height, finding.type]), [[2, 'merkle_mismatch']]);
+        } finally {
+            block.body = body;
+        }
+    });
+
+    it('reports a batched block whose body has more than its records', async () => {
+        const block = client.app.blockchain.chain[2];
+        const body = block.body;
+        const data = Block.decodeBody(block);
+        // The records and the Merkle root are the same, the hash of the header too
+        const tampered = [
+            Block.encodeBody(Object.assign({}, data, { note: 'not covered by the root' })),
+            Buffer.from(JSON.stringify(data, null, 1)).toString('hex')
+        ];
+        try {
+            for(const changed of tampered){
+                block.body = changed;
+                assert.equal(Block.calculateHash(block), block.hash);
+                const audit = await client.request('GET', '/validateChain?mode=audit&from=1&to=3');
+                assert.deepEqual(audit.body.findings.map(finding => [finding.height, finding.type, finding.expected, finding.actual]), [[2, 'merkle_mismatch', body, changed]]);
+            }
+        } finally {
+            block.body = body;
+        }
+        assert.deepEqual((await client.request('GET', '/validateChain')).body.errors, []);
+    });
+
+    it('reports a block whose header was changed and the broken link after it', async () => {
+        const block = client.app.blockchain.chain[1];
+        const time = block.time;
+        block.time = String(Number(time) - 1);
+        try {
+            const audit = await client.request('GET', '/validateChain?mode=audit');
+            const types = audit.body.findings.map(finding => [finding.height, finding.type]);
+            assert.deepEqual(types[0], [1, 'hash_mismatch']);
+        } finally {
+            block.time = time;
+        }
+        assert.deepEqual((await client.request('GET', '/validateChain')).body.errors, []);
+    });
+});
+
+describe('not found', () => {
+    let client;
+    before(async () => { client = await startServer(); });
+    after(() => client.close());
+
+    const cases = [
+        ['/block/height/42', 'BLOCK_NOT_FOUND'],
+        [`/block/hash/${'0'.repeat(64)}`, 'BLOCK_NOT_FOUND'],
+        ['/blocks/1BoatSLRHtKNngkdXEeobR76b53LETtpyT', 'STARS_NOT_FOUND'],
+        [`/star/${'0'.repeat(64)}/history`, 'STAR_NOT_FOUND'],
+        [`/star/${'0'.repeat(64)}/proof`, 'STAR_NOT_FOUND'],
+        ['/export?height=42', 'BLOCK_NOT_FOUND'],
+        ['/no/such/route', 'ROUTE_NOT_FOUND'],
+        ['/chains/nope/chain/head', 'CHAIN_NOT_FOUND']
+    ];
+    for(const [url, code] of cases){
+        it(`answers 404 ${code} for ${url}`, async () => {
+            const res = await client.request('GET', url);
+            assert.equal(res.status, 404);
+            assert.equal(res.body.code, code);
+            assert.equal(res.body.requestId, res.headers.get('x-request-id'));
+        });
+    }
+});
+
+describe('request validation', () => {
+    let client;
+    before(async () => { client = await startServer(); });
+    after(() => client.close());
+
+    it('serves the OpenAPI document', async () => {
+        const res = await client.request('GET', '/openapi.json');
+        assert.equal(res.status, 200);
+        assert.match(res.body.openapi, /^3\./);
+        assert.ok(res.body.paths['/submitstar'].post);
+    });
+
+    it('refuses a path parameter of the wrong type', async () => {
+        const res = await client.request('GET', '/block/height/first');
+        assert.equal(res.status, 400);
+        assert.equal(res.body.code, 'INVALID_PARAMETER');
+        assert.deepEqual(res.body.details, ['height must be integer']);
+    });
+
+    it('refuses an invalid query parameter', async () => {
+        const res = await client.request('GET', '/blocks?limit=0&type=comet');
+        assert.equal(res.status, 400);
+        assert.equal(res.body.code, 'INVALID_PARAMETER');
+        assert.deepEqual(res.body.details, ['limit must be >= 1', 'type must be one of genesis, star, transfer, reveal']);
+    });
+
+    it('refuses a body of the wrong shape', async () => {
+        const res = await client.request('POST', '/submitstar', { address: 'a', message: 'b', signature: 'c', star: 'Vega' });
+        assert.equal(res.status, 400);
+        assert.equal(res.body.code, 'INVALID_PARAMETER');
+        assert.equal(res.body.message, 'Check the Body Parameter star!');
+    });
+
+    it('refuses a body that is not JSON', async () => {
+        const res = await client.request('POST', '/requestValidation', '{"address":');
+        assert.equal(res.status, 400);
+        assert.equal(res.body.code, 'INVALID_JSON');
+    });
+});
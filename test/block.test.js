@@ -0,0 +1,154 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const SHA256 = require('crypto-js/sha256');
+const { Block } = require('../src/block.js');
+const { Blockchain } = require('../src/blockchain.js');
+const { MemoryStorage } = require('../src/storage.js');
+const snapshot = require('../src/snapshot.js');
+const merkle = require('../src/merkle.js');
+
+const STORIES = ['Nommée par ma grand-mère', '北斗七星の一つ', 'נקרא על שם אבי', 'For Zoë 🌌🔭👩‍🚀', 'half a pair \ud83d'];
+
+// A block written before the versions existed: no `version`, `JSON.stringify` for the body and the hash
+function legacyBlock(data, parent) {
+    const block = {
+        hash: null,
+        height: parent ? parent.height + 1 : 0,
+        body: Buffer.from(JSON.stringify(data)).toString('hex'),
+        time: parent ? String(Number(parent.time) + 1) : '1700000000',
+        previousBlockHash: parent ? parent.hash : null,
+        nonce: 0,
+        difficulty: 0
+    };
+    block.hash = SHA256(JSON.stringify(block)).toString();
+    return block;
+}
+
+// A chain of version 1 blocks registering a star with each story, in a MemoryStorage
+function legacyStorage() {
+    const blocks = [legacyBlock({ data: 'Genesis Block' })];
+    STORIES.forEach((story, i) => {
+        blocks.push(legacyBlock({ owner: 'legacy-owner', star: { ra: 10 + i, dec: 20, story: story } }, blocks[blocks.length - 1]));
+    });
+    const storage = new MemoryStorage();
+    storage.replace(blocks);
+    return storage;
+}
+
+// The same object with its properties in the reverse order
+function reversed(object) {
+    return Object.fromEntries(Object.entries(object).reverse());
+}
+
+describe('block serialization', () => {
+    it('decodes any Unicode story as it was submitted', async () => {
+        for(const story of STORIES){
+            const block = new Block({ owner: 'someone', star: { ra: 1, dec: 2, story: story } });
+            block.height = 1;
+            assert.equal((await block.getBData()).star.story, story);
+        }
+    });
+
+    it('hashes the canonical JSON of a version 2 block', async () => {
+        const block = Block.withRecords([{ owner: 'someone', star: { story: 'Ordered', ra: 1, dec: 2 } }]);
+        block.height = 1;
+        block.time = '1700000000';
+        block.hash = Block.calculateHash(block);
+        assert.equal(block.version, 2);
+        // The records are stored in their canonical form, the hash of a decoded record is its leaf
+        const record = Block.decodeBody(block).records[0];
+        assert.deepEqual(Object.keys(record.star), ['dec', 'ra', 'story']);
+        assert.equal(merkle.rootFromProof(merkle.hashRecord(record), []), block.merkleRoot);
+        // Any order of the properties, and any JSON serialization, gives the same hash
+        const copy = Block.fromObject(reversed(JSON.parse(JSON.stringify(block))));
+        assert.equal(await copy.validate(), true);
+        assert.equal(await Block.fromObject({ ...copy, version: 3 }).validate(), false);
+    });
+
+    it('keeps validating the version 1 blocks and adds version 2 blocks on top of them', async () => {
+        const blockchain = new Blockchain(legacyStorage(), { difficulty: 0 });
+        await blockchain.ready;
+        assert.deepEqual(await blockchain.validateChain(), []);
+        assert.equal(blockchain.chain[1].version, undefined);
+        const stars = await blockchain.getStarsByWalletAddress('legacy-owner');
+        assert.deepEqual(stars.map(star => star.story), STORIES);
+        assert.equal((await blockchain.chain[4].getBData()).star.story, STORIES[3]);
+
+        const block = await blockchain._addBlock(new Block({ owner: 'new-owner', star: { ra: 100, dec: 20, story: 'After the upgrade 🚀' } }));
+        assert.equal(block.version, 2);
+        assert.deepEqual(await blockchain.validateChain(), []);
+        // The hash of a version 1 block depends on the order of its properties
+        assert.equal(await Block.fromObject(reversed(blockchain.chain[1])).validate(), false);
+    });
+
+    it('reloads a chain of version 1 blocks followed by version 2 blocks', async () => {
+        const storage = legacyStorage();
+        const blockchain = new Blockchain(storage, { difficulty: 0 });
+        await blockchain.ready;
+        for(const story of STORIES){
+            await blockchain._addBlock(new Block({ owner: 'new-owner', star: { ra: 110, dec: 30 + blockchain.height, story: story } }));
+        }
+        await blockchain._addBlock(Block.withRecords([{ owner: 'batch-owner', star: { ra: 111, dec: 20, story: 'Batched ✨' } }]));
+        assert.deepEqual(blockchain.chain.map(block => Block.versionOf(block)), [1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 2, 2]);
+        assert.deepEqual(await blockchain.validateChain(), []);
+
+        // The chain loaded from the storage is validated before it is served
+        const reloaded = new Blockchain(storage, { difficulty: 0 });
+        await reloaded.ready;
+        assert.deepEqual(reloaded.chain.map(block => block.hash), blockchain.chain.map(block => block.hash));
+        assert.deepEqual(await reloaded.validateChain(), []);
+        assert.deepEqual((await reloaded.getStarsByWalletAddress('new-owner')).map(star => star.story), STORIES);
+    });
+
+    it('only accepts the canonical body of a version 2 block', async () => {
+        const blockchain = new Blockchain(legacyStorage(), { difficulty: 0 });
+        await blockchain.ready;
+        const block = await blockchain._addBlock(new Block({ owner: 'new-owner', star: { ra: 112, dec: 20, story: 'Canonical' } }));
+        const body = block.body;
+        const data = Block.decodeBody(block);
+        // The same data in other encodings, each one rehashed so only the body is wrong
+        const encodings = [
+            Buffer.from(JSON.stringify(reversed(data))).toString('hex'),
+            Buffer.from(JSON.stringify(data, null, 1)).toString('hex'),
+            body.toUpperCase(),
+            Buffer.from('{"owner":').toString('hex')
+        ];
+        for(const encoding of encodings){
+            block.body = encoding;
+            block.hash = Block.calculateHash(block);
+            const findings = await blockchain.validateChain();
+            assert.deepEqual(findings.map(finding => [finding.type, finding.error, finding.actual]), [['non_canonical_body', 'Block body not canonical', encoding]]);
+        }
+        block.body = body;
+        block.hash = Block.calculateHash(block);
+        assert.deepEqual(await blockchain.validateChain(), []);
+        // A version 1 body is whatever `JSON.stringify` wrote at the time
+        assert.notEqual(blockchain.chain[1].body, Block.encodeBody(Block.decodeBody(blockchain.chain[1]), 2));
+    });
+
+    it('refuses a block going back to version 1 or with an unknown version', async () => {
+        const blockchain = new Blockchain(legacyStorage(), { difficulty: 0 });
+        await blockchain.ready;
+        await blockchain._addBlock(new Block({ owner: 'new-owner', star: { ra: 101, dec: 20, story: 'Version 2' } }));
+        const downgrade = Block.fromObject(legacyBlock({ data: 'Version 1 again' }, blockchain.chain[blockchain.height]));
+        let findings = await blockchain.validateChain(blockchain.chain.concat(downgrade));
+        assert.deepEqual(findings.map(finding => [finding.type, finding.expected, finding.actual]), [['bad_version', '2', undefined]]);
+
+        const unknown = new Block({ data: 'From the future' });
+        Object.assign(unknown, { version: 3, height: blockchain.height + 1, time: String(Math.floor(Date.now() / 1000)), previousBlockHash: blockchain.chain[blockchain.height].hash });
+        unknown.hash = Block.calculateHash(unknown);
+        findings = await blockchain.validateChain(blockchain.chain.concat(unknown));
+        assert.deepEqual(findings.map(finding => [finding.type, finding.actual]), [['bad_version', 3]]);
+    });
+
+    it('keeps the version of each block in the snapshots', async () => {
+        const blockchain = new Blockchain(legacyStorage(), { difficulty: 0 });
+        await blockchain.ready;
+        await blockchain._addBlock(Block.withRecords([{ owner: 'batch-owner', star: { ra: 102, dec: 20, story: 'Batched ✨' } }]));
+        for(const format of snapshot.FORMATS){
+            const blocks = snapshot.decode(snapshot.encode(blockchain.chain, format), format);
+            assert.deepEqual(blocks, JSON.parse(JSON.stringify(blockchain.chain)));
+            assert.deepEqual(await blockchain.validateChain(blocks.map(block => Block.fromObject(block))), []);
+        }
+    });
+});
@@ -0,0 +1,100 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, DEFAULTS } = require('../src/config.js');
+const { accessControl } = require('../src/limits.js');
+const { runQuery } = require('../src/graphql.js');
+const { Blockchain } = require('../src/blockchain.js');
+
+// Write a config file in a temporary directory, returns its path
+function configFile(settings) {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'star-notary-config-')), 'node.json');
+    fs.writeFileSync(file, JSON.stringify(settings));
+    return file;
+}
+
+describe('loadConfig', () => {
+    it('has a single main chain by default', () => {
+        const config = loadConfig(null, {});
+        assert.equal(config.port, 8000);
+        assert.equal(config.defaultChain, 'main');
+        assert.deepEqual(Object.keys(config.chains), ['main']);
+        assert.equal(config.chains.main.validationWindow, 300);
+        assert.deepEqual(config.chains.main.genesis, { data: 'Genesis Block' });
+    });
+
+    it('reads the config file and lets the environment override it', () => {
+        const file = configFile({
+            port: 9000,
+            log: { dir: 'logs' },
+            chains: {
+                mainnet: { file: 'data/mainnet.ndjson', difficulty: 3 },
+                sandbox: { genesis: { data: 'Sandbox' }, difficulty: 0, access: { dailyStarCap: 0 } }
+            }
+        });
+        const config = loadConfig(file, { PORT: '9001', SIGNATURE_WINDOW: '60', TRUST_PROXY: 'true' });
+        assert.equal(config.port, 9001);
+        assert.equal(config.trustProxy, true);
+        assert.equal(config.log.dir, path.join(path.dirname(file), 'logs'));
+        assert.equal(config.log.level, 'info');
+        assert.equal(config.defaultChain, 'mainnet');
+        assert.equal(config.chains.mainnet.file, path.join(path.dirname(file), 'data', 'mainnet.ndjson'));
+        assert.equal(config.chains.mainnet.validationWindow, 60);
+        assert.equal(config.chains.sandbox.validationWindow, 300);
+        assert.deepEqual(config.chains.sandbox.genesis, { data: 'Sandbox' });
+        assert.deepEqual(config.chains.sandbox.access, { dailyStarCap: 0 });
+    });
+
+    it('lists every problem of an invalid configuration', () => {
+        const file = configFile({ prot: 80, defaultChain: 'b', chains: { A: { difficulty: 99 } } });
+        assert.throws(() => loadConfig(file, { PORT: 'http' }), (error) => {
+            assert.equal(error.code, 'CONFIG_INVALID');
+            assert.deepEqual(error.details, [
+                'prot is not a setting',
+                'port must be an integer between 0 and 65535',
+                'chains.A: the name of a chain must be lowercase letters, digits, - or _ (at most 32)',
+                'chains.A.difficulty must be an integer between 0 and 64',
+                'defaultChain must be one of A'
+            ]);
+            return true;
+        });
+    });
+
+    it('reads the import limit in bytes or with its unit', () => {
+        assert.equal(loadConfig(null, {}).importLimit, '16mb');
+        assert.equal(loadConfig(null, { IMPORT_LIMIT: '1048576' }).importLimit, 1048576);
+        assert.equal(loadConfig(null, { IMPORT_LIMIT: '64mb' }).importLimit, '64mb');
+        assert.throws(() => loadConfig(null, { IMPORT_LIMIT: 'a lot' }), (error) => {
+            assert.deepEqual(error.details, ['importLimit must be a number of bytes or a size like 16mb']);
+            return true;
+        });
+    });
+
+    it('holds the defaults of the access and the GraphQL limits', async () => {
+        const access = DEFAULTS.access;
+        const graphql = DEFAULTS.graphql;
+        DEFAULTS.access = Object.assign({}, access, { apiKeys: ['key'], protect: 'all' });
+        DEFAULTS.graphql = Object.assign({}, graphql, { maxDepth: 1 });
+        try {
+            const [authenticate] = accessControl();
+            const error = await new Promise(resolve => authenticate({ method: 'GET', path: '/block/height/0', get: () => undefined }, {}, resolve));
+            assert.equal(error.code, 'API_KEY_MISSING');
+
+            const blockchain = new Blockchain(undefined, { difficulty: 0 });
+            await blockchain.ready;
+            const result = await runQuery(blockchain, { query: '{ head { block { height } } }' });
+            assert.equal(result.body.errors[0].extensions.code, 'QUERY_TOO_DEEP');
+        } finally {
+            DEFAULTS.access = access;
+            DEFAULTS.graphql = graphql;
+        }
+    });
+
+    it('refuses a config file that is not JSON', () => {
+        const file = configFile({});
+        fs.writeFileSync(file, '{ port: 80 }');
+        assert.throws(() => loadConfig(file, {}), { code: 'CONFIG_INVALID' });
+    });
+});
@@ -0,0 +1,76 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Block } = require('../src/block.js');
+const { Blockchain } = require('../src/blockchain.js');
+const { MemoryStorage } = require('../src/storage.js');
+
+// A chain of headers `seconds` apart, at `difficulty` after a Genesis Block at 1, only what `_expectedDifficulty` reads
+function headers(count, seconds, difficulty) {
+    return Array.from({ length: count }, (value, height) => ({ height: height, time: String(1700000000 + height * seconds), difficulty: height === 0 ? 1 : difficulty }));
+}
+
+describe('difficulty retarget', () => {
+    const blockchain = new Blockchain(new MemoryStorage(), { difficulty: 1, targetBlockTime: 60, retargetInterval: 5 });
+
+    it('keeps the difficulty between two retargets', async () => {
+        await blockchain.ready;
+        const chain = headers(8, 1, 3);
+        [2, 4, 6, 7].forEach(height => assert.equal(blockchain._expectedDifficulty(height, chain), 3));
+        assert.equal(blockchain._expectedDifficulty(0, chain), 1);
+        // The first interval has no history to compare with
+        assert.equal(blockchain._expectedDifficulty(5, chain), 3);
+    });
+
+    it('goes up when the blocks come twice as fast, down when they come twice as slow', () => {
+        assert.equal(blockchain._expectedDifficulty(10, headers(10, 20, 3)), 4);
+        assert.equal(blockchain._expectedDifficulty(10, headers(10, 60, 3)), 3);
+        assert.equal(blockchain._expectedDifficulty(10, headers(10, 150, 3)), 2);
+        // The difficulty of the Genesis Block is the minimum
+        assert.equal(blockchain._expectedDifficulty(10, headers(10, 150, 1)), 1);
+    });
+
+    it('measures the interval between median times, a block with a wrong time does not move it', () => {
+        const future = headers(10, 60, 3);
+        future[9].time = String(32503680000);
+        assert.equal(blockchain._expectedDifficulty(10, future), 3);
+        const past = headers(10, 60, 3);
+        past[5].time = past[0].time;
+        assert.equal(blockchain._expectedDifficulty(10, past), 3);
+    });
+
+    it('refuses a block from a peer too far ahead of the clock', async () => {
+        const node = new Blockchain(new MemoryStorage(), { difficulty: 0, maxClockDrift: 60 });
+        await node.ready;
+        const failures = [];
+        node.on('validationFailure', failure => failures.push(failure));
+        const next = (seconds) => {
+            const block = new Block({ data: `in ${seconds} seconds` });
+            Object.assign(block, { height: 1, time: String(Math.floor(Date.now() / 1000) + seconds), previousBlockHash: node.chain[0].hash, difficulty: 0 });
+            block.hash = Block.calculateHash(block);
+            return block;
+        };
+        assert.equal(await node.adoptChain([next(3600)]), false);
+        assert.deepEqual(failures.map(failure => failure.findings.map(finding => finding.type)), [['future_timestamp']]);
+        assert.equal(await node.adoptChain([next(30)]), true);
+        assert.deepEqual(await node.validateChain(), []);
+    });
+
+    it('mines the blocks at the difficulty of their height and refuses another difficulty', async () => {
+        const fast = new Blockchain(new MemoryStorage(), { difficulty: 0, targetBlockTime: 60, retargetInterval: 3 });
+        await fast.ready;
+        for(let i = 1; i <= 6; i++){
+            await fast._addBlock(new Block({ data: `block ${i}` }));
+        }
+        // The blocks come within a second, far faster than one a minute, the first retarget is at the height 6
+        assert.deepEqual(fast.chain.map(block => block.difficulty), [0, 0, 0, 0, 0, 0, 1]);
+        assert.deepEqual(await fast.validateChain(), []);
+
+        // A block mined at a lower difficulty than the rules ask for, with a valid hash
+        const block = fast.chain[6];
+        block.difficulty = 0;
+        block.hash = Block.calculateHash(block);
+        const errors = await fast.validateChain();
+        assert.deepEqual(errors.filter(error => error.block === 6).map(error => [error.type, error.expected, error.actual]), [['difficulty_mismatch', 1, 0]]);
+        assert.equal(errors.find(error => error.type === 'difficulty_mismatch').error, 'Block difficulty mismatch');
+    });
+});
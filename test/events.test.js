@@ -0,0 +1,94 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createWallet, registerStar } = require('./helpers.js');
+
+describe('event stream', () => {
+    let client;
+    let base;
+    const alice = createWallet();
+    const bob = createWallet();
+
+    // Open a stream, `next()` resolves with the next event `{id, event, data}`, `close()` ends the stream
+    const open = async (url, headers = {}) => {
+        const controller = new AbortController();
+        const res = await fetch(base + url, { headers: headers, signal: controller.signal });
+        assert.equal(res.status, 200);
+        assert.match(res.headers.get('content-type'), /^text\/event-stream/);
+        const reader = res.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        const next = async () => {
+            for(;;){
+                const end = buffer.indexOf('\n\n');
+                if(end >= 0){
+                    const lines = buffer.slice(0, end).split('\n');
+                    buffer = buffer.slice(end + 2);
+                    const fields = Object.fromEntries(lines.filter(line => !line.startsWith(':')).map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+                    if(fields.event){
+                        return { id: fields.id, event: fields.event, data: JSON.parse(fields.data) };
+                    }
+                    continue;
+                }
+                const { value, done } = await reader.read();
+                if(done){
+                    return null;
+                }
+                buffer += decoder.decode(value, { stream: true });
+            }
+        };
+        return { next: next, close: () => controller.abort() };
+    };
+
+    before(async () => {
+        client = await startServer({ access: { addressBurst: 0 } });
+        base = `http://localhost:${client.app.server.address().port}`;
+        await registerStar(client, alice, { ra: 10, dec: 10, story: 'First' });
+        await registerStar(client, bob, { ra: 20, dec: 20, story: 'Second' });
+        await registerStar(client, alice, { ra: 30, dec: 30, story: 'Third' });
+    });
+    after(() => client.close());
+
+    it('replays the blocks from a height, only those naming the owner', async () => {
+        const all = await open('/events?from=1');
+        assert.deepEqual([(await all.next()).id, (await all.next()).id, (await all.next()).id], ['1', '2', '3']);
+        all.close();
+
+        const owned = await open(`/events?owner=${bob.address}&from=0`);
+        const event = await owned.next();
+        assert.equal(event.event, 'block');
+        assert.equal(event.id, '2');
+        assert.equal(event.data.hash, client.app.blockchain.chain[2].hash);
+        // The next block of bob is sent live, the blocks of alice are skipped
+        await registerStar(client, alice, { ra: 40, dec: 40, story: 'Fourth' });
+        await registerStar(client, bob, { ra: 50, dec: 50, story: 'Fifth' });
+        assert.equal((await owned.next()).id, '5');
+        owned.close();
+    });
+
+    it('resumes after the Last-Event-ID, then sends the new blocks', async () => {
+        const resumed = await open('/events', { 'Last-Event-ID': '3' });
+        assert.deepEqual([(await resumed.next()).id, (await resumed.next()).id], ['4', '5']);
+        await registerStar(client, alice, { ra: 60, dec: 60, story: 'Sixth' });
+        assert.equal((await resumed.next()).id, '6');
+        resumed.close();
+
+        // `from` takes precedence over the Last-Event-ID
+        const from = await open('/events?from=5', { 'Last-Event-ID': '1' });
+        assert.equal((await from.next()).id, '5');
+        from.close();
+    });
+
+    it('only sends the new blocks without a height to resume from', async () => {
+        const live = await open(`/events?owner=${alice.address}`);
+        await registerStar(client, bob, { ra: 70, dec: 70, story: 'Seventh' });
+        await registerStar(client, alice, { ra: 80, dec: 80, story: 'Eighth' });
+        const event = await live.next();
+        assert.equal(event.id, '8');
+        assert.ok(Buffer.from(event.data.body, 'hex').toString('utf8').includes('Eighth'));
+        live.close();
+
+        const refused = await client.request('GET', `/events?topic=validation&owner=${alice.address}`);
+        assert.equal(refused.status, 400);
+        assert.equal(refused.body.code, 'INVALID_PARAMETER');
+    });
+});
@@ -0,0 +1,151 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { getIntrospectionQuery } = require('graphql');
+const { sealStory } = require('../src/seal.js');
+const { startServer, createWallet } = require('./helpers.js');
+
+describe('GraphQL endpoint', () => {
+    let client;
+    const alice = createWallet();
+    const bob = createWallet();
+
+    const query = (text, variables) => client.request('POST', '/graphql', { query: text, variables: variables });
+
+    before(async () => {
+        // Alice sends more requests than the burst of an address
+        client = await startServer({ access: { addressBurst: 0, apiKeys: ['secret'] } });
+        const headers = { 'X-API-Key': 'secret' };
+        const register = async (wallet, star) => {
+            const challenge = await client.request('POST', '/requestValidation', { address: wallet.address }, headers);
+            const res = await client.request('POST', '/submitstar', { address: wallet.address, message: challenge.body, signature: wallet.sign(challenge.body), star: star }, headers);
+            assert.equal(res.status, 200);
+        };
+        await register(alice, { ra: '16h 29m 24.4s', dec: "-26° 25' 55.2", mag: 1.06, cen: 'Sco', story: 'Antares' });
+        await register(alice, { ra: 88.79, dec: 7.41, cen: 'Ori', story: 'Betelgeuse' });
+        await register(alice, { ra: 101.29, dec: -16.72, cen: 'CMa', sealed: sealStory('Sirius', alice.keyPair.publicKey).sealed });
+        await register(bob, { ra: 279.23, dec: 38.78, cen: 'Lyr', story: 'Vega' });
+    });
+    after(() => client.close());
+
+    it('follows an owner to its stars and their blocks in one query', async () => {
+        const res = await query(`query Owner($address: String!) {
+            head { height block { hash } }
+            owner(address: $address) {
+                starCount
+                stars { nodes { id ra dec raDegrees cen story sealed revealed owner { address } block { height previous { height } next { height } owners { address } } } }
+                blocks(type: STAR) { nodes { height type } }
+            }
+        }`, { address: alice.address });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.errors, undefined);
+        const { head, owner } = res.body.data;
+        assert.equal(head.height, 4);
+        assert.equal(head.block.hash, client.app.blockchain.chain[4].hash);
+        assert.equal(owner.starCount, 3);
+        assert.deepEqual(owner.stars.nodes.map(star => [star.story, star.cen, star.sealed, star.revealed]), [
+            ['Antares', 'Sco', false, null],
+            ['Betelgeuse', 'Ori', false, null],
+            [null, 'CMa', true, false]
+        ]);
+        const antares = owner.stars.nodes[0];
+        assert.equal(antares.ra, '16h 29m 24.4s');
+        assert.ok(Math.abs(antares.raDegrees - 247.35) < 0.01);
+        assert.deepEqual(antares.owner, { address: alice.address });
+        assert.deepEqual(antares.block, { height: 1, previous: { height: 0 }, next: { height: 2 }, owners: [{ address: alice.address }] });
+        assert.deepEqual(owner.blocks.nodes, [{ height: 1, type: 'STAR' }, { height: 2, type: 'STAR' }, { height: 3, type: 'STAR' }]);
+
+        const history = (await client.request('GET', `/star/${antares.id}/history`)).body;
+        assert.equal(history.star.story, 'Antares');
+        const star = await query('query Star($id: ID!) { star(id: $id) { story history { type owner { address } block { hash } } } }', { id: antares.id });
+        assert.deepEqual(star.body.data.star.history, [{ type: 'registration', owner: { address: alice.address }, block: { hash: history.history[0].hash } }]);
+        assert.equal((await query('{ star(id: "unknown") { id } }')).body.data.star, null);
+    });
+
+    it('pages the blocks and the stars with opaque cursors', async () => {
+        const first = await query('{ blocks(first: 2) { nodes { height } pageInfo { hasNextPage endCursor } } }');
+        assert.deepEqual(first.body.data.blocks.nodes, [{ height: 0 }, { height: 1 }]);
+        assert.equal(first.body.data.blocks.pageInfo.hasNextPage, true);
+        const next = await query('query Next($after: String) { blocks(first: 10, after: $after) { nodes { height } pageInfo { hasNextPage endCursor } } }', { after: first.body.data.blocks.pageInfo.endCursor });
+        assert.deepEqual(next.body.data.blocks, { nodes: [{ height: 2 }, { height: 3 }, { height: 4 }], pageInfo: { hasNextPage: false, endCursor: null } });
+
+        const stars = await query('{ stars(first: 1, minMag: 0, maxMag: 2) { nodes { story } pageInfo { hasNextPage } } cone: stars(ra: 279, dec: 38.8, radius: 1) { nodes { story } } }');
+        assert.deepEqual(stars.body.data.stars, { nodes: [{ story: 'Antares' }], pageInfo: { hasNextPage: false } });
+        assert.deepEqual(stars.body.data.cone.nodes, [{ story: 'Vega' }]);
+        const text = await query('{ stars(text: "betelgeuse", cen: "ori") { nodes { owner { address } } } }');
+        assert.deepEqual(text.body.data.stars.nodes, [{ owner: { address: alice.address } }]);
+
+        const starCursor = (await query('{ owner(address: "' + alice.address + '") { stars(first: 1) { pageInfo { endCursor } } } }')).body.data.owner.stars.pageInfo.endCursor;
+        const wrongCursor = await query('query Next($after: String) { blocks(after: $after) { nodes { height } } }', { after: starCursor });
+        assert.equal(wrongCursor.status, 200);
+        assert.equal(wrongCursor.body.data, null);
+        assert.equal(wrongCursor.body.errors[0].extensions.code, 'INVALID_PARAMETER');
+        assert.deepEqual(wrongCursor.body.errors[0].path, ['blocks']);
+        const cone = await query('{ stars(ra: 10) { nodes { id } } }');
+        assert.equal(cone.body.errors[0].extensions.code, 'MISSING_PARAMETER');
+        assert.deepEqual(cone.body.errors[0].extensions.details, ['dec is required for a cone search', 'radius is required for a cone search']);
+    });
+
+    it('refuses the queries too deep or too costly before running them', async () => {
+        const deep = await query('{ head { block { previous { previous { previous { previous { previous { previous { previous { previous { previous { height } } } } } } } } } } } }');
+        assert.equal(deep.status, 400);
+        assert.equal(deep.body.data, undefined);
+        assert.equal(deep.body.errors[0].extensions.code, 'QUERY_TOO_DEEP');
+
+        const costly = await query('{ blocks(first: 100) { nodes { owners { stars(first: 100) { nodes { id } } } } } }');
+        assert.equal(costly.status, 400);
+        assert.equal(costly.body.errors[0].extensions.code, 'QUERY_TOO_COMPLEX');
+        assert.match(costly.body.errors[0].message, /^The query costs \d+, at most 1000 is allowed\.$/);
+        assert.equal((await query('{ validation { valid } blocks { nodes { hash } } }')).status, 200);
+
+        // The introspection of the schema doesn't count
+        const introspection = await query(getIntrospectionQuery());
+        assert.equal(introspection.status, 200);
+        assert.ok(introspection.body.data.__schema.types.some(type => type.name === 'Star'));
+    });
+
+    it('serves many aliased fields of filtered blocks from the indexes', async () => {
+        const blockchain = client.app.blockchain;
+        const aliases = Array.from({ length: 250 }, (value, i) => `b${i}: blocks(type: REVEAL, first: 1) { nodes { height } }`);
+        const owned = Array.from({ length: 50 }, (value, i) => `o${i}: blocks(type: TRANSFER, first: 1) { nodes { height } }`);
+        let decoded = 0;
+        blockchain._decodeBody = function(block) {
+            decoded++;
+            return Object.getPrototypeOf(this)._decodeBody.call(this, block);
+        };
+        try {
+            const res = await query(`query Aliases($address: String!) { ${aliases.join(' ')} owner(address: $address) { ${owned.join(' ')} } }`, { address: alice.address });
+            assert.equal(res.status, 200);
+            assert.equal(res.body.errors, undefined);
+            assert.deepEqual(res.body.data.b249, { nodes: [] });
+            assert.deepEqual(res.body.data.owner.o49, { nodes: [] });
+        } finally {
+            delete blockchain._decodeBody;
+        }
+        // The type of the blocks comes from the type index, no body is decoded to filter them
+        assert.equal(decoded, 0);
+    });
+
+    it('answers the validation of the chain and the query errors', async () => {
+        const valid = await client.request('GET', `/graphql?query=${encodeURIComponent('query Check($from: Int) { validation(from: $from) { valid from to checked } }')}&variables=${encodeURIComponent('{"from":1}')}`);
+        assert.equal(valid.status, 200);
+        assert.deepEqual(valid.body.data.validation, { valid: true, from: 1, to: 4, checked: 4 });
+
+        const syntax = await query('{ head { height }');
+        assert.equal(syntax.status, 400);
+        assert.equal(syntax.body.errors[0].extensions.code, 'GRAPHQL_PARSE_FAILED');
+        const unknown = await query('{ head { weight } }');
+        assert.equal(unknown.status, 400);
+        assert.equal(unknown.body.errors[0].extensions.code, 'GRAPHQL_VALIDATION_FAILED');
+        assert.equal((await client.request('POST', '/graphql', {})).body.code, 'MISSING_PARAMETER');
+        // A query only reads the chain, it doesn't need the API key of the writes
+        assert.equal((await client.request('POST', '/requestValidation', { address: bob.address })).status, 401);
+
+        // A nonce above 2^31 is still an integer
+        client.app.blockchain.chain[3].nonce = 2 ** 40;
+        assert.equal((await query('{ block(height: 3) { nonce } }')).body.data.block.nonce, 2 ** 40);
+        client.app.blockchain.chain[2].time = '1';
+        const tampered = await query('{ validation { valid findings { type height block { hash } } } }');
+        assert.equal(tampered.body.data.validation.valid, false);
+        assert.ok(tampered.body.data.validation.findings.some(finding => finding.height === 2 && finding.type === 'hash_mismatch' && finding.block.hash === client.app.blockchain.chain[2].hash));
+    });
+});
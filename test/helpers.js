@@ -0,0 +1,86 @@
+/**
+ *                          Test helpers
+ *  Start an ApplicationServer in-process on a free port with in-memory chains,
+ *  send it requests and sign its challenges with generated bitcoinjs-lib keys.
+ */
+
+// Only the errors are logged, in a temporary directory, and not to the console
+process.env.NODE_ENV = 'production';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const bitcoin = require('bitcoinjs-lib');
+const bitcoinMessage = require('bitcoinjs-message');
+const { createServer } = require('../app.js');
+const { MemoryStorage } = require('../src/storage.js');
+
+const LOG_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'star-notary-test-'));
+
+/**
+ * Start a node, `options` are the options of the ApplicationServer merged over a
+ * single in-memory chain without proof of work.
+ * Resolves with `{ app, request(method, path, body, headers), close() }`.
+ * @param {*} options
+ */
+async function startServer(options = {}) {
+    const app = createServer(Object.assign({
+        port: 0,
+        storage: new MemoryStorage(),
+        chain: { difficulty: 0 },
+        log: { level: 'error', dir: LOG_DIR }
+    }, options));
+    const server = await app.start();
+    const base = `http://localhost:${server.address().port}`;
+    return {
+        app: app,
+        request: (method, url, body, headers) => request(base, method, url, body, headers),
+        close: () => app.stop()
+    };
+}
+
+/**
+ * Send a request, a body that isn't a string is sent as JSON.
+ * Resolves with `{ status, headers, body }`, the body is parsed when it is JSON.
+ */
+async function request(base, method, url, body, headers = {}) {
+    const init = { method: method, headers: Object.assign({}, headers) };
+    if(body !== undefined){
+        init.body = typeof body === 'string' ? body : JSON.stringify(body);
+        init.headers['Content-Type'] = init.headers['Content-Type'] || 'application/json';
+    }
+    const res = await fetch(base + url, init);
+    const text = await res.text();
+    const json = (res.headers.get('content-type') || '').includes('application/json');
+    return { status: res.status, headers: res.headers, body: json ? JSON.parse(text) : text };
+}
+
+/**
+ * Generate a wallet, `sign(message)` returns the base64 signature of the message.
+ */
+function createWallet() {
+    const keyPair = bitcoin.ECPair.makeRandom();
+    return {
+        keyPair: keyPair,
+        address: bitcoin.payments.p2pkh({ pubkey: keyPair.publicKey }).address,
+        sign: (message) => bitcoinMessage.sign(message, keyPair.privateKey, keyPair.compressed).toString('base64')
+    };
+}
+
+/**
+ * Request a challenge for the wallet and submit the star signed with it.
+ * Resolves with the response of `/submitstar`.
+ * @param {*} client
+ * @param {*} wallet
+ * @param {*} star
+ * @param {*} prefix `/chains/:name` to use a named chain
+ */
+async function registerStar(client, wallet, star, prefix = '') {
+    const challenge = await client.request('POST', `${prefix}/requestValidation`, { address: wallet.address });
+    const message = challenge.body;
+    return client.request('POST', `${prefix}/submitstar`, { address: wallet.address, message: message, signature: wallet.sign(message), star: star });
+}
+
+module.exports.startServer = startServer;
+module.exports.createWallet = createWallet;
+module.exports.registerStar = registerStar;
@@ -0,0 +1,152 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Blockchain } = require('../src/blockchain.js');
+const { loadChain } = require('../bench/indexes.js');
+const { startServer, createWallet, registerStar } = require('./helpers.js');
+
+// Sizes of the chains compared, the smallest and the biggest chains of the benchmark (`npm run bench`)
+const SIZES = [1000, 100000];
+const LOOKUPS = 200;
+
+/**
+ * Count the blocks of the chain read and the bodies decoded while the lookups run.
+ * @param {*} blockchain
+ * @param {*} lookups Functions of the position of the lookup
+ */
+async function countReads(blockchain, lookups) {
+    let reads = 0;
+    let decoded = 0;
+    const chain = blockchain.chain;
+    blockchain.chain = new Proxy(chain, {
+        get: (target, property) => {
+            if(typeof property === 'string' && /^\d+$/.test(property)){
+                reads++;
+            }
+            return target[property];
+        }
+    });
+    const decodeBody = blockchain._decodeBody;
+    blockchain._decodeBody = function(block) {
+        decoded++;
+        return decodeBody.call(this, block);
+    };
+    const counts = {};
+    try {
+        for(const [name, lookup] of Object.entries(lookups)){
+            reads = 0;
+            decoded = 0;
+            for(let i = 0; i < LOOKUPS; i++){
+                await lookup(i);
+            }
+            counts[name] = { reads: reads, decoded: decoded };
+        }
+    } finally {
+        blockchain.chain = chain;
+        delete blockchain._decodeBody;
+    }
+    return counts;
+}
+
+// The indexes of a Blockchain as plain values, to compare two Blockchains
+function indexes(blockchain) {
+    const plain = (map) => Array.from(map, ([key, value]) => [key, value instanceof Set ? Array.from(value).sort() : value]).sort();
+    return {
+        blocksByHash: Array.from(blockchain.blocksByHash.keys()).sort(),
+        starIndex: plain(blockchain.starIndex),
+        starOwners: plain(blockchain.starOwners),
+        starsByOwner: plain(blockchain.starsByOwner),
+        blocksByOwner: plain(blockchain.blocksByOwner),
+        blocksByType: plain(blockchain.blocksByType),
+        reveals: plain(blockchain.reveals)
+    };
+}
+
+describe('indexes', () => {
+    it('read as many blocks on a chain of 100k blocks as on a chain of 1k', async () => {
+        const results = [];
+        for(const size of SIZES){
+            const blockchain = await loadChain(size);
+            const owners = Math.ceil(size / 10);
+            // The same positions in both chains, spread over the whole chain
+            const pick = (i) => blockchain.chain[Math.floor(i * (size - 1) / (LOOKUPS - 1))];
+            const hashes = Array.from({ length: LOOKUPS }, (value, i) => pick(i).hash);
+            const heights = Array.from({ length: LOOKUPS }, (value, i) => pick(i).height);
+            results.push(await countReads(blockchain, {
+                byHash: (i) => blockchain.getBlockByHash(hashes[i]),
+                byHeight: (i) => blockchain.getBlockByHeight(heights[i]),
+                byOwner: (i) => blockchain.getStarsByWalletAddress(`owner-${i % owners}`),
+                blocksOfOwner: (i) => blockchain.getBlocks({ owner: `owner-${i % owners}` }),
+                // The chain has no transfer, the filters must not scan it to find none
+                blocksOfType: (i) => blockchain.getBlocks({ type: 'transfer', from: heights[i] }),
+                blocksOfTypeAndOwner: (i) => blockchain.getBlocks({ type: 'transfer', owner: `owner-${i % owners}` }),
+                blocksInTime: (i) => blockchain.getBlocks({ fromTime: Number(pick(i).time), toTime: Number(pick(i).time) + 600, type: 'star' }),
+                history: (i) => blockchain.getStarHistory(hashes[i])
+            }));
+        }
+        // The owners hold about 10 blocks on both chains, not always exactly as many
+        for(const [name, count] of Object.entries(results[1])){
+            const small = results[0][name];
+            if(name === 'blocksInTime'){
+                // Two binary searches on the heights, a few more reads on the longer chain and no decoding
+                assert.ok(count.reads <= small.reads * Math.log2(SIZES[1]) / Math.log2(SIZES[0]), `${name} read ${count.reads} blocks instead of ${small.reads}`);
+                assert.ok(count.reads <= LOOKUPS * (2 * Math.ceil(Math.log2(SIZES[1])) + 20) && count.decoded === 0, `${name} read ${count.reads} blocks`);
+                continue;
+            }
+            assert.ok(count.reads <= small.reads * 1.1 && count.decoded <= small.decoded * 1.1, `${name} read ${count.reads} blocks instead of ${small.reads}`);
+            // A lookup reads a few blocks at most, never the chain
+            assert.ok(count.reads <= LOOKUPS * 20 && count.decoded <= LOOKUPS * 20, `${name} read ${count.reads} blocks`);
+        }
+    });
+
+    it('page the blocks of a type and a time range like a scan of the chain', async () => {
+        const blockchain = await loadChain(1000);
+        const times = blockchain.chain.map(block => Number(block.time));
+        const query = { type: 'star', owner: 'owner-7', fromTime: times[150] - 30, toTime: times[900], limit: 3 };
+        const expected = blockchain.chain
+            .filter(block => block.height > 0 && blockchain._blockAddresses(block).has(query.owner))
+            .filter(block => Number(block.time) >= query.fromTime && Number(block.time) <= query.toTime)
+            .map(block => block.height);
+        let heights = [];
+        let cursor;
+        do {
+            const page = await blockchain.getBlocks(Object.assign({}, query, { cursor: cursor }));
+            heights = heights.concat(page.blocks.map(block => block.height));
+            cursor = page.nextCursor === null ? undefined : page.nextCursor;
+        } while(cursor !== undefined);
+        assert.deepEqual(heights, expected);
+        assert.deepEqual(expected, [207, 307, 407, 507, 607, 707, 807]);
+        assert.deepEqual((await blockchain.getBlocks({ fromTime: times[999] + 1 })).blocks, []);
+        assert.deepEqual((await blockchain.getBlocks({ type: 'genesis', toTime: times[0] })).blocks.map(block => block.height), [0]);
+    });
+
+    describe('rebuilt from the chain', () => {
+        let client;
+        before(async () => {
+            client = await startServer({ access: { addressBurst: 0 } });
+        });
+        after(() => client.close());
+
+        it('are the same as the indexes kept up to date block after block', async () => {
+            const alice = createWallet();
+            const bob = createWallet();
+            await registerStar(client, alice, { ra: 10, dec: 10, cen: 'Ori', story: 'First' });
+            await registerStar(client, alice, { ra: 20, dec: 20, story: 'Second' });
+            await registerStar(client, bob, { ra: 30, dec: 30, story: 'Third' });
+            const starId = (await client.request('GET', '/stars/search?q=first')).body.stars[0].id;
+            const message = await client.request('POST', '/requestTransfer', { address: alice.address, starHash: starId, to: bob.address });
+            const transfer = await client.request('POST', '/transferstar', { address: alice.address, to: bob.address, starHash: starId, message: message.body, signature: alice.sign(message.body) });
+            assert.equal(transfer.status, 200);
+
+            const live = client.app.blockchain;
+            const reloaded = new Blockchain(live.storage, { difficulty: 0 });
+            await reloaded.ready;
+            assert.deepEqual(indexes(reloaded), indexes(live));
+            assert.deepEqual(await reloaded.searchStars({ cen: 'Ori' }), await live.searchStars({ cen: 'Ori' }));
+
+            // A chain replaced in place gets the same indexes
+            live._rebuildIndexes();
+            assert.deepEqual(indexes(live), indexes(reloaded));
+            assert.equal(live.starsByOwner.get(bob.address).size, 2);
+        });
+    });
+});
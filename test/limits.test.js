@@ -0,0 +1,102 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createWallet, registerStar } = require('./helpers.js');
+
+describe('access control', () => {
+    const clients = [];
+    const start = async (access) => {
+        const client = await startServer({ access: access });
+        clients.push(client);
+        return client;
+    };
+    after(() => Promise.all(clients.map(client => client.close())));
+
+    const alice = createWallet();
+    const bob = createWallet();
+    const query = { query: '{ head { height } }' };
+
+    it('requires an API key for the writes', async () => {
+        const client = await start({ apiKeys: ['secret1', 'secret2'] });
+        const missing = await client.request('POST', '/requestValidation', { address: alice.address });
+        assert.equal(missing.status, 401);
+        assert.equal(missing.body.code, 'API_KEY_MISSING');
+        const invalid = await client.request('POST', '/requestValidation', { address: alice.address }, { 'X-API-Key': 'secret3' });
+        assert.equal(invalid.status, 401);
+        assert.equal(invalid.body.code, 'API_KEY_INVALID');
+        assert.equal((await client.request('POST', '/requestValidation', { address: alice.address }, { 'X-API-Key': 'secret1' })).status, 200);
+        assert.equal((await client.request('POST', '/requestValidation', { address: alice.address }, { Authorization: 'Bearer secret2' })).status, 200);
+        // The reads, GraphQL queries included, are open
+        assert.equal((await client.request('GET', '/chain/head')).status, 200);
+        assert.equal((await client.request('POST', '/graphql', query)).status, 200);
+    });
+
+    it('requires an API key for every endpoint when they are all protected', async () => {
+        const client = await start({ apiKeys: ['secret1'], protect: 'all' });
+        assert.equal((await client.request('GET', '/chain/head')).body.code, 'API_KEY_MISSING');
+        assert.equal((await client.request('POST', '/graphql', query)).body.code, 'API_KEY_MISSING');
+        assert.equal((await client.request('GET', '/chain/head', undefined, { 'X-API-Key': 'wrong' })).body.code, 'API_KEY_INVALID');
+        assert.equal((await client.request('GET', '/chain/head', undefined, { 'X-API-Key': 'secret1' })).status, 200);
+        // The node itself is never protected
+        assert.equal((await client.request('GET', '/health')).status, 200);
+    });
+
+    it('always requires an API key for the admin endpoints', async () => {
+        const open = await start({});
+        assert.equal((await open.request('POST', '/requestValidation', { address: alice.address })).status, 200);
+        for(const [url, body] of [['/peers', { url: 'http://localhost:1' }], ['/import', '']]){
+            const refused = await open.request('POST', url, body, { 'X-API-Key': 'secret1' });
+            assert.equal(refused.status, 401, url);
+            assert.equal(refused.body.code, 'API_KEY_MISSING', url);
+        }
+        assert.deepEqual(await open.app.network.getPeers(), []);
+
+        const keys = await start({ apiKeys: ['secret1'] });
+        assert.equal((await keys.request('POST', '/peers', { url: 'http://localhost:1' })).body.code, 'API_KEY_MISSING');
+        assert.equal((await keys.request('POST', '/import', '', { 'X-API-Key': 'wrong' })).body.code, 'API_KEY_INVALID');
+        // A key lets the request through to the endpoint
+        assert.notEqual((await keys.request('POST', '/import', '', { 'X-API-Key': 'secret1' })).status, 401);
+    });
+
+    it('limits the requests of each IP and tells when to retry', async () => {
+        const client = await start({ ipBurst: 3, ipPerSecond: 0.01 });
+        for(let i = 0; i < 3; i++){
+            assert.equal((await client.request('GET', '/chain/head')).status, 200);
+        }
+        const limited = await client.request('GET', '/chain/head');
+        assert.equal(limited.status, 429);
+        assert.equal(limited.body.code, 'RATE_LIMITED');
+        const retryAfter = Number(limited.headers.get('retry-after'));
+        assert.ok(retryAfter > 90 && retryAfter <= 100, `Retry-After ${retryAfter}`);
+    });
+
+    it('limits the requests of each wallet address', async () => {
+        const client = await start({ ipBurst: 0, addressBurst: 2, addressPerSecond: 0.01 });
+        assert.equal((await client.request('POST', '/requestValidation', { address: alice.address })).status, 200);
+        assert.equal((await client.request('POST', '/requestValidation', { address: alice.address })).status, 200);
+        const limited = await client.request('POST', '/requestValidation', { address: alice.address });
+        assert.equal(limited.status, 429);
+        assert.equal(limited.body.code, 'RATE_LIMITED');
+        assert.match(limited.body.message, /wallet address/);
+        assert.ok(Number(limited.headers.get('retry-after')) > 0);
+        // Another address from the same IP has its own bucket
+        assert.equal((await client.request('POST', '/requestValidation', { address: bob.address })).status, 200);
+    });
+
+    it('caps the stars of an address per day, the refused stars do not count', async () => {
+        const client = await start({ addressBurst: 0, dailyStarCap: 2 });
+        assert.equal((await registerStar(client, alice, { ra: 1, dec: 1, story: 'First' })).status, 200);
+        // A star signed by another wallet is refused and gives its reservation back
+        const challenge = await client.request('POST', '/requestValidation', { address: alice.address });
+        const refused = await client.request('POST', '/submitstar', { address: alice.address, message: challenge.body, signature: bob.sign(challenge.body), star: { ra: 2, dec: 2, story: 'Forged' } });
+        assert.equal(refused.status, 401);
+        assert.equal((await registerStar(client, alice, { ra: 3, dec: 3, story: 'Second' })).status, 200);
+
+        const capped = await registerStar(client, alice, { ra: 4, dec: 4, story: 'Third' });
+        assert.equal(capped.status, 429);
+        assert.equal(capped.body.code, 'DAILY_STAR_CAP_REACHED');
+        const retryAfter = Number(capped.headers.get('retry-after'));
+        assert.ok(retryAfter > 0 && retryAfter <= 86400, `Retry-After ${retryAfter}`);
+        assert.equal((await registerStar(client, bob, { ra: 5, dec: 5, story: 'Fourth' })).status, 200);
+        assert.equal(client.app.blockchain.height, 3);
+    });
+});
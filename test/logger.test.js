@@ -0,0 +1,28 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const util = require('util');
+const { execFile } = require('child_process');
+
+const LOGGER = path.join(__dirname, '..', 'src', 'logger.js');
+
+describe('logger', () => {
+    it('only writes files once configured, in the directory of the config', async () => {
+        const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'star-notary-logger-'));
+        const script = `
+            const logger = require(${JSON.stringify(LOGGER)});
+            logger.error('before the config');
+            logger.applyConfig({ dir: 'logs' });
+            logger.info('after the config');
+            logger.error('an error');
+            logger.flush();
+        `;
+        await util.promisify(execFile)(process.execPath, ['-e', script], { cwd: cwd, env: Object.assign({}, process.env, { NODE_ENV: 'production' }), timeout: 30000 });
+        assert.deepEqual(fs.readdirSync(cwd), ['logs']);
+        const read = (name) => fs.readFileSync(path.join(cwd, 'logs', name), 'utf8').trim().split('\n').map(line => JSON.parse(line).message);
+        assert.deepEqual(read('combined.log'), ['after the config', 'an error']);
+        assert.deepEqual(read('error.log'), ['an error']);
+    });
+});
@@ -0,0 +1,89 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryStorage } = require('../src/storage.js');
+const { startServer, createWallet, registerStar } = require('./helpers.js');
+
+// Value of a sample of the metrics, `labels` must match every label of the sample
+function sample(text, name, labels = {}) {
+    const wanted = Object.entries(labels).map(([label, value]) => `${label}="${value}"`);
+    const line = text.split('\n').find(line => {
+        const match = /^(\w+)(?:\{(.*)\})? (\S+)$/.exec(line);
+        return match && match[1] === name && wanted.every(pair => (match[2] || '').split(',').includes(pair));
+    });
+    return line === undefined ? undefined : Number(line.split(' ').pop());
+}
+
+describe('metrics', () => {
+    let client;
+    const metrics = async () => (await client.request('GET', '/metrics')).body;
+
+    before(async () => {
+        client = await startServer({
+            chains: {
+                main: { storage: new MemoryStorage(), difficulty: 0 },
+                sandbox: { storage: new MemoryStorage(), difficulty: 0 }
+            }
+        });
+    });
+
+    after(() => client.close());
+
+    it('serves the metrics in the Prometheus text format', async () => {
+        const res = await client.request('GET', '/metrics');
+        assert.equal(res.status, 200);
+        assert.match(res.headers.get('content-type'), /^text\/plain; charset=utf-8; version=0\.0\.4/);
+        assert.match(res.body, /# TYPE starnotary_chain_height gauge/);
+        assert.equal(sample(res.body, 'starnotary_chain_height', { chain: 'sandbox' }), 0);
+    });
+
+    it('reports the stars, their owners and the time taken to add the blocks', async () => {
+        const wallet = createWallet();
+        assert.equal((await registerStar(client, wallet, { ra: 10, dec: 10, story: 'First' })).status, 200);
+        assert.equal((await registerStar(client, wallet, { ra: 10, dec: 11, story: 'Second' })).status, 200);
+        const text = await metrics();
+        const main = { chain: 'main' };
+        assert.equal(sample(text, 'starnotary_chain_height', main), 2);
+        assert.equal(sample(text, 'starnotary_stars', main), 2);
+        assert.equal(sample(text, 'starnotary_owners', main), 1);
+        assert.equal(sample(text, 'starnotary_stars_per_owner', { chain: 'main', owner: wallet.address }), 2);
+        assert.equal(sample(text, 'starnotary_mempool_stars', main), 0);
+        assert.equal(sample(text, 'starnotary_stars', { chain: 'sandbox' }), 0);
+        // The Genesis Block and the two blocks of the stars
+        assert.equal(sample(text, 'starnotary_block_add_duration_seconds_count', main), 3);
+        const tip = (await client.request('GET', '/chain/head')).body;
+        assert.equal(sample(text, 'starnotary_last_block_timestamp_seconds', main), Number(tip.time));
+    });
+
+    it('counts the refused signatures by reason', async () => {
+        const wallet = createWallet();
+        const unknown = await client.request('POST', '/chains/sandbox/submitstar', {
+            address: wallet.address, message: 'not a challenge', signature: wallet.sign('not a challenge'), star: { ra: 1, dec: 1, story: 'Unknown' }
+        });
+        const challenge = await client.request('POST', '/chains/sandbox/requestValidation', { address: wallet.address });
+        const mismatch = await client.request('POST', '/chains/sandbox/submitstar', {
+            address: wallet.address, message: challenge.body, signature: createWallet().sign(challenge.body), star: { ra: 1, dec: 1, story: 'Other key' }
+        });
+        const text = await metrics();
+        for(const res of [unknown, mismatch]){
+            assert.equal(res.status, 401);
+            assert.equal(sample(text, 'starnotary_signature_failures_total', { chain: 'sandbox', operation: 'submitStar', reason: res.body.code }), 1);
+        }
+        assert.notEqual(unknown.body.code, mismatch.body.code);
+        assert.equal(sample(text, 'starnotary_signature_failures_total', { chain: 'main' }), undefined);
+    });
+
+    it('counts the requests and their latency by route and status', async () => {
+        await client.request('GET', '/block/height/0');
+        await client.request('GET', '/block/height/first');
+        await client.request('GET', '/chains/sandbox/validateChain');
+        await client.request('GET', '/not/a/route');
+        const text = await metrics();
+        const route = (chain, method, route, status) => ({ chain: chain, method: method, route: route, status: status });
+        assert.equal(sample(text, 'starnotary_http_requests_total', route('main', 'GET', '/block/height/:height', 200)), 1);
+        assert.equal(sample(text, 'starnotary_http_requests_total', route('main', 'GET', '/block/height/:height', 400)), 1);
+        assert.equal(sample(text, 'starnotary_http_requests_total', route('main', 'GET', 'unknown', 404)), 1);
+        assert.equal(sample(text, 'starnotary_http_requests_total', route('sandbox', 'GET', '/validateChain', 200)), 1);
+        assert.equal(sample(text, 'starnotary_http_request_duration_seconds_count', route('sandbox', 'GET', '/validateChain', 200)), 1);
+        assert.equal(sample(text, 'starnotary_validate_chain_duration_seconds_count', { chain: 'sandbox' }), 1);
+    });
+});
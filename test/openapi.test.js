@@ -0,0 +1,85 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const openapi = require('../src/openapi.js');
+const { validateRequests } = require('../src/validation.js');
+const BlockchainController = require('../BlockchainController.js');
+const GraphQLController = require('../GraphQLController.js');
+
+// The routes the controllers of a chain register, as OpenAPI paths: `/star/:hash/history` is `/star/{hash}/history`
+function controllerRoutes() {
+    const routes = [];
+    const app = {};
+    ['get', 'post', 'put', 'delete'].forEach(method => {
+        app[method] = (path) => routes.push([method, path.replace(/:(\w+)/g, '{$1}')]);
+    });
+    BlockchainController(app, {}, {}, {});
+    GraphQLController(app, {});
+    return routes;
+}
+
+// Run the middleware on a fake request, resolves with the error it passed to `next`
+function validate(middleware, req) {
+    return new Promise(resolve => middleware(Object.assign({ query: {}, body: {} }, req), {}, resolve));
+}
+
+describe('OpenAPI document', () => {
+    it('documents every route of the controllers', () => {
+        const routes = controllerRoutes();
+        assert.ok(routes.length > 0);
+        for(const [method, path] of routes){
+            assert.ok(openapi.paths[path] && openapi.paths[path][method], `${method.toUpperCase()} ${path} is not documented`);
+        }
+    });
+
+    it('only documents routes that exist', () => {
+        const routes = controllerRoutes().map(([method, path]) => `${method} ${path}`);
+        for(const [path, item] of Object.entries(openapi.paths)){
+            if(item.servers){
+                continue;
+            }
+            for(const method of Object.keys(item)){
+                assert.ok(routes.includes(`${method} ${path}`), `${method.toUpperCase()} ${path} is not a route`);
+            }
+        }
+    });
+
+    it('resolves every schema reference', () => {
+        const refs = JSON.stringify(openapi).match(/#\/components\/schemas\/\w+/g);
+        for(const ref of new Set(refs)){
+            assert.ok(openapi.components.schemas[ref.split('/').pop()], `${ref} is not defined`);
+        }
+    });
+});
+
+describe('validateRequests', () => {
+    const middleware = validateRequests(openapi);
+
+    it('lets a valid request through without changing it', async () => {
+        const req = { method: 'GET', path: '/blocks', query: { limit: '5', type: 'star' } };
+        assert.equal(await validate(middleware, req), undefined);
+        assert.deepEqual(req.query, { limit: '5', type: 'star' });
+    });
+
+    it('lets the routes that are not documented through', async () => {
+        assert.equal(await validate(middleware, { method: 'GET', path: '/unknown' }), undefined);
+    });
+
+    it('reports the missing body parameters', async () => {
+        const error = await validate(middleware, { method: 'POST', path: '/requestTransfer', body: { address: 'a' } });
+        assert.equal(error.status, 400);
+        assert.equal(error.code, 'MISSING_PARAMETER');
+        assert.deepEqual(error.details, ['starHash is required', 'to is required']);
+    });
+
+    it('reports the parameters of the wrong type', async () => {
+        const error = await validate(middleware, { method: 'GET', path: '/export', query: { height: '-1', format: 'zip' } });
+        assert.equal(error.code, 'INVALID_PARAMETER');
+        assert.deepEqual(error.details, ['format must be one of ndjson, binary', 'height must be >= 0']);
+    });
+
+    it('checks the path parameters', async () => {
+        const error = await validate(middleware, { method: 'GET', path: '/block/height/1.5' });
+        assert.equal(error.code, 'INVALID_PARAMETER');
+        assert.equal(error.message, 'Check the Path Parameter height!');
+    });
+});
@@ -0,0 +1,158 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { Block } = require('../src/block.js');
+const { startServer, createWallet } = require('./helpers.js');
+
+// The nodes register each other with the same key
+const KEY = 'peers-secret';
+const ADMIN = { 'X-API-Key': KEY };
+
+// Register a star on a node, its writes need the key
+async function registerStar(node, wallet, star) {
+    const challenge = await node.request('POST', '/requestValidation', { address: wallet.address }, ADMIN);
+    return node.request('POST', '/submitstar', { address: wallet.address, message: challenge.body, signature: wallet.sign(challenge.body), star: star }, ADMIN);
+}
+
+// Resolve once `check()` is true, the blocks are broadcast after the answer of the request
+async function until(check, timeout = 10000) {
+    const deadline = Date.now() + timeout;
+    while(!(await check())){
+        if(Date.now() > deadline){
+            assert.fail('Timed out waiting for the peers');
+        }
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+}
+
+describe('peer network', () => {
+    const nodes = [];
+    const start = async (peers = []) => {
+        const node = await startServer({ access: { apiKeys: [KEY], addressBurst: 0 }, peerApiKey: KEY, peers: peers });
+        node.url = node.app.network.nodeUrl;
+        nodes.push(node);
+        return node;
+    };
+    after(() => Promise.all(nodes.map(node => node.close())));
+
+    const hashes = (node) => node.app.blockchain.chain.map(block => block.hash);
+    const alice = createWallet();
+
+    it('broadcasts the blocks and fetches the blocks a new peer misses', async () => {
+        const first = await start();
+        assert.equal((await registerStar(first, alice, { ra: 1, dec: 1, story: 'Before the peers' })).status, 200);
+        // The second node fetches the block it misses when it registers, the first one registers it back
+        const second = await start([first.url]);
+        assert.deepEqual(hashes(second), hashes(first));
+        assert.deepEqual(await first.app.network.getPeers(), [second.url]);
+        const third = await start([first.url]);
+
+        assert.equal((await registerStar(second, alice, { ra: 2, dec: 2, story: 'Broadcast' })).status, 200);
+        await until(() => first.app.blockchain.height === 2 && third.app.blockchain.height === 2);
+        assert.deepEqual(hashes(first), hashes(second));
+        assert.deepEqual(hashes(third), hashes(second));
+        assert.deepEqual(await third.app.blockchain.validateChain(), []);
+    });
+
+    it('adopts the longest valid chain after a fork', async () => {
+        const left = await start();
+        const right = await start();
+        assert.equal((await registerStar(left, alice, { ra: 3, dec: 3, story: 'Left' })).status, 200);
+        assert.equal((await registerStar(right, alice, { ra: 4, dec: 4, story: 'Right' })).status, 200);
+        assert.equal((await registerStar(right, alice, { ra: 5, dec: 5, story: 'Right again' })).status, 200);
+        assert.notEqual(left.app.blockchain.chain[1].hash, right.app.blockchain.chain[1].hash);
+
+        const registered = await left.request('POST', '/peers', { url: right.url }, ADMIN);
+        assert.equal(registered.status, 200);
+        await until(() => left.app.blockchain.height === 2);
+        assert.deepEqual(hashes(left), hashes(right));
+        assert.deepEqual(await left.app.blockchain.validateChain(), []);
+        assert.equal((await left.request('GET', '/stars/search?q=left')).body.stars.length, 0);
+        // The shorter chain of the left node doesn't replace the chain of the right node
+        assert.equal(right.app.blockchain.height, 2);
+    });
+
+    it('only takes the blocks announced by a registered peer', async () => {
+        // A block extending the tip, valid but for the registration nobody signed
+        const forge = (node) => {
+            const tip = node.app.blockchain.chain[node.app.blockchain.height];
+            const block = new Block({ owner: alice.address, star: { ra: 1, dec: 1, story: 'forged' } });
+            Object.assign(block, { height: tip.height + 1, time: String(Math.floor(Date.now() / 1000)), previousBlockHash: tip.hash, difficulty: 0 });
+            block.hash = Block.calculateHash(block);
+            return block;
+        };
+        const open = await startServer({});
+        nodes.push(open);
+        const refused = await open.request('POST', '/peers/block', { block: forge(open), peer: 'http://localhost:1' });
+        assert.equal(refused.status, 401);
+        assert.equal(refused.body.code, 'API_KEY_MISSING');
+
+        const node = await start();
+        for(const peer of [undefined, 'http://localhost:1', node.url]){
+            const ignored = await node.request('POST', '/peers/block', { block: forge(node), peer: peer }, ADMIN);
+            assert.equal(ignored.status, 200);
+            assert.equal(ignored.body.added, false);
+        }
+        assert.equal(node.app.blockchain.height, 0);
+        assert.equal((await node.request('GET', `/blocks/${alice.address}`)).status, 404);
+    });
+
+    it('refuses the records the node would not have written', async () => {
+        const left = await start();
+        const right = await start([left.url]);
+        const failures = [];
+        left.app.blockchain.on('validationFailure', failure => failures.push(failure));
+        // A block extending the tip of the left node, announced by the right node
+        const announce = async (block) => {
+            const tip = left.app.blockchain.chain[left.app.blockchain.height];
+            Object.assign(block, { height: tip.height + 1, time: String(Math.floor(Date.now() / 1000)), previousBlockHash: tip.hash, difficulty: 0 });
+            block.hash = Block.calculateHash(block);
+            return (await left.request('POST', '/peers/block', { block: block, peer: right.url }, ADMIN)).body.added;
+        };
+        const victim = createWallet();
+        const challenge = (wallet) => `${wallet.address}:${Math.floor(Date.now() / 1000)}:starRegistry:${'ab'.repeat(16)}`;
+
+        assert.equal(await announce(new Block({ owner: victim.address, star: { ra: 'garbage', dec: 999, story: 42 } })), false);
+        assert.equal(await announce(Block.withRecords([{ owner: victim.address, star: { ra: 6, dec: 6, story: 'Unsigned' } }])), false);
+        const message = challenge(alice);
+        assert.equal(await announce(Block.withRecords([{ owner: victim.address, star: { ra: 6, dec: 6, story: 'Signed by another' }, message: message, signature: alice.sign(message) }])), false);
+        assert.equal(await announce(Block.withRecords([{ owner: alice.address, star: { ra: 6, dec: 6, story: 'Extra' }, message: message, signature: alice.sign(message), note: 'x' }])), false);
+        assert.equal(left.app.blockchain.height, 0);
+        assert.equal((await left.request('GET', `/blocks/${victim.address}`)).status, 404);
+        assert.deepEqual(failures.map(failure => failure.findings[0].type), ['invalid_record', 'invalid_record', 'invalid_record', 'invalid_record']);
+
+        // A registration signed by its owner is taken, its message can't register another star
+        assert.equal(await announce(Block.withRecords([{ owner: alice.address, star: { ra: 6, dec: 6, story: 'Signed' }, message: message, signature: alice.sign(message) }])), true);
+        assert.equal(await announce(Block.withRecords([{ owner: alice.address, star: { ra: 7, dec: 7, story: 'Replayed' }, message: message, signature: alice.sign(message) }])), false);
+        assert.match(failures[failures.length - 1].findings[0].actual, /already used/);
+        assert.equal(left.app.blockchain.height, 1);
+        assert.equal(left.app.blockchain.starsByOwner.get(alice.address).size, 1);
+        assert.deepEqual(await left.app.blockchain.validateChain(), []);
+    });
+
+    it('never calls a url that is not a registered peer', async () => {
+        let calls = 0;
+        const target = http.createServer((req, res) => {
+            calls++;
+            res.end('[]');
+        });
+        await new Promise(resolve => target.listen(0, resolve));
+        const url = `http://localhost:${target.address().port}`;
+        try {
+            const node = await start();
+            // A block far ahead of the tip, announced in the name of an unknown node
+            const block = Object.assign({}, node.app.blockchain.chain[0], { height: 99, previousBlockHash: 'f'.repeat(64) });
+            const announced = await node.request('POST', '/peers/block', { block: block, peer: url }, ADMIN);
+            assert.equal(announced.status, 200);
+            assert.equal(announced.body.added, false);
+
+            const refused = await node.request('POST', '/peers', { url: url });
+            assert.equal(refused.status, 401);
+            assert.equal(refused.body.code, 'API_KEY_MISSING');
+            assert.deepEqual(await node.app.network.getPeers(), []);
+            assert.equal(calls, 0);
+        } finally {
+            await new Promise(resolve => target.close(resolve));
+        }
+    });
+});
@@ -0,0 +1,115 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const bitcoin = require('bitcoinjs-lib');
+const { Block } = require('../src/block.js');
+const { Blockchain } = require('../src/blockchain.js');
+const merkle = require('../src/merkle.js');
+const { sealStory, openSealed, storyCommitment } = require('../src/seal.js');
+const { startServer, createWallet, registerStar } = require('./helpers.js');
+
+describe('sealStory', () => {
+    it('seals a story only the owner can open and commits to it', () => {
+        const owner = bitcoin.ECPair.makeRandom({ compressed: false });
+        const { sealed, salt } = sealStory('Für Zoë 🔭', owner.publicKey);
+        assert.equal(sealed.commitment, storyCommitment('Für Zoë 🔭', salt));
+        assert.deepEqual(openSealed(sealed, owner.privateKey), { story: 'Für Zoë 🔭', salt: salt });
+        assert.notEqual(sealStory('Für Zoë 🔭', owner.publicKey).sealed.commitment, sealed.commitment);
+
+        assert.throws(() => openSealed(sealed, bitcoin.ECPair.makeRandom().privateKey));
+        const altered = Buffer.from(sealed.ciphertext, 'base64');
+        altered[altered.length - 1] ^= 1;
+        assert.throws(() => openSealed({ commitment: sealed.commitment, ciphertext: altered.toString('base64') }, owner.privateKey));
+    });
+});
+
+describe('sealed stories', () => {
+    let client;
+    const alice = createWallet();
+    const bob = createWallet();
+    const story = 'Antares, for my father';
+    const { sealed, salt } = sealStory(story, alice.keyPair.publicKey);
+    let starId;
+
+    // Request the reveal message of the star for the wallet and reveal it
+    const reveal = async (wallet, fields = {}) => {
+        const message = (await client.request('POST', '/requestReveal', { address: wallet.address, starHash: starId })).body;
+        return client.request('POST', '/revealstar', Object.assign({ address: wallet.address, starHash: starId, story: story, salt: salt, message: message, signature: wallet.sign(message) }, fields));
+    };
+
+    before(async () => {
+        // Alice sends more requests than the burst of an address
+        client = await startServer({ access: { addressBurst: 0 } });
+        const res = await registerStar(client, alice, { ra: '16h 29m 24.4s', dec: "-26° 25' 55.2", cen: 'Sco', sealed: sealed });
+        assert.equal(res.status, 200);
+        starId = merkle.hashRecord(Block.decodeBody(res.body).records[0]);
+        await registerStar(client, alice, { ra: 88.79, dec: 7.41, story: 'Betelgeuse' });
+    });
+    after(() => client.close());
+
+    it('checks the sealed story of a star', async () => {
+        const both = await registerStar(client, alice, { ra: 10, dec: 10, story: 'Both', sealed: sealed });
+        assert.equal(both.body.code, 'STAR_INVALID');
+        assert.deepEqual(both.body.details, ['a star has either a story or a sealed story, not both']);
+        const malformed = await registerStar(client, alice, { ra: 10, dec: 10, sealed: { commitment: 'abc', ciphertext: 'not base64!' } });
+        assert.deepEqual(malformed.body.details, ['sealed.commitment must be a SHA-256 in hex', 'sealed.ciphertext must be base64']);
+    });
+
+    it('keeps the story out of the chain until it is revealed', async () => {
+        const block = client.app.blockchain.chain[1];
+        assert.ok(!Buffer.from(block.body, 'hex').toString('utf8').includes('Antares'));
+        const stars = (await client.request('GET', `/blocks/${alice.address}`)).body;
+        assert.deepEqual(stars[0], { ra: '16h 29m 24.4s', dec: "-26° 25' 55.2", cen: 'Sco', sealed: sealed, revealed: false });
+        assert.deepEqual(stars[1], { ra: 88.79, dec: 7.41, story: 'Betelgeuse' });
+        assert.equal((await block.getBData(client.app.blockchain.reveals)).records[0].star.revealed, false);
+        assert.equal((await client.request('GET', '/stars/search?q=antares')).body.stars.length, 0);
+    });
+
+    it('refuses the reveals that do not apply', async () => {
+        const notOwner = await client.request('POST', '/requestReveal', { address: bob.address, starHash: starId });
+        assert.equal(notOwner.status, 403);
+        assert.equal(notOwner.body.code, 'NOT_STAR_OWNER');
+        const plain = (await client.request('GET', `/stars/search?q=betelgeuse`)).body.stars[0].id;
+        const notSealed = await client.request('POST', '/requestReveal', { address: alice.address, starHash: plain });
+        assert.equal(notSealed.status, 409);
+        assert.equal(notSealed.body.code, 'STAR_NOT_SEALED');
+
+        const wrongStory = await reveal(alice, { story: 'Antares, for my mother' });
+        assert.equal(wrongStory.status, 422);
+        assert.equal(wrongStory.body.code, 'REVEAL_COMMITMENT_MISMATCH');
+        const badSalt = await reveal(alice, { salt: 'salt' });
+        assert.equal(badSalt.body.code, 'REVEAL_INVALID');
+        assert.deepEqual(badSalt.body.details, ['salt must be 32 bytes in hex']);
+        const message = (await client.request('POST', '/requestReveal', { address: alice.address, starHash: starId })).body;
+        const forged = await reveal(alice, { signature: bob.sign(message) });
+        assert.equal(forged.status, 401);
+        assert.equal(forged.body.code, 'REVEAL_SIGNATURE_INVALID');
+    });
+
+    it('reveals the story signed by the owner once', async () => {
+        const res = await reveal(alice);
+        assert.equal(res.status, 200);
+        const { signature, ...record } = Block.decodeBody(res.body);
+        assert.deepEqual(record, { type: 'reveal', owner: alice.address, star: starId, story: story, salt: salt, message: `${alice.address}:${starId}:${sealed.commitment}:starReveal` });
+        assert.equal(typeof signature, 'string');
+
+        const stars = (await client.request('GET', `/blocks/${alice.address}`)).body;
+        assert.deepEqual(stars[0], { ra: '16h 29m 24.4s', dec: "-26° 25' 55.2", cen: 'Sco', sealed: sealed, story: story, revealed: true });
+        const history = (await client.request('GET', `/star/${starId}/history`)).body.history;
+        assert.deepEqual(history.map(entry => entry.type), ['registration', 'reveal']);
+        assert.deepEqual((await client.request('GET', '/stars/search?q=antares')).body.stars.map(star => star.id), [starId]);
+        const blocks = (await client.request('GET', '/blocks?type=reveal&decodedBody=true')).body.blocks;
+        assert.deepEqual(blocks.map(block => block.height), [res.body.height]);
+        assert.equal((await client.app.blockchain.chain[1].getBData(client.app.blockchain.reveals)).records[0].star.story, story);
+
+        const again = await client.request('POST', '/requestReveal', { address: alice.address, starHash: starId });
+        assert.equal(again.status, 409);
+        assert.equal(again.body.code, 'STAR_ALREADY_REVEALED');
+    });
+
+    it('finds the reveals again when the chain is reloaded', async () => {
+        const reloaded = new Blockchain(client.app.blockchain.storage, { difficulty: 0 });
+        await reloaded.ready;
+        assert.equal(reloaded.reveals.get(starId).story, story);
+        assert.deepEqual(await reloaded.validateChain(), []);
+    });
+});
@@ -0,0 +1,108 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { StarSearchIndex, angularDistance } = require('../src/search.js');
+const { startServer, createWallet, registerStar } = require('./helpers.js');
+
+// The ids of the stars of a page of the index
+const ids = (page) => page.results.map(result => result.id);
+
+describe('StarSearchIndex', () => {
+    const index = new StarSearchIndex();
+    index.add('polaris', { ra: '2h 31m 49.1s', dec: "89° 15' 51.0", mag: 2, cen: 'UMi', story: 'The North Star' });
+    index.add('east', { ra: 359.8, dec: 10, mag: 5.5, cen: 'Psc', story: 'Just before midnight' });
+    index.add('west', { ra: 0.3, dec: 10.2, mag: 5.5, cen: 'psc', story: 'Just after midnight, for Zoë' });
+    index.add('old', { ra: 'somewhere', dec: 'up', story: 'Registered before the schema' });
+    index.add('vega', { ra: 279.23, dec: 38.78, mag: 0.03, cen: 'Lyr', story: 'A bright summer star' });
+
+    it('finds the stars in a cone across the origin of the right ascension and over the pole', () => {
+        assert.deepEqual(ids(index.search({ cone: { ra: 0, dec: 10, radius: 0.5 } })), ['east', 'west']);
+        assert.deepEqual(ids(index.search({ cone: { ra: 200, dec: 89.5, radius: 1.5 } })), ['polaris']);
+        assert.deepEqual(ids(index.search({ cone: { ra: 200, dec: 89.5, radius: 1.2 } })), []);
+        const page = index.search({ cone: { ra: 0, dec: 10, radius: 0.25 } });
+        assert.deepEqual(ids(page), ['east']);
+        assert.ok(Math.abs(page.results[0].distance - angularDistance(0, 10, 359.8, 10)) < 1e-12);
+    });
+
+    it('finds the stars in a range of magnitudes', () => {
+        assert.deepEqual(ids(index.search({ minMag: 2, maxMag: 5.5 })), ['polaris', 'east', 'west']);
+        assert.deepEqual(ids(index.search({ maxMag: 1 })), ['vega']);
+        assert.deepEqual(ids(index.search({ minMag: 6 })), []);
+    });
+
+    it('combines the criteria and the words of the stories', () => {
+        assert.deepEqual(ids(index.search({ text: 'MIDNIGHT' })), ['east', 'west']);
+        assert.deepEqual(ids(index.search({ text: 'after midnight' })), ['west']);
+        assert.deepEqual(ids(index.search({ text: 'zoe' })), ['west']);
+        assert.deepEqual(ids(index.search({ text: 'schema' })), ['old']);
+        assert.deepEqual(ids(index.search({ cen: 'UMi', text: 'midnight' })), []);
+        assert.deepEqual(ids(index.search({ cone: { ra: 0, dec: 10, radius: 1 }, maxMag: 5, text: 'midnight' })), []);
+    });
+
+    it('pages the stars in the order they were registered', () => {
+        const first = index.search({ limit: 2 });
+        assert.deepEqual(ids(first), ['polaris', 'east']);
+        const second = index.search({ limit: 2, cursor: first.nextCursor });
+        assert.deepEqual(ids(second), ['west', 'old']);
+        const last = index.search({ limit: 2, cursor: second.nextCursor });
+        assert.deepEqual(ids(last), ['vega']);
+        assert.equal(last.nextCursor, null);
+    });
+});
+
+describe('star search', () => {
+    let client;
+    const alice = createWallet();
+    const bob = createWallet();
+    const search = async (query) => (await client.request('GET', `/stars/search?${new URLSearchParams(query)}`));
+
+    before(async () => {
+        client = await startServer();
+        await registerStar(client, alice, { ra: '5h 55m 10.3s', dec: "7° 24' 25.4", mag: 0.5, cen: 'Ori', story: 'Betelgeuse for my sister' });
+        await registerStar(client, alice, { ra: '5h 14m 32.3s', dec: "-8° 12' 5.9", mag: 0.13, cen: 'Ori', story: 'Rigel, a winter gift' });
+        await registerStar(client, bob, { ra: '6h 45m 8.9s', dec: "-16° 42' 58.0", mag: -1.46, cen: 'CMa', story: 'Sirius, the brightest' });
+    });
+
+    after(() => client.close());
+
+    it('links each star to the block registering it', async () => {
+        const res = await search({ ra: '5h 55m 0s', dec: '7', radius: '1' });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.stars.length, 1);
+        const match = res.body.stars[0];
+        assert.equal(match.star.story, 'Betelgeuse for my sister');
+        assert.equal(match.owner, alice.address);
+        assert.ok(match.distance > 0 && match.distance < 1);
+        const block = await client.request('GET', `/block/hash/${match.hash}`);
+        assert.equal(block.body.height, match.height);
+        const history = await client.request('GET', `/star/${match.id}/history`);
+        assert.equal(history.body.star.story, 'Betelgeuse for my sister');
+    });
+
+    it('filters by constellation, magnitude and story and pages the results', async () => {
+        const orion = await search({ cen: 'ori', limit: '1' });
+        assert.deepEqual(orion.body.stars.map(match => match.star.story), ['Betelgeuse for my sister']);
+        const next = await search({ cen: 'ori', limit: '1', cursor: orion.body.nextCursor });
+        assert.deepEqual(next.body.stars.map(match => match.star.story), ['Rigel, a winter gift']);
+        assert.equal(next.body.nextCursor, null);
+        const bright = await search({ maxMag: '0.2' });
+        assert.deepEqual(bright.body.stars.map(match => match.star.cen), ['Ori', 'CMa']);
+        const gift = await search({ q: 'Gift', minMag: '0' });
+        assert.deepEqual(gift.body.stars.map(match => match.owner), [alice.address]);
+    });
+
+    it('indexes the stars as the blocks are added', async () => {
+        assert.deepEqual((await search({ q: 'procyon' })).body.stars, []);
+        await registerStar(client, bob, { ra: '7h 39m 18.1s', dec: "5° 13' 30.0", mag: 0.34, cen: 'CMi', story: 'Procyon' });
+        assert.equal((await search({ q: 'procyon' })).body.stars.length, 1);
+    });
+
+    it('refuses an incomplete cone or an invalid criterion', async () => {
+        const cone = await search({ ra: '10', dec: '20' });
+        assert.equal(cone.status, 400);
+        assert.equal(cone.body.code, 'MISSING_PARAMETER');
+        assert.deepEqual(cone.body.details, ['radius is required for a cone search']);
+        assert.equal((await search({ ra: '25h 0m 0s', dec: '0', radius: '1' })).body.code, 'INVALID_PARAMETER');
+        assert.equal((await search({ cen: 'Xyz' })).body.code, 'INVALID_PARAMETER');
+        assert.equal((await search({ minMag: '3', maxMag: '1' })).body.code, 'INVALID_PARAMETER');
+    });
+});
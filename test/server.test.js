@@ -0,0 +1,131 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createServer } = require('../app.js');
+const { MemoryStorage } = require('../src/storage.js');
+const { startServer, createWallet, registerStar } = require('./helpers.js');
+
+// A promise that is resolved or rejected from the outside
+function deferred() {
+    const result = {};
+    result.promise = new Promise((resolve, reject) => Object.assign(result, { resolve, reject }));
+    return result;
+}
+
+// A MemoryStorage whose load and appends wait for the test to release them
+class GatedStorage extends MemoryStorage {
+
+    constructor() {
+        super();
+        this.loading = deferred();
+        this.appending = null;
+        this.appended = deferred();
+        this.closed = false;
+    }
+
+    async load() {
+        await this.loading.promise;
+        return super.load();
+    }
+
+    async append(block) {
+        if(this.appending){
+            this.appended.resolve();
+            await this.appending.promise;
+        }
+        return super.append(block);
+    }
+
+    close() {
+        this.closed = true;
+        return super.close();
+    }
+
+}
+
+async function get(server, url) {
+    const res = await fetch(`http://localhost:${server.address().port}${url}`);
+    return { status: res.status, body: await res.json() };
+}
+
+describe('server lifecycle', () => {
+    it('creates the server without listening', async () => {
+        const node = createServer({ port: 0, storage: new MemoryStorage(), chain: { difficulty: 0 } });
+        assert.equal(node.server.listening, false);
+        await node.start();
+        assert.equal(node.server.listening, true);
+        assert.equal((await get(node.server, '/health')).status, 200);
+        await node.stop();
+        assert.equal(node.server.listening, false);
+    });
+
+    it('is ready once the chain is loaded and validated', async () => {
+        const storage = new GatedStorage();
+        const node = createServer({ port: 0, storage: storage, chain: { difficulty: 0 } });
+        const started = node.start();
+        await new Promise(resolve => node.server.once('listening', resolve));
+
+        assert.equal((await get(node.server, '/health')).status, 200);
+        const loading = await get(node.server, '/ready');
+        assert.equal(loading.status, 503);
+        assert.deepEqual(loading.body.chains, [{ name: 'main', ready: false, height: -1 }]);
+        const head = await get(node.server, '/chain/head');
+        assert.equal(head.status, 503);
+        assert.equal(head.body.code, 'CHAIN_NOT_READY');
+
+        storage.loading.resolve();
+        await started;
+        const ready = await get(node.server, '/ready');
+        assert.equal(ready.status, 200);
+        assert.deepEqual(ready.body, { ready: true, stopping: false, chains: [{ name: 'main', ready: true, height: 0 }] });
+        await node.stop();
+    });
+
+    it('reports a chain that failed to load', async () => {
+        const storage = new GatedStorage();
+        const node = createServer({ port: 0, storage: storage, chain: { difficulty: 0 } });
+        const started = node.start();
+        await new Promise(resolve => node.server.once('listening', resolve));
+        storage.loading.reject(new Error('disk unavailable'));
+        await assert.rejects(started, /disk unavailable/);
+        const ready = await get(node.server, '/ready');
+        assert.equal(ready.status, 503);
+        assert.equal(ready.body.chains[0].error, 'disk unavailable');
+        assert.equal((await get(node.server, '/chain/head')).body.code, 'CHAIN_NOT_READY');
+        await node.stop();
+    });
+
+    it('answers the requests in flight and stores their blocks before it stops', async () => {
+        const storage = new GatedStorage();
+        storage.loading.resolve();
+        const client = await startServer({ storage: storage });
+        storage.appending = deferred();
+        const submission = registerStar(client, createWallet(), { ra: 12, dec: 34, story: 'Submitted while stopping' });
+        await storage.appended.promise;
+
+        let stopped = false;
+        const stopping = client.app.stop().then(() => { stopped = true; });
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.equal(stopped, false);
+        assert.equal(storage.closed, false);
+
+        storage.appending.resolve();
+        const res = await submission;
+        assert.equal(res.status, 200);
+        await stopping;
+        assert.equal(storage.closed, true);
+        assert.equal((await storage.load()).length, 2);
+    });
+
+    it('closes the event streams when it stops', async () => {
+        const client = await startServer();
+        const res = await fetch(`http://localhost:${client.app.server.address().port}/events`);
+        assert.equal(res.status, 200);
+        const reader = res.body.getReader();
+        await client.close();
+        let done = false;
+        while(!done){
+            done = (await reader.read()).done;
+        }
+        assert.equal(client.app.server.listening, false);
+    });
+});
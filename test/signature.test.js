@@ -0,0 +1,71 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const bitcoin = require('bitcoinjs-lib');
+const bitcoinMessage = require('bitcoinjs-message');
+const { verifyMessage } = require('../src/signature.js');
+
+// The test vectors of BIP-322, signed by the key L3VFeEujGtevx9w18HD1fhRbCH67Az2dpCymeRE1SoPK3XonfQWd
+const P2WPKH = 'bc1q9vza2e8x573nczrlzms0wvx3gsqjx7vavgkx0l';
+const P2TR = 'bc1ppv609nr0vr25u07u95waq5lucwfm6tde4nydujnu8npg4q75mr5sxq8lt3';
+const VECTORS = [
+    [P2WPKH, '', 'AkcwRAIgM2gBAQqvZX15ZiysmKmQpDrG83avLIT492QBzLnQIxYCIBaTpOaD20qRlEylyxFSeEA2ba9YOixpX8z46TSDtS40ASECx/EgAxlkQpQ9hYjgGu6EBCPMVPwVIVJqO4XCsMvViHI='],
+    [P2WPKH, 'Hello World', 'AkcwRAIgZRfIY3p7/DoVTty6YZbWS71bc5Vct9p9Fia83eRmw2QCICK/ENGfwLtptFluMGs2KsqoNSk89pO7F29zJLUx9a/sASECx/EgAxlkQpQ9hYjgGu6EBCPMVPwVIVJqO4XCsMvViHI='],
+    [P2TR, 'Hello World', 'AUHd69PrJQEv+oKTfZ8l+WROBHuy9HKrbFCJu7U1iK2iiEy1vMU5EfMtjc+VSHM7aU0SDbak5IUZRVno2P5mjSafAQ==']
+];
+
+// The error a verification fails with
+function failure(message, address, signature) {
+    try {
+        verifyMessage(message, address, signature);
+    } catch (error) {
+        return error.code;
+    }
+    assert.fail('The signature verified');
+}
+
+// A Taproot witness of one item, the Schnorr signature with its sighash byte if any
+function taprootWitness(signature) {
+    return Buffer.concat([Buffer.from([1, signature.length]), signature]).toString('base64');
+}
+
+describe('signatures', () => {
+    it('verifies the BIP-322 test vectors', () => {
+        for(const [address, message, signature] of VECTORS){
+            assert.equal(verifyMessage(message, address, signature), 'bip322', `${address} "${message}"`);
+        }
+    });
+
+    it('refuses the BIP-322 signatures of another message', () => {
+        assert.equal(failure('Hello World', P2WPKH, VECTORS[0][2]), 'SIGNATURE_INVALID');
+        assert.equal(failure('', P2WPKH, VECTORS[1][2]), 'SIGNATURE_INVALID');
+        assert.equal(failure('Hello World!', P2TR, VECTORS[2][2]), 'SIGNATURE_INVALID');
+    });
+
+    it('only accepts a 65th byte of SIGHASH_ALL on a Taproot signature', () => {
+        // The vector is signed with SIGHASH_ALL, a 65th byte of 0x01
+        const signature = Buffer.from(VECTORS[2][2], 'base64').slice(2);
+        assert.equal(signature.length, 65);
+        assert.equal(signature[64], 0x01);
+        const schnorr = signature.slice(0, 64);
+        assert.equal(failure('Hello World', P2TR, taprootWitness(Buffer.concat([schnorr, Buffer.from([0x00])]))), 'SIGNATURE_MALFORMED');
+        assert.equal(failure('Hello World', P2TR, taprootWitness(Buffer.concat([schnorr, Buffer.from([0x83])]))), 'SIGNATURE_MALFORMED');
+        // Without the 65th byte the signature is read as SIGHASH_DEFAULT, which signs another hash
+        assert.equal(failure('Hello World', P2TR, taprootWitness(schnorr)), 'SIGNATURE_INVALID');
+    });
+
+    it('verifies the BIP-137 signatures of the legacy and segwit addresses', () => {
+        const keyPair = bitcoin.ECPair.makeRandom();
+        const p2wpkh = bitcoin.payments.p2wpkh({ pubkey: keyPair.publicKey });
+        const addresses = {
+            p2pkh: bitcoin.payments.p2pkh({ pubkey: keyPair.publicKey }).address,
+            'p2sh(p2wpkh)': bitcoin.payments.p2sh({ redeem: p2wpkh }).address,
+            p2wpkh: p2wpkh.address
+        };
+        for(const [type, address] of Object.entries(addresses)){
+            const options = type === 'p2pkh' ? undefined : { segwitType: type };
+            const signature = bitcoinMessage.sign('a message', keyPair.privateKey, keyPair.compressed, options).toString('base64');
+            assert.equal(verifyMessage('a message', address, signature), 'bip137', type);
+            assert.equal(failure('another message', address, signature), 'SIGNATURE_KEY_MISMATCH', type);
+        }
+    });
+});
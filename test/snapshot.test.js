@@ -0,0 +1,146 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const bitcoin = require('bitcoinjs-lib');
+const { Block } = require('../src/block.js');
+const snapshot = require('../src/snapshot.js');
+const { startServer, createWallet, registerStar } = require('./helpers.js');
+
+const KEY = 'secret1';
+
+describe('snapshots', () => {
+    const nodes = [];
+    let source;
+    const nodeKey = bitcoin.ECPair.makeRandom();
+    const alice = createWallet();
+
+    const start = async (options = {}) => {
+        const node = await startServer(Object.assign({ access: { apiKeys: [KEY], protect: 'writes', addressBurst: 0 } }, options));
+        node.base = `http://localhost:${node.app.server.address().port}`;
+        nodes.push(node);
+        return node;
+    };
+    // The dumps are binary, they are read and sent as buffers
+    const exportChain = async (node, format, height) => {
+        const query = `format=${format}` + (height !== undefined ? `&height=${height}` : '');
+        const dump = Buffer.from(await (await fetch(`${node.base}/export?${query}`)).arrayBuffer());
+        const manifest = await (await fetch(`${node.base}/export/manifest?${query}`)).json();
+        return { dump: dump, manifest: manifest };
+    };
+    const importChain = async (node, dump, query, manifest) => {
+        const headers = { 'Content-Type': 'application/octet-stream', 'X-API-Key': KEY };
+        if(manifest){
+            headers['X-Snapshot-Manifest'] = JSON.stringify(manifest);
+        }
+        const res = await fetch(`${node.base}/import?${query}`, { method: 'POST', headers: headers, body: dump });
+        return { status: res.status, body: await res.json() };
+    };
+    const hashes = (node) => node.app.blockchain.chain.map(block => block.hash);
+
+    before(async () => {
+        source = await start({ nodeKey: nodeKey.toWIF() });
+        // Sent by the key of the node, the stars have to be registered with it
+        const register = async (star) => {
+            const challenge = await source.request('POST', '/requestValidation', { address: alice.address }, { 'X-API-Key': KEY });
+            return source.request('POST', '/submitstar', { address: alice.address, message: challenge.body, signature: alice.sign(challenge.body), star: star }, { 'X-API-Key': KEY });
+        };
+        assert.equal((await register({ ra: 1, dec: 1, story: 'First' })).status, 200);
+        assert.equal((await register({ ra: 2, dec: 2, story: 'Second' })).status, 200);
+    });
+    after(() => Promise.all(nodes.map(node => node.close())));
+
+    for(const format of ['ndjson', 'binary']){
+        it(`restores the chain of a ${format} dump signed by the node`, async () => {
+            const { dump, manifest } = await exportChain(source, format);
+            assert.equal(manifest.format, format);
+            assert.equal(manifest.height, 2);
+            assert.equal(manifest.signer, bitcoin.payments.p2pkh({ pubkey: nodeKey.publicKey }).address);
+
+            const target = await start();
+            const imported = await importChain(target, dump, `format=${format}&signer=${manifest.signer}`, manifest);
+            assert.equal(imported.status, 200);
+            assert.deepEqual(imported.body, { height: 2, hash: manifest.tipHash });
+            assert.deepEqual(hashes(target), hashes(source));
+            assert.deepEqual(await target.app.blockchain.validateChain(), []);
+            assert.equal(target.app.blockchain.starsByOwner.get(alice.address).size, 2);
+        });
+    }
+
+    it('only replaces a chain the dump extends, unless forced', async () => {
+        const target = await start({ access: { apiKeys: [KEY], addressBurst: 0, protect: 'all' } });
+        const { dump } = await exportChain(source, 'ndjson');
+        const partial = await exportChain(source, 'ndjson', 1);
+        assert.equal((await importChain(target, partial.dump, 'format=ndjson')).status, 200);
+
+        // The same chain and a shorter chain are refused
+        const same = await importChain(target, partial.dump, 'format=ndjson');
+        assert.equal(same.status, 409);
+        assert.equal(same.body.code, 'SNAPSHOT_REPLACES_CHAIN');
+        const genesis = await exportChain(source, 'ndjson', 0);
+        assert.deepEqual((await importChain(target, genesis.dump, 'format=ndjson')).body.details, ['the dump ends at height 0, the chain is at height 1']);
+        // A dump that extends the chain is imported
+        assert.equal((await importChain(target, dump, 'format=ndjson')).status, 200);
+        assert.deepEqual(hashes(target), hashes(source));
+
+        // A longer chain that diverges drops the block of the target
+        const other = await start();
+        await registerStar({ request: (method, url, body) => other.request(method, url, body, { 'X-API-Key': KEY }) }, alice, { ra: 3, dec: 3, story: 'Other' });
+        const diverged = await importChain(other, dump, 'format=ndjson');
+        assert.equal(diverged.status, 409);
+        // Each node mined its own Genesis Block
+        assert.deepEqual(diverged.body.details, ['the dump diverges from the chain at height 0']);
+        assert.equal(other.app.blockchain.height, 1);
+        assert.equal((await importChain(other, dump, 'format=ndjson&force=true')).status, 200);
+        assert.deepEqual(hashes(other), hashes(source));
+        assert.equal((await importChain(other, genesis.dump, 'format=ndjson&force=yes')).body.code, 'INVALID_PARAMETER');
+    });
+
+    it('refuses a dump that is invalid, does not match its manifest or is not signed by the signer', async () => {
+        const target = await start();
+        const { dump, manifest } = await exportChain(source, 'ndjson');
+        const tampered = Buffer.from(dump.toString('utf8').replace(/"time":"(\d)/, (match, digit) => `"time":"${(Number(digit) + 1) % 10}`));
+        assert.notDeepEqual(tampered, dump);
+
+        const invalid = await importChain(target, tampered, 'format=ndjson');
+        assert.equal(invalid.status, 422);
+        assert.equal(invalid.body.code, 'SNAPSHOT_INVALID');
+        const mismatch = await importChain(target, tampered, 'format=ndjson', manifest);
+        assert.equal(mismatch.status, 422);
+        assert.equal(mismatch.body.code, 'SNAPSHOT_MANIFEST_MISMATCH');
+        const signer = await importChain(target, dump, `format=ndjson&signer=${alice.address}`, manifest);
+        assert.equal(signer.status, 401);
+        assert.equal(signer.body.code, 'SNAPSHOT_SIGNATURE_INVALID');
+        // The signature covers every field of the manifest
+        const forged = await importChain(target, dump, `format=ndjson&signer=${manifest.signer}`, Object.assign({}, manifest, { createdAt: new Date(0).toISOString() }));
+        assert.equal(forged.body.code, 'SNAPSHOT_SIGNATURE_INVALID');
+        // An unsigned manifest can't name a signer
+        const unsigned = Object.assign({}, manifest, { signer: null, signature: null });
+        assert.equal((await importChain(target, dump, `format=ndjson&signer=${manifest.signer}`, unsigned)).body.code, 'SNAPSHOT_SIGNATURE_INVALID');
+        assert.equal(target.app.blockchain.height, 0);
+    });
+
+    it('refuses a dump holding a record the node would not have written', async () => {
+        const target = await start();
+        // The chain of the source with a registration of a garbage star in the name of alice
+        const chain = source.app.blockchain.chain.slice();
+        const tip = chain[chain.length - 1];
+        const block = new Block({ owner: alice.address, star: { ra: 'garbage', dec: 999, story: 42 } });
+        Object.assign(block, { height: chain.length, time: tip.time, previousBlockHash: tip.hash, difficulty: 0 });
+        block.hash = Block.calculateHash(block);
+        const refused = await importChain(target, snapshot.encode(chain.concat(block), 'ndjson'), 'format=ndjson');
+        assert.equal(refused.status, 422);
+        assert.equal(refused.body.code, 'SNAPSHOT_INVALID');
+        assert.deepEqual(refused.body.details.map(finding => [finding.height, finding.type]), [[chain.length, 'invalid_record']]);
+        assert.equal(target.app.blockchain.height, 0);
+        assert.equal((await importChain(target, snapshot.encode(chain, 'ndjson'), 'format=ndjson')).status, 200);
+    });
+
+    it('refuses a dump larger than the import limit', async () => {
+        const target = await start({ importLimit: 100 });
+        const { dump } = await exportChain(source, 'binary');
+        assert.ok(dump.length > 100);
+        const refused = await importChain(target, dump, 'format=binary');
+        assert.equal(refused.status, 413);
+        assert.equal(refused.body.code, 'PAYLOAD_TOO_LARGE');
+        assert.equal(target.app.blockchain.height, 0);
+    });
+});
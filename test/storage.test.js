@@ -0,0 +1,74 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileStorage } = require('../src/storage.js');
+const { Blockchain } = require('../src/blockchain.js');
+
+// A new chain file in a temporary directory
+function chainFile() {
+    return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'star-notary-storage-')), 'chain.ndjson');
+}
+
+describe('FileStorage', () => {
+    it('drops a torn last line when the log is loaded', async () => {
+        const file = chainFile();
+        const storage = new FileStorage(file);
+        assert.deepEqual(await storage.load(), []);
+        await storage.append({ height: 0 });
+        await storage.append({ height: 1 });
+        await storage.close();
+        // A crash in the middle of the write of the third block
+        fs.appendFileSync(file, '{"height":2,"bo');
+
+        const reloaded = new FileStorage(file);
+        assert.deepEqual(await reloaded.load(), [{ height: 0 }, { height: 1 }]);
+        assert.equal(fs.readFileSync(file, 'utf8'), '{"height":0}\n{"height":1}\n');
+        await reloaded.append({ height: 2 });
+        await reloaded.close();
+        assert.deepEqual(await new FileStorage(file).load(), [{ height: 0 }, { height: 1 }, { height: 2 }]);
+    });
+
+    it('refuses a log with a corrupted complete line', async () => {
+        const file = chainFile();
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, '{"height":0}\nnot json\n{"height":2}\n');
+        await assert.rejects(new FileStorage(file).load(), /Corrupted block record at line 2/);
+    });
+
+    it('replaces the log through a temporary file renamed over it', async () => {
+        const file = chainFile();
+        const storage = new FileStorage(file);
+        await storage.load();
+        await storage.append({ height: 0, hash: 'old' });
+        await storage.replace([{ height: 0, hash: 'new' }, { height: 1, hash: 'new' }]);
+        assert.ok(!fs.existsSync(`${file}.tmp`));
+        await storage.append({ height: 2, hash: 'new' });
+        await storage.close();
+        assert.deepEqual((await new FileStorage(file).load()).map(block => block.height), [0, 1, 2]);
+
+        // A crash before the rename leaves the old log whole, the temporary file is overwritten by the next replace
+        fs.writeFileSync(`${file}.tmp`, '{"height":0,"hash":"half written');
+        const reloaded = new FileStorage(file);
+        assert.deepEqual((await reloaded.load()).map(block => block.hash), ['new', 'new', 'new']);
+        await reloaded.replace([{ height: 0, hash: 'newer' }]);
+        await reloaded.close();
+        assert.deepEqual(await new FileStorage(file).load(), [{ height: 0, hash: 'newer' }]);
+    });
+
+    it('reloads a chain whose last block was torn', async () => {
+        const file = chainFile();
+        const blockchain = new Blockchain(new FileStorage(file), { difficulty: 0 });
+        await blockchain.ready;
+        await blockchain.close();
+        fs.appendFileSync(file, '{"hash":"');
+
+        const reloaded = new Blockchain(new FileStorage(file), { difficulty: 0 });
+        await reloaded.ready;
+        assert.equal(reloaded.height, 0);
+        assert.equal(reloaded.chain[0].hash, blockchain.chain[0].hash);
+        assert.deepEqual(await reloaded.validateChain(), []);
+        await reloaded.close();
+    });
+});
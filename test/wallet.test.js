@@ -0,0 +1,115 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const util = require('util');
+const { execFile } = require('child_process');
+const bitcoin = require('bitcoinjs-lib');
+const { startServer } = require('./helpers.js');
+
+const CLI = path.join(__dirname, '..', 'cli', 'wallet.js');
+
+describe('wallet CLI', () => {
+    let client;
+    let node;
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'star-notary-wallet-'));
+    const walletFile = path.join(dir, 'wallet.json');
+
+    // Run the CLI with the wallet of the test, resolves with `{ code, stdout, stderr }`
+    const wallet = async (...args) => {
+        try {
+            const { stdout, stderr } = await util.promisify(execFile)(process.execPath, [CLI, ...args, '--wallet', walletFile, '--node', node], { timeout: 30000 });
+            return { code: 0, stdout: stdout, stderr: stderr };
+        } catch (error) {
+            return { code: error.code, stdout: error.stdout, stderr: error.stderr };
+        }
+    };
+    const json = async (...args) => {
+        const result = await wallet(...args, '--json');
+        assert.equal(result.code, 0, result.stderr);
+        return JSON.parse(result.stdout);
+    };
+
+    before(async () => {
+        // One wallet sends all the requests, more than the burst of an address
+        client = await startServer({ access: { addressBurst: 0 } });
+        node = `http://localhost:${client.app.server.address().port}`;
+    });
+    after(() => client.close());
+
+    it('generates a wallet readable only by its owner and refuses to overwrite it', async () => {
+        const generated = await json('generate', '--type', 'p2wpkh', '--network', 'testnet');
+        assert.match(generated.address, /^tb1q/);
+        assert.equal(fs.statSync(walletFile).mode & 0o777, 0o600);
+        assert.deepEqual(await json('address'), { address: generated.address, type: 'p2wpkh', network: 'testnet' });
+
+        const again = await wallet('generate');
+        assert.equal(again.code, 1);
+        assert.match(again.stderr, /already exists/);
+    });
+
+    it('imports a key and registers stars signed with it', async () => {
+        const keyPair = bitcoin.ECPair.makeRandom();
+        const address = bitcoin.payments.p2pkh({ pubkey: keyPair.publicKey }).address;
+        const imported = await json('import', '--wif', keyPair.toWIF(), '--force');
+        assert.equal(imported.address, address);
+
+        const submitted = await wallet('submit', '--ra', '279.23', '--dec', '38.78', '--mag', '0.03', '--cen', 'Lyr', '--story', 'Vega, from the command line');
+        assert.equal(submitted.code, 0, submitted.stderr);
+        assert.match(submitted.stdout, /^Registered the star [0-9a-f]{64} in block #1 /);
+        const starFile = path.join(dir, 'star.json');
+        fs.writeFileSync(starFile, JSON.stringify({ ra: '5h 55m 10.3s', dec: "7° 24' 25.4", story: 'Betelgeuse 🔭' }));
+        const { id, block } = await json('submit', '--star', starFile);
+        assert.equal(block.height, 2);
+        assert.equal((await client.request('GET', `/star/${id}/history`)).body.star.story, 'Betelgeuse 🔭');
+
+        const stars = await json('stars');
+        assert.deepEqual(stars, [
+            { ra: 279.23, dec: 38.78, mag: 0.03, cen: 'Lyr', story: 'Vega, from the command line' },
+            { ra: '5h 55m 10.3s', dec: "7° 24' 25.4", story: 'Betelgeuse 🔭' }
+        ]);
+        const text = await wallet('stars');
+        assert.match(text.stdout, new RegExp(`^${address} owns 2 star\\(s\\):`));
+        assert.match((await wallet('stars', '--address', 'mkHS9ne12qx9pS9VojpwU5xtRd4T7X7ZUt')).stdout, /owns no star/);
+
+        const byHeight = await wallet('block', '--height', '2');
+        assert.match(byHeight.stdout, new RegExp(`^Block #2 ${block.hash}`));
+        assert.match(byHeight.stdout, /Betelgeuse 🔭/);
+        assert.equal((await json('block', '--hash', block.hash)).height, 2);
+    });
+
+    it('seals a story and reveals it later', async () => {
+        const { id } = await json('submit', '--ra', '101.29', '--dec', '-16.72', '--story', 'Sirius, our secret', '--seal');
+        const block = await client.request('GET', '/block/height/3');
+        assert.ok(!Buffer.from(block.body.body, 'hex').toString('utf8').includes('secret'));
+        assert.match((await wallet('stars')).stdout, /ra 101.29, dec -16.72: \(sealed\)/);
+
+        const revealed = await wallet('reveal', '--star', id);
+        assert.equal(revealed.code, 0, revealed.stderr);
+        assert.match(revealed.stdout, /^Revealed the story of the star [0-9a-f]{64} in block #4 [0-9a-f]+: Sirius, our secret/);
+        assert.match((await wallet('stars')).stdout, /ra 101.29, dec -16.72: Sirius, our secret \(revealed\)/);
+        assert.match((await wallet('reveal', '--star', id)).stderr, /^STAR_ALREADY_REVEALED: /);
+    });
+
+    it('validates the chain of the node', async () => {
+        assert.deepEqual(await json('validate'), { errors: [] });
+        const audit = await wallet('validate', '--audit', '--from', '1');
+        assert.equal(audit.code, 0);
+        assert.match(audit.stdout, /is valid \(4 blocks checked from #1 to #4\)/);
+
+        client.app.blockchain.chain[1].time = '1';
+        const tampered = await wallet('validate');
+        assert.equal(tampered.code, 2);
+        assert.match(tampered.stdout, /has \d+ problem\(s\):\n - block #1 /);
+    });
+
+    it('prints the errors of the node', async () => {
+        const missing = await wallet('block', '--height', '42');
+        assert.equal(missing.code, 1);
+        assert.match(missing.stderr, /^BLOCK_NOT_FOUND: Block Not Found!/);
+        const invalid = await wallet('submit', '--ra', '400', '--dec', '0', '--story', 'Nowhere', '--json');
+        assert.equal(invalid.code, 1);
+        assert.equal(JSON.parse(invalid.stderr).code, 'STAR_INVALID');
+    });
+});